@@ -5,7 +5,6 @@
  */
 
 import express from 'express';
-import bodyParser from 'body-parser';
 import cors from 'cors';
 import { createServer } from 'http';
 import dotenv from 'dotenv';
@@ -13,8 +12,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import SDK components
-import { SolanaTipSDK } from '../../src/index.js';
-import { LowdbAdapter } from '../../src/adapters/index.js';
+import { SolanaTipSDK, DEFAULT_RPC_METHODS } from '../../src/index.js';
+import { LowdbAdapter, SqliteAdapter, PostgresAdapter } from '../../src/adapters/index.js';
+import { RedisAdapter } from '../../src/coordination/index.js';
 
 dotenv.config();
 
@@ -24,8 +24,10 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const PORT = process.env.PORT || 3000;
 const SOLANA_CLUSTER = process.env.SOLANA_CLUSTER || 'mainnet-beta';
-const DB_FILE = process.env.DB_FILE || './db.json';
+const STORAGE = process.env.STORAGE || 'lowdb'; // 'lowdb', 'sqlite' or 'postgres'
+const DB_FILE = process.env.DB_FILE || (STORAGE === 'sqlite' ? './tips.db' : './db.json');
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS) || 15000; // 15 seconds for mainnet free RPC
+const APP_DOMAIN = process.env.APP_DOMAIN || `localhost:${PORT}`;
 
 // Initialize Express app
 const app = express();
@@ -33,162 +35,85 @@ const httpServer = createServer(app);
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Initialize SDK
 console.log('[Server] Initializing Solana Tip SDK...');
-const storage = new LowdbAdapter(DB_FILE);
+function createStorage() {
+  switch (STORAGE) {
+    case 'sqlite':
+      return new SqliteAdapter(DB_FILE);
+    case 'postgres':
+      return new PostgresAdapter(process.env.DATABASE_URL);
+    default:
+      return new LowdbAdapter(DB_FILE);
+  }
+}
+
+// Several server processes behind a load balancer coordinate through Redis
+// (they must also share STORAGE=sqlite on one host, or postgres)
+async function createCoordination() {
+  if (!process.env.REDIS_URL) return {};
+
+  const { createClient } = await import('redis');
+  const client = createClient({ url: process.env.REDIS_URL });
+  await client.connect();
+  return {
+    adapter: new RedisAdapter({ client }),
+    strategy: process.env.INDEXER_STRATEGY || 'shard'
+  };
+}
+
+const storage = createStorage();
+const coordination = await createCoordination();
 
 const sdk = new SolanaTipSDK(storage, {
+  registry: {
+    domain: APP_DOMAIN,
+    challengeTtlMs: 5 * 60 * 1000
+  },
   indexer: {
     cluster: SOLANA_CLUSTER,
     rpcUrl: process.env.RPC_URL,
+    wsUrl: process.env.WS_RPC_URL,
+    mode: process.env.INDEXER_MODE || 'poll',
     pollInterval: POLL_INTERVAL_MS
   },
   websocket: {
     pingInterval: 30000,
     maxAlertsPerWindow: 4,
-    alertWindowMs: 10000
-  }
+    alertWindowMs: 10000,
+    alertSpacingMs: 1500,
+    maxQueueLength: 50,
+    prioritizeLargeTips: true,
+    collapseThreshold: 5,
+    requireToken: process.env.REQUIRE_OVERLAY_TOKEN === 'true'
+  },
+  coordination
 });
 
 // API Routes
-
-/**
- * POST /api/register
- * Register a streamer with signature verification
- */
-app.post('/api/register', async (req, res) => {
-  try {
-    const { streamerId, pubkey, message, signature } = req.body;
-
-    if (!streamerId || !pubkey || !message || !signature) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Missing required fields' 
-      });
-    }
-
-    const result = await sdk.getRegistry().register(
-      streamerId,
-      pubkey,
-      message,
-      signature
-    );
-
-    if (result.success) {
-      res.json({ ok: true });
-    } else {
-      res.status(400).json({ ok: false, error: result.error });
-    }
-  } catch (error) {
-    console.error('[API] Registration error:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
-  }
-});
-
-/**
- * GET /api/streamer/:id
- * Get streamer wallet information
- */
-app.get('/api/streamer/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const streamer = await sdk.getRegistry().getStreamer(id);
-
-    if (!streamer) {
-      return res.status(404).json({ error: 'Streamer not found' });
-    }
-
-    res.json(streamer);
-  } catch (error) {
-    console.error('[API] Get streamer error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Optional admin key for the routes that list streamers or fake tips
+const requireAdminKey = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY || req.get('x-api-key') === process.env.ADMIN_API_KEY) {
+    return next();
   }
-});
-
-/**
- * GET /api/streamers
- * Get all registered streamers (optional - for dashboard)
- */
-app.get('/api/streamers', async (req, res) => {
-  try {
-    const streamers = await sdk.getRegistry().getAllStreamers();
-    const streamersArray = Array.from(streamers.entries()).map(([id, data]) => ({
-      streamerId: id,
-      ...data
-    }));
-    res.json({ streamers: streamersArray });
-  } catch (error) {
-    console.error('[API] Get streamers error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-/**
- * POST /api/simulate-tip (dev only)
- * Simulate a tip for testing overlay
- */
-if (process.env.NODE_ENV === 'development') {
-  app.post('/api/simulate-tip', async (req, res) => {
-    try {
-      const { streamerId, from, amountSol, memo } = req.body;
-
-      const streamer = await sdk.getRegistry().getStreamer(streamerId);
-      if (!streamer) {
-        return res.status(404).json({ error: 'Streamer not found' });
-      }
-
-      const tipData = {
-        streamerId,
-        streamerPubkey: streamer.pubkey,
-        from: from || 'SimulatedWallet',
-        amountLamports: Math.floor((amountSol || 0.1) * 1e9),
-        amountSol: amountSol || 0.1,
-        txHash: 'simulated_' + Date.now(),
-        slot: 123456,
-        blockTime: Math.floor(Date.now() / 1000),
-        memo: memo || 'Test tip'
-      };
-
-      sdk.getBroadcaster().broadcastTip(streamerId, tipData);
-      
-      res.json({ ok: true, message: 'Simulated tip broadcasted' });
-    } catch (error) {
-      console.error('[API] Simulate tip error:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  });
-}
-
-/**
- * POST /api/rpc-proxy
- * Proxy RPC requests to Helius with API key (keeps key secret from browser)
- */
-app.post('/api/rpc-proxy', async (req, res) => {
-  try {
-    const rpcUrl = process.env.RPC_URL || `https://api.${SOLANA_CLUSTER}.solana.com`;
-    
-    const response = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(req.body)
-    });
-
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error('[API] RPC proxy error:', error);
-    res.status(500).json({ 
-      jsonrpc: '2.0',
-      error: { code: -32603, message: 'Internal error' },
-      id: req.body.id 
-    });
-  }
-});
+  res.status(401).json({ ok: false, error: 'Unauthorized', code: 'unauthorized' });
+};
+
+app.use('/api', sdk.createRouter({
+  auth: requireAdminKey,
+  rpcUrl: process.env.RPC_URL,
+  routes: {
+    simulateTip: process.env.NODE_ENV === 'development',
+    rpcProxy: true, // Keeps the RPC API key out of the browser
+    // Never without the admin key (requireAdminKey lets everything through when it is unset)
+    streamers: Boolean(process.env.ADMIN_API_KEY),
+    adminWebhooks: Boolean(process.env.ADMIN_API_KEY)
+  },
+  // Token tips also read the mint and the streamer's token account
+  rpcMethods: [...DEFAULT_RPC_METHODS, 'getAccountInfo', 'getTokenSupply']
+}));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -217,6 +142,12 @@ async function start() {
       console.log(`   Streamer Link: http://localhost:${PORT}/link.html`);
       console.log(`   Viewer: http://localhost:${PORT}/viewer.html`);
       console.log(`   Overlay: http://localhost:${PORT}/overlay.html?streamer=<streamerId>`);
+      console.log(`   Goal Bar: http://localhost:${PORT}/goal.html?streamer=<streamerId>`);
+      console.log(`   Leaderboard: http://localhost:${PORT}/leaderboard.html?streamer=<streamerId>`);
+      console.log(`   End Screen: http://localhost:${PORT}/endscreen.html?streamer=<streamerId>`);
+      console.log(`   Moderation: http://localhost:${PORT}/moderation.html?streamer=<streamerId>#token=<dashboard token>`);
+      console.log(`   Dashboard: http://localhost:${PORT}/dashboard.html?streamer=<streamerId>#token=<dashboard token>`);
+      console.log(`   Tip QR Code: http://localhost:${PORT}/api/streamer/<streamerId>/pay/qr.svg`);
       console.log(`\n✨ Ready to receive tips!\n`);
     });
 
@@ -10,14 +10,275 @@ declare module '@solana-tip/sdk' {
     pubkey: string;
     message: string;
     registeredAt: number;
+    /** When the streamer last moved to a new link (re-link); tips to the wallet count from then */
+    linkedAt?: number;
+    acceptedMints?: string[];
+    /** When mints accepted after registration were added (mint -> ms); earlier transfers are history */
+    mintsAddedAt?: Record<string, number>;
+    backfill?: number;
+    alertCommitment?: 'confirmed' | 'finalized';
+    /** The live stream session, if any */
+    activeSession?: { id: string; startedAt: number } | null;
+    alertTiers?: AlertTier[];
+    /** The streamer's own memo moderation settings (not returned by the public API) */
+    moderation?: ModerationSettings;
+    /** New alerts wait in the queue until resumed */
+    alertsPaused?: boolean;
+  }
+
+  export interface AlertTier {
+    /** Shown on the alert, e.g. "Legendary" (1-32 characters) */
+    name: string;
+    /** Smallest tip amount, in whole units of the tier's currency, that gets this tier */
+    minAmount: number;
+    /** Currency the tier applies to (null: SOL) */
+    mint?: string | null;
+    /** How long the alert stays on screen (1000-60000, default 5000) */
+    durationMs?: number;
+    /** http(s) URL or site path of a sound to play */
+    sound?: string | null;
+    /** Animation name understood by the overlay, e.g. 'pop', 'shake', 'pulse' */
+    animation?: string | null;
+    /** Read the memo aloud */
+    tts?: boolean;
+  }
+
+  /** The tier attached to a tip alert */
+  export interface ResolvedAlertTier {
+    name: string;
+    minAmount: number;
+    durationMs: number;
+    sound: string | null;
+    animation: string | null;
+    tts: boolean;
   }
 
   export abstract class StorageAdapter {
-    registerStreamer(streamerId: string, pubkey: string, message: string): Promise<void>;
+    /** False if the id is already registered; never replaces a streamer */
+    registerStreamer(streamerId: string, pubkey: string, message: string): Promise<boolean>;
     getStreamer(streamerId: string): Promise<StreamerData | null>;
     getAllStreamers(): Promise<Map<string, StreamerData>>;
+    updateStreamer(streamerId: string, updates: Partial<StreamerData>): Promise<StreamerData | null>;
     updateLastSeen(pubkey: string, signature: string): Promise<void>;
     getLastSeen(pubkey: string): Promise<string | null>;
+    saveTip(tip: TipData): Promise<boolean>;
+    getTips(streamerId: string, options?: TipQueryOptions): Promise<TipRecord[]>;
+    getTipByTxHash(txHash: string): Promise<TipRecord | null>;
+    updateTip(txHash: string, updates: Partial<TipRecord>): Promise<TipRecord | null>;
+    getUnfinalizedTips(): Promise<TipRecord[]>;
+    saveChallenge(challenge: LinkChallenge): Promise<void>;
+    getChallenge(nonce: string): Promise<(LinkChallenge & { used: boolean }) | null>;
+    consumeChallenge(nonce: string): Promise<boolean>;
+    saveOverlayToken(token: OverlayTokenRecord): Promise<void>;
+    getOverlayTokens(streamerId: string): Promise<OverlayTokenRecord[]>;
+    deleteOverlayToken(streamerId: string, tokenId: string): Promise<boolean>;
+    saveGoal(goal: Goal): Promise<void>;
+    getGoal(id: string): Promise<Goal | null>;
+    getGoals(streamerId: string): Promise<Goal[]>;
+    updateGoal(id: string, updates: Partial<Goal>): Promise<Goal | null>;
+    /** Top senders in one currency, largest total first (reverted tips excluded) */
+    getTipLeaderboard(
+      streamerId: string,
+      options?: { since?: number | null; sessionId?: string | null; mint?: string | null; limit?: number }
+    ): Promise<Array<Omit<LeaderboardEntry, 'rank'>>>;
+    getTipTotals(streamerId: string, options?: { since?: number | null; sessionId?: string | null }): Promise<TipTotal[]>;
+    /** Tips tagged with a session, oldest first */
+    getSessionTips(sessionId: string): Promise<TipRecord[]>;
+    /** Tips whose memo awaits approval, oldest first (reverted excluded) */
+    getHeldTips(streamerId: string): Promise<TipRecord[]>;
+    saveSession(session: StreamSession): Promise<void>;
+    getSession(id: string): Promise<StreamSession | null>;
+    /** Most recently started first */
+    getSessions(streamerId: string, options?: { limit?: number; offset?: number }): Promise<StreamSession[]>;
+    updateSession(id: string, updates: Partial<StreamSession>): Promise<StreamSession | null>;
+    saveWebhook(webhook: WebhookRecord): Promise<void>;
+    getWebhooks(): Promise<WebhookRecord[]>;
+    deleteWebhook(id: string): Promise<boolean>;
+    saveWebhookDelivery(delivery: WebhookDelivery): Promise<void>;
+    updateWebhookDelivery(id: string, updates: Partial<WebhookDelivery>): Promise<WebhookDelivery | null>;
+    getWebhookDelivery(id: string): Promise<WebhookDelivery | null>;
+    getWebhookDeliveries(options?: WebhookDeliveryQuery): Promise<WebhookDelivery[]>;
+    getDueWebhookDeliveries(now: number, limit?: number): Promise<WebhookDelivery[]>;
+    savePaymentRequest(request: PaymentRequestRecord): Promise<void>;
+    getPaymentRequest(reference: string): Promise<PaymentRequestRecord | null>;
+    /** Pending requests of a streamer that expire at or after `now` */
+    countPendingPaymentRequests(streamerId: string, now: number): Promise<number>;
+    /** Null if the request was not pending (already paid or unknown) */
+    completePaymentRequest(
+      reference: string,
+      payment: Pick<PaymentRequestRecord, 'txHash' | 'from' | 'paidAmount' | 'paidAt'>
+    ): Promise<PaymentRequestRecord | null>;
+    /** Run fn under a lock shared by all processes; false if it was held elsewhere and fn was skipped */
+    withLock(key: string, fn: () => Promise<unknown>): Promise<boolean>;
+  }
+
+  export type ChallengeAction = 'link' | 'manage';
+
+  export interface OverlayTokenRecord {
+    id: string;
+    streamerId: string;
+    /** SHA-256 of the token; the token itself is never stored */
+    hash: string;
+    label: string | null;
+    /** 'overlay' only subscribes; 'dashboard' also moderates and controls alerts (default 'overlay') */
+    scope?: OverlayTokenScope;
+    createdAt: number;
+  }
+
+  export type OverlayTokenScope = 'overlay' | 'dashboard';
+
+  export type GoalStatus = 'active' | 'reached' | 'completed' | 'expired';
+
+  export interface Goal {
+    id: string;
+    streamerId: string;
+    title: string;
+    /** Whole units, e.g. 10 for 10 SOL */
+    target: number;
+    current: number;
+    tipCount: number;
+    /** null: SOL */
+    mint: string | null;
+    symbol: string;
+    /** Tips after this time (ms) do not count */
+    deadline: number | null;
+    status: GoalStatus;
+    createdAt: number;
+    reachedAt: number | null;
+    completedAt: number | null;
+  }
+
+  export interface GoalParams {
+    title: string;
+    target: number;
+    mint?: string | null;
+    deadline?: number | null;
+  }
+
+  export interface GoalResult {
+    success: boolean;
+    goal?: Goal;
+    error?: string;
+  }
+
+  export type LeaderboardWindow = 'session' | 'day' | 'week' | 'all';
+
+  export interface LeaderboardEntry {
+    rank: number;
+    /** Sender wallet */
+    from: string;
+    amount: number;
+    count: number;
+    lastTipAt: number;
+  }
+
+  export interface Leaderboard {
+    streamerId: string;
+    window: LeaderboardWindow;
+    /** Window start (ms), null for all-time and session leaderboards */
+    since: number | null;
+    /** Session covered by a 'session' leaderboard */
+    sessionId: string | null;
+    mint: string | null;
+    symbol: string;
+    entries: LeaderboardEntry[];
+  }
+
+  export interface TipTotal {
+    mint: string | null;
+    symbol: string;
+    amount: number;
+    count: number;
+    /** Distinct senders */
+    tippers: number;
+  }
+
+  export interface TipTotals {
+    streamerId: string;
+    window: LeaderboardWindow;
+    since: number | null;
+    sessionId: string | null;
+    /** Tips across all currencies */
+    count: number;
+    totals: TipTotal[];
+  }
+
+  /** Payload of leaderboard:update */
+  export interface LeaderboardUpdate {
+    streamerId: string;
+    mint: string | null;
+    symbol: string;
+    leaderboards: Partial<Record<LeaderboardWindow, { since: number | null; sessionId: string | null; entries: LeaderboardEntry[] }>>;
+    /** All-time totals */
+    totals: TipTotals;
+  }
+
+  export type WebhookEvent = 'tip' | 'tip:finalized' | 'tip:reverted';
+
+  export interface WebhookRecord {
+    id: string;
+    /** null: every streamer's events */
+    streamerId: string | null;
+    url: string;
+    secret: string;
+    events: WebhookEvent[];
+    description: string | null;
+    createdAt: number;
+  }
+
+  export interface WebhookAttempt {
+    attempt: number;
+    at: number;
+    statusCode: number | null;
+    error: string | null;
+    durationMs: number;
+  }
+
+  export interface WebhookDelivery {
+    id: string;
+    webhookId: string;
+    streamerId: string | null;
+    event: WebhookEvent;
+    /** JSON body POSTed to the endpoint */
+    payload: { id: string; event: WebhookEvent; createdAt: number; data: TipData };
+    status: 'pending' | 'delivered' | 'dead';
+    attempts: number;
+    nextAttemptAt: number | null;
+    lastError?: string | null;
+    deliveredAt?: number;
+    deadAt?: number;
+    /** Most recent attempts, oldest first */
+    log: WebhookAttempt[];
+    createdAt: number;
+  }
+
+  export interface WebhookDeliveryQuery {
+    webhookId?: string;
+    status?: WebhookDelivery['status'];
+    limit?: number;
+  }
+
+  export interface OverlayTokenResult {
+    success: boolean;
+    token?: string;
+    tokenId?: string;
+    error?: string;
+  }
+
+  export interface LinkChallenge {
+    nonce: string;
+    streamerId: string;
+    action: ChallengeAction;
+    domain: string;
+    message: string;
+    issuedAt: number;
+    expiresAt: number;
+  }
+
+  export interface ChallengeResult {
+    message: string;
+    nonce: string;
+    expiresAt: number;
   }
 
   export class LowdbAdapter extends StorageAdapter {
@@ -30,18 +291,123 @@ declare module '@solana-tip/sdk' {
     clear(): void;
   }
 
+  export interface SqliteMigration {
+    version: number;
+    name: string;
+    up(db: any): void;
+  }
+
+  export interface SqliteAdapterOptions {
+    /** Existing better-sqlite3 Database to use instead of opening filePath */
+    database?: any;
+    migrations?: SqliteMigration[];
+  }
+
+  export class SqliteAdapter extends StorageAdapter {
+    constructor(filePath?: string, options?: SqliteAdapterOptions);
+    init(): Promise<void>;
+    migrate(): number[];
+    getSchemaVersion(): number;
+    close(): void;
+  }
+
+  export const SQLITE_MIGRATIONS: SqliteMigration[];
+
+  export interface PostgresMigration {
+    version: number;
+    name: string;
+    sql: string;
+  }
+
+  export interface PostgresAdapterOptions {
+    /** Existing pg.Pool to use instead of creating one */
+    pool?: any;
+    migrations?: PostgresMigration[];
+  }
+
+  export class PostgresAdapter extends StorageAdapter {
+    constructor(connection: string | object, options?: PostgresAdapterOptions);
+    init(): Promise<void>;
+    migrate(): Promise<number[]>;
+    close(): Promise<void>;
+  }
+
+  export const POSTGRES_MIGRATIONS: PostgresMigration[];
+
   // ===== Core Classes =====
 
   export interface TipData {
     streamerId: string;
     streamerPubkey: string;
     from: string;
-    amountLamports: number;
-    amountSol: number;
+    /** SPL mint, or null for native SOL */
+    mint: string | null;
+    symbol: string;
+    decimals: number;
+    /** Amount in whole units of `symbol` */
+    amount: number;
+    /** Base units as a decimal string (SPL tips only) */
+    amountRaw?: string;
+    /** SOL tips only */
+    amountLamports?: number;
+    /** SOL tips only */
+    amountSol?: number;
+    /** Unique per tip: the signature, with `:<transferIndex>` for a transaction's later transfers */
     txHash: string;
+    /** Transaction signature */
+    signature?: string;
+    /** Position among the transaction's transfers to the streamer */
+    transferIndex?: number;
     slot: number;
     blockTime: number;
+    /** Memo text; for a structured memo, its message */
     memo?: string;
+    /** From a structured memo: shown instead of the wallet */
+    displayName?: string;
+    /** From a structured memo: the tip this one answers */
+    replyTo?: string;
+    /** From a structured memo: short app-defined values, e.g. a song request id */
+    meta?: TipMemoMeta;
+    /** Backfilled from before registration; never alerted */
+    historical?: boolean;
+    /** Stream session that was live when the tip was sent */
+    sessionId?: string;
+    /** Reference key of the Solana Pay request this tip paid */
+    reference?: string;
+    status?: TipStatus;
+  }
+
+  export type TipStatus = 'confirmed' | 'finalized' | 'reverted';
+
+  export interface TipRecord extends TipData {
+    recordedAt: number;
+    finalizedAt?: number;
+    revertedAt?: number;
+    /** Outcome of memo moderation; `memo` above stays as sent */
+    moderation?: TipModeration;
+  }
+
+  export type ModerationStatus = 'allowed' | 'cleaned' | 'blocked' | 'held' | 'approved' | 'rejected';
+
+  export interface TipModeration {
+    status: ModerationStatus;
+    /** The memo as it may be shown (null: none) */
+    memo: string | null;
+    /** The display name as it may be shown (null: none) */
+    displayName?: string | null;
+    /** The reply target as it may be shown (null: none) */
+    replyTo?: string | null;
+    /** The meta values that may be shown (null: none) */
+    meta?: TipMemoMeta | null;
+    /** Why the memo was changed or blocked */
+    reasons: Array<'sender' | 'link' | 'length' | 'blocklist'>;
+    reviewedAt: number;
+    decidedAt?: number;
+  }
+
+  export interface TipQueryOptions {
+    limit?: number;
+    offset?: number;
   }
 
   export interface RegistrationResult {
@@ -49,16 +415,102 @@ declare module '@solana-tip/sdk' {
     error?: string;
   }
 
+  export interface RegistryOptions {
+    domain?: string;
+    challengeTtlMs?: number;
+    /** Width of a session summary's timeline buckets (default 300000) */
+    sessionTimelineBucketMs?: number;
+  }
+
+  export interface StreamSession {
+    id: string;
+    streamerId: string;
+    title: string | null;
+    status: 'live' | 'ended';
+    startedAt: number;
+    endedAt: number | null;
+    /** Stored when the session ends */
+    summary: SessionSummary | null;
+  }
+
+  export interface SessionSummary {
+    sessionId: string;
+    streamerId: string;
+    title: string | null;
+    startedAt: number;
+    /** null while live */
+    endedAt: number | null;
+    durationMs: number;
+    /** Tips across all currencies (reverted tips excluded) */
+    count: number;
+    /** Distinct senders */
+    tippers: number;
+    /** Per currency, most tipped first */
+    totals: Array<TipTotal & {
+      largestTip: { from: string; displayName?: string; amount: number; txHash: string; memo?: string; at: number };
+    }>;
+    bucketMs: number;
+    timeline: Array<{ start: number; count: number; amounts: Record<string, number> }>;
+  }
+
+  export interface SessionResult {
+    success: boolean;
+    session?: StreamSession;
+    error?: string;
+  }
+
   export class StreamerRegistry {
-    constructor(storage: StorageAdapter);
+    constructor(storage: StorageAdapter, options?: RegistryOptions);
+    createChallenge(streamerId: string, options?: { action?: ChallengeAction }): Promise<ChallengeResult>;
+    validateChallenge(streamerId: string, message: string, action?: ChallengeAction): Promise<string | null>;
+    authorize(streamerId: string, message: string, signature: string): Promise<RegistrationResult>;
+    createOverlayToken(streamerId: string, options?: { label?: string; scope?: OverlayTokenScope }): Promise<OverlayTokenResult>;
+    /** Revokes the other tokens of the same scope */
+    rotateOverlayToken(streamerId: string, options?: { label?: string; scope?: OverlayTokenScope }): Promise<OverlayTokenResult>;
+    revokeOverlayToken(streamerId: string, tokenId?: string): Promise<RegistrationResult & { revoked?: number }>;
+    listOverlayTokens(streamerId: string): Promise<Array<{ id: string; label: string | null; scope: OverlayTokenScope; createdAt: number }>>;
+    /** Without a scope, a token of either scope verifies */
+    verifyOverlayToken(streamerId: string, token: string, options?: { scope?: OverlayTokenScope }): Promise<string | null>;
     register(
       streamerId: string,
       pubkey: string,
       message: string,
-      signature: string
-    ): Promise<RegistrationResult>;
+      signature: string,
+      options?: {
+        /** On re-link, omit to keep the current mints */
+        acceptedMints?: string[];
+        backfill?: number;
+        /** 'manage' challenge signed by the wallet linked now; required when the id is taken */
+        authorization?: { message: string; signature: string };
+      }
+    ): Promise<RegistrationResult & { relinked?: boolean }>;
     getStreamer(streamerId: string): Promise<StreamerData | null>;
     getAllStreamers(): Promise<Map<string, StreamerData>>;
+    setAcceptedMints(streamerId: string, mints: string[]): Promise<RegistrationResult>;
+    setAlertCommitment(streamerId: string, commitment: 'confirmed' | 'finalized'): Promise<RegistrationResult>;
+    startSession(streamerId: string, options?: { title?: string | null }): Promise<SessionResult>;
+    /** Returns the ended session with its summary */
+    endSession(streamerId: string): Promise<SessionResult>;
+    getCurrentSession(streamerId: string): Promise<StreamSession | null>;
+    getSessions(streamerId: string, options?: { limit?: number; offset?: number }): Promise<StreamSession[]>;
+    /** Recomputed from the session's tips as they are now */
+    getSessionSummary(sessionId: string): Promise<SessionSummary | null>;
+    /** Store an ended session's summary again from its tips; a live session is returned as is */
+    refreshSessionSummary(sessionId: string): Promise<StreamSession | null>;
+    /** Replace the streamer's alert tiers; an empty array removes them */
+    setAlertTiers(
+      streamerId: string,
+      tiers: AlertTier[]
+    ): Promise<{ success: boolean; tiers?: Required<AlertTier>[]; error?: string }>;
+    /** Empty if none are set; null for an unknown streamer */
+    getAlertTiers(streamerId: string): Promise<Required<AlertTier>[] | null>;
+    /** Kept across restarts */
+    setAlertsPaused(streamerId: string, paused: boolean): Promise<RegistrationResult>;
+    on(event: 'registered', handler: (data: { streamerId: string; pubkey: string }) => void): void;
+    on(event: 'updated', handler: (data: { streamerId: string }) => void): void;
+    on(event: 'token:revoked', handler: (data: { streamerId: string; tokenId: string }) => void): void;
+    on(event: 'session:started' | 'session:ended', handler: (session: StreamSession) => void): void;
+    on(event: 'alerts:paused' | 'alerts:resumed', handler: (data: { streamerId: string }) => void): void;
   }
 
   export interface IndexerOptions {
@@ -67,31 +519,541 @@ declare module '@solana-tip/sdk' {
     pollInterval?: number;
     commitment?: 'processed' | 'confirmed' | 'finalized';
     signatureLimit?: number;
+    /** Signature pages read per address per check; the rest is read on later checks (default 10) */
+    maxSignaturePages?: number;
+    backfill?: number;
+    mode?: 'poll' | 'subscribe';
+    wsUrl?: string;
+    subscriptionSyncInterval?: number;
+    subscriptionTimeoutMs?: number;
+    finalityCheckInterval?: number;
+    finalityTimeoutMs?: number;
+    /** Which memo a tip gets when its transaction has several (default 'first'; 'all' joins them) */
+    memoSelect?: 'first' | 'last' | 'all';
+    /** Labels for mints not in KNOWN_TOKENS; programId skips looking up the mint's token program */
+    tokens?: Record<string, { symbol: string; decimals: number; programId?: string }>;
   }
 
   export class TipIndexer {
     constructor(storage: StorageAdapter, options?: IndexerOptions);
     start(): Promise<void>;
     stop(): void;
-    on(event: 'tip', handler: (data: TipData) => void): void;
+    syncSubscriptions(): Promise<void>;
+    on(
+      event: 'tip' | 'tip:historical' | 'tip:finalized' | 'tip:reverted',
+      handler: (data: TipData) => void
+    ): void;
+    checkFinality(): Promise<void>;
+    /** Only index streamers the filter accepts (null: all) */
+    setOwnershipFilter(filter: ((streamerId: string) => boolean) | null): void;
+    owns(streamerId: string): boolean;
+    /** Pick up newly owned streamers after ownership changed */
+    rebalance(): Promise<void>;
+    /** Id of the streamer's session the tip was sent during, live or ended */
+    getSessionId(streamerId: string, blockTime: number | null): Promise<string | null>;
+    /** The wallet plus the associated token account of each accepted mint */
+    getWatchedAddresses(streamerId: string, streamerData: StreamerData): Promise<string[]>;
+    /** SPL Token or Token-2022 program id owning a mint */
+    getTokenProgram(mint: string): Promise<string>;
+    /** The payment requests a transaction pays, without marking them paid; transferIndex -> reference */
+    matchPaymentRequests(tx: any, streamerId: string, signature: string, transfers: TipTransfer[]): Promise<Map<number, string>>;
+    /** Mark a saved tip's payment request paid, or drop its reference if another tip paid it first */
+    completePaymentRequest(tipData: TipData): Promise<void>;
   }
 
   export interface WebSocketOptions {
     pingInterval?: number;
     maxAlertsPerWindow?: number;
     alertWindowMs?: number;
+    alertSpacingMs?: number;
+    maxQueueLength?: number;
+    prioritizeLargeTips?: boolean;
+    /** Queue length at which pending alerts collapse into one; 0 disables */
+    collapseThreshold?: number;
+    alertPriority?: (tip: TipData) => number;
+    /** Broadcasts kept per streamer for replay to reconnecting overlays */
+    backlogSize?: number;
+    /** Most broadcasts replayed to a single client */
+    maxReplay?: number;
+    /** Require an overlay token for tip alerts too (other channels always require one) */
+    requireToken?: boolean;
+    /** Resolve a token to its id, or null if invalid (the SDK wires this to the registry) */
+    authenticate?: (streamerId: string, token: string) => Promise<string | null> | string | null;
+    /** A streamer's alert tiers, resolved into each tip alert's `tier` (the SDK wires this to the registry) */
+    getAlertTiers?: (streamerId: string) => Promise<AlertTier[] | null> | AlertTier[] | null;
+  }
+
+  export interface ReplayRequest {
+    lastSeq: number;
+    epoch: string;
+    maxReplay?: number;
+    maxAgeMs?: number;
   }
 
   export class WebSocketBroadcaster {
     constructor(options?: WebSocketOptions);
     init(server: { server: HTTPServer } | HTTPServer): void;
     broadcastTip(streamerId: string, tipData: TipData): void;
+    broadcastTipStatus(streamerId: string, tipData: TipData): void;
+    broadcastGoal(streamerId: string, type: 'goal:progress' | 'goal:reached' | 'goal:updated', goal: Goal): void;
+    broadcastSession(streamerId: string, type: 'session:started' | 'session:ended', session: StreamSession): void;
+    /** Not kept for replay; each update supersedes the previous one */
+    broadcastLeaderboard(streamerId: string, update: LeaderboardUpdate): void;
+    getQueueLength(streamerId: string): number;
+    /** Queued alerts wait until resumeAlerts; overlays get 'alerts:paused' */
+    pauseAlerts(streamerId: string): void;
+    resumeAlerts(streamerId: string): void;
+    isPaused(streamerId: string): boolean;
+    /** Tell overlays to drop the alert on screen */
+    skipAlert(streamerId: string): void;
+    publish(streamerId: string, message: { type: string; payload: any }): number;
+    replay(ws: any, streamerId: string, request: ReplayRequest): number;
+    subscribe(ws: any, msg: { streamer: string; channel?: string; token?: string } & Partial<ReplayRequest>): Promise<void>;
+    revokeToken(streamerId: string, tokenId: string): number;
+    getChannelKey(streamerId: string, channel?: string): string;
+    sendToChannel(streamerId: string, channel: string, message: { type: string; payload: any }): number;
     close(): void;
   }
 
+  // ===== Goals =====
+
+  export class GoalManager {
+    constructor(storage: StorageAdapter, options?: { tokens?: Record<string, { symbol: string; decimals: number }> });
+    createGoal(streamerId: string, params: GoalParams): Promise<GoalResult>;
+    updateGoal(
+      streamerId: string,
+      goalId: string,
+      updates: Partial<Pick<GoalParams, 'title' | 'target' | 'deadline'>>
+    ): Promise<GoalResult>;
+    completeGoal(streamerId: string, goalId: string): Promise<GoalResult>;
+    getGoals(streamerId: string, options?: { status?: GoalStatus }): Promise<Goal[]>;
+    getGoal(goalId: string): Promise<Goal | null>;
+    /** Count a live tip toward matching goals; returns their ids */
+    applyTip(tip: TipData): Promise<string[]>;
+    /** Take a reverted tip back out of the goals it counted toward */
+    revertTip(tip: TipRecord & { goalIds?: string[] }): Promise<void>;
+    on(event: 'goal:progress', handler: (goal: Goal & { lastTip?: GoalTip }) => void): void;
+    on(event: 'goal:reached' | 'goal:updated', handler: (goal: Goal) => void): void;
+  }
+
+  /** The tip that moved a goal, on goal:progress */
+  export interface GoalTip {
+    from: string;
+    amount: number;
+    symbol: string;
+    txHash: string;
+    memo?: string;
+  }
+
+  // ===== Leaderboards =====
+
+  export const LEADERBOARD_WINDOWS: LeaderboardWindow[];
+
+  export interface LeaderboardOptions {
+    /** Window lengths in ms (default: day 24h, week 7d; session 12h for streamers without sessions) */
+    windowMs?: Partial<Record<Exclude<LeaderboardWindow, 'all'>, number>>;
+    /** Senders per leaderboard (default 10) */
+    limit?: number;
+    /** Windows included in leaderboard:update (default: all) */
+    liveWindows?: LeaderboardWindow[];
+    /** Coalesce bursts of tips into one update (default 1000) */
+    debounceMs?: number;
+    tokens?: Record<string, { symbol: string; decimals: number }>;
+  }
+
+  export class LeaderboardManager {
+    constructor(storage: StorageAdapter, options?: LeaderboardOptions);
+    getLeaderboard(
+      streamerId: string,
+      options?: { window?: LeaderboardWindow; mint?: string | null; limit?: number }
+    ): Promise<Leaderboard>;
+    getTotals(streamerId: string, options?: { window?: LeaderboardWindow }): Promise<TipTotals>;
+    /** Queue a leaderboard:update for a streamer's currency */
+    scheduleUpdate(streamerId: string, mint?: string | null): void;
+    buildUpdate(streamerId: string, mint?: string | null): Promise<LeaderboardUpdate>;
+    /** Which tips a window covers ('session': the live or last session) */
+    resolveWindow(streamerId: string, window: LeaderboardWindow): Promise<{ since: number | null; sessionId: string | null }>;
+    stop(): void;
+    on(event: 'leaderboard:update', handler: (update: LeaderboardUpdate) => void): void;
+  }
+
+  // ===== Moderation =====
+
+  export interface ModerationSettings {
+    /** Words and phrases that block a memo (whole words, case-insensitive) */
+    blocklist?: string[];
+    /** Wallets whose tips never alert */
+    blockedSenders?: string[];
+    /** Remove links from memos (default true) */
+    stripLinks?: boolean;
+    /** Longer memos are cut off (default 200) */
+    maxMemoLength?: number;
+    /** Hold memos until approved (default false) */
+    manualApproval?: boolean;
+    /** Skip the whole alert for a blocked or rejected memo (default false: alert without it) */
+    dropBlocked?: boolean;
+  }
+
+  export interface ModerationOptions extends ModerationSettings {
+    /** Patterns that block a memo; server-wide only */
+    patterns?: Array<RegExp | string>;
+  }
+
+  /** A held memo, as shown to moderators */
+  export interface ModerationQueueItem {
+    txHash: string;
+    streamerId: string;
+    from: string;
+    amount: number;
+    symbol: string;
+    mint: string | null;
+    /** The memo that will be shown if approved */
+    memo: string | null;
+    originalMemo: string | null;
+    /** The display name that will be shown if approved */
+    displayName: string | null;
+    originalDisplayName: string | null;
+    /** The meta values that will be shown if approved */
+    meta: TipMemoMeta | null;
+    status: ModerationStatus;
+    reasons: string[];
+    heldAt: number;
+  }
+
+  /** A stored tip with its memo, display name, replyTo and meta as moderated, and no moderation record */
+  export function applyModeration(tip: TipRecord): TipData;
+  /** A stored tip as sent to webhooks: replyTo and meta as moderated, left out until reviewed */
+  export function moderateExtras<T extends TipData>(tip: T & { moderation?: TipModeration }): T;
+
+  export class MemoModerator {
+    constructor(storage: StorageAdapter, options?: ModerationOptions);
+    /** Screen a live tip's memo, display name and meta, and record the outcome on the tip */
+    review(tip: TipData): Promise<{ action: 'show' | 'hold' | 'drop'; tip: TipData; moderation: TipModeration }>;
+    /** Null if the name has a link (with stripLinks) or a blocked word */
+    screenName(name: string | null | undefined, settings: ModerationSettings): string | null;
+    /** Meta without text values that have a link (with stripLinks) or a blocked word; null if none are left */
+    screenMeta(
+      meta: TipMemoMeta | null | undefined,
+      settings: ModerationSettings
+    ): TipMemoMeta | null;
+    getQueue(streamerId: string): Promise<ModerationQueueItem[]>;
+    approve(streamerId: string, txHash: string): Promise<{ success: boolean; tip?: TipData; error?: string }>;
+    reject(streamerId: string, txHash: string): Promise<{ success: boolean; tip?: TipData; error?: string }>;
+    /** Streamer settings add to the server-wide lists and override its switches */
+    setSettings(
+      streamerId: string,
+      settings: ModerationSettings
+    ): Promise<{ success: boolean; settings?: ModerationSettings; error?: string }>;
+    getSettings(streamerId: string): Promise<ModerationSettings | null>;
+    on(event: 'memo:held', handler: (item: ModerationQueueItem) => void): void;
+    on(
+      event: 'memo:approved' | 'memo:rejected',
+      handler: (data: { item: ModerationQueueItem; tip: TipData; alert: boolean }) => void
+    ): void;
+  }
+
+  // ===== Solana Pay =====
+
+  export type PaymentRequestStatus = 'pending' | 'paid' | 'expired';
+
+  export interface PaymentRequestParams {
+    /** Whole units; omitted, the wallet asks the viewer */
+    amount?: number | null;
+    /** An SPL mint the streamer accepts (null: SOL) */
+    mint?: string | null;
+    /** Up to 256 characters once formatted; public on chain */
+    memo?: string | TipMemoFields | null;
+    /** Shown by the wallet as who is paid (default: the streamer id; null: none) */
+    label?: string | null;
+    /** Shown by the wallet as what the payment is for */
+    message?: string | null;
+  }
+
+  export interface PaymentRequestRecord {
+    /** Unique key the wallet adds to the transfer */
+    reference: string;
+    streamerId: string;
+    recipient: string;
+    amount: number | null;
+    mint: string | null;
+    symbol: string;
+    decimals: number | null;
+    label: string | null;
+    message: string | null;
+    memo: string | null;
+    /** 'pending' or 'paid' as stored */
+    status: PaymentRequestStatus;
+    createdAt: number;
+    expiresAt: number;
+    /** Set once paid */
+    txHash?: string;
+    from?: string;
+    paidAmount?: number;
+    paidAt?: number;
+  }
+
+  export interface PaymentRequest extends PaymentRequestRecord {
+    /** solana: transfer request URL */
+    url: string;
+  }
+
+  export interface PaymentRequestOptions {
+    /** How long a request can be paid (default 15 minutes) */
+    requestTtlMs?: number;
+    /** Unpaid, unexpired requests one streamer may have (default 100) */
+    maxPendingRequests?: number;
+    tokens?: Record<string, { symbol: string; decimals: number }>;
+  }
+
+  export class PaymentRequestManager {
+    constructor(storage: StorageAdapter, options?: PaymentRequestOptions);
+    createRequest(
+      streamerId: string,
+      params?: PaymentRequestParams
+    ): Promise<{ success: boolean; request?: PaymentRequest; error?: string }>;
+    /** A reusable link without a reference, e.g. for a QR code on stream */
+    createUrl(streamerId: string, params?: PaymentRequestParams): Promise<{ success: boolean; url?: string; error?: string }>;
+    /** Unpaid requests past expiresAt come back as 'expired' */
+    getRequest(reference: string): Promise<PaymentRequest | null>;
+  }
+
+  export function createTransferRequestURL(params: {
+    recipient: string;
+    amount?: number | null;
+    /** Decimals of the currency (default 9) */
+    decimals?: number;
+    splToken?: string | null;
+    reference?: string | string[] | null;
+    label?: string | null;
+    message?: string | null;
+    memo?: string | null;
+  }): string;
+
+  export type QRErrorCorrection = 'L' | 'M' | 'Q' | 'H';
+
+  export function encodeQRCode(
+    text: string,
+    options?: { errorCorrection?: QRErrorCorrection }
+  ): { version: number; size: number; modules: boolean[][] };
+
+  export function renderQRCodeSVG(
+    text: string,
+    options?: {
+      errorCorrection?: QRErrorCorrection;
+      /** Quiet zone in modules (default 4) */
+      margin?: number;
+      /** Width and height in pixels (default: scales to its container) */
+      size?: number | null;
+      dark?: string;
+      /** Background color; null for transparent */
+      light?: string | null;
+    }
+  ): string;
+
+  // ===== Webhooks =====
+
+  export const WEBHOOK_EVENTS: WebhookEvent[];
+
+  export interface WebhookOptions {
+    /** Attempts before a delivery moves to the dead letters (default 8) */
+    maxAttempts?: number;
+    /** First retry delay, doubled on every further attempt (default 10000) */
+    retryBaseMs?: number;
+    retryMaxMs?: number;
+    timeoutMs?: number;
+    /** How often due retries are attempted (default 5000) */
+    processInterval?: number;
+    batchSize?: number;
+    userAgent?: string;
+    /**
+     * fetch implementation. By default requests go over node:http(s), connected to the
+     * addresses the endpoint check vetted; a custom fetch resolves the host itself.
+     */
+    fetch?: typeof fetch;
+    /** Allow endpoints on loopback and private addresses (default false; local development only) */
+    allowPrivateNetworks?: boolean;
+    /** Host resolver used to vet endpoints (default: dns.lookup with all: true) */
+    lookup?: (hostname: string) => Promise<Array<{ address: string; family: number }>>;
+  }
+
+  export interface AddWebhookParams {
+    url: string;
+    streamerId?: string | null;
+    events?: WebhookEvent[];
+    description?: string;
+  }
+
+  export class WebhookDispatcher {
+    constructor(storage: StorageAdapter, options?: WebhookOptions);
+    start(): void;
+    stop(): void;
+    /** The secret is only returned here */
+    addWebhook(params: AddWebhookParams): Promise<{
+      success: boolean;
+      webhook?: Omit<WebhookRecord, 'secret'>;
+      secret?: string;
+      error?: string;
+    }>;
+    removeWebhook(id: string, streamerId?: string): Promise<{ success: boolean; error?: string }>;
+    listWebhooks(streamerId?: string): Promise<Omit<WebhookRecord, 'secret'>[]>;
+    dispatch(event: WebhookEvent, data: TipData): Promise<number>;
+    processDue(): Promise<void>;
+    /** Error message if the URL resolves to a loopback, private or link-local address */
+    checkDestination(url: string): Promise<string | null>;
+    /** The vetted addresses a delivery connects to (none with allowPrivateNetworks) */
+    resolveDestination(url: string): Promise<{ error: string | null; addresses?: Array<{ address: string; family: number }> }>;
+    /** POST over node:http(s), connecting only to the given addresses */
+    post(
+      url: string,
+      init: { method: string; headers: Record<string, string>; body: string; signal?: AbortSignal },
+      addresses?: Array<{ address: string; family: number }>
+    ): Promise<{ ok: boolean; status: number }>;
+    redeliver(deliveryId: string): Promise<{ success: boolean; error?: string }>;
+    getDeliveries(options?: WebhookDeliveryQuery): Promise<WebhookDelivery[]>;
+    getDeadLetters(options?: { webhookId?: string; limit?: number }): Promise<WebhookDelivery[]>;
+    on(
+      event: 'webhook:delivered' | 'webhook:failed' | 'webhook:dead',
+      handler: (delivery: WebhookDelivery) => void
+    ): void;
+  }
+
+  // ===== Coordination =====
+
+  export abstract class CoordinationAdapter {
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    publish(channel: string, message: any): Promise<void>;
+    subscribe(channel: string, handler: (message: any) => void): Promise<void>;
+    heartbeat(nodeId: string, ttlMs: number): Promise<void>;
+    leave(nodeId: string): Promise<void>;
+    getMembers(): Promise<string[]>;
+    acquireLeadership(nodeId: string, ttlMs: number): Promise<boolean>;
+    releaseLeadership(nodeId: string): Promise<void>;
+  }
+
+  /** State shared by InProcessAdapters in the same process */
+  export class InProcessHub {
+    constructor();
+  }
+
+  export class InProcessAdapter extends CoordinationAdapter {
+    constructor(options?: { hub?: InProcessHub });
+    hub: InProcessHub;
+  }
+
+  export interface RedisAdapterOptions {
+    /** Connected node-redis v4 client */
+    client: any;
+    /** Connected client for pub/sub (default: client.duplicate()) */
+    subscriber?: any;
+    /** Key and channel prefix (default 'solana-tip') */
+    prefix?: string;
+  }
+
+  export class RedisAdapter extends CoordinationAdapter {
+    constructor(options: RedisAdapterOptions);
+  }
+
+  export interface CoordinationOptions {
+    /** Default: in-process (this process is a cluster of one) */
+    adapter?: CoordinationAdapter;
+    /** 'shard' splits streamers between nodes; 'leader' lets one node index all */
+    strategy?: 'shard' | 'leader';
+    nodeId?: string;
+    heartbeatInterval?: number;
+    memberTtlMs?: number;
+  }
+
+  export class ClusterCoordinator {
+    constructor(options?: CoordinationOptions);
+    readonly nodeId: string;
+    readonly members: string[];
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    refresh(): Promise<void>;
+    /** Whether this node indexes the streamer */
+    owns(streamerId: string): boolean;
+    isLeader(): boolean;
+    publish(type: string, data: any): Promise<void>;
+    on(event: 'rebalance', handler: (data: { members: string[]; leader: boolean }) => void): void;
+    /** Events published by any node, as 'event:<type>' */
+    on(event: string, handler: (data: any, origin: string) => void): void;
+  }
+
+  // ===== HTTP API =====
+
+  export type RequestHandler = (req: any, res: any, next: (error?: any) => void) => void;
+
+  export type RouteName =
+    | 'challenge'
+    | 'register'
+    | 'streamer'
+    | 'streamers'
+    | 'tips'
+    | 'overlayTokens'
+    | 'goals'
+    | 'leaderboards'
+    | 'sessions'
+    | 'alertTiers'
+    | 'moderation'
+    | 'alertControls'
+    | 'payments'
+    | 'webhooks'
+    | 'adminWebhooks'
+    | 'simulateTip'
+    | 'rpcProxy';
+
+  export interface RouterOptions {
+    /** Middleware guarding the routes in `authRoutes` */
+    auth?: RequestHandler | RequestHandler[];
+    /** Defaults to ['streamers', 'simulateTip', 'adminWebhooks'] */
+    authRoutes?: RouteName[];
+    /**
+     * Enable or disable routes; adminWebhooks, simulateTip and rpcProxy are off by default,
+     * and streamers is on by default only when `auth` is set
+     */
+    routes?: Partial<Record<RouteName, boolean>>;
+    /** Return an overlay token from /register (default true); a re-link revokes the previous ones */
+    issueOverlayToken?: boolean;
+    rpcUrl?: string;
+    /** Allowed JSON-RPC methods for /rpc-proxy (default: DEFAULT_RPC_METHODS) */
+    rpcMethods?: string[];
+    /** Payment requests one client IP may create per window, per process (default 10 a minute; null: no limit) */
+    paymentRequestLimit?: { max: number; windowMs: number } | null;
+    jsonLimit?: string;
+  }
+
+  /** Error body returned by every router route */
+  export interface ApiErrorBody {
+    ok: false;
+    error: string;
+    code: string;
+  }
+
+  export class ApiError extends Error {
+    constructor(status: number, code: string, message: string);
+    status: number;
+    code: string;
+  }
+
+  export const DEFAULT_ROUTES: Record<RouteName, boolean>;
+  /** getLatestBlockhash, sendTransaction, getSignatureStatuses and getBalance */
+  export const DEFAULT_RPC_METHODS: string[];
+
+  /** Returns an Express router */
+  export function createRouter(sdk: SolanaTipSDK, options?: RouterOptions): any;
+
   export interface SDKOptions {
+    registry?: RegistryOptions;
     indexer?: IndexerOptions;
     websocket?: WebSocketOptions;
+    /** Share indexing and broadcasts between several server processes */
+    coordination?: CoordinationOptions;
+    webhooks?: WebhookOptions;
+    goals?: { tokens?: Record<string, { symbol: string; decimals: number }> };
+    leaderboards?: LeaderboardOptions;
+    moderation?: ModerationOptions;
+    payments?: PaymentRequestOptions;
   }
 
   export class SolanaTipSDK {
@@ -99,10 +1061,28 @@ declare module '@solana-tip/sdk' {
     start(): Promise<void>;
     stop(): void;
     initWebSocket(server: { server: HTTPServer } | HTTPServer): void;
+    createChallenge(streamerId: string, options?: { action?: ChallengeAction }): Promise<ChallengeResult>;
+    /** Express router with the SDK's HTTP API */
+    createRouter(options?: RouterOptions): any;
     getRegistry(): StreamerRegistry;
     getIndexer(): TipIndexer;
     getBroadcaster(): WebSocketBroadcaster;
-    on(event: 'tip', handler: (data: TipData) => void): void;
+    getCoordinator(): ClusterCoordinator;
+    getWebhooks(): WebhookDispatcher;
+    getGoals(): GoalManager;
+    getLeaderboards(): LeaderboardManager;
+    getModerator(): MemoModerator;
+    getPayments(): PaymentRequestManager;
+    /** Send a tip alert to overlays connected to any node */
+    broadcastTip(streamerId: string, tipData: TipData): void;
+    /** Alert a stored tip again (marked `rerun`), with its memo as moderated */
+    replayAlert(streamerId: string, txHash: string): Promise<{ success: boolean; error?: string }>;
+    /** Drop the alert on screen on overlays connected to any node */
+    skipAlert(streamerId: string): void;
+    on(
+      event: 'tip' | 'tip:historical' | 'tip:finalized' | 'tip:reverted',
+      handler: (data: TipData) => void
+    ): void;
   }
 
   // ===== Utility Functions =====
@@ -113,7 +1093,101 @@ declare module '@solana-tip/sdk' {
     pubkeyBase58: string
   ): boolean;
 
-  export function createChallengeMessage(streamerId: string): string;
+  export function createChallengeMessage(
+    streamerId: string,
+    options?: { domain?: string; nonce?: string; issuedAt?: number; expiresAt?: number; action?: ChallengeAction }
+  ): string;
+
+  export function parseChallengeMessage(message: string): {
+    domain: string;
+    action: ChallengeAction;
+    streamerId: string;
+    nonce: string;
+    issuedAt: number;
+    expiresAt: number;
+  } | null;
+
+  export function generateNonce(): string;
+
+  export function generateToken(): string;
+
+  export function hashToken(token: string): string;
+
+  /** X-Tip-Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">` */
+  export function signWebhookPayload(secret: string, timestamp: number, body: string): string;
+
+  export function verifyWebhookSignature(
+    secret: string,
+    header: string,
+    body: string,
+    options?: { toleranceSec?: number; now?: number }
+  ): boolean;
+
+  export interface ResolvedInstruction {
+    programId: string;
+    accounts: string[];
+    data: Uint8Array;
+  }
+
+  /** Full account list (static keys, then lookup-table addresses) and instructions of a legacy or v0 transaction */
+  export function resolveTransactionMessage(
+    transaction: any
+  ): {
+    accountKeys: string[];
+    instructions: ResolvedInstruction[];
+    /** Null if the RPC node did not record them */
+    innerInstructions: Array<{ index: number; instructions: ResolvedInstruction[] }> | null;
+  } | null;
+
+  export interface TipTransfer {
+    from: string;
+    /** null for SOL */
+    mint: string | null;
+    /** SPL tips only */
+    decimals?: number;
+    amountRaw?: string;
+    amount?: number;
+    /** SOL tips only */
+    amountLamports?: number;
+    amountSol?: number;
+    slot: number;
+    blockTime: number;
+    transferIndex: number;
+  }
+
+  /** Read-only, non-signer accounts other than programs: where wallets put Solana Pay references */
+  export function findReferenceKeys(transaction: any): string[];
+
+  /** One entry per System or SPL Token transfer to the streamer, inner instructions included */
+  export function parseTipTransfers(
+    transaction: any,
+    targetPubkey: string,
+    acceptedMints?: string[]
+  ): TipTransfer[];
+
+
+  export type TipMemoMeta = Record<string, string | number | boolean>;
+
+  export interface TipMemoFields {
+    message?: string;
+    /** 1-32 characters */
+    displayName?: string;
+    replyTo?: string;
+    /** Up to 10 keys ([A-Za-z0-9_-], 1-32 characters); strings up to 100 characters */
+    meta?: TipMemoMeta;
+  }
+
+  export const TIP_MEMO_VERSION: number;
+
+  /** Structured memo fields, or a plain memo as the message */
+  export function parseTipMemo(memo: string | null): {
+    message: string | null;
+    displayName: string | null;
+    replyTo: string | null;
+    meta: TipMemoMeta | null;
+  };
+
+  export function formatTipMemo(fields: TipMemoFields): string;
 
   export function parseTipTransaction(
     transaction: any,
@@ -126,13 +1200,60 @@ declare module '@solana-tip/sdk' {
     blockTime: number;
   } | null;
 
-  export function extractMemo(transaction: any): string | null;
+  export function parseTokenTipTransaction(
+    transaction: any,
+    targetPubkey: string,
+    acceptedMints: string[]
+  ): {
+    from: string;
+    mint: string;
+    decimals: number;
+    amountRaw: string;
+    amount: number;
+    slot: number;
+    blockTime: number;
+  } | null;
+
+  /** Memo v1 and v2, inner instructions included, falling back to the memo program's logs */
+  export function extractMemos(transaction: any): string[];
+
+  export function extractMemo(
+    transaction: any,
+    options?: { select?: 'first' | 'last' | 'all'; separator?: string }
+  ): string | null;
+
+  export const KNOWN_TOKENS: Record<string, { symbol: string; decimals: number }>;
+
+  export const TOKEN_PROGRAM_ID: string;
+  export const TOKEN_2022_PROGRAM_ID: string;
+
+  /** Token-2022 mints need their program id, which is part of the derivation */
+  export function getAssociatedTokenAddress(owner: string, mint: string, tokenProgramId?: string): string;
+
+  export const MAX_ALERT_TIERS: number;
+
+  /** Validate tiers and fill in defaults, sorted by currency and minAmount */
+  export function normalizeAlertTiers(tiers: AlertTier[]): { tiers?: Required<AlertTier>[]; error?: string };
+
+  /** The tier with the highest minAmount the tip reaches in its currency */
+  export function resolveAlertTier(
+    tiers: AlertTier[] | null,
+    tip: { amount?: number; amountSol?: number; mint?: string | null }
+  ): ResolvedAlertTier | null;
 }
 
 // ===== Client SDK (Browser) =====
 
 declare module '@solana-tip/sdk/client' {
   import { Transaction } from '@solana/web3.js';
+  import {
+    LeaderboardUpdate,
+    ModerationQueueItem,
+    ResolvedAlertTier,
+    StreamSession,
+    TipMemoFields,
+    TipMemoMeta
+  } from '@solana-tip/sdk';
 
   export class PhantomWalletAdapter {
     constructor();
@@ -149,20 +1270,40 @@ declare module '@solana-tip/sdk/client' {
     connection: any;
     wallet: PhantomWalletAdapter;
     streamerId: string;
-    amountSol: number;
-    memo?: string | null;
+    amountSol?: number;
+    /** SPL mint to tip in; `amount` is then in whole tokens */
+    mint?: string;
+    amount?: number;
+    memo?: string | TipMemoFields | null;
+  }
+
+  export interface TokenTipParams {
+    fromPubkey: string;
+    toPubkey: string;
+    mint: string;
+    amount: bigint | number;
+    decimals: number;
+    memo?: string | TipMemoFields | null;
+    createRecipientAta?: boolean;
+    /** Program that owns the mint (default SPL Token) */
+    tokenProgramId?: string;
   }
 
   export class TipSender {
     constructor(apiBaseUrl?: string);
-    getStreamerWallet(streamerId: string): Promise<{ pubkey: string; message: string; registeredAt: number }>;
+    getStreamerWallet(streamerId: string): Promise<{ pubkey: string; message: string; registeredAt: number; acceptedMints?: string[] }>;
     buildTipTransaction(
       solanaWeb3: any,
       fromPubkey: string,
       toPubkey: string,
       lamports: number,
-      memo?: string | null
+      memo?: string | TipMemoFields | null
     ): Promise<Transaction>;
+    buildTokenTipTransaction(solanaWeb3: any, params: TokenTipParams): Promise<Transaction>;
+    getAssociatedTokenAddress(solanaWeb3: any, owner: string, mint: string, tokenProgramId?: string): any;
+    /** Plain text as is; fields as a structured memo */
+    formatMemo(memo: string | TipMemoFields | null | undefined): string | null;
+    toBaseUnits(amount: number, decimals: number): bigint;
     sendTip(params: SendTipParams): Promise<string>;
     getExplorerUrl(signature: string, cluster?: 'devnet' | 'mainnet-beta'): string;
   }
@@ -171,24 +1312,100 @@ declare module '@solana-tip/sdk/client' {
     streamerId: string;
     streamerPubkey: string;
     from: string;
-    amountLamports: number;
-    amountSol: number;
+    mint: string | null;
+    symbol: string;
+    decimals: number;
+    amount: number;
+    amountRaw?: string;
+    amountLamports?: number;
+    amountSol?: number;
     txHash: string;
     slot: number;
     blockTime: number;
     memo?: string;
+    displayName?: string;
+    replyTo?: string;
+    meta?: TipMemoMeta;
+    status?: 'confirmed' | 'finalized';
+    /** The streamer's alert tier for this amount (null if none matches) */
+    tier?: ResolvedAlertTier | null;
+    /** Missed while disconnected and delivered on reconnect */
+    replayed?: boolean;
+    /** Shown again from the dashboard */
+    rerun?: boolean;
+  }
+
+  export interface CombinedTipEventData {
+    streamerId: string;
+    count: number;
+    totals: Array<{ mint: string | null; symbol: string; amount: number }>;
+    /** Tier of the burst's biggest tip */
+    tier?: ResolvedAlertTier | null;
+    tips: TipEventData[];
+    replayed?: boolean;
+  }
+
+  export interface TipStatusEventData {
+    streamerId: string;
+    txHash: string;
+    status: 'finalized' | 'reverted';
+    replayed?: boolean;
+  }
+
+  export interface GoalEventData {
+    id: string;
+    streamerId: string;
+    title: string;
+    target: number;
+    current: number;
+    tipCount: number;
+    mint: string | null;
+    symbol: string;
+    deadline: number | null;
+    status: 'active' | 'reached' | 'completed' | 'expired';
+    createdAt: number;
+    reachedAt: number | null;
+    completedAt: number | null;
+    /** goal:progress only: the tip that moved the goal */
+    lastTip?: { from: string; amount: number; symbol: string; txHash: string; memo?: string };
+  }
+
+  export interface OverlayClientOptions {
+    /** Ask the server for alerts missed while disconnected (default true) */
+    resume?: boolean;
+    maxReplay?: number;
+    maxReplayAgeMs?: number;
+    /** Keep the resume cursor in localStorage across reloads (default true) */
+    persistCursor?: boolean;
+    /** Overlay token, e.g. from the overlay URL's `token` parameter */
+    token?: string;
+    /** Privileged channels to join in addition to tip alerts */
+    channels?: string[];
   }
 
   export class OverlayClient {
-    constructor(wsUrl: string, streamerId: string);
+    constructor(wsUrl: string, streamerId: string, options?: OverlayClientOptions);
     connect(): void;
     disconnect(): void;
     on(event: 'connected', handler: () => void): void;
     on(event: 'disconnected', handler: () => void): void;
     on(event: 'subscribed', handler: (streamer: string) => void): void;
     on(event: 'tip', handler: (data: TipEventData) => void): void;
+    on(event: 'tip:combined', handler: (data: CombinedTipEventData) => void): void;
+    on(event: 'tip:finalized' | 'tip:reverted', handler: (data: TipStatusEventData) => void): void;
+    on(event: 'goal:progress', handler: (goal: GoalEventData) => void): void;
+    on(event: 'goal:reached' | 'goal:updated', handler: (goal: GoalEventData) => void): void;
+    on(event: 'leaderboard:update', handler: (update: LeaderboardUpdate) => void): void;
+    on(event: 'session:started' | 'session:ended', handler: (session: StreamSession) => void): void;
+    on(event: 'alert:skip' | 'alerts:paused' | 'alerts:resumed', handler: (data: { streamerId: string }) => void): void;
+    /** 'moderation' channel */
+    on(event: 'memo:held' | 'memo:approved' | 'memo:rejected', handler: (item: ModerationQueueItem) => void): void;
+    on(event: 'memo:withdrawn', handler: (item: { txHash: string; streamerId: string }) => void): void;
     on(event: 'error', handler: (error: Error) => void): void;
+    on(event: 'unauthorized', handler: (data: { error: string; streamer: string; channel: string }) => void): void;
     on(event: 'maxReconnectReached', handler: () => void): void;
+    on(event: string, handler: (data: any) => void): void;
+    subscribe(streamerId: string, channel?: string): void;
     isConnected(): boolean;
   }
 }
@@ -196,5 +1413,22 @@ declare module '@solana-tip/sdk/client' {
 // ===== Adapters =====
 
 declare module '@solana-tip/sdk/adapters' {
-  export { StorageAdapter, LowdbAdapter, MemoryAdapter } from '@solana-tip/sdk';
+  export {
+    StorageAdapter,
+    LowdbAdapter,
+    MemoryAdapter,
+    SqliteAdapter,
+    SQLITE_MIGRATIONS,
+    PostgresAdapter,
+    POSTGRES_MIGRATIONS
+  } from '@solana-tip/sdk';
+}
+
+declare module '@solana-tip/sdk/coordination' {
+  export {
+    CoordinationAdapter,
+    InProcessAdapter,
+    InProcessHub,
+    RedisAdapter
+  } from '@solana-tip/sdk';
 }
@@ -4,6 +4,7 @@
  */
 
 import { StorageAdapter } from './StorageAdapter.js';
+import { leaderboardFromTips, totalsFromTips, sessionTips, heldTips } from './tip-aggregates.js';
 import { Low } from 'lowdb';
 import { JSONFile } from 'lowdb/node';
 
@@ -16,22 +17,34 @@ export class LowdbAdapter extends StorageAdapter {
 
   async init() {
     const adapter = new JSONFile(this.filePath);
-    this.db = new Low(adapter, { streamers: {}, lastSeen: {} });
+    this.db = new Low(adapter, { streamers: {}, lastSeen: {}, tips: [], challenges: {}, overlayTokens: {}, goals: {}, sessions: {}, webhooks: {}, webhookDeliveries: {}, paymentRequests: {} });
     await this.db.read();
     
     // Ensure structure exists
-    this.db.data ||= { streamers: {}, lastSeen: {} };
+    this.db.data ||= { streamers: {}, lastSeen: {}, tips: [], challenges: {}, overlayTokens: {}, goals: {}, sessions: {}, webhooks: {}, webhookDeliveries: {}, paymentRequests: {} };
+    this.db.data.tips ||= [];
+    this.db.data.challenges ||= {};
+    this.db.data.overlayTokens ||= {};
+    this.db.data.goals ||= {};
+    this.db.data.sessions ||= {};
+    this.db.data.webhooks ||= {};
+    this.db.data.webhookDeliveries ||= {};
+    this.db.data.paymentRequests ||= {};
     await this.db.write();
   }
 
   async registerStreamer(streamerId, pubkey, message) {
     await this.db.read();
+    if (this.db.data.streamers[streamerId]) {
+      return false;
+    }
     this.db.data.streamers[streamerId] = {
       pubkey,
       message,
       registeredAt: Date.now()
     };
     await this.db.write();
+    return true;
   }
 
   async getStreamer(streamerId) {
@@ -44,6 +57,17 @@ export class LowdbAdapter extends StorageAdapter {
     return new Map(Object.entries(this.db.data.streamers));
   }
 
+  async updateStreamer(streamerId, updates) {
+    await this.db.read();
+    const streamer = this.db.data.streamers[streamerId];
+    if (!streamer) {
+      return null;
+    }
+    this.db.data.streamers[streamerId] = { ...streamer, ...updates };
+    await this.db.write();
+    return this.db.data.streamers[streamerId];
+  }
+
   async updateLastSeen(pubkey, signature) {
     await this.db.read();
     this.db.data.lastSeen[pubkey] = signature;
@@ -54,4 +78,263 @@ export class LowdbAdapter extends StorageAdapter {
     await this.db.read();
     return this.db.data.lastSeen[pubkey] || null;
   }
+
+  async saveTip(tip) {
+    await this.db.read();
+    if (this.db.data.tips.some(t => t.txHash === tip.txHash)) {
+      return false;
+    }
+    this.db.data.tips.push({ ...tip, recordedAt: Date.now() });
+    await this.db.write();
+    return true;
+  }
+
+  async getTips(streamerId, { limit = 50, offset = 0 } = {}) {
+    await this.db.read();
+    return this.db.data.tips
+      .filter(tip => tip.streamerId === streamerId)
+      .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0) || b.recordedAt - a.recordedAt)
+      .slice(offset, offset + limit);
+  }
+
+  async getTipByTxHash(txHash) {
+    await this.db.read();
+    return this.db.data.tips.find(tip => tip.txHash === txHash) || null;
+  }
+
+  async updateTip(txHash, updates) {
+    await this.db.read();
+    const index = this.db.data.tips.findIndex(tip => tip.txHash === txHash);
+    if (index === -1) {
+      return null;
+    }
+    this.db.data.tips[index] = { ...this.db.data.tips[index], ...updates };
+    await this.db.write();
+    return this.db.data.tips[index];
+  }
+
+  async getUnfinalizedTips() {
+    await this.db.read();
+    return this.db.data.tips.filter(tip => tip.status === 'confirmed');
+  }
+
+  async getSessionTips(sessionId) {
+    await this.db.read();
+    return sessionTips(this.db.data.tips, sessionId);
+  }
+
+  async getHeldTips(streamerId) {
+    await this.db.read();
+    return heldTips(this.db.data.tips, streamerId);
+  }
+
+  async getTipLeaderboard(streamerId, options = {}) {
+    await this.db.read();
+    return leaderboardFromTips(this.db.data.tips, streamerId, options);
+  }
+
+  async getTipTotals(streamerId, options = {}) {
+    await this.db.read();
+    return totalsFromTips(this.db.data.tips, streamerId, options);
+  }
+
+  async saveChallenge(challenge) {
+    await this.db.read();
+    const now = Date.now();
+    for (const [nonce, existing] of Object.entries(this.db.data.challenges)) {
+      if (existing.expiresAt < now) delete this.db.data.challenges[nonce];
+    }
+    this.db.data.challenges[challenge.nonce] = { ...challenge, used: false };
+    await this.db.write();
+  }
+
+  async getChallenge(nonce) {
+    await this.db.read();
+    return this.db.data.challenges[nonce] || null;
+  }
+
+  async consumeChallenge(nonce) {
+    await this.db.read();
+    const challenge = this.db.data.challenges[nonce];
+    if (!challenge || challenge.used) {
+      return false;
+    }
+    challenge.used = true;
+    await this.db.write();
+    return true;
+  }
+
+  async saveOverlayToken(token) {
+    await this.db.read();
+    this.db.data.overlayTokens[token.id] = { ...token };
+    await this.db.write();
+  }
+
+  async getOverlayTokens(streamerId) {
+    await this.db.read();
+    return Object.values(this.db.data.overlayTokens)
+      .filter(token => token.streamerId === streamerId);
+  }
+
+  async deleteOverlayToken(streamerId, tokenId) {
+    await this.db.read();
+    const token = this.db.data.overlayTokens[tokenId];
+    if (!token || token.streamerId !== streamerId) {
+      return false;
+    }
+    delete this.db.data.overlayTokens[tokenId];
+    await this.db.write();
+    return true;
+  }
+
+  async saveGoal(goal) {
+    await this.db.read();
+    this.db.data.goals[goal.id] = { ...goal };
+    await this.db.write();
+  }
+
+  async getGoal(id) {
+    await this.db.read();
+    return this.db.data.goals[id] || null;
+  }
+
+  async getGoals(streamerId) {
+    await this.db.read();
+    return Object.values(this.db.data.goals)
+      .filter(goal => goal.streamerId === streamerId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async updateGoal(id, updates) {
+    await this.db.read();
+    const goal = this.db.data.goals[id];
+    if (!goal) {
+      return null;
+    }
+    this.db.data.goals[id] = { ...goal, ...updates };
+    await this.db.write();
+    return this.db.data.goals[id];
+  }
+
+  async saveSession(session) {
+    await this.db.read();
+    this.db.data.sessions[session.id] = { ...session };
+    await this.db.write();
+  }
+
+  async getSession(id) {
+    await this.db.read();
+    return this.db.data.sessions[id] || null;
+  }
+
+  async getSessions(streamerId, { limit = 20, offset = 0 } = {}) {
+    await this.db.read();
+    return Object.values(this.db.data.sessions)
+      .filter(session => session.streamerId === streamerId)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(offset, offset + limit);
+  }
+
+  async updateSession(id, updates) {
+    await this.db.read();
+    const session = this.db.data.sessions[id];
+    if (!session) {
+      return null;
+    }
+    this.db.data.sessions[id] = { ...session, ...updates };
+    await this.db.write();
+    return this.db.data.sessions[id];
+  }
+
+  async saveWebhook(webhook) {
+    await this.db.read();
+    this.db.data.webhooks[webhook.id] = { ...webhook };
+    await this.db.write();
+  }
+
+  async getWebhooks() {
+    await this.db.read();
+    return Object.values(this.db.data.webhooks);
+  }
+
+  async deleteWebhook(id) {
+    await this.db.read();
+    if (!this.db.data.webhooks[id]) {
+      return false;
+    }
+    delete this.db.data.webhooks[id];
+    await this.db.write();
+    return true;
+  }
+
+  async saveWebhookDelivery(delivery) {
+    await this.db.read();
+    this.db.data.webhookDeliveries[delivery.id] = { ...delivery };
+    await this.db.write();
+  }
+
+  async updateWebhookDelivery(id, updates) {
+    await this.db.read();
+    const delivery = this.db.data.webhookDeliveries[id];
+    if (!delivery) {
+      return null;
+    }
+    this.db.data.webhookDeliveries[id] = { ...delivery, ...updates };
+    await this.db.write();
+    return this.db.data.webhookDeliveries[id];
+  }
+
+  async getWebhookDelivery(id) {
+    await this.db.read();
+    return this.db.data.webhookDeliveries[id] || null;
+  }
+
+  async getWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+    await this.db.read();
+    return Object.values(this.db.data.webhookDeliveries)
+      .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  async getDueWebhookDeliveries(now, limit = 50) {
+    await this.db.read();
+    return Object.values(this.db.data.webhookDeliveries)
+      .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
+  async savePaymentRequest(request) {
+    await this.db.read();
+    const now = Date.now();
+    for (const [reference, existing] of Object.entries(this.db.data.paymentRequests)) {
+      if (existing.status === 'pending' && existing.expiresAt < now) delete this.db.data.paymentRequests[reference];
+    }
+    this.db.data.paymentRequests[request.reference] = { ...request };
+    await this.db.write();
+  }
+
+  async getPaymentRequest(reference) {
+    await this.db.read();
+    return this.db.data.paymentRequests[reference] || null;
+  }
+
+  async countPendingPaymentRequests(streamerId, now) {
+    await this.db.read();
+    return Object.values(this.db.data.paymentRequests).filter(request =>
+      request.streamerId === streamerId && request.status === 'pending' && request.expiresAt >= now
+    ).length;
+  }
+
+  async completePaymentRequest(reference, payment) {
+    await this.db.read();
+    const request = this.db.data.paymentRequests[reference];
+    if (!request || request.status !== 'pending') {
+      return null;
+    }
+    Object.assign(request, payment, { status: 'paid' });
+    await this.db.write();
+    return { ...request };
+  }
 }
@@ -4,20 +4,33 @@
  */
 
 import { StorageAdapter } from './StorageAdapter.js';
+import { leaderboardFromTips, totalsFromTips, sessionTips, heldTips } from './tip-aggregates.js';
 
 export class MemoryAdapter extends StorageAdapter {
   constructor() {
     super();
     this.streamers = new Map();
     this.lastSeen = new Map();
+    this.tips = new Map(); // txHash -> tip
+    this.challenges = new Map(); // nonce -> challenge
+    this.overlayTokens = new Map(); // tokenId -> token
+    this.goals = new Map(); // id -> goal
+    this.sessions = new Map(); // id -> session
+    this.webhooks = new Map(); // id -> webhook
+    this.webhookDeliveries = new Map(); // id -> delivery
+    this.paymentRequests = new Map(); // reference -> payment request
   }
 
   async registerStreamer(streamerId, pubkey, message) {
+    if (this.streamers.has(streamerId)) {
+      return false;
+    }
     this.streamers.set(streamerId, {
       pubkey,
       message,
       registeredAt: Date.now()
     });
+    return true;
   }
 
   async getStreamer(streamerId) {
@@ -28,6 +41,16 @@ export class MemoryAdapter extends StorageAdapter {
     return new Map(this.streamers);
   }
 
+  async updateStreamer(streamerId, updates) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return null;
+    }
+    const updated = { ...streamer, ...updates };
+    this.streamers.set(streamerId, updated);
+    return updated;
+  }
+
   async updateLastSeen(pubkey, signature) {
     this.lastSeen.set(pubkey, signature);
   }
@@ -36,9 +59,225 @@ export class MemoryAdapter extends StorageAdapter {
     return this.lastSeen.get(pubkey) || null;
   }
 
+  async saveTip(tip) {
+    if (this.tips.has(tip.txHash)) {
+      return false;
+    }
+    this.tips.set(tip.txHash, { ...tip, recordedAt: Date.now() });
+    return true;
+  }
+
+  async getTips(streamerId, { limit = 50, offset = 0 } = {}) {
+    return Array.from(this.tips.values())
+      .filter(tip => tip.streamerId === streamerId)
+      .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0) || b.recordedAt - a.recordedAt)
+      .slice(offset, offset + limit);
+  }
+
+  async getTipByTxHash(txHash) {
+    return this.tips.get(txHash) || null;
+  }
+
+  async updateTip(txHash, updates) {
+    const tip = this.tips.get(txHash);
+    if (!tip) {
+      return null;
+    }
+    const updated = { ...tip, ...updates };
+    this.tips.set(txHash, updated);
+    return updated;
+  }
+
+  async getUnfinalizedTips() {
+    return Array.from(this.tips.values()).filter(tip => tip.status === 'confirmed');
+  }
+
+  async getSessionTips(sessionId) {
+    return sessionTips(Array.from(this.tips.values()), sessionId);
+  }
+
+  async getHeldTips(streamerId) {
+    return heldTips(Array.from(this.tips.values()), streamerId);
+  }
+
+  async getTipLeaderboard(streamerId, options = {}) {
+    return leaderboardFromTips(Array.from(this.tips.values()), streamerId, options);
+  }
+
+  async getTipTotals(streamerId, options = {}) {
+    return totalsFromTips(Array.from(this.tips.values()), streamerId, options);
+  }
+
+  async saveChallenge(challenge) {
+    const now = Date.now();
+    for (const [nonce, existing] of this.challenges) {
+      if (existing.expiresAt < now) this.challenges.delete(nonce);
+    }
+    this.challenges.set(challenge.nonce, { ...challenge, used: false });
+  }
+
+  async getChallenge(nonce) {
+    return this.challenges.get(nonce) || null;
+  }
+
+  async consumeChallenge(nonce) {
+    const challenge = this.challenges.get(nonce);
+    if (!challenge || challenge.used) {
+      return false;
+    }
+    challenge.used = true;
+    return true;
+  }
+
+  async saveOverlayToken(token) {
+    this.overlayTokens.set(token.id, { ...token });
+  }
+
+  async getOverlayTokens(streamerId) {
+    return Array.from(this.overlayTokens.values())
+      .filter(token => token.streamerId === streamerId);
+  }
+
+  async deleteOverlayToken(streamerId, tokenId) {
+    const token = this.overlayTokens.get(tokenId);
+    if (!token || token.streamerId !== streamerId) {
+      return false;
+    }
+    this.overlayTokens.delete(tokenId);
+    return true;
+  }
+
+  async saveGoal(goal) {
+    this.goals.set(goal.id, { ...goal });
+  }
+
+  async getGoal(id) {
+    return this.goals.get(id) || null;
+  }
+
+  async getGoals(streamerId) {
+    return Array.from(this.goals.values())
+      .filter(goal => goal.streamerId === streamerId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async updateGoal(id, updates) {
+    const goal = this.goals.get(id);
+    if (!goal) {
+      return null;
+    }
+    const updated = { ...goal, ...updates };
+    this.goals.set(id, updated);
+    return updated;
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.id, { ...session });
+  }
+
+  async getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async getSessions(streamerId, { limit = 20, offset = 0 } = {}) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.streamerId === streamerId)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(offset, offset + limit);
+  }
+
+  async updateSession(id, updates) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    const updated = { ...session, ...updates };
+    this.sessions.set(id, updated);
+    return updated;
+  }
+
+  async saveWebhook(webhook) {
+    this.webhooks.set(webhook.id, { ...webhook });
+  }
+
+  async getWebhooks() {
+    return Array.from(this.webhooks.values());
+  }
+
+  async deleteWebhook(id) {
+    return this.webhooks.delete(id);
+  }
+
+  async saveWebhookDelivery(delivery) {
+    this.webhookDeliveries.set(delivery.id, { ...delivery });
+  }
+
+  async updateWebhookDelivery(id, updates) {
+    const delivery = this.webhookDeliveries.get(id);
+    if (!delivery) {
+      return null;
+    }
+    const updated = { ...delivery, ...updates };
+    this.webhookDeliveries.set(id, updated);
+    return updated;
+  }
+
+  async getWebhookDelivery(id) {
+    return this.webhookDeliveries.get(id) || null;
+  }
+
+  async getWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+    return Array.from(this.webhookDeliveries.values())
+      .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  async getDueWebhookDeliveries(now, limit = 50) {
+    return Array.from(this.webhookDeliveries.values())
+      .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
+  async savePaymentRequest(request) {
+    const now = Date.now();
+    for (const [reference, existing] of this.paymentRequests) {
+      if (existing.status === 'pending' && existing.expiresAt < now) this.paymentRequests.delete(reference);
+    }
+    this.paymentRequests.set(request.reference, { ...request });
+  }
+
+  async getPaymentRequest(reference) {
+    return this.paymentRequests.get(reference) || null;
+  }
+
+  async countPendingPaymentRequests(streamerId, now) {
+    return [...this.paymentRequests.values()].filter(request =>
+      request.streamerId === streamerId && request.status === 'pending' && request.expiresAt >= now
+    ).length;
+  }
+
+  async completePaymentRequest(reference, payment) {
+    const request = this.paymentRequests.get(reference);
+    if (!request || request.status !== 'pending') {
+      return null;
+    }
+    Object.assign(request, payment, { status: 'paid' });
+    return { ...request };
+  }
+
   // Additional helper for testing
   clear() {
     this.streamers.clear();
     this.lastSeen.clear();
+    this.tips.clear();
+    this.challenges.clear();
+    this.overlayTokens.clear();
+    this.goals.clear();
+    this.sessions.clear();
+    this.webhooks.clear();
+    this.webhookDeliveries.clear();
+    this.paymentRequests.clear();
   }
 }
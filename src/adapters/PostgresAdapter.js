@@ -0,0 +1,507 @@
+/**
+ * PostgreSQL storage adapter
+ * Shared storage for several server instances: every write is a single
+ * atomic statement or transaction, and withLock() uses advisory locks so
+ * two indexers never process the same address at the same time.
+ * Requires the optional `pg` package.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { POSTGRES_MIGRATIONS } from './postgres-migrations.js';
+
+// First key of every two-key advisory lock taken by the SDK, to stay clear of application locks
+const LOCK_NAMESPACE = 0x7469_7073; // 'tips'
+const MIGRATION_LOCK = 'migrations';
+
+// When a tip happened, in ms: block time, or when it was recorded
+const TIP_TIME = 'CASE WHEN block_time > 0 THEN block_time * 1000 ELSE recorded_at END';
+
+export class PostgresAdapter extends StorageAdapter {
+  /**
+   * @param {string|object} connection - Connection string or pg.Pool config
+   * @param {object} options - Configuration options
+   * @param {object} [options.pool] - Existing pg.Pool (or compatible) to use instead
+   * @param {Array} [options.migrations] - Schema migrations (defaults to the bundled ones)
+   */
+  constructor(connection, options = {}) {
+    super();
+    this.connection = connection;
+    this.options = {
+      pool: null,
+      migrations: POSTGRES_MIGRATIONS,
+      ...options
+    };
+    this.pool = this.options.pool;
+    this.ownsPool = !this.pool;
+  }
+
+  async init() {
+    if (!this.pool) {
+      let pg;
+      try {
+        ({ default: pg } = await import('pg'));
+      } catch (error) {
+        throw new Error('PostgresAdapter requires pg (npm install pg)');
+      }
+      const config = typeof this.connection === 'string'
+        ? { connectionString: this.connection }
+        : this.connection;
+      this.pool = new pg.Pool(config);
+    }
+
+    await this.migrate();
+  }
+
+  /**
+   * Apply pending schema migrations, each in its own transaction
+   * Holds an advisory lock so instances starting together migrate once.
+   * @returns {Promise<number[]>} Versions applied by this call
+   */
+  async migrate() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1, hashtext($2))', [LOCK_NAMESPACE, MIGRATION_LOCK]);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at BIGINT NOT NULL
+        )
+      `);
+
+      const { rows } = await client.query('SELECT MAX(version) AS version FROM schema_migrations');
+      const current = rows[0].version || 0;
+      const pending = this.options.migrations
+        .filter(migration => migration.version > current)
+        .sort((a, b) => a.version - b.version);
+
+      const applied = [];
+      for (const migration of pending) {
+        await client.query('BEGIN');
+        try {
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, Date.now()]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+        console.log(`[Postgres] Applied migration ${migration.version} (${migration.name})`);
+        applied.push(migration.version);
+      }
+      return applied;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LOCK_NAMESPACE, MIGRATION_LOCK])
+        .catch(() => {});
+      client.release();
+    }
+  }
+
+  async registerStreamer(streamerId, pubkey, message) {
+    const streamer = { pubkey, message, registeredAt: Date.now() };
+    const { rowCount } = await this.pool.query(`
+      INSERT INTO streamers (streamer_id, pubkey, data) VALUES ($1, $2, $3)
+      ON CONFLICT (streamer_id) DO NOTHING
+    `, [streamerId, pubkey, JSON.stringify(streamer)]);
+    return rowCount === 1;
+  }
+
+  async getStreamer(streamerId) {
+    const { rows } = await this.pool.query('SELECT data FROM streamers WHERE streamer_id = $1', [streamerId]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getAllStreamers() {
+    const { rows } = await this.pool.query('SELECT streamer_id, data FROM streamers');
+    return new Map(rows.map(row => [row.streamer_id, row.data]));
+  }
+
+  async updateStreamer(streamerId, updates) {
+    // Merging in the UPDATE itself locks the row, so concurrent updates cannot lose fields
+    const { rows } = await this.pool.query(`
+      UPDATE streamers SET data = data || $2::jsonb, pubkey = COALESCE($3, pubkey)
+      WHERE streamer_id = $1
+      RETURNING data
+    `, [streamerId, JSON.stringify(updates), updates.pubkey || null]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async updateLastSeen(pubkey, signature) {
+    await this.pool.query(`
+      INSERT INTO last_seen (pubkey, signature, updated_at) VALUES ($1, $2, $3)
+      ON CONFLICT (pubkey) DO UPDATE SET signature = EXCLUDED.signature, updated_at = EXCLUDED.updated_at
+    `, [pubkey, signature, Date.now()]);
+  }
+
+  async getLastSeen(pubkey) {
+    const { rows } = await this.pool.query('SELECT signature FROM last_seen WHERE pubkey = $1', [pubkey]);
+    return rows[0] ? rows[0].signature : null;
+  }
+
+  async saveTip(tip) {
+    const record = { ...tip, recordedAt: Date.now() };
+    const { rows } = await this.pool.query(`
+      INSERT INTO tips (tx_hash, streamer_id, status, block_time, recorded_at, session_id, data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (tx_hash) DO NOTHING
+      RETURNING tx_hash
+    `, [
+      tip.txHash,
+      tip.streamerId,
+      tip.status || null,
+      tip.blockTime || 0,
+      record.recordedAt,
+      tip.sessionId || null,
+      JSON.stringify(record)
+    ]);
+    return rows.length === 1;
+  }
+
+  async getTips(streamerId, { limit = 50, offset = 0 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM tips WHERE streamer_id = $1
+      ORDER BY block_time DESC, recorded_at DESC
+      LIMIT $2 OFFSET $3
+    `, [streamerId, limit, offset]);
+    return rows.map(row => row.data);
+  }
+
+  async getTipByTxHash(txHash) {
+    const { rows } = await this.pool.query('SELECT data FROM tips WHERE tx_hash = $1', [txHash]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async updateTip(txHash, updates) {
+    const { rows } = await this.pool.query(`
+      UPDATE tips SET data = data || $2::jsonb, status = COALESCE($3, status)
+      WHERE tx_hash = $1
+      RETURNING data
+    `, [txHash, JSON.stringify(updates), updates.status || null]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getUnfinalizedTips() {
+    const { rows } = await this.pool.query("SELECT data FROM tips WHERE status = 'confirmed'");
+    return rows.map(row => row.data);
+  }
+
+  async getSessionTips(sessionId) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM tips WHERE session_id = $1
+      ORDER BY block_time, recorded_at
+    `, [sessionId]);
+    return rows.map(row => row.data);
+  }
+
+  async getHeldTips(streamerId) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM tips
+      WHERE streamer_id = $1 AND status IS DISTINCT FROM 'reverted'
+        AND data->'moderation'->>'status' = 'held'
+      ORDER BY block_time, recorded_at
+    `, [streamerId]);
+    return rows.map(row => row.data);
+  }
+
+  async getTipLeaderboard(streamerId, { since = null, sessionId = null, mint = null, limit = 10 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT data->>'from' AS sender,
+        SUM((data->>'amount')::double precision) AS amount,
+        COUNT(*) AS count,
+        MAX(${TIP_TIME}) AS last_tip_at
+      FROM tips
+      WHERE streamer_id = $1 AND status IS DISTINCT FROM 'reverted'
+        AND ($2::bigint IS NULL OR ${TIP_TIME} >= $2)
+        AND ($3::text IS NULL OR session_id = $3)
+        AND (data->>'mint') IS NOT DISTINCT FROM $4
+      GROUP BY data->>'from'
+      ORDER BY amount DESC, last_tip_at ASC
+      LIMIT $5
+    `, [streamerId, since, sessionId, mint, limit]);
+    return rows.map(row => ({
+      from: row.sender,
+      amount: Number(row.amount),
+      count: Number(row.count),
+      lastTipAt: Number(row.last_tip_at)
+    }));
+  }
+
+  async getTipTotals(streamerId, { since = null, sessionId = null } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT data->>'mint' AS mint,
+        MAX(data->>'symbol') AS symbol,
+        SUM((data->>'amount')::double precision) AS amount,
+        COUNT(*) AS count,
+        COUNT(DISTINCT data->>'from') AS tippers
+      FROM tips
+      WHERE streamer_id = $1 AND status IS DISTINCT FROM 'reverted'
+        AND ($2::bigint IS NULL OR ${TIP_TIME} >= $2)
+        AND ($3::text IS NULL OR session_id = $3)
+      GROUP BY data->>'mint'
+      ORDER BY count DESC
+    `, [streamerId, since, sessionId]);
+    return rows.map(row => ({
+      mint: row.mint,
+      symbol: row.symbol,
+      amount: Number(row.amount),
+      count: Number(row.count),
+      tippers: Number(row.tippers)
+    }));
+  }
+
+  async saveChallenge(challenge) {
+    await this.pool.query('DELETE FROM challenges WHERE expires_at < $1', [Date.now()]);
+    await this.pool.query(`
+      INSERT INTO challenges (nonce, expires_at, used, data) VALUES ($1, $2, FALSE, $3)
+      ON CONFLICT (nonce) DO UPDATE SET expires_at = EXCLUDED.expires_at, used = FALSE, data = EXCLUDED.data
+    `, [challenge.nonce, challenge.expiresAt, JSON.stringify(challenge)]);
+  }
+
+  async getChallenge(nonce) {
+    const { rows } = await this.pool.query('SELECT used, data FROM challenges WHERE nonce = $1', [nonce]);
+    return rows[0] ? { ...rows[0].data, used: rows[0].used } : null;
+  }
+
+  async consumeChallenge(nonce) {
+    // Conditional update: of two instances racing on one nonce, exactly one wins
+    const { rowCount } = await this.pool.query(
+      'UPDATE challenges SET used = TRUE WHERE nonce = $1 AND used = FALSE',
+      [nonce]
+    );
+    return rowCount === 1;
+  }
+
+  async saveOverlayToken(token) {
+    await this.pool.query(`
+      INSERT INTO overlay_tokens (id, streamer_id, hash, label, scope, created_at) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (id) DO UPDATE SET hash = EXCLUDED.hash, label = EXCLUDED.label, scope = EXCLUDED.scope
+    `, [token.id, token.streamerId, token.hash, token.label ?? null, token.scope || 'overlay', token.createdAt]);
+  }
+
+  async getOverlayTokens(streamerId) {
+    const { rows } = await this.pool.query(`
+      SELECT id, streamer_id, hash, label, scope, created_at FROM overlay_tokens WHERE streamer_id = $1
+    `, [streamerId]);
+    return rows.map(row => ({
+      id: row.id,
+      streamerId: row.streamer_id,
+      hash: row.hash,
+      label: row.label,
+      scope: row.scope,
+      createdAt: Number(row.created_at)
+    }));
+  }
+
+  async deleteOverlayToken(streamerId, tokenId) {
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM overlay_tokens WHERE id = $1 AND streamer_id = $2',
+      [tokenId, streamerId]
+    );
+    return rowCount === 1;
+  }
+
+  async saveGoal(goal) {
+    await this.pool.query(`
+      INSERT INTO goals (id, streamer_id, status, created_at, data) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (id) DO UPDATE SET status = EXCLUDED.status, data = EXCLUDED.data
+    `, [goal.id, goal.streamerId, goal.status, goal.createdAt, JSON.stringify(goal)]);
+  }
+
+  async getGoal(id) {
+    const { rows } = await this.pool.query('SELECT data FROM goals WHERE id = $1', [id]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getGoals(streamerId) {
+    const { rows } = await this.pool.query(
+      'SELECT data FROM goals WHERE streamer_id = $1 ORDER BY created_at',
+      [streamerId]
+    );
+    return rows.map(row => row.data);
+  }
+
+  async updateGoal(id, updates) {
+    const { rows } = await this.pool.query(`
+      UPDATE goals SET data = data || $2::jsonb, status = COALESCE($3, status)
+      WHERE id = $1
+      RETURNING data
+    `, [id, JSON.stringify(updates), updates.status || null]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async saveSession(session) {
+    await this.pool.query(`
+      INSERT INTO sessions (id, streamer_id, started_at, data) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data
+    `, [session.id, session.streamerId, session.startedAt, JSON.stringify(session)]);
+  }
+
+  async getSession(id) {
+    const { rows } = await this.pool.query('SELECT data FROM sessions WHERE id = $1', [id]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getSessions(streamerId, { limit = 20, offset = 0 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM sessions WHERE streamer_id = $1
+      ORDER BY started_at DESC
+      LIMIT $2 OFFSET $3
+    `, [streamerId, limit, offset]);
+    return rows.map(row => row.data);
+  }
+
+  async updateSession(id, updates) {
+    const { rows } = await this.pool.query(`
+      UPDATE sessions SET data = data || $2::jsonb WHERE id = $1
+      RETURNING data
+    `, [id, JSON.stringify(updates)]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async saveWebhook(webhook) {
+    await this.pool.query(`
+      INSERT INTO webhooks (id, streamer_id, created_at, data) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO UPDATE SET streamer_id = EXCLUDED.streamer_id, data = EXCLUDED.data
+    `, [webhook.id, webhook.streamerId ?? null, webhook.createdAt, JSON.stringify(webhook)]);
+  }
+
+  async getWebhooks() {
+    const { rows } = await this.pool.query('SELECT data FROM webhooks ORDER BY created_at');
+    return rows.map(row => row.data);
+  }
+
+  async deleteWebhook(id) {
+    const { rowCount } = await this.pool.query('DELETE FROM webhooks WHERE id = $1', [id]);
+    return rowCount === 1;
+  }
+
+  async saveWebhookDelivery(delivery) {
+    await this.pool.query(`
+      INSERT INTO webhook_deliveries (id, webhook_id, status, next_attempt_at, created_at, data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status, next_attempt_at = EXCLUDED.next_attempt_at, data = EXCLUDED.data
+    `, [
+      delivery.id,
+      delivery.webhookId,
+      delivery.status,
+      delivery.nextAttemptAt ?? null,
+      delivery.createdAt,
+      JSON.stringify(delivery)
+    ]);
+  }
+
+  async updateWebhookDelivery(id, updates) {
+    const { rows } = await this.pool.query(`
+      UPDATE webhook_deliveries SET
+        data = data || $2::jsonb,
+        status = COALESCE($3, status),
+        next_attempt_at = CASE WHEN $4::boolean THEN $5::bigint ELSE next_attempt_at END
+      WHERE id = $1
+      RETURNING data
+    `, [
+      id,
+      JSON.stringify(updates),
+      updates.status || null,
+      'nextAttemptAt' in updates,
+      updates.nextAttemptAt ?? null
+    ]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getWebhookDelivery(id) {
+    const { rows } = await this.pool.query('SELECT data FROM webhook_deliveries WHERE id = $1', [id]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async getWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM webhook_deliveries
+      WHERE ($1::text IS NULL OR webhook_id = $1) AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [webhookId ?? null, status ?? null, limit]);
+    return rows.map(row => row.data);
+  }
+
+  async getDueWebhookDeliveries(now, limit = 50) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= $1
+      ORDER BY next_attempt_at
+      LIMIT $2
+    `, [now, limit]);
+    return rows.map(row => row.data);
+  }
+
+  async savePaymentRequest(request) {
+    await this.pool.query("DELETE FROM payment_requests WHERE status = 'pending' AND expires_at < $1", [Date.now()]);
+    await this.pool.query(`
+      INSERT INTO payment_requests (reference, streamer_id, status, expires_at, data) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (reference) DO UPDATE SET status = EXCLUDED.status, expires_at = EXCLUDED.expires_at, data = EXCLUDED.data
+    `, [request.reference, request.streamerId, request.status, request.expiresAt, JSON.stringify(request)]);
+  }
+
+  async getPaymentRequest(reference) {
+    const { rows } = await this.pool.query('SELECT data FROM payment_requests WHERE reference = $1', [reference]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  async countPendingPaymentRequests(streamerId, now) {
+    const { rows } = await this.pool.query(`
+      SELECT COUNT(*) AS count FROM payment_requests
+      WHERE streamer_id = $1 AND status = 'pending' AND expires_at >= $2
+    `, [streamerId, now]);
+    return Number(rows[0].count);
+  }
+
+  async completePaymentRequest(reference, payment) {
+    // Conditional update: of two transactions carrying one reference, exactly one is linked
+    const { rows } = await this.pool.query(`
+      UPDATE payment_requests SET status = 'paid', data = data || $2::jsonb
+      WHERE reference = $1 AND status = 'pending'
+      RETURNING data
+    `, [reference, JSON.stringify({ ...payment, status: 'paid' })]);
+    return rows[0] ? rows[0].data : null;
+  }
+
+  /**
+   * Run `fn` under a session advisory lock, skipping it if another instance holds the lock
+   * The lock lives on a dedicated connection, so it is released even if this process dies.
+   */
+  async withLock(key, fn) {
+    const client = await this.pool.connect();
+    try {
+      const { rows } = await client.query(
+        'SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked',
+        [LOCK_NAMESPACE, key]
+      );
+      if (!rows[0].locked) {
+        return false;
+      }
+
+      try {
+        await fn();
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LOCK_NAMESPACE, key]);
+      }
+      return true;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close the connection pool (only if this adapter created it)
+   */
+  async close() {
+    if (this.pool && this.ownsPool) {
+      await this.pool.end();
+    }
+    this.pool = null;
+  }
+}
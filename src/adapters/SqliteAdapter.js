@@ -0,0 +1,445 @@
+/**
+ * SQLite storage adapter
+ * Single-file, crash-safe storage for single-server deployments.
+ * Requires the optional `better-sqlite3` package.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { SQLITE_MIGRATIONS } from './sqlite-migrations.js';
+
+// When a tip happened, in ms: block time, or when it was recorded
+const TIP_TIME = 'CASE WHEN block_time > 0 THEN block_time * 1000 ELSE recorded_at END';
+
+export class SqliteAdapter extends StorageAdapter {
+  /**
+   * @param {string} filePath - Database file (':memory:' for a throwaway database)
+   * @param {object} options - Configuration options
+   * @param {object} [options.database] - Existing better-sqlite3 Database to use instead of opening filePath
+   * @param {Array} [options.migrations] - Schema migrations (defaults to the bundled ones)
+   */
+  constructor(filePath = './tips.db', options = {}) {
+    super();
+    this.filePath = filePath;
+    this.options = {
+      database: null,
+      migrations: SQLITE_MIGRATIONS,
+      ...options
+    };
+    this.db = this.options.database;
+  }
+
+  async init() {
+    if (!this.db) {
+      let Database;
+      try {
+        ({ default: Database } = await import('better-sqlite3'));
+      } catch (error) {
+        throw new Error('SqliteAdapter requires better-sqlite3 (npm install better-sqlite3)');
+      }
+      this.db = new Database(this.filePath);
+    }
+
+    // WAL keeps readers (API routes) from blocking the indexer's writes
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+  }
+
+  /**
+   * Apply pending schema migrations, each in its own transaction
+   * @returns {number[]} Versions applied by this call
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const current = this.getSchemaVersion();
+    const pending = this.options.migrations
+      .filter(migration => migration.version > current)
+      .sort((a, b) => a.version - b.version);
+
+    const applied = [];
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, Date.now());
+      })();
+      console.log(`[SQLite] Applied migration ${migration.version} (${migration.name})`);
+      applied.push(migration.version);
+    }
+    return applied;
+  }
+
+  /**
+   * @returns {number} Highest applied migration version (0 for a new database)
+   */
+  getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  async registerStreamer(streamerId, pubkey, message) {
+    const streamer = { pubkey, message, registeredAt: Date.now() };
+    const { changes } = this.db.prepare(`
+      INSERT INTO streamers (streamer_id, pubkey, data) VALUES (?, ?, ?)
+      ON CONFLICT (streamer_id) DO NOTHING
+    `).run(streamerId, pubkey, JSON.stringify(streamer));
+    return changes === 1;
+  }
+
+  async getStreamer(streamerId) {
+    const row = this.db.prepare('SELECT data FROM streamers WHERE streamer_id = ?').get(streamerId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getAllStreamers() {
+    const rows = this.db.prepare('SELECT streamer_id, data FROM streamers').all();
+    return new Map(rows.map(row => [row.streamer_id, JSON.parse(row.data)]));
+  }
+
+  async updateStreamer(streamerId, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM streamers WHERE streamer_id = ?').get(streamerId);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE streamers SET pubkey = ?, data = ? WHERE streamer_id = ?')
+        .run(updated.pubkey, JSON.stringify(updated), streamerId);
+      return updated;
+    })();
+  }
+
+  async updateLastSeen(pubkey, signature) {
+    this.db.prepare(`
+      INSERT INTO last_seen (pubkey, signature, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (pubkey) DO UPDATE SET signature = excluded.signature, updated_at = excluded.updated_at
+    `).run(pubkey, signature, Date.now());
+  }
+
+  async getLastSeen(pubkey) {
+    const row = this.db.prepare('SELECT signature FROM last_seen WHERE pubkey = ?').get(pubkey);
+    return row ? row.signature : null;
+  }
+
+  async saveTip(tip) {
+    const record = { ...tip, recordedAt: Date.now() };
+    const result = this.db.prepare(`
+      INSERT INTO tips (tx_hash, streamer_id, status, block_time, recorded_at, session_id, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (tx_hash) DO NOTHING
+    `).run(
+      tip.txHash,
+      tip.streamerId,
+      tip.status || null,
+      tip.blockTime || 0,
+      record.recordedAt,
+      tip.sessionId || null,
+      JSON.stringify(record)
+    );
+    return result.changes === 1;
+  }
+
+  async getTips(streamerId, { limit = 50, offset = 0 } = {}) {
+    return this.db.prepare(`
+      SELECT data FROM tips WHERE streamer_id = ?
+      ORDER BY block_time DESC, recorded_at DESC
+      LIMIT ? OFFSET ?
+    `).all(streamerId, limit, offset).map(row => JSON.parse(row.data));
+  }
+
+  async getTipByTxHash(txHash) {
+    const row = this.db.prepare('SELECT data FROM tips WHERE tx_hash = ?').get(txHash);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async updateTip(txHash, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM tips WHERE tx_hash = ?').get(txHash);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE tips SET status = ?, data = ? WHERE tx_hash = ?')
+        .run(updated.status || null, JSON.stringify(updated), txHash);
+      return updated;
+    })();
+  }
+
+  async getUnfinalizedTips() {
+    return this.db.prepare("SELECT data FROM tips WHERE status = 'confirmed'")
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async getSessionTips(sessionId) {
+    return this.db.prepare(`
+      SELECT data FROM tips WHERE session_id = ?
+      ORDER BY block_time, recorded_at
+    `).all(sessionId).map(row => JSON.parse(row.data));
+  }
+
+  async getHeldTips(streamerId) {
+    return this.db.prepare(`
+      SELECT data FROM tips
+      WHERE streamer_id = ? AND status IS NOT 'reverted'
+        AND json_extract(data, '$.moderation.status') = 'held'
+      ORDER BY block_time, recorded_at
+    `).all(streamerId).map(row => JSON.parse(row.data));
+  }
+
+  async getTipLeaderboard(streamerId, { since = null, sessionId = null, mint = null, limit = 10 } = {}) {
+    return this.db.prepare(`
+      SELECT json_extract(data, '$.from') AS "from",
+        SUM(json_extract(data, '$.amount')) AS amount,
+        COUNT(*) AS count,
+        MAX(${TIP_TIME}) AS lastTipAt
+      FROM tips
+      WHERE streamer_id = @streamerId AND status IS NOT 'reverted'
+        AND (@since IS NULL OR ${TIP_TIME} >= @since)
+        AND (@sessionId IS NULL OR session_id = @sessionId)
+        AND json_extract(data, '$.mint') IS @mint
+      GROUP BY "from"
+      ORDER BY amount DESC, lastTipAt ASC
+      LIMIT @limit
+    `).all({ streamerId, since, sessionId, mint, limit });
+  }
+
+  async getTipTotals(streamerId, { since = null, sessionId = null } = {}) {
+    return this.db.prepare(`
+      SELECT json_extract(data, '$.mint') AS mint,
+        MAX(json_extract(data, '$.symbol')) AS symbol,
+        SUM(json_extract(data, '$.amount')) AS amount,
+        COUNT(*) AS count,
+        COUNT(DISTINCT json_extract(data, '$.from')) AS tippers
+      FROM tips
+      WHERE streamer_id = @streamerId AND status IS NOT 'reverted'
+        AND (@since IS NULL OR ${TIP_TIME} >= @since)
+        AND (@sessionId IS NULL OR session_id = @sessionId)
+      GROUP BY mint
+      ORDER BY count DESC
+    `).all({ streamerId, since, sessionId });
+  }
+
+  async saveChallenge(challenge) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM challenges WHERE expires_at < ?').run(Date.now());
+      this.db.prepare(`
+        INSERT OR REPLACE INTO challenges (nonce, expires_at, used, data) VALUES (?, ?, 0, ?)
+      `).run(challenge.nonce, challenge.expiresAt, JSON.stringify(challenge));
+    })();
+  }
+
+  async getChallenge(nonce) {
+    const row = this.db.prepare('SELECT used, data FROM challenges WHERE nonce = ?').get(nonce);
+    return row ? { ...JSON.parse(row.data), used: row.used === 1 } : null;
+  }
+
+  async consumeChallenge(nonce) {
+    // Single conditional update, so two concurrent requests cannot both consume it
+    const result = this.db.prepare('UPDATE challenges SET used = 1 WHERE nonce = ? AND used = 0').run(nonce);
+    return result.changes === 1;
+  }
+
+  async saveOverlayToken(token) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO overlay_tokens (id, streamer_id, hash, label, scope, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(token.id, token.streamerId, token.hash, token.label ?? null, token.scope || 'overlay', token.createdAt);
+  }
+
+  async getOverlayTokens(streamerId) {
+    return this.db.prepare(`
+      SELECT id, streamer_id AS streamerId, hash, label, scope, created_at AS createdAt
+      FROM overlay_tokens WHERE streamer_id = ?
+    `).all(streamerId);
+  }
+
+  async deleteOverlayToken(streamerId, tokenId) {
+    const result = this.db.prepare('DELETE FROM overlay_tokens WHERE id = ? AND streamer_id = ?')
+      .run(tokenId, streamerId);
+    return result.changes === 1;
+  }
+
+  async saveGoal(goal) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO goals (id, streamer_id, status, created_at, data) VALUES (?, ?, ?, ?, ?)
+    `).run(goal.id, goal.streamerId, goal.status, goal.createdAt, JSON.stringify(goal));
+  }
+
+  async getGoal(id) {
+    const row = this.db.prepare('SELECT data FROM goals WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getGoals(streamerId) {
+    return this.db.prepare('SELECT data FROM goals WHERE streamer_id = ? ORDER BY created_at')
+      .all(streamerId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async updateGoal(id, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM goals WHERE id = ?').get(id);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE goals SET status = ?, data = ? WHERE id = ?')
+        .run(updated.status, JSON.stringify(updated), id);
+      return updated;
+    })();
+  }
+  async saveSession(session) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO sessions (id, streamer_id, started_at, data) VALUES (?, ?, ?, ?)
+    `).run(session.id, session.streamerId, session.startedAt, JSON.stringify(session));
+  }
+
+  async getSession(id) {
+    const row = this.db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getSessions(streamerId, { limit = 20, offset = 0 } = {}) {
+    return this.db.prepare(`
+      SELECT data FROM sessions WHERE streamer_id = ?
+      ORDER BY started_at DESC
+      LIMIT ? OFFSET ?
+    `).all(streamerId, limit, offset).map(row => JSON.parse(row.data));
+  }
+
+  async updateSession(id, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE sessions SET data = ? WHERE id = ?').run(JSON.stringify(updated), id);
+      return updated;
+    })();
+  }
+
+
+  async saveWebhook(webhook) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhooks (id, streamer_id, created_at, data) VALUES (?, ?, ?, ?)
+    `).run(webhook.id, webhook.streamerId ?? null, webhook.createdAt, JSON.stringify(webhook));
+  }
+
+  async getWebhooks() {
+    return this.db.prepare('SELECT data FROM webhooks ORDER BY created_at')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async deleteWebhook(id) {
+    const result = this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+    return result.changes === 1;
+  }
+
+  async saveWebhookDelivery(delivery) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhook_deliveries (id, webhook_id, status, next_attempt_at, created_at, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      delivery.id,
+      delivery.webhookId,
+      delivery.status,
+      delivery.nextAttemptAt ?? null,
+      delivery.createdAt,
+      JSON.stringify(delivery)
+    );
+  }
+
+  async updateWebhookDelivery(id, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?').get(id);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE webhook_deliveries SET status = ?, next_attempt_at = ?, data = ? WHERE id = ?')
+        .run(updated.status, updated.nextAttemptAt ?? null, JSON.stringify(updated), id);
+      return updated;
+    })();
+  }
+
+  async getWebhookDelivery(id) {
+    const row = this.db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+    return this.db.prepare(`
+      SELECT data FROM webhook_deliveries
+      WHERE (@webhookId IS NULL OR webhook_id = @webhookId) AND (@status IS NULL OR status = @status)
+      ORDER BY created_at DESC
+      LIMIT @limit
+    `).all({ webhookId: webhookId ?? null, status: status ?? null, limit })
+      .map(row => JSON.parse(row.data));
+  }
+
+  async getDueWebhookDeliveries(now, limit = 50) {
+    return this.db.prepare(`
+      SELECT data FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at
+      LIMIT ?
+    `).all(now, limit).map(row => JSON.parse(row.data));
+  }
+
+  async savePaymentRequest(request) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM payment_requests WHERE status = 'pending' AND expires_at < ?").run(Date.now());
+      this.db.prepare(`
+        INSERT OR REPLACE INTO payment_requests (reference, streamer_id, status, expires_at, data)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(request.reference, request.streamerId, request.status, request.expiresAt, JSON.stringify(request));
+    })();
+  }
+
+  async getPaymentRequest(reference) {
+    const row = this.db.prepare('SELECT data FROM payment_requests WHERE reference = ?').get(reference);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async countPendingPaymentRequests(streamerId, now) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS count FROM payment_requests
+      WHERE streamer_id = ? AND status = 'pending' AND expires_at >= ?
+    `).get(streamerId, now).count;
+  }
+
+  async completePaymentRequest(reference, payment) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare("SELECT data FROM payment_requests WHERE reference = ? AND status = 'pending'")
+        .get(reference);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...payment, status: 'paid' };
+      this.db.prepare("UPDATE payment_requests SET status = 'paid', data = ? WHERE reference = ?")
+        .run(JSON.stringify(updated), reference);
+      return updated;
+    })();
+  }
+
+  /**
+   * Close the database file
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
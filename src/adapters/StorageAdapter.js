@@ -11,7 +11,8 @@ export class StorageAdapter {
    * @param {string} streamerId - Unique streamer identifier
    * @param {string} pubkey - Solana public key (base58)
    * @param {string} message - Signed challenge message
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if created, false if the id is already registered
+   *   (an existing streamer is never replaced; re-links go through updateStreamer)
    */
   async registerStreamer(streamerId, pubkey, message) {
     throw new Error('registerStreamer must be implemented');
@@ -35,7 +36,19 @@ export class StorageAdapter {
   }
 
   /**
-   * Update the last seen transaction signature for a pubkey
+   * Merge fields into an existing streamer record
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} updates - Fields to set (e.g. acceptedMints)
+   * @returns {Promise<object | null>} Updated streamer, or null if not registered
+   */
+  async updateStreamer(streamerId, updates) {
+    throw new Error('updateStreamer must be implemented');
+  }
+
+  /**
+   * Update the last seen transaction signature for a watched address
+   * (a streamer wallet or one of its token accounts). The indexer also keeps
+   * unread signature ranges here, as JSON under `<address>:backlog`.
    * @param {string} pubkey - Solana public key
    * @param {string} signature - Transaction signature
    * @returns {Promise<void>}
@@ -52,4 +65,358 @@ export class StorageAdapter {
   async getLastSeen(pubkey) {
     throw new Error('getLastSeen must be implemented');
   }
+
+  /**
+   * Save a detected tip to the ledger
+   * Implementations must ignore tips whose txHash is already stored.
+   * @param {object} tip - Tip data as emitted by TipIndexer
+   * @returns {Promise<boolean>} True if saved, false if it was a duplicate
+   */
+  async saveTip(tip) {
+    throw new Error('saveTip must be implemented');
+  }
+
+  /**
+   * Get tips received by a streamer, newest first
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Pagination options
+   * @param {number} [options.limit=50] - Max tips to return
+   * @param {number} [options.offset=0] - Number of tips to skip
+   * @returns {Promise<object[]>}
+   */
+  async getTips(streamerId, options = {}) {
+    throw new Error('getTips must be implemented');
+  }
+
+  /**
+   * Get a tip by its txHash
+   * @param {string} txHash - Tip key: the transaction signature, with `:n` for later transfers
+   * @returns {Promise<object | null>}
+   */
+  async getTipByTxHash(txHash) {
+    throw new Error('getTipByTxHash must be implemented');
+  }
+
+  /**
+   * Merge fields into a stored tip (e.g. finality status)
+   * @param {string} txHash - Tip key
+   * @param {object} updates - Fields to set
+   * @returns {Promise<object | null>} Updated tip, or null if not stored
+   */
+  async updateTip(txHash, updates) {
+    throw new Error('updateTip must be implemented');
+  }
+
+  /**
+   * Get tips still waiting for finalization (status 'confirmed')
+   * @returns {Promise<object[]>}
+   */
+  async getUnfinalizedTips() {
+    throw new Error('getUnfinalizedTips must be implemented');
+  }
+
+  /**
+   * Store an issued link challenge
+   * Implementations may drop expired challenges at this point.
+   * @param {object} challenge - { nonce, streamerId, domain, message, issuedAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async saveChallenge(challenge) {
+    throw new Error('saveChallenge must be implemented');
+  }
+
+  /**
+   * Get an issued link challenge by nonce
+   * @param {string} nonce - Challenge nonce
+   * @returns {Promise<object | null>} Challenge with `used` flag, or null
+   */
+  async getChallenge(nonce) {
+    throw new Error('getChallenge must be implemented');
+  }
+
+  /**
+   * Mark a challenge as used
+   * @param {string} nonce - Challenge nonce
+   * @returns {Promise<boolean>} True if it was unused and is now consumed
+   */
+  async consumeChallenge(nonce) {
+    throw new Error('consumeChallenge must be implemented');
+  }
+
+  /**
+   * Store an overlay token (only its hash, never the token itself)
+   * @param {object} token - { id, streamerId, hash, label, scope, createdAt }
+   * @returns {Promise<void>}
+   */
+  async saveOverlayToken(token) {
+    throw new Error('saveOverlayToken must be implemented');
+  }
+
+  /**
+   * Get a streamer's active overlay tokens
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array>} Token records
+   */
+  async getOverlayTokens(streamerId) {
+    throw new Error('getOverlayTokens must be implemented');
+  }
+
+  /**
+   * Delete an overlay token
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} tokenId - Token id
+   * @returns {Promise<boolean>} True if the token existed
+   */
+  async deleteOverlayToken(streamerId, tokenId) {
+    throw new Error('deleteOverlayToken must be implemented');
+  }
+
+  /**
+   * Get the tips tagged with a stream session, oldest first
+   * @param {string} sessionId - Session id
+   * @returns {Promise<Array>}
+   */
+  async getSessionTips(sessionId) {
+    throw new Error('getSessionTips must be implemented');
+  }
+
+  /**
+   * Get a streamer's tips whose memo awaits approval (moderation status 'held'),
+   * oldest first; reverted tips are excluded
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array>}
+   */
+  async getHeldTips(streamerId) {
+    throw new Error('getHeldTips must be implemented');
+  }
+
+  /**
+   * Top senders to a streamer in one currency, largest total first
+   * Reverted tips are excluded. A tip's time is its block time (or when it was recorded).
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Query options
+   * @param {number|null} [options.since=null] - Only tips at or after this time (ms)
+   * @param {string|null} [options.sessionId=null] - Only tips tagged with this stream session
+   * @param {string|null} [options.mint=null] - Currency (null: SOL)
+   * @param {number} [options.limit=10] - Maximum number of senders
+   * @returns {Promise<Array<{from: string, amount: number, count: number, lastTipAt: number}>>}
+   */
+  async getTipLeaderboard(streamerId, options = {}) {
+    throw new Error('getTipLeaderboard must be implemented');
+  }
+
+  /**
+   * Tip totals per currency for a streamer (reverted tips excluded)
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { since: ms | null, sessionId: string | null }
+   * @returns {Promise<Array<{mint: string|null, symbol: string, amount: number, count: number, tippers: number}>>}
+   */
+  async getTipTotals(streamerId, options = {}) {
+    throw new Error('getTipTotals must be implemented');
+  }
+
+  /**
+   * Store a tip goal (insert or replace by id)
+   * @param {object} goal - { id, streamerId, title, target, current, mint, symbol, deadline, status, createdAt }
+   * @returns {Promise<void>}
+   */
+  async saveGoal(goal) {
+    throw new Error('saveGoal must be implemented');
+  }
+
+  /**
+   * Get a goal by id
+   * @param {string} id - Goal id
+   * @returns {Promise<object | null>}
+   */
+  async getGoal(id) {
+    throw new Error('getGoal must be implemented');
+  }
+
+  /**
+   * Get a streamer's goals, oldest first
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array>}
+   */
+  async getGoals(streamerId) {
+    throw new Error('getGoals must be implemented');
+  }
+
+  /**
+   * Merge fields into a goal
+   * @param {string} id - Goal id
+   * @param {object} updates - Fields to set
+   * @returns {Promise<object | null>} Updated goal, or null if not found
+   */
+  async updateGoal(id, updates) {
+    throw new Error('updateGoal must be implemented');
+  }
+
+  /**
+   * Store a stream session (insert or replace by id)
+   * @param {object} session - { id, streamerId, title, startedAt, endedAt, status }
+   * @returns {Promise<void>}
+   */
+  async saveSession(session) {
+    throw new Error('saveSession must be implemented');
+  }
+
+  /**
+   * Get a stream session by id
+   * @param {string} id - Session id
+   * @returns {Promise<object | null>}
+   */
+  async getSession(id) {
+    throw new Error('getSession must be implemented');
+  }
+
+  /**
+   * Get a streamer's sessions, most recently started first
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { limit = 20, offset = 0 }
+   * @returns {Promise<Array>}
+   */
+  async getSessions(streamerId, options = {}) {
+    throw new Error('getSessions must be implemented');
+  }
+
+  /**
+   * Merge fields into a stream session
+   * @param {string} id - Session id
+   * @param {object} updates - Fields to change
+   * @returns {Promise<object | null>} Updated session, or null if not found
+   */
+  async updateSession(id, updates) {
+    throw new Error('updateSession must be implemented');
+  }
+
+  /**
+   * Store a webhook endpoint (insert or replace by id)
+   * @param {object} webhook - { id, streamerId (null for all streamers), url, secret, events, description, createdAt }
+   * @returns {Promise<void>}
+   */
+  async saveWebhook(webhook) {
+    throw new Error('saveWebhook must be implemented');
+  }
+
+  /**
+   * Get every registered webhook endpoint
+   * @returns {Promise<Array>} Webhook records
+   */
+  async getWebhooks() {
+    throw new Error('getWebhooks must be implemented');
+  }
+
+  /**
+   * Delete a webhook endpoint (its delivery history is kept)
+   * @param {string} id - Webhook id
+   * @returns {Promise<boolean>} True if the webhook existed
+   */
+  async deleteWebhook(id) {
+    throw new Error('deleteWebhook must be implemented');
+  }
+
+  /**
+   * Store a webhook delivery
+   * @param {object} delivery - { id, webhookId, streamerId, event, payload, status, attempts, nextAttemptAt, log, createdAt }
+   * @returns {Promise<void>}
+   */
+  async saveWebhookDelivery(delivery) {
+    throw new Error('saveWebhookDelivery must be implemented');
+  }
+
+  /**
+   * Merge fields into a webhook delivery
+   * @param {string} id - Delivery id
+   * @param {object} updates - Fields to set (status, attempts, nextAttemptAt, log, ...)
+   * @returns {Promise<object | null>} Updated delivery, or null if not found
+   */
+  async updateWebhookDelivery(id, updates) {
+    throw new Error('updateWebhookDelivery must be implemented');
+  }
+
+  /**
+   * Get a webhook delivery by id
+   * @param {string} id - Delivery id
+   * @returns {Promise<object | null>}
+   */
+  async getWebhookDelivery(id) {
+    throw new Error('getWebhookDelivery must be implemented');
+  }
+
+  /**
+   * Get webhook deliveries, newest first
+   * @param {object} [options] - Filters
+   * @param {string} [options.webhookId] - Only this webhook's deliveries
+   * @param {string} [options.status] - 'pending' | 'delivered' | 'dead'
+   * @param {number} [options.limit=50] - Maximum number of deliveries
+   * @returns {Promise<Array>}
+   */
+  async getWebhookDeliveries(options = {}) {
+    throw new Error('getWebhookDeliveries must be implemented');
+  }
+
+  /**
+   * Get pending deliveries whose next attempt is due, oldest due first
+   * @param {number} now - Current time in ms
+   * @param {number} [limit=50] - Maximum number of deliveries
+   * @returns {Promise<Array>}
+   */
+  async getDueWebhookDeliveries(now, limit = 50) {
+    throw new Error('getDueWebhookDeliveries must be implemented');
+  }
+
+  /**
+   * Store a Solana Pay payment request
+   * Implementations may drop expired requests that were never paid at this point.
+   * @param {object} request - { reference, streamerId, recipient, amount, mint, symbol, label,
+   *   message, memo, status: 'pending', createdAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async savePaymentRequest(request) {
+    throw new Error('savePaymentRequest must be implemented');
+  }
+
+  /**
+   * Get a payment request by its reference key
+   * @param {string} reference - Reference key (base58)
+   * @returns {Promise<object | null>}
+   */
+  async getPaymentRequest(reference) {
+    throw new Error('getPaymentRequest must be implemented');
+  }
+
+  /**
+   * Count a streamer's payment requests that are pending and not yet expired
+   * @param {string} streamerId - Streamer identifier
+   * @param {number} now - Current time (ms); requests expiring before it are not counted
+   * @returns {Promise<number>}
+   */
+  async countPendingPaymentRequests(streamerId, now) {
+    throw new Error('countPendingPaymentRequests must be implemented');
+  }
+
+  /**
+   * Mark a pending payment request as paid
+   * @param {string} reference - Reference key
+   * @param {object} payment - { txHash, from, paidAmount, paidAt }
+   * @returns {Promise<object | null>} Updated request, or null if it was not pending (already paid or unknown)
+   */
+  async completePaymentRequest(reference, payment) {
+    throw new Error('completePaymentRequest must be implemented');
+  }
+
+  /**
+   * Run `fn` while holding a named lock shared by every process using this storage
+   * The indexer takes one per watched address (and for finality checks), so
+   * several server instances never process the same streamer at once.
+   * Single-process adapters can keep this default, which always runs `fn`.
+   * @param {string} key - Lock name
+   * @param {function(): Promise<*>} fn - Work to do while holding the lock
+   * @returns {Promise<boolean>} False if another process holds the lock and `fn` was skipped
+   */
+  async withLock(key, fn) {
+    await fn();
+    return true;
+  }
 }
@@ -8,3 +8,7 @@
 export { StorageAdapter } from './StorageAdapter.js';
 export { LowdbAdapter } from './LowdbAdapter.js';
 export { MemoryAdapter } from './MemoryAdapter.js';
+export { SqliteAdapter } from './SqliteAdapter.js';
+export { SQLITE_MIGRATIONS } from './sqlite-migrations.js';
+export { PostgresAdapter } from './PostgresAdapter.js';
+export { POSTGRES_MIGRATIONS } from './postgres-migrations.js';
@@ -0,0 +1,134 @@
+/**
+ * Versioned schema migrations for PostgresAdapter
+ *
+ * Append new migrations with the next version number; never edit one that
+ * has shipped. Records keep their full JSON in a `data` column, so new
+ * fields only need a migration when they must be indexed or queried.
+ */
+
+export const POSTGRES_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial',
+    sql: `
+      CREATE TABLE streamers (
+        streamer_id TEXT PRIMARY KEY,
+        pubkey TEXT NOT NULL,
+        data JSONB NOT NULL
+      );
+
+      CREATE TABLE last_seen (
+        pubkey TEXT PRIMARY KEY,
+        signature TEXT NOT NULL,
+        updated_at BIGINT NOT NULL
+      );
+
+      CREATE TABLE tips (
+        tx_hash TEXT PRIMARY KEY,
+        streamer_id TEXT NOT NULL,
+        status TEXT,
+        block_time BIGINT NOT NULL DEFAULT 0,
+        recorded_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX tips_streamer_time ON tips (streamer_id, block_time DESC, recorded_at DESC);
+      CREATE INDEX tips_status ON tips (status);
+
+      CREATE TABLE challenges (
+        nonce TEXT PRIMARY KEY,
+        expires_at BIGINT NOT NULL,
+        used BOOLEAN NOT NULL DEFAULT FALSE,
+        data JSONB NOT NULL
+      );
+
+      CREATE TABLE overlay_tokens (
+        id TEXT PRIMARY KEY,
+        streamer_id TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        label TEXT,
+        created_at BIGINT NOT NULL
+      );
+      CREATE INDEX overlay_tokens_streamer ON overlay_tokens (streamer_id);
+    `
+  },
+  {
+    version: 2,
+    name: 'webhooks',
+    sql: `
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        streamer_id TEXT,
+        created_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        next_attempt_at BIGINT,
+        created_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+      CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC);
+    `
+  },
+  {
+    version: 3,
+    name: 'goals',
+    sql: `
+      CREATE TABLE goals (
+        id TEXT PRIMARY KEY,
+        streamer_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX goals_streamer ON goals (streamer_id, created_at);
+    `
+  },
+  {
+    version: 4,
+    name: 'sessions',
+    sql: `
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        streamer_id TEXT NOT NULL,
+        started_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX sessions_streamer ON sessions (streamer_id, started_at);
+      ALTER TABLE tips ADD COLUMN session_id TEXT;
+      CREATE INDEX tips_session ON tips (session_id);
+    `
+  },
+  {
+    version: 5,
+    name: 'payment_requests',
+    sql: `
+      CREATE TABLE payment_requests (
+        reference TEXT PRIMARY KEY,
+        streamer_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX payment_requests_expiry ON payment_requests (status, expires_at);
+    `
+  },
+  {
+    version: 6,
+    name: 'payment_requests_streamer',
+    sql: `
+      CREATE INDEX payment_requests_streamer ON payment_requests (streamer_id, status, expires_at);
+    `
+  },
+  {
+    version: 7,
+    name: 'overlay_token_scopes',
+    sql: `
+      ALTER TABLE overlay_tokens ADD COLUMN scope TEXT NOT NULL DEFAULT 'overlay';
+    `
+  }
+];
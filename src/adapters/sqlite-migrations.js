@@ -0,0 +1,155 @@
+/**
+ * Versioned schema migrations for SqliteAdapter
+ *
+ * Append new migrations with the next version number; never edit one that
+ * has shipped. Records keep their full JSON in a `data` column, so new
+ * fields only need a migration when they must be indexed or queried.
+ */
+
+export const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial',
+    up(db) {
+      db.exec(`
+        CREATE TABLE streamers (
+          streamer_id TEXT PRIMARY KEY,
+          pubkey TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+
+        CREATE TABLE last_seen (
+          pubkey TEXT PRIMARY KEY,
+          signature TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE tips (
+          tx_hash TEXT PRIMARY KEY,
+          streamer_id TEXT NOT NULL,
+          status TEXT,
+          block_time INTEGER NOT NULL DEFAULT 0,
+          recorded_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX tips_streamer_time ON tips (streamer_id, block_time DESC, recorded_at DESC);
+        CREATE INDEX tips_status ON tips (status);
+
+        CREATE TABLE challenges (
+          nonce TEXT PRIMARY KEY,
+          expires_at INTEGER NOT NULL,
+          used INTEGER NOT NULL DEFAULT 0,
+          data TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'overlay_tokens',
+    up(db) {
+      db.exec(`
+        CREATE TABLE overlay_tokens (
+          id TEXT PRIMARY KEY,
+          streamer_id TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          label TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX overlay_tokens_streamer ON overlay_tokens (streamer_id);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'webhooks',
+    up(db) {
+      db.exec(`
+        CREATE TABLE webhooks (
+          id TEXT PRIMARY KEY,
+          streamer_id TEXT,
+          created_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+
+        CREATE TABLE webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          webhook_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          next_attempt_at INTEGER,
+          created_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'goals',
+    up(db) {
+      db.exec(`
+        CREATE TABLE goals (
+          id TEXT PRIMARY KEY,
+          streamer_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX goals_streamer ON goals (streamer_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'sessions',
+    up(db) {
+      db.exec(`
+        CREATE TABLE sessions (
+          id TEXT PRIMARY KEY,
+          streamer_id TEXT NOT NULL,
+          started_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX sessions_streamer ON sessions (streamer_id, started_at);
+        ALTER TABLE tips ADD COLUMN session_id TEXT;
+        CREATE INDEX tips_session ON tips (session_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'payment_requests',
+    up(db) {
+      db.exec(`
+        CREATE TABLE payment_requests (
+          reference TEXT PRIMARY KEY,
+          streamer_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          expires_at INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX payment_requests_expiry ON payment_requests (status, expires_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'payment_requests_streamer',
+    up(db) {
+      db.exec(`
+        CREATE INDEX payment_requests_streamer ON payment_requests (streamer_id, status, expires_at);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'overlay_token_scopes',
+    up(db) {
+      db.exec(`
+        ALTER TABLE overlay_tokens ADD COLUMN scope TEXT NOT NULL DEFAULT 'overlay';
+      `);
+    }
+  }
+];
@@ -0,0 +1,86 @@
+/**
+ * Tip aggregation for adapters without a query engine (memory, lowdb)
+ * SQL adapters compute the same results in the database.
+ */
+
+/**
+ * Time a tip happened, in ms (block time, or when it was recorded)
+ */
+export function tipTime(tip) {
+  return tip.blockTime ? tip.blockTime * 1000 : tip.recordedAt;
+}
+
+/**
+ * Tips that count toward aggregates: not reverted, and inside the window
+ * (a start time, a session, or both)
+ */
+function countedTips(tips, streamerId, since, sessionId) {
+  return tips.filter(tip =>
+    tip.streamerId === streamerId &&
+    tip.status !== 'reverted' &&
+    (!since || tipTime(tip) >= since) &&
+    (!sessionId || tip.sessionId === sessionId)
+  );
+}
+
+/**
+ * A session's tips, oldest first
+ */
+export function sessionTips(tips, sessionId) {
+  return tips
+    .filter(tip => tip.sessionId === sessionId)
+    .sort((a, b) => tipTime(a) - tipTime(b));
+}
+
+/**
+ * A streamer's tips awaiting memo approval, oldest first
+ */
+export function heldTips(tips, streamerId) {
+  return tips
+    .filter(tip =>
+      tip.streamerId === streamerId &&
+      tip.status !== 'reverted' &&
+      tip.moderation && tip.moderation.status === 'held')
+    .sort((a, b) => tipTime(a) - tipTime(b));
+}
+
+/**
+ * Top senders in one currency, largest total first
+ * @returns {Array<{from: string, amount: number, count: number, lastTipAt: number}>}
+ */
+export function leaderboardFromTips(tips, streamerId, { since = null, sessionId = null, mint = null, limit = 10 } = {}) {
+  const bySender = new Map();
+  for (const tip of countedTips(tips, streamerId, since, sessionId)) {
+    if ((tip.mint || null) !== mint) continue;
+
+    const entry = bySender.get(tip.from) || { from: tip.from, amount: 0, count: 0, lastTipAt: 0 };
+    entry.amount += tip.amount;
+    entry.count += 1;
+    entry.lastTipAt = Math.max(entry.lastTipAt, tipTime(tip));
+    bySender.set(tip.from, entry);
+  }
+
+  return Array.from(bySender.values())
+    .sort((a, b) => b.amount - a.amount || a.lastTipAt - b.lastTipAt)
+    .slice(0, limit);
+}
+
+/**
+ * Totals per currency
+ * @returns {Array<{mint: string|null, symbol: string, amount: number, count: number, tippers: number}>}
+ */
+export function totalsFromTips(tips, streamerId, { since = null, sessionId = null } = {}) {
+  const byMint = new Map();
+  for (const tip of countedTips(tips, streamerId, since, sessionId)) {
+    const mint = tip.mint || null;
+    const entry = byMint.get(mint) || { mint, symbol: tip.symbol, amount: 0, count: 0, senders: new Set() };
+    entry.amount += tip.amount;
+    entry.count += 1;
+    entry.senders.add(tip.from);
+    byMint.set(mint, entry);
+  }
+
+  return Array.from(byMint.values())
+    .map(({ senders, ...entry }) => ({ ...entry, tippers: senders.size }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -4,9 +4,29 @@
  */
 
 export class OverlayClient {
-  constructor(wsUrl, streamerId) {
+  /**
+   * @param {string} wsUrl - WebSocket server URL
+   * @param {string} streamerId - Streamer to subscribe to
+   * @param {object} options - Configuration options
+   * @param {boolean} [options.resume=true] - Ask for alerts missed while disconnected
+   * @param {number} [options.maxReplay] - Most missed alerts to replay
+   * @param {number} [options.maxReplayAgeMs] - Skip missed alerts older than this
+   * @param {boolean} [options.persistCursor=true] - Remember the last alert across page reloads
+   * @param {string} [options.token] - Overlay token (e.g. the `token` query parameter of the overlay URL)
+   * @param {string[]} [options.channels] - Privileged channels to join as well (require `token`)
+   */
+  constructor(wsUrl, streamerId, options = {}) {
     this.wsUrl = wsUrl;
     this.streamerId = streamerId;
+    this.options = {
+      resume: options.resume !== false,
+      maxReplay: options.maxReplay || null,
+      maxReplayAgeMs: options.maxReplayAgeMs || null,
+      persistCursor: options.persistCursor !== false,
+      token: options.token || null,
+      channels: options.channels || [],
+      ...options
+    };
     this.ws = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
@@ -14,6 +34,11 @@ export class OverlayClient {
     this.pingInterval = null;
     this.eventHandlers = new Map();
     this.connected = false;
+
+    // Last broadcast seen, so a reconnect can resume from it
+    this.epoch = null;
+    this.lastSeq = 0;
+    this.loadCursor();
   }
 
   /**
@@ -31,6 +56,7 @@ export class OverlayClient {
       
       // Subscribe to streamer
       this.subscribe(this.streamerId);
+      this.options.channels.forEach(channel => this.subscribe(this.streamerId, channel));
       
       // Start heartbeat
       this.startHeartbeat();
@@ -67,17 +93,104 @@ export class OverlayClient {
    * Handle incoming WebSocket messages
    */
   handleMessage(data) {
+    // The subscribe ack reports the server's current id rather than numbering a broadcast
+    if (typeof data.seq === 'number' && data.type !== 'subscribed') {
+      // Already delivered (e.g. live and replayed copies of the same broadcast)
+      if (data.seq <= this.lastSeq) return;
+      this.lastSeq = data.seq;
+      this.saveCursor();
+    }
+
+    // Privileged channel messages are passed through under their own type
+    if (data.channel && data.type !== 'subscribed' && data.type !== 'error') {
+      this.emit(data.type, data.payload);
+      return;
+    }
+
+    const payload = data.replayed ? { ...data.payload, replayed: true } : data.payload;
+
     switch (data.type) {
       case 'subscribed':
+        // New server process: its ids start over. A resuming client is replayed
+        // that server's whole backlog; a fresh one starts from its current id.
+        if ((data.channel || 'alerts') === 'alerts' && data.epoch && data.epoch !== this.epoch) {
+          this.lastSeq = this.epoch && this.options.resume ? 0 : data.seq || 0;
+          this.epoch = data.epoch;
+          this.saveCursor();
+        }
         console.log('[Overlay] Subscribed to', data.streamer);
         this.emit('subscribed', data.streamer);
         break;
       
       case 'tip':
-        console.log('[Overlay] Tip received:', data.payload);
-        this.emit('tip', data.payload);
+        console.log('[Overlay] Tip received:', payload);
+        this.emit('tip', payload);
+        break;
+
+      case 'tip:combined':
+        console.log(`[Overlay] ${payload.count} tips combined`);
+        this.emit('tip:combined', payload);
+        break;
+
+      case 'tip:finalized':
+        this.emit('tip:finalized', payload);
+        break;
+
+      case 'tip:reverted':
+        console.log('[Overlay] Tip reverted:', payload.txHash);
+        this.emit('tip:reverted', payload);
+        break;
+
+      case 'goal:progress':
+        this.emit('goal:progress', payload);
+        break;
+
+      case 'goal:reached':
+        console.log('[Overlay] Goal reached:', payload.title);
+        this.emit('goal:reached', payload);
+        break;
+
+      case 'goal:updated':
+        this.emit('goal:updated', payload);
+        break;
+
+      case 'leaderboard:update':
+        this.emit('leaderboard:update', payload);
+        break;
+
+      case 'session:started':
+        this.emit('session:started', payload);
+        break;
+
+      case 'session:ended':
+        console.log('[Overlay] Session ended:', payload.id);
+        this.emit('session:ended', payload);
+        break;
+
+      case 'alert:skip':
+        this.emit('alert:skip', payload);
+        break;
+
+      case 'alerts:paused':
+        console.log('[Overlay] Alerts paused');
+        this.emit('alerts:paused', payload);
+        break;
+
+      case 'alerts:resumed':
+        console.log('[Overlay] Alerts resumed');
+        this.emit('alerts:resumed', payload);
         break;
       
+      case 'error':
+        // Missing, invalid or revoked overlay token
+        console.warn(`[Overlay] ${data.error} (${data.channel || 'alerts'})`);
+        this.emit('unauthorized', {
+          error: data.error,
+          streamer: data.streamer,
+          channel: data.channel || 'alerts'
+        });
+        break;
+
       case 'pong':
         // Heartbeat response
         break;
@@ -88,17 +201,72 @@ export class OverlayClient {
   }
 
   /**
-   * Subscribe to streamer tips
+   * Subscribe to streamer tips, or to a privileged channel
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} [channel='alerts'] - Channel to join
    */
-  subscribe(streamerId) {
+  subscribe(streamerId, channel = 'alerts') {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
+      const msg = {
         action: 'subscribe',
         streamer: streamerId
+      };
+
+      if (channel !== 'alerts') {
+        msg.channel = channel;
+      }
+      if (this.options.token) {
+        msg.token = this.options.token;
+      }
+
+      if (channel === 'alerts' && this.options.resume && this.epoch) {
+        msg.epoch = this.epoch;
+        msg.lastSeq = this.lastSeq;
+        if (this.options.maxReplay) msg.maxReplay = this.options.maxReplay;
+        if (this.options.maxReplayAgeMs) msg.maxAgeMs = this.options.maxReplayAgeMs;
+      }
+
+      this.ws.send(JSON.stringify(msg));
+    }
+  }
+
+  /**
+   * Restore the resume cursor saved by a previous page load
+   */
+  loadCursor() {
+    if (!this.options.persistCursor || typeof localStorage === 'undefined') return;
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.getCursorKey()));
+      if (saved) {
+        this.epoch = saved.epoch;
+        this.lastSeq = saved.lastSeq;
+      }
+    } catch (error) {
+      console.warn('[Overlay] Could not restore cursor:', error);
+    }
+  }
+
+  /**
+   * Persist the resume cursor (OBS reloads browser sources)
+   */
+  saveCursor() {
+    if (!this.options.persistCursor || typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.getCursorKey(), JSON.stringify({
+        epoch: this.epoch,
+        lastSeq: this.lastSeq
       }));
+    } catch (error) {
+      console.warn('[Overlay] Could not save cursor:', error);
     }
   }
 
+  getCursorKey() {
+    return `solana-tip-overlay:${this.streamerId}`;
+  }
+
   /**
    * Start heartbeat ping
    */
@@ -154,7 +322,8 @@ export class OverlayClient {
 
   /**
    * Register event handler
-   * @param {string} event - Event name (connected, disconnected, tip, error)
+   * @param {string} event - Event name (connected, disconnected, tip, tip:combined, tip:finalized, tip:reverted,
+   *   goal:progress, goal:reached, goal:updated, leaderboard:update, session:started, session:ended, error)
    * @param {function} handler - Handler function
    */
   on(event, handler) {
@@ -3,6 +3,12 @@
  * Use this in browser environments
  */
 
+import { formatTipMemo } from '../utils/tip-memo.js';
+
+const MEMO_PROGRAM = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
 export class TipSender {
   constructor(apiBaseUrl) {
     this.apiBaseUrl = apiBaseUrl || '';
@@ -33,11 +39,11 @@ export class TipSender {
    * @param {string} fromPubkey - Sender's public key
    * @param {string} toPubkey - Recipient's public key
    * @param {number} lamports - Amount in lamports
-   * @param {string} memo - Optional memo message
+   * @param {string|object} memo - Optional memo message, or structured memo fields (see formatMemo)
    * @returns {Promise<Transaction>}
    */
   async buildTipTransaction(solanaWeb3, fromPubkey, toPubkey, lamports, memo = null) {
-    const { Transaction, SystemProgram, PublicKey, TransactionInstruction } = solanaWeb3;
+    const { Transaction, SystemProgram, PublicKey } = solanaWeb3;
     
     const transaction = new Transaction();
     
@@ -51,50 +57,224 @@ export class TipSender {
     );
 
     // Add memo if provided
-    if (memo && memo.trim()) {
-      const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+    const memoText = this.formatMemo(memo);
+    if (memoText) {
+      transaction.add(this.buildMemoInstruction(solanaWeb3, memoText));
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Build an SPL token tip transaction with optional memo
+   * Transfers between the sender's and recipient's associated token accounts.
+   * @param {object} solanaWeb3 - @solana/web3.js module
+   * @param {object} params - Transfer parameters
+   * @param {string} params.fromPubkey - Sender's wallet
+   * @param {string} params.toPubkey - Recipient's wallet
+   * @param {string} params.mint - Token mint
+   * @param {bigint} params.amount - Amount in base units
+   * @param {number} params.decimals - Mint decimals
+   * @param {string|object} [params.memo] - Optional memo message, or structured memo fields
+   * @param {boolean} [params.createRecipientAta] - Create the recipient's token account first
+   * @param {string} [params.tokenProgramId] - Program that owns the mint (default SPL Token; Token-2022 mints need theirs)
+   * @returns {Promise<Transaction>}
+   */
+  async buildTokenTipTransaction(solanaWeb3, {
+    fromPubkey,
+    toPubkey,
+    mint,
+    amount,
+    decimals,
+    memo = null,
+    createRecipientAta = false,
+    tokenProgramId = TOKEN_PROGRAM
+  }) {
+    const { Transaction, SystemProgram, PublicKey, TransactionInstruction } = solanaWeb3;
+
+    const owner = new PublicKey(fromPubkey);
+    const recipient = new PublicKey(toPubkey);
+    const mintKey = new PublicKey(mint);
+    const tokenProgram = new PublicKey(tokenProgramId);
+    const source = this.getAssociatedTokenAddress(solanaWeb3, fromPubkey, mint, tokenProgramId);
+    const destination = this.getAssociatedTokenAddress(solanaWeb3, toPubkey, mint, tokenProgramId);
+
+    const transaction = new Transaction();
+
+    // CreateIdempotent, so a racing creation does not fail the tip
+    if (createRecipientAta) {
       transaction.add(
         new TransactionInstruction({
-          keys: [],
-          programId: MEMO_PROGRAM_ID,
-          data: Buffer.from(memo.trim(), 'utf-8')
+          keys: [
+            { pubkey: owner, isSigner: true, isWritable: true },
+            { pubkey: destination, isSigner: false, isWritable: true },
+            { pubkey: recipient, isSigner: false, isWritable: false },
+            { pubkey: mintKey, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: tokenProgram, isSigner: false, isWritable: false }
+          ],
+          programId: new PublicKey(ASSOCIATED_TOKEN_PROGRAM),
+          data: Buffer.from([1])
         })
       );
     }
 
+    // TransferChecked: [12, amount (u64 LE), decimals (u8)]
+    const data = Buffer.alloc(10);
+    data.writeUInt8(12, 0);
+    data.writeBigUInt64LE(BigInt(amount), 1);
+    data.writeUInt8(decimals, 9);
+
+    transaction.add(
+      new TransactionInstruction({
+        keys: [
+          { pubkey: source, isSigner: false, isWritable: true },
+          { pubkey: mintKey, isSigner: false, isWritable: false },
+          { pubkey: destination, isSigner: false, isWritable: true },
+          { pubkey: owner, isSigner: true, isWritable: false }
+        ],
+        programId: tokenProgram,
+        data
+      })
+    );
+
+    const memoText = this.formatMemo(memo);
+    if (memoText) {
+      transaction.add(this.buildMemoInstruction(solanaWeb3, memoText));
+    }
+
     return transaction;
   }
 
+  /**
+   * Memo text for a tip
+   * Plain text is sent as is. Fields are sent as a structured memo (versioned
+   * JSON), which the indexer reads into the tip's memo, displayName, replyTo and meta.
+   * @param {string|object|null} memo - Text, or { message, displayName, replyTo, meta }
+   * @returns {string|null}
+   */
+  formatMemo(memo) {
+    if (!memo) {
+      return null;
+    }
+    if (typeof memo === 'string') {
+      return memo.trim() || null;
+    }
+
+    const { message, displayName, replyTo, meta } = memo;
+    return formatTipMemo({
+      message: message && message.trim(),
+      displayName: displayName && displayName.trim(),
+      replyTo,
+      meta
+    });
+  }
+
+  /**
+   * Build a memo program instruction
+   * @param {object} solanaWeb3 - @solana/web3.js module
+   * @param {string} memo - Memo message
+   * @returns {TransactionInstruction}
+   */
+  buildMemoInstruction(solanaWeb3, memo) {
+    const { PublicKey, TransactionInstruction } = solanaWeb3;
+    return new TransactionInstruction({
+      keys: [],
+      programId: new PublicKey(MEMO_PROGRAM),
+      data: Buffer.from(memo.trim(), 'utf-8')
+    });
+  }
+
+  /**
+   * Derive a wallet's associated token account for a mint
+   * @param {object} solanaWeb3 - @solana/web3.js module
+   * @param {string} owner - Wallet public key
+   * @param {string} mint - Token mint
+   * @param {string} [tokenProgramId] - Program that owns the mint (SPL Token by default, or Token-2022)
+   * @returns {PublicKey}
+   */
+  getAssociatedTokenAddress(solanaWeb3, owner, mint, tokenProgramId = TOKEN_PROGRAM) {
+    const { PublicKey } = solanaWeb3;
+    const [address] = PublicKey.findProgramAddressSync(
+      [
+        new PublicKey(owner).toBuffer(),
+        new PublicKey(tokenProgramId).toBuffer(),
+        new PublicKey(mint).toBuffer()
+      ],
+      new PublicKey(ASSOCIATED_TOKEN_PROGRAM)
+    );
+    return address;
+  }
+
   /**
    * Send a tip using Phantom wallet
+   * Pass `mint` and `amount` instead of `amountSol` to tip in an SPL token.
    * @param {object} params - Tip parameters
    * @param {object} params.solanaWeb3 - @solana/web3.js module
    * @param {object} params.connection - Solana connection
    * @param {object} params.wallet - Phantom wallet adapter
    * @param {string} params.streamerId - Streamer identifier
    * @param {number} params.amountSol - Amount in SOL
-   * @param {string} params.memo - Optional memo
+   * @param {string} [params.mint] - SPL token mint to tip in
+   * @param {number} [params.amount] - Amount in whole tokens (with `mint`)
+   * @param {string|object} params.memo - Optional memo, or { message, displayName, replyTo, meta }
    * @returns {Promise<string>} Transaction signature
    */
-  async sendTip({ solanaWeb3, connection, wallet, streamerId, amountSol, memo }) {
-    // Validate minimum tip
-    if (amountSol < 0.001) {
-      throw new Error('Minimum tip is 0.001 SOL');
-    }
+  async sendTip({ solanaWeb3, connection, wallet, streamerId, amountSol, mint, amount, memo }) {
+    let transaction;
 
-    // Get streamer wallet
-    const streamerInfo = await this.getStreamerWallet(streamerId);
-    const { LAMPORTS_PER_SOL } = solanaWeb3;
-    
-    // Build transaction
-    const lamports = Math.floor(amountSol * LAMPORTS_PER_SOL);
-    const transaction = await this.buildTipTransaction(
-      solanaWeb3,
-      wallet.getPublicKey(),
-      streamerInfo.pubkey,
-      lamports,
-      memo
-    );
+    if (mint) {
+      if (!(amount > 0)) {
+        throw new Error('Tip amount must be greater than zero');
+      }
+
+      const streamerInfo = await this.getStreamerWallet(streamerId);
+      if (!(streamerInfo.acceptedMints || []).includes(mint)) {
+        throw new Error('Streamer does not accept tips in this token');
+      }
+
+      // Token-2022 mints have their own program, which also derives their token accounts
+      const mintKey = new solanaWeb3.PublicKey(mint);
+      const mintAccount = await connection.getAccountInfo(mintKey);
+      if (!mintAccount) {
+        throw new Error('Token mint not found');
+      }
+      const tokenProgramId = mintAccount.owner.toBase58();
+
+      const { value: supply } = await connection.getTokenSupply(mintKey);
+      const recipientAta = this.getAssociatedTokenAddress(solanaWeb3, streamerInfo.pubkey, mint, tokenProgramId);
+      const recipientAccount = await connection.getAccountInfo(recipientAta);
+
+      transaction = await this.buildTokenTipTransaction(solanaWeb3, {
+        fromPubkey: wallet.getPublicKey(),
+        toPubkey: streamerInfo.pubkey,
+        mint,
+        amount: this.toBaseUnits(amount, supply.decimals),
+        decimals: supply.decimals,
+        memo,
+        createRecipientAta: !recipientAccount,
+        tokenProgramId
+      });
+    } else {
+      // Validate minimum tip
+      if (amountSol < 0.001) {
+        throw new Error('Minimum tip is 0.001 SOL');
+      }
+
+      // Get streamer wallet
+      const streamerInfo = await this.getStreamerWallet(streamerId);
+      const { LAMPORTS_PER_SOL } = solanaWeb3;
+
+      // Build transaction
+      const lamports = Math.floor(amountSol * LAMPORTS_PER_SOL);
+      transaction = await this.buildTipTransaction(
+        solanaWeb3,
+        wallet.getPublicKey(),
+        streamerInfo.pubkey,
+        lamports,
+        memo
+      );
+    }
 
     // Get recent blockhash
     const { blockhash } = await connection.getLatestBlockhash();
@@ -111,6 +291,16 @@ export class TipSender {
     return signature;
   }
 
+  /**
+   * Convert a whole-token amount to base units without float rounding drift
+   * @param {number} amount - Amount in whole tokens
+   * @param {number} decimals - Mint decimals
+   * @returns {bigint}
+   */
+  toBaseUnits(amount, decimals) {
+    return BigInt(Number(amount).toFixed(decimals).replace('.', ''));
+  }
+
   /**
    * Get Solana explorer URL for transaction
    * @param {string} signature - Transaction signature
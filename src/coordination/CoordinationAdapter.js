@@ -0,0 +1,91 @@
+/**
+ * CoordinationAdapter Interface
+ *
+ * Implement this interface to let several server processes share the work:
+ * a message bus for broadcasts, node membership for sharding streamers,
+ * and a leader lease.
+ */
+
+export class CoordinationAdapter {
+  /**
+   * Connect to the backend
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error('connect must be implemented');
+  }
+
+  /**
+   * Disconnect from the backend
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    throw new Error('disconnect must be implemented');
+  }
+
+  /**
+   * Publish a message to every node (including this one)
+   * @param {string} channel - Channel name
+   * @param {object} message - JSON-serializable message
+   * @returns {Promise<void>}
+   */
+  async publish(channel, message) {
+    throw new Error('publish must be implemented');
+  }
+
+  /**
+   * Receive messages published on a channel by any node
+   * @param {string} channel - Channel name
+   * @param {function(object): void} handler - Message handler
+   * @returns {Promise<void>}
+   */
+  async subscribe(channel, handler) {
+    throw new Error('subscribe must be implemented');
+  }
+
+  /**
+   * Mark a node as alive for ttlMs
+   * @param {string} nodeId - Node identifier
+   * @param {number} ttlMs - Time until the node counts as gone
+   * @returns {Promise<void>}
+   */
+  async heartbeat(nodeId, ttlMs) {
+    throw new Error('heartbeat must be implemented');
+  }
+
+  /**
+   * Remove a node from the membership right away (clean shutdown)
+   * @param {string} nodeId - Node identifier
+   * @returns {Promise<void>}
+   */
+  async leave(nodeId) {
+    throw new Error('leave must be implemented');
+  }
+
+  /**
+   * Get the nodes that are currently alive
+   * @returns {Promise<string[]>} Node ids
+   */
+  async getMembers() {
+    throw new Error('getMembers must be implemented');
+  }
+
+  /**
+   * Acquire the leader lease, or renew it if this node already holds it
+   * @param {string} nodeId - Node identifier
+   * @param {number} ttlMs - Lease duration
+   * @returns {Promise<boolean>} True if this node is the leader
+   */
+  async acquireLeadership(nodeId, ttlMs) {
+    throw new Error('acquireLeadership must be implemented');
+  }
+
+  /**
+   * Give up the leader lease if this node holds it
+   * @param {string} nodeId - Node identifier
+   * @returns {Promise<void>}
+   */
+  async releaseLeadership(nodeId) {
+    throw new Error('releaseLeadership must be implemented');
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * In-process coordination adapter
+ * The default: a single process is its own cluster. Several SDK instances in
+ * one process (e.g. in tests) can coordinate by sharing an InProcessHub.
+ */
+
+import { CoordinationAdapter } from './CoordinationAdapter.js';
+
+/**
+ * Shared state standing in for a coordination backend
+ */
+export class InProcessHub {
+  constructor() {
+    this.channels = new Map(); // channel -> Set<handler>
+    this.members = new Map(); // nodeId -> expiresAt
+    this.leader = null; // { nodeId, expiresAt }
+  }
+}
+
+export class InProcessAdapter extends CoordinationAdapter {
+  /**
+   * @param {object} options - Configuration options
+   * @param {InProcessHub} [options.hub] - Hub shared with other adapters in this process
+   */
+  constructor(options = {}) {
+    super();
+    this.hub = options.hub || new InProcessHub();
+    this.handlers = []; // [channel, handler] registered through this adapter
+  }
+
+  async connect() {}
+
+  async disconnect() {
+    for (const [channel, handler] of this.handlers) {
+      this.hub.channels.get(channel)?.delete(handler);
+    }
+    this.handlers = [];
+  }
+
+  async publish(channel, message) {
+    // Deliver asynchronously and as a copy, like a real bus would
+    const payload = JSON.stringify(message);
+    for (const handler of this.hub.channels.get(channel) || []) {
+      queueMicrotask(() => handler(JSON.parse(payload)));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.hub.channels.has(channel)) {
+      this.hub.channels.set(channel, new Set());
+    }
+    this.hub.channels.get(channel).add(handler);
+    this.handlers.push([channel, handler]);
+  }
+
+  async heartbeat(nodeId, ttlMs) {
+    this.hub.members.set(nodeId, Date.now() + ttlMs);
+  }
+
+  async leave(nodeId) {
+    this.hub.members.delete(nodeId);
+  }
+
+  async getMembers() {
+    const now = Date.now();
+    for (const [nodeId, expiresAt] of this.hub.members) {
+      if (expiresAt < now) this.hub.members.delete(nodeId);
+    }
+    return Array.from(this.hub.members.keys());
+  }
+
+  async acquireLeadership(nodeId, ttlMs) {
+    const now = Date.now();
+    const { leader } = this.hub;
+    if (!leader || leader.expiresAt < now || leader.nodeId === nodeId) {
+      this.hub.leader = { nodeId, expiresAt: now + ttlMs };
+      return true;
+    }
+    return false;
+  }
+
+  async releaseLeadership(nodeId) {
+    if (this.hub.leader?.nodeId === nodeId) {
+      this.hub.leader = null;
+    }
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Redis coordination adapter
+ * Uses Redis pub/sub as the broadcast bus, a sorted set of heartbeat expiries
+ * for membership, and a `SET NX PX` key as the leader lease.
+ *
+ * Expects a connected node-redis v4 client (`createClient()`), or any object
+ * with the same methods: publish, subscribe/unsubscribe (on the subscriber),
+ * zAdd, zRem, zRemRangeByScore, zRange, eval, duplicate.
+ */
+
+import { CoordinationAdapter } from './CoordinationAdapter.js';
+
+// Set the lease if it is free or already ours; compare-and-set must be atomic
+const ACQUIRE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current == false or current == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+return 0
+`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+export class RedisAdapter extends CoordinationAdapter {
+  /**
+   * @param {object} options - Configuration options
+   * @param {object} options.client - Connected Redis client for commands
+   * @param {object} [options.subscriber] - Connected client for pub/sub (default: client.duplicate())
+   * @param {string} [options.prefix='solana-tip'] - Key and channel prefix
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.client) {
+      throw new Error('RedisAdapter requires a Redis client');
+    }
+
+    this.client = options.client;
+    this.subscriber = options.subscriber || null;
+    this.ownsSubscriber = !this.subscriber;
+    this.prefix = options.prefix || 'solana-tip';
+    this.channels = [];
+  }
+
+  async connect() {
+    // A connection in subscriber mode cannot run other commands
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      await this.subscriber.connect();
+    }
+  }
+
+  async disconnect() {
+    if (!this.subscriber) return;
+
+    if (this.ownsSubscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    } else {
+      for (const channel of this.channels) {
+        await this.subscriber.unsubscribe(channel);
+      }
+    }
+    this.channels = [];
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key(channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const key = this.key(channel);
+    await this.subscriber.subscribe(key, (raw) => {
+      try {
+        handler(JSON.parse(raw));
+      } catch (error) {
+        console.error(`[Coordination] Bad message on ${key}:`, error.message);
+      }
+    });
+    this.channels.push(key);
+  }
+
+  async heartbeat(nodeId, ttlMs) {
+    await this.client.zAdd(this.key('members'), { score: Date.now() + ttlMs, value: nodeId });
+  }
+
+  async leave(nodeId) {
+    await this.client.zRem(this.key('members'), nodeId);
+  }
+
+  async getMembers() {
+    const key = this.key('members');
+    await this.client.zRemRangeByScore(key, '-inf', Date.now());
+    return await this.client.zRange(key, 0, -1);
+  }
+
+  async acquireLeadership(nodeId, ttlMs) {
+    const result = await this.client.eval(ACQUIRE_SCRIPT, {
+      keys: [this.key('leader')],
+      arguments: [nodeId, String(ttlMs)]
+    });
+    return result === 1;
+  }
+
+  async releaseLeadership(nodeId) {
+    await this.client.eval(RELEASE_SCRIPT, {
+      keys: [this.key('leader')],
+      arguments: [nodeId]
+    });
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+}
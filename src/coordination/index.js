@@ -0,0 +1,9 @@
+/**
+ * Coordination adapters for running the SDK on several server processes
+ *
+ * Implement the CoordinationAdapter interface to use another backend.
+ */
+
+export { CoordinationAdapter } from './CoordinationAdapter.js';
+export { InProcessAdapter, InProcessHub } from './InProcessAdapter.js';
+export { RedisAdapter } from './RedisAdapter.js';
@@ -0,0 +1,169 @@
+/**
+ * ClusterCoordinator - Splits indexing work between server processes and
+ * relays events between them through a coordination adapter
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { InProcessAdapter } from '../coordination/InProcessAdapter.js';
+
+export class ClusterCoordinator {
+  /**
+   * @param {object} options - Configuration options
+   * @param {CoordinationAdapter} [options.adapter] - Backend (default: in-process, single node)
+   * @param {'shard'|'leader'} [options.strategy='shard'] - Split streamers across nodes,
+   *   or let the elected leader index everything
+   * @param {string} [options.nodeId] - This node's id (default: random)
+   * @param {number} [options.heartbeatInterval=5000] - How often membership and leadership are refreshed
+   * @param {number} [options.memberTtlMs=15000] - Silence after which a node counts as gone
+   */
+  constructor(options = {}) {
+    this.options = {
+      strategy: options.strategy || 'shard',
+      nodeId: options.nodeId || randomUUID(),
+      heartbeatInterval: options.heartbeatInterval || 5000,
+      memberTtlMs: options.memberTtlMs || 15000,
+      ...options
+    };
+    this.adapter = this.options.adapter || new InProcessAdapter();
+    this.nodeId = this.options.nodeId;
+
+    this.members = [this.nodeId];
+    this.leader = false;
+    this.started = false;
+    this.heartbeatTimer = null;
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Join the cluster: connect, listen for events, announce this node and
+   * pick up the current membership
+   */
+  async start() {
+    await this.adapter.connect();
+    await this.adapter.subscribe('events', ({ type, data, origin }) => {
+      this.emit(`event:${type}`, data, origin);
+    });
+    this.started = true;
+    await this.refresh();
+
+    this.heartbeatTimer = setInterval(() => this.refresh(), this.options.heartbeatInterval);
+    console.log(`[Cluster] Node ${this.nodeId} joined (${this.members.length} nodes, ${this.options.strategy})`);
+  }
+
+  /**
+   * Leave the cluster so other nodes take over right away
+   */
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    try {
+      await this.adapter.releaseLeadership(this.nodeId);
+      await this.adapter.leave(this.nodeId);
+      await this.adapter.disconnect();
+    } catch (error) {
+      console.error('[Cluster] Error leaving cluster:', error.message);
+    }
+  }
+
+  /**
+   * Heartbeat, then re-read membership and the leader lease
+   * Emits 'rebalance' when the set of streamers this node owns may have changed.
+   */
+  async refresh() {
+    if (!this.started) return;
+
+    try {
+      await this.adapter.heartbeat(this.nodeId, this.options.memberTtlMs);
+      const members = (await this.adapter.getMembers()).sort();
+      const leader = await this.adapter.acquireLeadership(this.nodeId, this.options.memberTtlMs);
+
+      const membersChanged = members.join() !== this.members.join();
+      const leaderChanged = leader !== this.leader;
+      this.members = members.includes(this.nodeId) ? members : [...members, this.nodeId].sort();
+      this.leader = leader;
+
+      if (leaderChanged) {
+        console.log(`[Cluster] Node ${this.nodeId} ${leader ? 'is now' : 'is no longer'} the leader`);
+      }
+      if (membersChanged || (leaderChanged && this.options.strategy === 'leader')) {
+        this.emit('rebalance', { members: this.members, leader });
+      }
+    } catch (error) {
+      // Keep the last known view; the TTLs will sort out a lasting outage
+      console.error('[Cluster] Refresh error:', error.message);
+    }
+  }
+
+  /**
+   * Whether this node should index a streamer
+   * Sharding uses rendezvous hashing, so a node joining or leaving only moves
+   * the streamers it gains or loses.
+   * @param {string} streamerId - Streamer identifier
+   * @returns {boolean}
+   */
+  owns(streamerId) {
+    if (this.options.strategy === 'leader') {
+      return this.leader;
+    }
+
+    let owner = null;
+    let best = -1;
+    for (const member of this.members) {
+      const score = parseInt(createHash('sha1').update(`${member}:${streamerId}`).digest('hex').slice(0, 8), 16);
+      if (score > best) {
+        best = score;
+        owner = member;
+      }
+    }
+    return owner === this.nodeId;
+  }
+
+  /**
+   * Whether this node holds the leader lease
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Send an event to every node, including this one
+   * @param {string} type - Event type
+   * @param {object} data - JSON-serializable event data
+   */
+  async publish(type, data) {
+    await this.adapter.publish('events', { type, data, origin: this.nodeId });
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - 'rebalance', or 'event:<type>' for relayed events
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data, origin) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data, origin);
+      } catch (error) {
+        console.error(`[Cluster] Event handler error:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * GoalManager - Tip goals ("10 SOL for a new mic") that fill up from detected tips
+ */
+
+import { randomUUID } from 'crypto';
+import { isValidPublicKey, roundAmount, tokenSymbol } from '../utils/tokens.js';
+
+const MAX_TITLE_LENGTH = 100;
+
+// Goals that still count incoming tips; a reached goal keeps counting until completed
+const OPEN_STATUSES = ['active', 'reached'];
+
+export class GoalManager {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter
+   * @param {object} options - Configuration options
+   * @param {object} [options.tokens] - Labels for mints not in KNOWN_TOKENS (mint -> { symbol, decimals })
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      ...options,
+      tokens: options.tokens || {}
+    };
+    this.queues = new Map(); // streamerId -> Promise (serializes changes per streamer)
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Create a goal
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} params - Goal settings
+   * @param {string} params.title - Shown on the goal bar
+   * @param {number} params.target - Target amount in whole units (e.g. 10 for 10 SOL)
+   * @param {string|null} [params.mint=null] - SPL mint counted toward the goal (null: SOL)
+   * @param {number|null} [params.deadline=null] - Tips after this time (ms) no longer count
+   * @returns {Promise<{success: boolean, goal?: object, error?: string}>}
+   */
+  async createGoal(streamerId, { title, target, mint = null, deadline = null } = {}) {
+    const error = validateTitle(title) || validateTarget(target) || validateDeadline(deadline)
+      || (mint !== null && !isValidPublicKey(mint) ? 'Invalid token mint' : null);
+    if (error) {
+      return { success: false, error };
+    }
+    if (!await this.storage.getStreamer(streamerId)) {
+      return { success: false, error: 'Streamer not found' };
+    }
+
+    const goal = {
+      id: randomUUID(),
+      streamerId,
+      title: title.trim(),
+      target,
+      current: 0,
+      tipCount: 0,
+      mint,
+      symbol: tokenSymbol(mint, this.options.tokens),
+      deadline,
+      status: 'active',
+      createdAt: Date.now(),
+      reachedAt: null,
+      completedAt: null
+    };
+
+    await this.enqueue(streamerId, () => this.storage.saveGoal(goal));
+    console.log(`[Goals] Created "${goal.title}" (${target} ${goal.symbol}) for ${streamerId}`);
+    this.emit('goal:updated', goal);
+    return { success: true, goal };
+  }
+
+  /**
+   * Change a goal's title, target or deadline
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} goalId - Goal id
+   * @param {object} updates - { title?, target?, deadline? }
+   * @returns {Promise<{success: boolean, goal?: object, error?: string}>}
+   */
+  async updateGoal(streamerId, goalId, updates = {}) {
+    const { title, target, deadline } = updates;
+    const error = (title !== undefined && validateTitle(title))
+      || (target !== undefined && validateTarget(target))
+      || (deadline !== undefined && validateDeadline(deadline));
+    if (error) {
+      return { success: false, error };
+    }
+
+    return await this.enqueue(streamerId, async () => {
+      const goal = await this.getOwnedGoal(streamerId, goalId);
+      if (!goal) {
+        return { success: false, error: 'Goal not found' };
+      }
+      if (goal.status === 'completed') {
+        return { success: false, error: 'Goal is already completed' };
+      }
+
+      const changes = {};
+      if (title !== undefined) changes.title = title.trim();
+      if (target !== undefined) changes.target = target;
+      if (deadline !== undefined) changes.deadline = deadline;
+
+      // A new target or deadline can reopen or settle the goal
+      const next = { ...goal, ...changes };
+      const open = !next.deadline || next.deadline >= Date.now();
+      if (next.current >= next.target) {
+        if (goal.status !== 'reached') {
+          Object.assign(changes, { status: 'reached', reachedAt: Date.now() });
+        }
+      } else if (goal.status === 'reached' || (goal.status === 'expired' && open)) {
+        Object.assign(changes, { status: 'active', reachedAt: null });
+      }
+
+      const updated = await this.storage.updateGoal(goalId, changes);
+      this.emit('goal:updated', updated);
+      if (changes.status === 'reached') {
+        this.emit('goal:reached', updated);
+      }
+      return { success: true, goal: updated };
+    });
+  }
+
+  /**
+   * Close a goal; it stops counting tips and drops off the goal bar
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} goalId - Goal id
+   * @returns {Promise<{success: boolean, goal?: object, error?: string}>}
+   */
+  async completeGoal(streamerId, goalId) {
+    return await this.enqueue(streamerId, async () => {
+      const goal = await this.getOwnedGoal(streamerId, goalId);
+      if (!goal) {
+        return { success: false, error: 'Goal not found' };
+      }
+      if (goal.status === 'completed') {
+        return { success: false, error: 'Goal is already completed' };
+      }
+
+      const updated = await this.storage.updateGoal(goalId, { status: 'completed', completedAt: Date.now() });
+      this.emit('goal:updated', updated);
+      return { success: true, goal: updated };
+    });
+  }
+
+  /**
+   * Get a streamer's goals, oldest first
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { status } to filter, e.g. 'active'
+   * @returns {Promise<Array>}
+   */
+  async getGoals(streamerId, { status } = {}) {
+    const goals = await this.enqueue(streamerId, () => this.expireGoals(streamerId));
+    return status ? goals.filter(goal => goal.status === status) : goals;
+  }
+
+  /**
+   * Get one goal
+   * @param {string} goalId - Goal id
+   * @returns {Promise<object|null>}
+   */
+  async getGoal(goalId) {
+    return await this.storage.getGoal(goalId);
+  }
+
+  /**
+   * Count a live tip toward the streamer's matching goals
+   * Emits 'goal:progress' for every goal it counted toward, and 'goal:reached'
+   * when a goal crosses its target.
+   * @param {object} tip - Tip as emitted by TipIndexer
+   * @returns {Promise<string[]>} Ids of the goals the tip counted toward
+   */
+  async applyTip(tip) {
+    return await this.enqueue(tip.streamerId, async () => {
+      const tippedAt = tip.blockTime ? tip.blockTime * 1000 : Date.now();
+      const goals = (await this.expireGoals(tip.streamerId)).filter(goal =>
+        OPEN_STATUSES.includes(goal.status) &&
+        (goal.mint || null) === (tip.mint || null) &&
+        tippedAt >= goal.createdAt &&
+        (!goal.deadline || tippedAt <= goal.deadline)
+      );
+      if (goals.length === 0) return [];
+
+      for (const goal of goals) {
+        const changes = {
+          current: roundAmount(goal.current + tip.amount, tip.decimals),
+          tipCount: goal.tipCount + 1
+        };
+        const reached = goal.status === 'active' && changes.current >= goal.target;
+        if (reached) {
+          Object.assign(changes, { status: 'reached', reachedAt: Date.now() });
+        }
+
+        const updated = await this.storage.updateGoal(goal.id, changes);
+        this.emit('goal:progress', { ...updated, lastTip: publicTip(tip) });
+        if (reached) {
+          console.log(`[Goals] 🏁 "${goal.title}" reached for ${tip.streamerId}`);
+          this.emit('goal:reached', updated);
+        }
+      }
+
+      // Remembered on the tip so a later revert can be taken back out
+      const goalIds = goals.map(goal => goal.id);
+      await this.storage.updateTip(tip.txHash, { goalIds });
+      return goalIds;
+    });
+  }
+
+  /**
+   * Take a reverted tip back out of the goals it counted toward
+   * @param {object} tip - Reverted tip record (with the goalIds set by applyTip)
+   */
+  async revertTip(tip) {
+    if (!tip.goalIds || tip.goalIds.length === 0) return;
+
+    await this.enqueue(tip.streamerId, async () => {
+      for (const goalId of tip.goalIds) {
+        const goal = await this.storage.getGoal(goalId);
+        if (!goal) continue;
+
+        const changes = {
+          current: Math.max(0, roundAmount(goal.current - tip.amount, tip.decimals)),
+          tipCount: Math.max(0, goal.tipCount - 1)
+        };
+        if (goal.status === 'reached' && changes.current < goal.target) {
+          Object.assign(changes, { status: 'active', reachedAt: null });
+        }
+
+        const updated = await this.storage.updateGoal(goalId, changes);
+        this.emit('goal:progress', updated);
+      }
+    });
+  }
+
+  /**
+   * Mark goals whose deadline passed before reaching the target as expired
+   * @returns {Promise<Array>} The streamer's goals, up to date
+   */
+  async expireGoals(streamerId) {
+    const now = Date.now();
+    const goals = await this.storage.getGoals(streamerId);
+
+    for (let i = 0; i < goals.length; i++) {
+      const goal = goals[i];
+      if (goal.status === 'active' && goal.deadline && goal.deadline < now) {
+        goals[i] = await this.storage.updateGoal(goal.id, { status: 'expired' });
+        this.emit('goal:updated', goals[i]);
+      }
+    }
+    return goals;
+  }
+
+  async getOwnedGoal(streamerId, goalId) {
+    const goal = await this.storage.getGoal(goalId);
+    return goal && goal.streamerId === streamerId ? goal : null;
+  }
+
+  /**
+   * Run changes to one streamer's goals one at a time, so concurrent tips
+   * cannot overwrite each other's progress
+   */
+  enqueue(streamerId, fn) {
+    const previous = this.queues.get(streamerId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+
+    this.queues.set(streamerId, next);
+    next.finally(() => {
+      if (this.queues.get(streamerId) === next) {
+        this.queues.delete(streamerId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - 'goal:progress', 'goal:reached' or 'goal:updated'
+   *   (created, edited, completed or expired)
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Goals] Event handler error:`, error);
+      }
+    });
+  }
+}
+
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    return `Title must be 1-${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateTarget(target) {
+  return typeof target === 'number' && Number.isFinite(target) && target > 0
+    ? null
+    : 'Target must be a positive number';
+}
+
+function validateDeadline(deadline) {
+  if (deadline === null) return null;
+  return Number.isInteger(deadline) && deadline > Date.now()
+    ? null
+    : 'Deadline must be a future timestamp (ms)';
+}
+
+// What the goal bar needs to show who pushed it forward
+function publicTip({ from, amount, symbol, txHash, memo }) {
+  return { from, amount, symbol, txHash, memo };
+}
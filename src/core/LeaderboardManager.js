@@ -0,0 +1,209 @@
+/**
+ * LeaderboardManager - Top tippers and tip totals per streamer, over the
+ * current stream session or rolling time windows
+ */
+
+import { KNOWN_TOKENS, roundAmount, tokenSymbol } from '../utils/tokens.js';
+
+/**
+ * Windows a leaderboard can cover
+ */
+export const LEADERBOARD_WINDOWS = ['session', 'day', 'week', 'all'];
+
+const HOUR = 60 * 60 * 1000;
+
+export class LeaderboardManager {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter
+   * @param {object} options - Configuration options
+   * @param {object} [options.windowMs] - Window lengths in ms: { day: 24h, week: 7d, and
+   *   session: 12h, used for streamers who have never started a session }
+   * @param {number} [options.limit=10] - Senders per leaderboard
+   * @param {string[]} [options.liveWindows] - Windows included in 'leaderboard:update' (default: all)
+   * @param {number} [options.debounceMs=1000] - Coalesce bursts of tips into one update
+   * @param {object} [options.tokens] - Labels for mints not in KNOWN_TOKENS (mint -> { symbol, decimals })
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      limit: options.limit || 10,
+      liveWindows: options.liveWindows || LEADERBOARD_WINDOWS,
+      debounceMs: options.debounceMs ?? 1000,
+      ...options,
+      windowMs: {
+        session: 12 * HOUR,
+        day: 24 * HOUR,
+        week: 7 * 24 * HOUR,
+        ...(options.windowMs || {})
+      },
+      tokens: options.tokens || {}
+    };
+    this.pending = new Map(); // `${streamerId}:${mint}` -> timer
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Top senders to a streamer in one currency
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Query options
+   * @param {string} [options.window='all'] - One of LEADERBOARD_WINDOWS
+   * @param {string|null} [options.mint=null] - Currency (null: SOL)
+   * @param {number} [options.limit] - Maximum number of senders
+   * @returns {Promise<{streamerId: string, window: string, since: number|null, sessionId: string|null,
+   *   mint: string|null, symbol: string, entries: Array}>}
+   */
+  async getLeaderboard(streamerId, { window = 'all', mint = null, limit = this.options.limit } = {}) {
+    const { since, sessionId } = await this.resolveWindow(streamerId, window);
+    const rows = await this.storage.getTipLeaderboard(streamerId, { since, sessionId, mint, limit });
+    const decimals = this.getDecimals(mint);
+
+    return {
+      streamerId,
+      window,
+      since,
+      sessionId,
+      mint,
+      symbol: tokenSymbol(mint, this.options.tokens),
+      entries: rows.map((row, index) => ({
+        rank: index + 1,
+        from: row.from,
+        amount: roundAmount(row.amount, decimals),
+        count: row.count,
+        lastTipAt: row.lastTipAt
+      }))
+    };
+  }
+
+  /**
+   * Tip totals and counts per currency
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { window } (default 'all')
+   * @returns {Promise<{streamerId: string, window: string, since: number|null, sessionId: string|null,
+   *   count: number, totals: Array}>}
+   */
+  async getTotals(streamerId, { window = 'all' } = {}) {
+    const { since, sessionId } = await this.resolveWindow(streamerId, window);
+    const rows = await this.storage.getTipTotals(streamerId, { since, sessionId });
+
+    return {
+      streamerId,
+      window,
+      since,
+      sessionId,
+      count: rows.reduce((sum, row) => sum + row.count, 0),
+      totals: rows.map(row => ({
+        ...row,
+        symbol: row.symbol || tokenSymbol(row.mint, this.options.tokens),
+        amount: roundAmount(row.amount, this.getDecimals(row.mint))
+      }))
+    };
+  }
+
+  /**
+   * Queue a 'leaderboard:update' for a streamer's currency
+   * Called for every live or reverted tip; tips arriving within debounceMs
+   * are folded into one update.
+   * @param {string} streamerId - Streamer identifier
+   * @param {string|null} [mint=null] - Currency the tip was in
+   */
+  scheduleUpdate(streamerId, mint = null) {
+    const key = `${streamerId}:${mint}`;
+    if (this.pending.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      this.buildUpdate(streamerId, mint)
+        .then(update => this.emit('leaderboard:update', update))
+        .catch(error => console.error('[Leaderboard] Update failed:', error.message));
+    }, this.options.debounceMs);
+    timer.unref?.();
+    this.pending.set(key, timer);
+  }
+
+  /**
+   * Leaderboards for every live window, plus the streamer's totals
+   * @returns {Promise<{streamerId: string, mint: string|null, symbol: string, leaderboards: object, totals: object}>}
+   */
+  async buildUpdate(streamerId, mint = null) {
+    const leaderboards = {};
+    for (const window of this.options.liveWindows) {
+      const { since, sessionId, entries } = await this.getLeaderboard(streamerId, { window, mint });
+      leaderboards[window] = { since, sessionId, entries };
+    }
+
+    return {
+      streamerId,
+      mint,
+      symbol: tokenSymbol(mint, this.options.tokens),
+      leaderboards,
+      totals: await this.getTotals(streamerId)
+    };
+  }
+
+  /**
+   * Drop queued updates
+   */
+  stop() {
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Which tips a window covers
+   * 'session' is the live session, or the last one while offline; for a
+   * streamer who never started one it falls back to a rolling window.
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} window - One of LEADERBOARD_WINDOWS
+   * @returns {Promise<{since: number|null, sessionId: string|null}>}
+   */
+  async resolveWindow(streamerId, window) {
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      throw new Error(`Unknown leaderboard window: ${window}`);
+    }
+    if (window === 'all') {
+      return { since: null, sessionId: null };
+    }
+
+    if (window === 'session') {
+      const [latest] = await this.storage.getSessions(streamerId, { limit: 1 });
+      if (latest) {
+        return { since: null, sessionId: latest.id };
+      }
+    }
+    return { since: Date.now() - this.options.windowMs[window], sessionId: null };
+  }
+
+  getDecimals(mint) {
+    if (!mint) return 9;
+    const token = this.options.tokens[mint] || KNOWN_TOKENS[mint];
+    return token ? token.decimals : 9;
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - 'leaderboard:update'
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Leaderboard] Event handler error:`, error);
+      }
+    });
+  }
+}
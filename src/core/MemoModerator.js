@@ -0,0 +1,421 @@
+/**
+ * MemoModerator - Screens tip memos before they are shown on stream
+ * Sender blocklists, word blocklists and patterns, link stripping, a length
+ * cap, and an optional manual-approval queue. A structured memo's display name
+ * and meta go through the same filters as its message.
+ */
+
+import { isValidPublicKey } from '../utils/tokens.js';
+
+const MAX_BLOCKLIST_SIZE = 500;
+const MAX_BLOCKLIST_WORD_LENGTH = 100;
+const MAX_MEMO_LENGTH_LIMIT = 500;
+
+// http(s) and www. links, plus bare domains with a common TLD ("example.com/x")
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|tv|xyz|me|co|ly|link|app|dev|ru|info|biz|sh|to|cc)\b(?:\/\S*)?/gi;
+
+// Zero-width and bidi control characters can hide words from the blocklist
+const INVISIBLE_PATTERN = /[\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+export class MemoModerator {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter
+   * @param {object} options - Defaults for every streamer
+   * @param {string[]} [options.blocklist] - Words and phrases that block a memo (whole-word, case-insensitive)
+   * @param {Array<RegExp|string>} [options.patterns] - Patterns that block a memo (server-side only)
+   * @param {string[]} [options.blockedSenders] - Wallets whose tips never alert
+   * @param {boolean} [options.stripLinks=true] - Remove links from memos
+   * @param {number} [options.maxMemoLength=200] - Longer memos are cut off
+   * @param {boolean} [options.manualApproval=false] - Hold memos until the streamer approves them
+   * @param {boolean} [options.dropBlocked=false] - Skip the whole alert for a blocked or rejected
+   *   memo, instead of showing the tip without it
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      blocklist: options.blocklist || [],
+      blockedSenders: options.blockedSenders || [],
+      stripLinks: options.stripLinks ?? true,
+      maxMemoLength: options.maxMemoLength || 200,
+      manualApproval: options.manualApproval || false,
+      dropBlocked: options.dropBlocked || false,
+      ...options,
+      patterns: (options.patterns || []).map(pattern =>
+        pattern instanceof RegExp ? pattern : new RegExp(pattern, 'iu'))
+    };
+    this.deciding = new Set(); // txHash of held tips being approved or rejected
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Screen a live tip's memo, display name and meta, and record the outcome on the tip
+   * @param {object} tip - Tip data from the indexer
+   * @returns {Promise<{action: 'show'|'hold'|'drop', tip: object, moderation: object}>} What to do
+   *   with the alert, the tip as it may be shown (the stored tip keeps the originals), and the
+   *   recorded outcome
+   */
+  async review(tip) {
+    const settings = await this.getEffectiveSettings(tip.streamerId);
+    const moderation = { ...this.screen(tip, settings), reviewedAt: Date.now() };
+    const { status, reasons } = moderation;
+
+    await this.storage.updateTip(tip.txHash, { moderation });
+    const shown = applyModeration({ ...tip, moderation });
+
+    if (status === 'held') {
+      const item = toQueueItem({ ...tip, moderation });
+      console.log(`[Moderation] Memo on ${tip.txHash} held for ${tip.streamerId}`);
+      this.emit('memo:held', item);
+      return { action: 'hold', tip: shown, moderation };
+    }
+
+    if (status === 'blocked') {
+      console.log(`[Moderation] Blocked ${tip.txHash} to ${tip.streamerId}: ${reasons.join(', ')}`);
+      const drop = reasons.includes('sender') || settings.dropBlocked;
+      return { action: drop ? 'drop' : 'show', tip: shown, moderation };
+    }
+
+    return { action: 'show', tip: shown, moderation };
+  }
+
+  /**
+   * Decide what happens to a tip's memo, display name and meta under a streamer's settings
+   * A blocked sender or memo loses them all, replyTo included. With manualApproval, a tip
+   * is held while any of the three remains.
+   * @returns {{status: 'allowed'|'cleaned'|'blocked'|'held', memo: string|null,
+   *   displayName: string|null, replyTo: string|null, meta: object|null, reasons: string[]}}
+   */
+  screen(tip, settings) {
+    const none = { memo: null, displayName: null, replyTo: null, meta: null };
+    if (settings.blockedSenders.includes(tip.from)) {
+      return { status: 'blocked', ...none, reasons: ['sender'] };
+    }
+
+    const extras = {
+      displayName: this.screenName(tip.displayName, settings),
+      replyTo: tip.replyTo || null,
+      meta: this.screenMeta(tip.meta, settings)
+    };
+    const { text, reasons, blocked } = tip.memo
+      ? this.filter(tip.memo, settings, settings.maxMemoLength)
+      : { text: '', reasons: [], blocked: false };
+    if (blocked) {
+      return { status: 'blocked', ...none, reasons: [...reasons, 'blocklist'] };
+    }
+
+    const memo = text || null;
+    if (settings.manualApproval && (memo || extras.displayName || extras.meta)) {
+      return { status: 'held', memo, ...extras, reasons };
+    }
+    const cleaned = reasons.length > 0 || (tip.memo && !memo);
+    return { status: cleaned ? 'cleaned' : 'allowed', memo, ...extras, reasons };
+  }
+
+  /**
+   * Decide whether a structured memo's display name may be shown
+   * Names go through the memo filters; one with a link or a blocked word is dropped,
+   * and the alert shows the wallet instead.
+   * @returns {string|null} The name to show
+   */
+  screenName(name, settings) {
+    if (!name) {
+      return null;
+    }
+
+    const { text, reasons, blocked } = this.filter(name, settings);
+    return !text || blocked || reasons.includes('link') ? null : text;
+  }
+
+  /**
+   * Keep the meta values that may be shown
+   * Text values go through the memo filters; one with a link or a blocked word is dropped.
+   * @returns {object|null} Remaining meta, or null if nothing is left
+   */
+  screenMeta(meta, settings) {
+    if (!meta) {
+      return null;
+    }
+
+    const screened = {};
+    for (const [key, value] of Object.entries(meta)) {
+      if (typeof value !== 'string') {
+        screened[key] = value;
+        continue;
+      }
+      const { text, reasons, blocked } = this.filter(value, settings);
+      if (text && !blocked && !reasons.includes('link')) {
+        screened[key] = text;
+      }
+    }
+    return Object.keys(screened).length > 0 ? screened : null;
+  }
+
+  /**
+   * Normalize text, strip links and cap its length, then check it against the blocklists
+   * @returns {{text: string, reasons: string[], blocked: boolean}}
+   */
+  filter(text, settings, maxLength = Infinity) {
+    const reasons = [];
+    let cleaned = text.normalize('NFKC').replace(/\s+/g, ' ').replace(INVISIBLE_PATTERN, '');
+
+    if (settings.stripLinks) {
+      const stripped = cleaned.replace(LINK_PATTERN, '');
+      if (stripped !== cleaned) {
+        reasons.push('link');
+        cleaned = stripped;
+      }
+    }
+
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+    if (cleaned.length > maxLength) {
+      reasons.push('length');
+      cleaned = cleaned.slice(0, maxLength - 1).trimEnd() + '…';
+    }
+
+    const blocked = settings.blocklist.some(word => containsWord(cleaned, word))
+      || settings.patterns.some(pattern => matches(pattern, cleaned));
+    return { text: cleaned, reasons, blocked };
+  }
+
+  /**
+   * Tips whose memo awaits the streamer's decision, oldest first
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array<{txHash: string, streamerId: string, from: string, amount: number,
+   *   symbol: string, mint: string|null, memo: string|null, originalMemo: string|null,
+   *   displayName: string|null, originalDisplayName: string|null, meta: object|null,
+   *   reasons: string[], heldAt: number}>>}
+   */
+  async getQueue(streamerId) {
+    const tips = await this.storage.getHeldTips(streamerId);
+    return tips.map(toQueueItem);
+  }
+
+  /**
+   * Show a held memo, with its display name and meta
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} txHash - Tip transaction signature
+   * @returns {Promise<{success: boolean, tip?: object, error?: string}>} The tip, with its memo, to alert
+   */
+  async approve(streamerId, txHash) {
+    return await this.decide(streamerId, txHash, 'approved');
+  }
+
+  /**
+   * Discard a held memo, display name and meta; the tip alerts without them (or not at all
+   * with dropBlocked)
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} txHash - Tip transaction signature
+   * @returns {Promise<{success: boolean, tip?: object, error?: string}>}
+   */
+  async reject(streamerId, txHash) {
+    return await this.decide(streamerId, txHash, 'rejected');
+  }
+
+  async decide(streamerId, txHash, status) {
+    if (this.deciding.has(txHash)) {
+      return { success: false, error: 'Memo is not awaiting approval' };
+    }
+    this.deciding.add(txHash);
+
+    try {
+      const tip = await this.storage.getTipByTxHash(txHash);
+      if (!tip || tip.streamerId !== streamerId) {
+        return { success: false, error: 'Tip not found' };
+      }
+      if (!tip.moderation || tip.moderation.status !== 'held' || tip.status === 'reverted') {
+        return { success: false, error: 'Memo is not awaiting approval' };
+      }
+
+      const rejected = status === 'rejected' ? { memo: null, displayName: null, replyTo: null, meta: null } : {};
+      const updated = await this.storage.updateTip(txHash, {
+        moderation: { ...tip.moderation, status, ...rejected, decidedAt: Date.now() }
+      }) || tip;
+
+      const result = applyModeration(updated);
+      const alert = status === 'approved' || !(await this.getEffectiveSettings(streamerId)).dropBlocked;
+
+      console.log(`[Moderation] Memo on ${txHash} ${status} by ${streamerId}`);
+      this.emit(`memo:${status}`, { item: toQueueItem(updated), tip: result, alert });
+      return { success: true, tip: result };
+    } finally {
+      this.deciding.delete(txHash);
+    }
+  }
+
+  /**
+   * Set a streamer's own moderation settings; they add to the server-wide
+   * blocklists and override its switches
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} settings - { blocklist?, blockedSenders?, stripLinks?, maxMemoLength?, manualApproval?, dropBlocked? }
+   * @returns {Promise<{success: boolean, settings?: object, error?: string}>}
+   */
+  async setSettings(streamerId, settings) {
+    const error = validateSettings(settings);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const { blocklist, blockedSenders, stripLinks, maxMemoLength, manualApproval, dropBlocked } = settings;
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+
+    const moderation = { ...(streamer.moderation || {}) };
+    const changes = { blocklist, blockedSenders, stripLinks, maxMemoLength, manualApproval, dropBlocked };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value !== undefined) {
+        moderation[key] = Array.isArray(value) ? [...new Set(value.map(item => item.trim()))] : value;
+      }
+    }
+
+    await this.storage.updateStreamer(streamerId, { moderation });
+    return { success: true, settings: moderation };
+  }
+
+  /**
+   * A streamer's own moderation settings
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<object|null>} Settings (empty if none are set), or null for an unknown streamer
+   */
+  async getSettings(streamerId) {
+    const streamer = await this.storage.getStreamer(streamerId);
+    return streamer ? streamer.moderation || {} : null;
+  }
+
+  /**
+   * Server-wide defaults combined with the streamer's own settings
+   */
+  async getEffectiveSettings(streamerId) {
+    const own = (await this.getSettings(streamerId)) || {};
+    return {
+      blocklist: [...this.options.blocklist, ...(own.blocklist || [])],
+      patterns: this.options.patterns,
+      blockedSenders: [...this.options.blockedSenders, ...(own.blockedSenders || [])],
+      stripLinks: own.stripLinks ?? this.options.stripLinks,
+      maxMemoLength: own.maxMemoLength ?? this.options.maxMemoLength,
+      manualApproval: own.manualApproval ?? this.options.manualApproval,
+      dropBlocked: own.dropBlocked ?? this.options.dropBlocked
+    };
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - 'memo:held' | 'memo:approved' | 'memo:rejected'
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Moderation] Event handler error:`, error);
+      }
+    });
+  }
+}
+
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return 'Settings must be an object';
+  }
+
+  const { blocklist, blockedSenders, stripLinks, maxMemoLength, manualApproval, dropBlocked } = settings;
+  if (blocklist !== undefined && (!Array.isArray(blocklist) || blocklist.length > MAX_BLOCKLIST_SIZE
+    || !blocklist.every(word => typeof word === 'string' && word.trim() && word.length <= MAX_BLOCKLIST_WORD_LENGTH))) {
+    return `Blocklist must be at most ${MAX_BLOCKLIST_SIZE} words of 1-${MAX_BLOCKLIST_WORD_LENGTH} characters`;
+  }
+  if (blockedSenders !== undefined && (!Array.isArray(blockedSenders)
+    || blockedSenders.length > MAX_BLOCKLIST_SIZE || !blockedSenders.every(isValidPublicKey))) {
+    return 'Blocked senders must be wallet addresses';
+  }
+  if (maxMemoLength !== undefined
+    && (!Number.isInteger(maxMemoLength) || maxMemoLength < 1 || maxMemoLength > MAX_MEMO_LENGTH_LIMIT)) {
+    return `maxMemoLength must be 1-${MAX_MEMO_LENGTH_LIMIT}`;
+  }
+  for (const [name, value] of Object.entries({ stripLinks, manualApproval, dropBlocked })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return `${name} must be true or false`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A stored tip as it may be shown: memo, display name, replyTo and meta as
+ * moderated (none of them while it awaits approval), without the moderation record
+ * @param {object} tip - Stored tip
+ * @returns {object}
+ */
+export function applyModeration({ moderation, ...tip }) {
+  if (!moderation) {
+    return tip;
+  }
+  const held = moderation.status === 'held';
+  return {
+    ...tip,
+    memo: held ? undefined : moderation.memo || undefined,
+    displayName: held ? undefined : moderation.displayName || undefined,
+    replyTo: held ? undefined : moderation.replyTo || undefined,
+    meta: held ? undefined : moderation.meta || undefined
+  };
+}
+
+/**
+ * A stored tip for webhooks: memo and display name as sent, for the receiver to
+ * judge, but replyTo and meta only as moderated, since receivers act on them.
+ * Both are left out until the tip is reviewed, and while it awaits approval.
+ * @param {object} tip - Stored tip
+ * @returns {object}
+ */
+export function moderateExtras(tip) {
+  const { moderation } = tip;
+  const shown = moderation && moderation.status !== 'held';
+  return {
+    ...tip,
+    replyTo: (shown && moderation.replyTo) || undefined,
+    meta: (shown && moderation.meta) || undefined
+  };
+}
+
+// Whole words only, so "class" is not caught by "ass"
+function containsWord(text, word) {
+  const escaped = word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+function matches(pattern, text) {
+  pattern.lastIndex = 0;
+  return pattern.test(text);
+}
+
+// What a moderator sees for a held memo
+function toQueueItem(tip) {
+  return {
+    txHash: tip.txHash,
+    streamerId: tip.streamerId,
+    from: tip.from,
+    amount: tip.amount ?? tip.amountSol,
+    symbol: tip.symbol || 'SOL',
+    mint: tip.mint || null,
+    memo: tip.moderation.memo,
+    originalMemo: tip.memo || null,
+    displayName: tip.moderation.displayName || null,
+    originalDisplayName: tip.displayName || null,
+    meta: tip.moderation.meta || null,
+    status: tip.moderation.status,
+    reasons: tip.moderation.reasons,
+    heldAt: tip.moderation.reviewedAt
+  };
+}
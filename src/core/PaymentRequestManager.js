@@ -0,0 +1,172 @@
+/**
+ * PaymentRequestManager - Solana Pay links for tipping a streamer
+ * A payment request carries a unique reference key that the wallet adds to
+ * the transfer; the indexer looks it up to tie the tip to the request.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import { KNOWN_TOKENS, tokenSymbol } from '../utils/tokens.js';
+import { createTransferRequestURL } from '../utils/solana-pay.js';
+import { formatTipMemo } from '../utils/tip-memo.js';
+
+const MAX_LABEL_LENGTH = 64;
+const MAX_MESSAGE_LENGTH = 140;
+const MAX_MEMO_LENGTH = 256;
+
+export class PaymentRequestManager {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter
+   * @param {object} options - Configuration options
+   * @param {number} [options.requestTtlMs=900000] - How long a request can be paid (15 minutes)
+   * @param {number} [options.maxPendingRequests=100] - Unexpired, unpaid requests one streamer may have
+   * @param {object} [options.tokens] - Labels for mints not in KNOWN_TOKENS (mint -> { symbol, decimals })
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      requestTtlMs: options.requestTtlMs || 15 * 60 * 1000,
+      maxPendingRequests: options.maxPendingRequests || 100,
+      ...options,
+      tokens: options.tokens || {}
+    };
+  }
+
+  /**
+   * Create a payment request with a fresh reference key
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [params] - Request fields
+   * @param {number|null} [params.amount=null] - Amount in whole units (null: the wallet asks the viewer)
+   * @param {string|null} [params.mint=null] - Accepted SPL mint (null: SOL)
+   * @param {string|object|null} [params.memo=null] - Memo text, or structured memo fields
+   *   ({ message, displayName, replyTo, meta })
+   * @param {string|null} [params.label] - Shown by the wallet as who is paid (default: the streamer id)
+   * @param {string|null} [params.message=null] - Shown by the wallet as what the payment is for
+   * @returns {Promise<{success: boolean, request?: object, error?: string}>} Request with its `url`
+   */
+  async createRequest(streamerId, params = {}) {
+    const resolved = await this.resolveParams(streamerId, params);
+    if (resolved.error) {
+      return { success: false, error: resolved.error };
+    }
+
+    const createdAt = Date.now();
+    const pending = await this.storage.countPendingPaymentRequests(streamerId, createdAt);
+    if (pending >= this.options.maxPendingRequests) {
+      return { success: false, error: 'Too many pending payment requests' };
+    }
+
+    const request = {
+      reference: Keypair.generate().publicKey.toBase58(),
+      ...resolved.fields,
+      status: 'pending',
+      createdAt,
+      expiresAt: createdAt + this.options.requestTtlMs
+    };
+
+    await this.storage.savePaymentRequest(request);
+    console.log(`[Payments] Created request ${request.reference} for ${streamerId}`);
+    return { success: true, request: this.describe(request) };
+  }
+
+  /**
+   * Build a reusable link without a reference (e.g. a QR code shown on stream)
+   * Tips paid through it are detected like any other, but not tied to a request.
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [params] - Same fields as createRequest
+   * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+   */
+  async createUrl(streamerId, params = {}) {
+    const resolved = await this.resolveParams(streamerId, params);
+    if (resolved.error) {
+      return { success: false, error: resolved.error };
+    }
+    return { success: true, url: this.toUrl(resolved.fields) };
+  }
+
+  /**
+   * Get a payment request by reference
+   * @param {string} reference - Reference key
+   * @returns {Promise<object | null>} Request with its `url`; status 'pending', 'paid' or 'expired'
+   */
+  async getRequest(reference) {
+    const request = await this.storage.getPaymentRequest(reference);
+    return request ? this.describe(request) : null;
+  }
+
+  /**
+   * Validate request fields against the streamer's wallet and accepted mints
+   */
+  async resolveParams(streamerId, { amount = null, mint = null, memo = null, label, message = null } = {}) {
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { error: 'Streamer not found' };
+    }
+    if (mint !== null && !(streamer.acceptedMints || []).includes(mint)) {
+      return { error: 'Token is not accepted by this streamer' };
+    }
+
+    const token = mint ? this.options.tokens[mint] || KNOWN_TOKENS[mint] : { symbol: 'SOL', decimals: 9 };
+    const memoText = memo && typeof memo === 'object' ? formatTipMemo(memo) : memo;
+    const error = validateAmount(amount, token)
+      || validateText(label, MAX_LABEL_LENGTH, 'Label')
+      || validateText(message, MAX_MESSAGE_LENGTH, 'Message')
+      || validateText(memoText, MAX_MEMO_LENGTH, 'Memo');
+    if (error) {
+      return { error };
+    }
+
+    return {
+      fields: {
+        streamerId,
+        recipient: streamer.pubkey,
+        amount,
+        mint,
+        symbol: tokenSymbol(mint, this.options.tokens),
+        decimals: token ? token.decimals : null,
+        label: label === undefined ? streamerId : label,
+        message: message || null,
+        memo: memoText || null
+      }
+    };
+  }
+
+  toUrl(fields) {
+    return createTransferRequestURL({
+      recipient: fields.recipient,
+      amount: fields.amount,
+      decimals: fields.decimals ?? 9,
+      splToken: fields.mint,
+      reference: fields.reference,
+      label: fields.label,
+      message: fields.message,
+      memo: fields.memo
+    });
+  }
+
+  // Unpaid requests past their expiry are no longer matched
+  describe(request) {
+    const expired = request.status === 'pending' && request.expiresAt < Date.now();
+    return { ...request, status: expired ? 'expired' : request.status, url: this.toUrl(request) };
+  }
+}
+
+function validateAmount(amount, token) {
+  if (amount === null) return null;
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return 'Amount must be a positive number';
+  }
+  if (!token) {
+    return 'Amounts need the token\'s decimals (configure it in the indexer tokens option)';
+  }
+  if (Number(amount.toFixed(token.decimals)) !== amount) {
+    return `Amount has more than ${token.decimals} decimals`;
+  }
+  return null;
+}
+
+function validateText(value, maxLength, name) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' && value.length <= maxLength
+    ? null
+    : `${name} must be text of at most ${maxLength} characters`;
+}
@@ -5,6 +5,13 @@
 import { StreamerRegistry } from './StreamerRegistry.js';
 import { TipIndexer } from './TipIndexer.js';
 import { WebSocketBroadcaster } from './WebSocketBroadcaster.js';
+import { ClusterCoordinator } from './ClusterCoordinator.js';
+import { WebhookDispatcher } from './WebhookDispatcher.js';
+import { GoalManager } from './GoalManager.js';
+import { LeaderboardManager } from './LeaderboardManager.js';
+import { MemoModerator, applyModeration, moderateExtras } from './MemoModerator.js';
+import { PaymentRequestManager } from './PaymentRequestManager.js';
+import { createRouter } from '../http/router.js';
 
 export class SolanaTipSDK {
   /**
@@ -21,14 +28,187 @@ export class SolanaTipSDK {
     this.options = options;
 
     // Initialize components
-    this.registry = new StreamerRegistry(storage);
+    this.registry = new StreamerRegistry(storage, options.registry || {});
     this.indexer = new TipIndexer(storage, options.indexer || {});
-    this.broadcaster = new WebSocketBroadcaster(options.websocket || {});
+    this.broadcaster = new WebSocketBroadcaster({
+      authenticate: (streamerId, token) => this.registry.verifyOverlayToken(streamerId, token),
+      getAlertTiers: (streamerId) => this.registry.getAlertTiers(streamerId),
+      ...(options.websocket || {})
+    });
+
+    this.webhooks = new WebhookDispatcher(storage, options.webhooks || {});
+    this.goals = new GoalManager(storage, {
+      tokens: this.indexer.options.tokens,
+      ...(options.goals || {})
+    });
+    this.leaderboards = new LeaderboardManager(storage, {
+      tokens: this.indexer.options.tokens,
+      ...(options.leaderboards || {})
+    });
+    this.moderator = new MemoModerator(storage, options.moderation || {});
+    this.payments = new PaymentRequestManager(storage, {
+      tokens: this.indexer.options.tokens,
+      ...(options.payments || {})
+    });
+
+    // Splits indexing between nodes and relays broadcasts to all of them;
+    // without options.coordination this process is a cluster of one
+    this.coordinator = new ClusterCoordinator(options.coordination || {});
+    this.indexer.setOwnershipFilter((streamerId) => this.coordinator.owns(streamerId));
+    this.coordinator.on('rebalance', () => this.indexer.rebalance());
+
+    // Tips are detected by one node but overlays may be connected to any.
+    // Memos are screened first; goals fill up from every live tip, with the memo as screened.
+    // The tip webhook waits for the review too, so it carries replyTo and meta as screened.
+    this.indexer.on('tip', (tipData) => {
+      this.moderator.review(tipData)
+        .catch((error) => {
+          console.error('[SDK] Failed to moderate tip, alerting without its memo, name or meta:', error.message);
+          const unscreened = { memo: undefined, displayName: undefined, replyTo: undefined, meta: undefined };
+          return { action: 'show', tip: { ...tipData, ...unscreened } };
+        })
+        .then(({ action, tip, moderation }) => {
+          if (!tipData.historical) {
+            this.dispatchWebhook('tip', { ...tipData, moderation });
+          }
+          if (action === 'show') {
+            this.broadcastTip(tip.streamerId, tip);
+          }
+          return this.goals.applyTip(tip);
+        })
+        .catch((error) => {
+          console.error('[SDK] Failed to apply tip to goals:', error.message);
+        });
+    });
+
+    // Let overlays and dashboards reflect finality of live tips
+    const forwardStatus = (tipData) => {
+      if (!tipData.historical) {
+        this.publish('tip:status', tipData);
+      }
+    };
+    this.indexer.on('tip:finalized', forwardStatus);
+    this.indexer.on('tip:reverted', forwardStatus);
+
+    // Goals fill up from live tips on the node that detected them (see above)
+    this.indexer.on('tip:reverted', (tipData) => {
+      this.goals.revertTip(tipData).catch((error) => {
+        console.error('[SDK] Failed to revert tip from goals:', error.message);
+      });
+    });
+    for (const type of ['goal:progress', 'goal:reached', 'goal:updated']) {
+      this.goals.on(type, (goal) => this.publish('goal', { type, goal }));
+    }
 
-    // Wire up indexer to broadcaster
+    // Leaderboards are recomputed from storage after live tips and reverts
     this.indexer.on('tip', (tipData) => {
+      if (!tipData.historical) {
+        this.leaderboards.scheduleUpdate(tipData.streamerId, tipData.mint || null);
+      }
+    });
+    this.indexer.on('tip:reverted', (tipData) => {
+      this.leaderboards.scheduleUpdate(tipData.streamerId, tipData.mint || null);
+    });
+    this.leaderboards.on('leaderboard:update', (update) => this.publish('leaderboard', update));
+
+    // A tip sent during a session but indexed after it ended joins its stored summary
+    this.indexer.on('tip', (tipData) => {
+      if (tipData.sessionId) {
+        this.registry.refreshSessionSummary(tipData.sessionId).catch((error) => {
+          console.error('[SDK] Failed to refresh session summary:', error.message);
+        });
+      }
+    });
+
+    // Session start and end screens; a new session also starts a fresh session leaderboard
+    for (const type of ['session:started', 'session:ended']) {
+      this.registry.on(type, (session) => this.publish('session', { type, session }));
+    }
+    this.registry.on('session:started', ({ streamerId }) => {
+      this.registry.getStreamer(streamerId).then((streamer) => {
+        for (const mint of [null, ...((streamer && streamer.acceptedMints) || [])]) {
+          this.leaderboards.scheduleUpdate(streamerId, mint);
+        }
+      }).catch((error) => {
+        console.error('[SDK] Failed to reset session leaderboards:', error.message);
+      });
+    });
+
+    // Held memos go to the streamer's moderation channel; a decision releases the alert
+    this.moderator.on('memo:held', (item) => this.publish('moderation', { type: 'memo:held', item }));
+    for (const type of ['memo:approved', 'memo:rejected']) {
+      this.moderator.on(type, ({ item, tip, alert }) => {
+        this.publish('moderation', { type, item });
+        if (alert) {
+          this.broadcastTip(tip.streamerId, tip);
+        }
+      });
+    }
+    this.indexer.on('tip:reverted', (tipData) => {
+      if (tipData.moderation && tipData.moderation.status === 'held') {
+        this.publish('moderation', {
+          type: 'memo:withdrawn',
+          item: { txHash: tipData.txHash, streamerId: tipData.streamerId }
+        });
+      }
+    });
+
+    // Dashboard alert controls apply on every node (each has its own alert queue)
+    this.registry.on('alerts:paused', ({ streamerId }) => {
+      this.publish('alerts:control', { streamerId, action: 'pause' });
+    });
+    this.registry.on('alerts:resumed', ({ streamerId }) => {
+      this.publish('alerts:control', { streamerId, action: 'resume' });
+    });
+
+    // Only the node that detected a tip queues its webhooks ('tip' is queued after review, above)
+    for (const event of ['tip:finalized', 'tip:reverted']) {
+      this.indexer.on(event, (tipData) => {
+        if (!tipData.historical) {
+          this.dispatchWebhook(event, tipData);
+        }
+      });
+    }
+
+    // Subscribe to new or changed streamers right away (subscription mode)
+    this.registry.on('registered', () => this.publish('streamers:changed', {}));
+    this.registry.on('updated', () => this.publish('streamers:changed', {}));
+
+    // Disconnect overlays whose token was revoked or rotated away
+    this.registry.on('token:revoked', (data) => this.publish('token:revoked', data));
+
+    // Events relayed from any node, including this one
+    this.coordinator.on('event:tip', (tipData) => {
       this.broadcaster.broadcastTip(tipData.streamerId, tipData);
     });
+    this.coordinator.on('event:tip:status', (tipData) => {
+      this.broadcaster.broadcastTipStatus(tipData.streamerId, tipData);
+    });
+    this.coordinator.on('event:goal', ({ type, goal }) => {
+      this.broadcaster.broadcastGoal(goal.streamerId, type, goal);
+    });
+    this.coordinator.on('event:session', ({ type, session }) => {
+      this.broadcaster.broadcastSession(session.streamerId, type, session);
+    });
+    this.coordinator.on('event:moderation', ({ type, item }) => {
+      this.broadcaster.sendToChannel(item.streamerId, 'moderation', { type, payload: item });
+    });
+    this.coordinator.on('event:alerts:control', ({ streamerId, action }) => {
+      if (action === 'pause') {
+        this.broadcaster.pauseAlerts(streamerId);
+      } else if (action === 'resume') {
+        this.broadcaster.resumeAlerts(streamerId);
+      } else if (action === 'skip') {
+        this.broadcaster.skipAlert(streamerId);
+      }
+    });
+    this.coordinator.on('event:leaderboard', (update) => {
+      this.broadcaster.broadcastLeaderboard(update.streamerId, update);
+    });
+    this.coordinator.on('event:streamers:changed', () => this.indexer.syncSubscriptions());
+    this.coordinator.on('event:token:revoked', ({ streamerId, tokenId }) => {
+      this.broadcaster.revokeToken(streamerId, tokenId);
+    });
   }
 
   /**
@@ -40,8 +220,21 @@ export class SolanaTipSDK {
       await this.storage.init();
     }
 
+    // Join the cluster first so the indexer only picks up owned streamers
+    await this.coordinator.start();
+
+    // Alerts paused before a restart stay paused
+    for (const [streamerId, streamer] of await this.storage.getAllStreamers()) {
+      if (streamer.alertsPaused) {
+        this.broadcaster.pauseAlerts(streamerId);
+      }
+    }
+
     // Start indexer
     await this.indexer.start();
+
+    // Resume retries left over from before a restart
+    this.webhooks.start();
     
     console.log('[SDK] Started successfully');
   }
@@ -51,6 +244,9 @@ export class SolanaTipSDK {
    */
   stop() {
     this.indexer.stop();
+    this.webhooks.stop();
+    this.leaderboards.stop();
+    this.coordinator.stop();
     this.broadcaster.close();
     console.log('[SDK] Stopped');
   }
@@ -63,6 +259,84 @@ export class SolanaTipSDK {
     this.broadcaster.init(server);
   }
 
+  /**
+   * Issue a single-use challenge for a streamer
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { action: 'link' | 'manage' }
+   * @returns {Promise<{message: string, nonce: string, expiresAt: number}>}
+   */
+  async createChallenge(streamerId, options = {}) {
+    return await this.registry.createChallenge(streamerId, options);
+  }
+
+  /**
+   * Send a tip alert to overlays on every node
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} tipData - Tip data
+   */
+  broadcastTip(streamerId, tipData) {
+    this.publish('tip', { ...tipData, streamerId });
+  }
+
+  /**
+   * Queue webhooks for a tip event, with replyTo and meta as moderated
+   * @param {string} event - 'tip' | 'tip:finalized' | 'tip:reverted'
+   * @param {object} tipData - Tip data, with its moderation record once reviewed
+   */
+  dispatchWebhook(event, tipData) {
+    this.webhooks.dispatch(event, moderateExtras(tipData)).catch((error) => {
+      console.error(`[SDK] Failed to queue ${event} webhooks:`, error.message);
+    });
+  }
+
+  /**
+   * Show a past tip's alert again, e.g. one missed during a scene change
+   * Memo and display name are shown as moderated; a memo still awaiting approval is left out.
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} txHash - Tip transaction signature
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async replayAlert(streamerId, txHash) {
+    const tip = await this.storage.getTipByTxHash(txHash);
+    if (!tip || tip.streamerId !== streamerId) {
+      return { success: false, error: 'Tip not found' };
+    }
+    if (tip.status === 'reverted') {
+      return { success: false, error: 'Tip was reverted' };
+    }
+
+    this.broadcastTip(streamerId, { ...applyModeration(tip), rerun: true });
+    return { success: true };
+  }
+
+  /**
+   * Cut the alert on screen short, on every node's overlays
+   * @param {string} streamerId - Streamer identifier
+   */
+  skipAlert(streamerId) {
+    this.publish('alerts:control', { streamerId, action: 'skip' });
+  }
+
+  /**
+   * Relay an event to every node through the coordinator
+   */
+  publish(type, data) {
+    this.coordinator.publish(type, data).catch((error) => {
+      console.error(`[SDK] Failed to publish ${type}:`, error.message);
+    });
+  }
+
+  /**
+   * Create an Express router with the SDK's HTTP API
+   * (challenge, register, streamer lookup, tip history, overlay tokens,
+   * Solana Pay links, and the opt-in simulate-tip and RPC proxy routes)
+   * @param {object} options - Router options (see createRouter)
+   * @returns {express.Router}
+   */
+  createRouter(options = {}) {
+    return createRouter(this, options);
+  }
+
   /**
    * Get the streamer registry
    * @returns {StreamerRegistry}
@@ -87,6 +361,54 @@ export class SolanaTipSDK {
     return this.broadcaster;
   }
 
+  /**
+   * Get the goal manager
+   * @returns {GoalManager}
+   */
+  getGoals() {
+    return this.goals;
+  }
+
+  /**
+   * Get the leaderboard manager
+   * @returns {LeaderboardManager}
+   */
+  getLeaderboards() {
+    return this.leaderboards;
+  }
+
+  /**
+   * Get the memo moderator
+   * @returns {MemoModerator}
+   */
+  getModerator() {
+    return this.moderator;
+  }
+
+  /**
+   * Get the Solana Pay payment request manager
+   * @returns {PaymentRequestManager}
+   */
+  getPayments() {
+    return this.payments;
+  }
+
+  /**
+   * Get the webhook dispatcher
+   * @returns {WebhookDispatcher}
+   */
+  getWebhooks() {
+    return this.webhooks;
+  }
+
+  /**
+   * Get the cluster coordinator
+   * @returns {ClusterCoordinator}
+   */
+  getCoordinator() {
+    return this.coordinator;
+  }
+
   /**
    * Register event handlers
    * @param {string} event - Event name
@@ -2,47 +2,380 @@
  * StreamerRegistry - Manages streamer wallet linking and verification
  */
 
-import { verifySignature } from '../utils/crypto.js';
+import { randomUUID } from 'crypto';
+import {
+  verifySignature,
+  generateNonce,
+  generateToken,
+  hashToken,
+  createChallengeMessage,
+  parseChallengeMessage
+} from '../utils/crypto.js';
+import { isValidPublicKey, roundAmount } from '../utils/tokens.js';
+import { normalizeAlertTiers } from '../utils/alert-tiers.js';
+import { applyModeration } from './MemoModerator.js';
+
+const MAX_SESSION_TITLE_LENGTH = 100;
+const TOKEN_SCOPES = ['overlay', 'dashboard'];
+
+// Longer sessions get wider timeline buckets
+const MAX_TIMELINE_BUCKETS = 288;
 
 export class StreamerRegistry {
   /**
    * @param {StorageAdapter} storage - Storage adapter instance
+   * @param {object} options - Configuration options
+   * @param {number} [options.sessionTimelineBucketMs=300000] - Width of a session summary's timeline buckets
    */
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage;
+    this.options = {
+      domain: options.domain || 'localhost',
+      challengeTtlMs: options.challengeTtlMs || 5 * 60 * 1000,
+      sessionTimelineBucketMs: options.sessionTimelineBucketMs || 5 * 60 * 1000,
+      ...options
+    };
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Issue a single-use challenge for a streamer
+   * A 'link' challenge must be signed by the wallet and passed to register();
+   * a 'manage' challenge is signed by the linked wallet and passed to authorize().
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Challenge options
+   * @param {'link'|'manage'} [options.action='link'] - What the signature will allow
+   * @returns {Promise<{message: string, nonce: string, expiresAt: number}>}
+   */
+  async createChallenge(streamerId, { action = 'link' } = {}) {
+    if (!streamerId) {
+      throw new Error('streamerId is required');
+    }
+    if (!['link', 'manage'].includes(action)) {
+      throw new Error(`Unknown challenge action: ${action}`);
+    }
+
+    const issuedAt = Date.now();
+    const challenge = {
+      streamerId,
+      action,
+      domain: this.options.domain,
+      nonce: generateNonce(),
+      issuedAt,
+      expiresAt: issuedAt + this.options.challengeTtlMs
+    };
+    challenge.message = createChallengeMessage(streamerId, challenge);
+
+    await this.storage.saveChallenge(challenge);
+    return {
+      message: challenge.message,
+      nonce: challenge.nonce,
+      expiresAt: challenge.expiresAt
+    };
+  }
+
+  /**
+   * Check that a signed message is an outstanding challenge for this streamer
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} message - Challenge message
+   * @param {'link'|'manage'} [action='link'] - Action the challenge must have been issued for
+   * @returns {Promise<string|null>} Error message, or null if valid
+   */
+  async validateChallenge(streamerId, message, action = 'link') {
+    const parsed = parseChallengeMessage(message);
+    if (!parsed) {
+      return 'Unrecognized challenge message';
+    }
+    if (parsed.action !== action) {
+      return 'Challenge was issued for a different action';
+    }
+
+    const challenge = await this.storage.getChallenge(parsed.nonce);
+    if (!challenge || challenge.message !== message) {
+      return 'Challenge was not issued by this server';
+    }
+    if (challenge.streamerId !== streamerId) {
+      return 'Challenge was issued for a different streamer';
+    }
+    if (challenge.domain !== this.options.domain) {
+      return 'Challenge was issued for a different domain';
+    }
+    if (challenge.used) {
+      return 'Challenge already used';
+    }
+    if (challenge.expiresAt < Date.now()) {
+      return 'Challenge expired';
+    }
+    return null;
   }
 
   /**
    * Register a streamer with signature verification
+   * A streamer id that is already registered can only be re-linked (e.g. to a
+   * new wallet) with an authorization from the wallet currently linked to it.
    * @param {string} streamerId - Unique streamer identifier
    * @param {string} pubkey - Solana public key (base58)
-   * @param {string} message - Challenge message that was signed
+   * @param {string} message - Challenge message from createChallenge() that was signed
    * @param {string} signature - Signature (base58)
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {object} [options] - Registration options
+   * @param {string[]} [options.acceptedMints] - SPL token mints to accept tips in
+   *   (on re-link, omit to keep the current ones)
+   * @param {number} [options.backfill] - Past transactions to import as historical tips
+   *   (overrides the indexer default; 0 starts from now)
+   * @param {{message: string, signature: string}} [options.authorization] - 'manage' challenge
+   *   signed by the currently linked wallet; required to re-link
+   * @returns {Promise<{success: boolean, relinked?: boolean, error?: string}>}
    */
-  async register(streamerId, pubkey, message, signature) {
+  async register(streamerId, pubkey, message, signature, options = {}) {
     // Validate inputs
     if (!streamerId || !pubkey || !message || !signature) {
       return { success: false, error: 'Missing required fields' };
     }
 
+    const { acceptedMints, backfill, authorization } = options;
+    if (acceptedMints !== undefined && !(Array.isArray(acceptedMints) && acceptedMints.every(isValidPublicKey))) {
+      return { success: false, error: 'Invalid token mint' };
+    }
+    if (backfill !== undefined && !(Number.isInteger(backfill) && backfill >= 0)) {
+      return { success: false, error: 'Invalid backfill' };
+    }
+
+    const existing = await this.storage.getStreamer(streamerId);
+    if (existing && !authorization) {
+      return { success: false, error: 'Streamer already registered' };
+    }
+
+    const challengeError = await this.validateChallenge(streamerId, message);
+    if (challengeError) {
+      return { success: false, error: challengeError };
+    }
+
     // Verify signature
     const isValid = verifySignature(message, signature, pubkey);
     if (!isValid) {
       return { success: false, error: 'Invalid signature' };
     }
 
-    // Store mapping
+    // The wallet linked now must agree to the re-link
+    if (existing) {
+      const auth = await this.authorize(streamerId, authorization.message, authorization.signature);
+      if (!auth.success) {
+        return { success: false, error: `Re-link not authorized: ${auth.error}` };
+      }
+    }
+
+    // Consume only after the signature checks out, so a bad request cannot burn it
+    const consumed = await this.storage.consumeChallenge(parseChallengeMessage(message).nonce);
+    if (!consumed) {
+      return { success: false, error: 'Challenge already used' };
+    }
+
+    const settings = {};
+    if (acceptedMints !== undefined) {
+      settings.acceptedMints = [...new Set(acceptedMints)];
+    }
+    if (backfill !== undefined) {
+      settings.backfill = backfill;
+    }
+
     try {
-      await this.storage.registerStreamer(streamerId, pubkey, message);
+      if (existing) {
+        return await this.relink(streamerId, existing, pubkey, message, settings);
+      }
+
+      // Inserts only, so a registration racing this one cannot be overwritten
+      const created = await this.storage.registerStreamer(streamerId, pubkey, message);
+      if (!created) {
+        return { success: false, error: 'Streamer already registered' };
+      }
+      await this.storage.updateStreamer(streamerId, { acceptedMints: [], ...settings });
       console.log(`[Registry] Registered streamer ${streamerId} -> ${pubkey}`);
-      return { success: true };
+      this.emit('registered', { streamerId, pubkey });
+      return { success: true, relinked: false };
     } catch (error) {
       console.error('[Registry] Registration error:', error);
       return { success: false, error: 'Storage error' };
     }
   }
 
+  /**
+   * Point an authorized streamer at a new link, keeping its settings, session and history
+   * Tips to the new wallet count from now on (see linkedAt).
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} existing - Streamer record before the re-link
+   * @param {string} pubkey - Newly linked wallet (base58)
+   * @param {string} message - Signed 'link' challenge
+   * @param {object} settings - acceptedMints/backfill to change, if given
+   * @returns {Promise<{success: boolean, relinked?: boolean, error?: string}>}
+   */
+  async relink(streamerId, existing, pubkey, message, settings) {
+    const updates = { ...settings, pubkey, message, linkedAt: Date.now() };
+    if (settings.acceptedMints) {
+      updates.mintsAddedAt = mintsAddedAt(existing, settings.acceptedMints);
+    }
+
+    const updated = await this.storage.updateStreamer(streamerId, updates);
+    if (!updated) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    // Dashboard tokens handed out by the previous wallet must not outlive it
+    for (const token of await this.storage.getOverlayTokens(streamerId)) {
+      if (tokenScope(token) === 'dashboard') {
+        await this.revokeOverlayToken(streamerId, token.id);
+      }
+    }
+
+    console.log(`[Registry] Re-linked streamer ${streamerId} -> ${pubkey}`);
+    this.emit('updated', { streamerId });
+    return { success: true, relinked: true };
+  }
+
+  /**
+   * Verify that a request comes from a streamer's linked wallet
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} message - 'manage' challenge message from createChallenge()
+   * @param {string} signature - Signature by the linked wallet (base58)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async authorize(streamerId, message, signature) {
+    if (!streamerId || !message || !signature) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+
+    const challengeError = await this.validateChallenge(streamerId, message, 'manage');
+    if (challengeError) {
+      return { success: false, error: challengeError };
+    }
+
+    if (!verifySignature(message, signature, streamer.pubkey)) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    const consumed = await this.storage.consumeChallenge(parseChallengeMessage(message).nonce);
+    if (!consumed) {
+      return { success: false, error: 'Challenge already used' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Issue an overlay token for a streamer
+   * The token is returned once; only its hash is stored. 'overlay' tokens only
+   * subscribe to channels; 'dashboard' tokens also decide held memos and control
+   * alerts, and the HTTP API only accepts them in the Authorization header.
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Token options
+   * @param {string} [options.label] - Name shown when listing tokens (e.g. 'OBS')
+   * @param {string} [options.scope='overlay'] - 'overlay' | 'dashboard'
+   * @returns {Promise<{success: boolean, token?: string, tokenId?: string, error?: string}>}
+   */
+  async createOverlayToken(streamerId, { label = null, scope = 'overlay' } = {}) {
+    if (!TOKEN_SCOPES.includes(scope)) {
+      return { success: false, error: 'Invalid token scope' };
+    }
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+
+    const token = generateToken();
+    const hash = hashToken(token);
+    const record = {
+      id: hash.slice(0, 12),
+      streamerId,
+      hash,
+      label,
+      scope,
+      createdAt: Date.now()
+    };
+
+    await this.storage.saveOverlayToken(record);
+    console.log(`[Registry] Issued ${scope} token ${record.id} for ${streamerId}`);
+    return { success: true, token, tokenId: record.id };
+  }
+
+  /**
+   * Revoke a streamer's tokens of one scope and issue a new one
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Token options (see createOverlayToken)
+   * @returns {Promise<{success: boolean, token?: string, tokenId?: string, error?: string}>}
+   */
+  async rotateOverlayToken(streamerId, options = {}) {
+    const result = await this.createOverlayToken(streamerId, options);
+    if (!result.success) {
+      return result;
+    }
+
+    const scope = options.scope || 'overlay';
+    const tokens = await this.storage.getOverlayTokens(streamerId);
+    for (const token of tokens) {
+      if (token.id !== result.tokenId && tokenScope(token) === scope) {
+        await this.revokeOverlayToken(streamerId, token.id);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Revoke an overlay token, or all of a streamer's tokens
+   * Overlays connected with a revoked token are unsubscribed (see the 'token:revoked' event).
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} [tokenId] - Token to revoke; omit to revoke all
+   * @returns {Promise<{success: boolean, revoked?: number, error?: string}>}
+   */
+  async revokeOverlayToken(streamerId, tokenId) {
+    const ids = tokenId
+      ? [tokenId]
+      : (await this.storage.getOverlayTokens(streamerId)).map(token => token.id);
+
+    let revoked = 0;
+    for (const id of ids) {
+      if (await this.storage.deleteOverlayToken(streamerId, id)) {
+        revoked++;
+        this.emit('token:revoked', { streamerId, tokenId: id });
+      }
+    }
+
+    if (tokenId && revoked === 0) {
+      return { success: false, error: 'Token not found' };
+    }
+    return { success: true, revoked };
+  }
+
+  /**
+   * List a streamer's overlay tokens (without secrets)
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array<{id: string, label: string|null, scope: string, createdAt: number}>>}
+   */
+  async listOverlayTokens(streamerId) {
+    const tokens = await this.storage.getOverlayTokens(streamerId);
+    return tokens.map(token => ({ id: token.id, label: token.label, scope: tokenScope(token), createdAt: token.createdAt }));
+  }
+
+  /**
+   * Check an overlay token
+   * @param {string} streamerId - Streamer the token must belong to
+   * @param {string} token - Token presented by the overlay
+   * @param {object} [options] - Check options
+   * @param {string} [options.scope] - 'dashboard' to accept dashboard tokens only
+   * @returns {Promise<string|null>} Token id if valid, otherwise null
+   */
+  async verifyOverlayToken(streamerId, token, { scope } = {}) {
+    if (!streamerId || typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const hash = hashToken(token);
+    const tokens = await this.storage.getOverlayTokens(streamerId);
+    const match = tokens.find(record => record.hash === hash && (!scope || tokenScope(record) === scope));
+    return match ? match.id : null;
+  }
+
   /**
    * Get streamer info by ID
    * @param {string} streamerId - Streamer identifier
@@ -59,4 +392,350 @@ export class StreamerRegistry {
   async getAllStreamers() {
     return await this.storage.getAllStreamers();
   }
+
+  /**
+   * Set the SPL token mints a streamer accepts tips in
+   * Transfers to a newly accepted mint's token account count as live tips from now on;
+   * earlier ones are only imported as backfill.
+   * @param {string} streamerId - Streamer identifier
+   * @param {string[]} mints - Token mint addresses (base58)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async setAcceptedMints(streamerId, mints) {
+    if (!Array.isArray(mints) || !mints.every(isValidPublicKey)) {
+      return { success: false, error: 'Invalid token mint' };
+    }
+
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+
+    const updated = await this.storage.updateStreamer(streamerId, {
+      acceptedMints: [...new Set(mints)],
+      mintsAddedAt: mintsAddedAt(streamer, mints)
+    });
+    if (!updated) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    this.emit('updated', { streamerId });
+    return { success: true };
+  }
+
+  /**
+   * Choose when a streamer's alerts fire
+   * 'confirmed' alerts immediately; 'finalized' waits for finality (zero rollback risk).
+   * @param {string} streamerId - Streamer identifier
+   * @param {'confirmed'|'finalized'} commitment - Alert commitment level
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async setAlertCommitment(streamerId, commitment) {
+    if (!['confirmed', 'finalized'].includes(commitment)) {
+      return { success: false, error: 'Invalid commitment' };
+    }
+
+    const updated = await this.storage.updateStreamer(streamerId, { alertCommitment: commitment });
+    if (!updated) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    this.emit('updated', { streamerId });
+    return { success: true };
+  }
+
+  /**
+   * Replace a streamer's alert tiers
+   * Each tip alert carries the tier with the highest minAmount it reaches in its currency.
+   * @param {string} streamerId - Streamer identifier
+   * @param {Array<object>} tiers - [{ name, minAmount, mint?, durationMs?, sound?, animation?, tts? }];
+   *   an empty array removes all tiers
+   * @returns {Promise<{success: boolean, tiers?: Array<object>, error?: string}>}
+   */
+  async setAlertTiers(streamerId, tiers) {
+    const { tiers: normalized, error } = normalizeAlertTiers(tiers);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // Tiers only change how alerts look, not what is indexed; no 'updated' event
+    const updated = await this.storage.updateStreamer(streamerId, { alertTiers: normalized });
+    if (!updated) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    return { success: true, tiers: normalized };
+  }
+
+  /**
+   * Get a streamer's alert tiers
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<Array<object>|null>} Tiers (empty if none are set), or null for an unknown streamer
+   */
+  async getAlertTiers(streamerId) {
+    const streamer = await this.storage.getStreamer(streamerId);
+    return streamer ? streamer.alertTiers || [] : null;
+  }
+
+  /**
+   * Pause or resume a streamer's alerts
+   * Stored with the streamer, so a restarted server keeps them paused.
+   * @param {string} streamerId - Streamer identifier
+   * @param {boolean} paused - True to hold alerts in the queue
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async setAlertsPaused(streamerId, paused) {
+    const updated = await this.storage.updateStreamer(streamerId, { alertsPaused: Boolean(paused) });
+    if (!updated) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    this.emit(paused ? 'alerts:paused' : 'alerts:resumed', { streamerId });
+    return { success: true };
+  }
+
+  /**
+   * Go live: start a stream session
+   * Live tips sent while it runs are tagged with its id, by their block time, even
+   * when they are indexed after it ended.
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - Session options
+   * @param {string} [options.title] - e.g. the stream title
+   * @returns {Promise<{success: boolean, session?: object, error?: string}>}
+   */
+  async startSession(streamerId, { title = null } = {}) {
+    if (title !== null && (typeof title !== 'string' || title.length > MAX_SESSION_TITLE_LENGTH)) {
+      return { success: false, error: `Title must be at most ${MAX_SESSION_TITLE_LENGTH} characters` };
+    }
+
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    if (streamer.activeSession) {
+      return { success: false, error: 'A session is already live' };
+    }
+
+    const session = {
+      id: randomUUID(),
+      streamerId,
+      title: title ? title.trim() : null,
+      status: 'live',
+      startedAt: Date.now(),
+      endedAt: null,
+      summary: null
+    };
+    await this.storage.saveSession(session);
+    await this.storage.updateStreamer(streamerId, {
+      activeSession: { id: session.id, startedAt: session.startedAt }
+    });
+
+    console.log(`[Registry] Session ${session.id} started for ${streamerId}`);
+    this.emit('session:started', session);
+    return { success: true, session };
+  }
+
+  /**
+   * End the live session and store its summary
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<{success: boolean, session?: object, error?: string}>}
+   *   The ended session, with its summary
+   */
+  async endSession(streamerId) {
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer) {
+      return { success: false, error: 'Streamer not found' };
+    }
+    if (!streamer.activeSession) {
+      return { success: false, error: 'No session is live' };
+    }
+
+    await this.storage.updateStreamer(streamerId, { activeSession: null });
+    const session = await this.storage.getSession(streamer.activeSession.id);
+    if (!session) {
+      return { success: false, error: 'Session not found' };
+    }
+
+    const endedAt = Date.now();
+    const tips = await this.storage.getSessionTips(session.id);
+    const ended = await this.storage.updateSession(session.id, {
+      status: 'ended',
+      endedAt,
+      summary: summarizeSession({ ...session, endedAt }, tips, this.options.sessionTimelineBucketMs)
+    });
+
+    console.log(`[Registry] Session ${session.id} ended for ${streamerId} (${ended.summary.count} tips)`);
+    this.emit('session:ended', ended);
+    return { success: true, session: ended };
+  }
+
+  /**
+   * Store an ended session's summary again, e.g. after a tip sent during the
+   * session was indexed once it had ended
+   * @param {string} sessionId - Session id
+   * @returns {Promise<object|null>} The session, or null if it does not exist;
+   *   a live session is returned as is
+   */
+  async refreshSessionSummary(sessionId) {
+    const session = await this.storage.getSession(sessionId);
+    if (!session || session.status !== 'ended') {
+      return session;
+    }
+    const tips = await this.storage.getSessionTips(sessionId);
+    return await this.storage.updateSession(sessionId, {
+      summary: summarizeSession(session, tips, this.options.sessionTimelineBucketMs)
+    });
+  }
+
+  /**
+   * Get the live session
+   * @param {string} streamerId - Streamer identifier
+   * @returns {Promise<object|null>} Live session, or null when offline
+   */
+  async getCurrentSession(streamerId) {
+    const streamer = await this.storage.getStreamer(streamerId);
+    if (!streamer || !streamer.activeSession) {
+      return null;
+    }
+    return await this.storage.getSession(streamer.activeSession.id);
+  }
+
+  /**
+   * Get a streamer's sessions, most recent first
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} [options] - { limit, offset }
+   * @returns {Promise<Array>}
+   */
+  async getSessions(streamerId, options = {}) {
+    return await this.storage.getSessions(streamerId, options);
+  }
+
+  /**
+   * Summarize a session from its tips as they are now
+   * Unlike the summary stored when the session ended, this reflects tips
+   * reverted since, and works for the live session too.
+   * @param {string} sessionId - Session id
+   * @returns {Promise<object|null>} Summary, or null if the session does not exist
+   */
+  async getSessionSummary(sessionId) {
+    const session = await this.storage.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    const tips = await this.storage.getSessionTips(sessionId);
+    return summarizeSession(session, tips, this.options.sessionTimelineBucketMs);
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - Event name ('registered', 'updated', 'token:revoked',
+   *   'session:started', 'session:ended')
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Registry] Event handler error:`, error);
+      }
+    });
+  }
+}
+
+// Tokens stored before scopes existed are overlay tokens
+function tokenScope(token) {
+  return token.scope || 'overlay';
+}
+
+/**
+ * When each accepted mint was added, for the indexer to tell live tips from history
+ * Mints accepted at registration have no entry; they count from registeredAt.
+ */
+function mintsAddedAt(streamer, mints) {
+  const previous = streamer.mintsAddedAt || {};
+  const current = streamer.acceptedMints || [];
+  const now = Date.now();
+
+  const addedAt = {};
+  for (const mint of mints) {
+    if (previous[mint]) {
+      addedAt[mint] = previous[mint];
+    } else if (!current.includes(mint)) {
+      addedAt[mint] = now;
+    }
+  }
+  return addedAt;
+}
+
+/**
+ * Totals, top tips and a timeline for one session
+ * Reverted tips are left out. Amounts are per currency, since SOL and token
+ * amounts cannot be added up.
+ */
+function summarizeSession(session, tips, bucketMs) {
+  const endedAt = session.endedAt || Date.now();
+  const durationMs = Math.max(0, endedAt - session.startedAt);
+  const width = Math.max(bucketMs, Math.ceil(durationMs / MAX_TIMELINE_BUCKETS / 60000) * 60000);
+
+  const counted = tips.filter(tip => tip.status !== 'reverted');
+  const byMint = new Map();
+  const timeline = [];
+  const senders = new Set();
+
+  for (const tip of counted) {
+    const mint = tip.mint || null;
+    const at = tip.blockTime ? tip.blockTime * 1000 : tip.recordedAt;
+    senders.add(tip.from);
+
+    const total = byMint.get(mint) || {
+      mint, symbol: tip.symbol, decimals: tip.decimals, amount: 0, count: 0, senders: new Set(), largestTip: null
+    };
+    total.amount += tip.amount;
+    total.count += 1;
+    total.senders.add(tip.from);
+    if (!total.largestTip || tip.amount > total.largestTip.amount) {
+      // Memo and display name as moderated, if they were (no memo while held or once rejected)
+      const { memo, displayName } = applyModeration(tip);
+      total.largestTip = { from: tip.from, displayName, amount: tip.amount, txHash: tip.txHash, memo, at };
+    }
+    byMint.set(mint, total);
+
+    const index = Math.max(0, Math.floor((at - session.startedAt) / width));
+    timeline[index] ||= { start: session.startedAt + index * width, count: 0, amounts: {} };
+    timeline[index].count += 1;
+    timeline[index].amounts[total.symbol] = roundAmount((timeline[index].amounts[total.symbol] || 0) + tip.amount, tip.decimals);
+  }
+
+  const bucketCount = Math.max(timeline.length, Math.ceil(durationMs / width));
+  for (let i = 0; i < bucketCount; i++) {
+    timeline[i] ||= { start: session.startedAt + i * width, count: 0, amounts: {} };
+  }
+
+  return {
+    sessionId: session.id,
+    streamerId: session.streamerId,
+    title: session.title,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    durationMs,
+    count: counted.length,
+    tippers: senders.size,
+    totals: Array.from(byMint.values())
+      .sort((a, b) => b.count - a.count)
+      .map(({ senders: totalSenders, decimals, ...total }) => ({
+        ...total,
+        amount: roundAmount(total.amount, decimals),
+        tippers: totalSenders.size
+      })),
+    bucketMs: width,
+    timeline
+  };
 }
@@ -1,9 +1,19 @@
 /**
- * TipIndexer - Polls Solana for incoming tips and emits events
+ * TipIndexer - Watches Solana for incoming tips and emits events
+ * Runs either as a polling loop or on RPC WebSocket log subscriptions.
  */
 
 import { Connection, PublicKey, clusterApiUrl } from '@solana/web3.js';
-import { parseTipTransaction, extractMemo } from '../utils/transaction-parser.js';
+import { parseTipTransfers, extractMemo, findReferenceKeys } from '../utils/transaction-parser.js';
+import {
+  getAssociatedTokenAddress,
+  tokenSymbol,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} from '../utils/tokens.js';
+import { parseTipMemo } from '../utils/tip-memo.js';
+
+const SESSION_PAGE_SIZE = 20;
 
 export class TipIndexer {
   /**
@@ -18,41 +28,99 @@ export class TipIndexer {
       pollInterval: options.pollInterval || 2500,
       commitment: options.commitment || 'confirmed',
       signatureLimit: options.signatureLimit || 20,
-      ...options
+      maxSignaturePages: options.maxSignaturePages || 10, // per address per check; the rest waits for the next
+      backfill: options.backfill || 0, // past transactions to import for new streamers
+      mode: options.mode || 'poll', // 'poll' | 'subscribe'
+      wsUrl: options.wsUrl || null,
+      subscriptionSyncInterval: options.subscriptionSyncInterval || 30000,
+      subscriptionTimeoutMs: options.subscriptionTimeoutMs || 30000,
+      finalityCheckInterval: options.finalityCheckInterval || 5000,
+      finalityTimeoutMs: options.finalityTimeoutMs || 120000, // unseen this long => reverted
+      memoSelect: options.memoSelect || 'first', // several memos: 'first' | 'last' | 'all' (joined)
+      ...options,
+      tokens: options.tokens || {} // mint -> { symbol, decimals, programId? }
     };
 
     this.connection = null;
     this.polling = false;
     this.pollTimer = null;
     this.eventHandlers = new Map();
+
+    // Subscription mode state
+    this.subscribed = false;
+    this.fallbackPolling = false;
+    this.logSubscriptions = new Map(); // address -> { id, streamerId }
+    this.slotSubscriptionId = null;
+    this.lastHeartbeat = 0;
+    this.healthTimer = null;
+    this.syncTimer = null;
+    this.addressQueues = new Map(); // address -> Promise (serializes checks per address)
+
+    // Finality tracking state
+    this.finalityTimer = null;
+    this.checkingFinality = false;
+
+    // Set when several nodes share the work (see ClusterCoordinator)
+    this.ownershipFilter = null;
+
+    // mint -> token program that owns it (a mint never changes programs)
+    this.tokenPrograms = new Map();
   }
 
   /**
-   * Initialize connection and start polling
+   * Initialize connection and start polling or subscriptions
    */
   async start() {
     // Setup Solana connection
     const endpoint = this.options.rpcUrl || clusterApiUrl(this.options.cluster);
-    this.connection = new Connection(endpoint, this.options.commitment);
+    this.connection = new Connection(endpoint, {
+      commitment: this.options.commitment,
+      wsEndpoint: this.options.wsUrl || undefined
+    });
     
     console.log(`[Indexer] Connected to Solana ${this.options.cluster}`);
     console.log(`[Indexer] RPC: ${endpoint}`);
 
+    // Tips detected below finalized commitment are revisited until they settle
+    if (this.options.commitment !== 'finalized') {
+      this.finalityTimer = setInterval(
+        () => this.checkFinality(),
+        this.options.finalityCheckInterval
+      );
+    }
+
+    if (this.options.mode === 'subscribe') {
+      await this.startSubscriptions();
+      return;
+    }
+
     // Start polling loop
     this.polling = true;
     this.poll();
   }
 
   /**
-   * Stop polling
+   * Stop polling and subscriptions
    */
   stop() {
+    this.stopPolling();
+    this.stopSubscriptions();
+    if (this.finalityTimer) {
+      clearInterval(this.finalityTimer);
+      this.finalityTimer = null;
+    }
+    console.log('[Indexer] Stopped');
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stopPolling() {
     this.polling = false;
     if (this.pollTimer) {
       clearTimeout(this.pollTimer);
       this.pollTimer = null;
     }
-    console.log('[Indexer] Stopped');
   }
 
   /**
@@ -61,110 +129,762 @@ export class TipIndexer {
   async poll() {
     if (!this.polling) return;
 
+    await this.pollOnce();
+
+    // Schedule next poll (stop() may have been called while polling)
+    if (!this.polling) return;
+    this.pollTimer = setTimeout(() => this.poll(), this.options.pollInterval);
+  }
+
+  /**
+   * Check every registered streamer once
+   */
+  async pollOnce() {
     try {
       const streamers = await this.storage.getAllStreamers();
       
       for (const [streamerId, streamerData] of streamers) {
+        if (!this.owns(streamerId)) continue;
         await this.checkStreamerTips(streamerId, streamerData);
       }
     } catch (error) {
       console.error('[Indexer] Poll error:', error);
     }
+  }
 
-    // Schedule next poll
-    this.pollTimer = setTimeout(() => this.poll(), this.options.pollInterval);
+  /**
+   * Start subscription mode: catch up, subscribe to every watched address,
+   * and watch slot notifications as a heartbeat for the RPC socket
+   */
+  async startSubscriptions() {
+    this.subscribed = true;
+
+    // Subscribe first, then pick up anything that landed while we were offline
+    await this.syncSubscriptions();
+    await this.pollOnce();
+
+    this.lastHeartbeat = Date.now();
+    this.slotSubscriptionId = this.connection.onSlotChange(() => this.handleHeartbeat());
+
+    this.healthTimer = setInterval(
+      () => this.checkSubscriptionHealth(),
+      Math.max(1000, this.options.subscriptionTimeoutMs / 2)
+    );
+
+    // Streamers registered on other instances sharing the same storage
+    this.syncTimer = setInterval(
+      () => this.syncSubscriptions(),
+      this.options.subscriptionSyncInterval
+    );
+
+    console.log(`[Indexer] Subscribed to ${this.logSubscriptions.size} addresses`);
+  }
+
+  /**
+   * Remove all subscriptions and timers
+   */
+  stopSubscriptions() {
+    this.subscribed = false;
+    this.fallbackPolling = false;
+
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    if (this.slotSubscriptionId !== null) {
+      this.connection.removeSlotChangeListener(this.slotSubscriptionId).catch(() => {});
+      this.slotSubscriptionId = null;
+    }
+    for (const { id } of this.logSubscriptions.values()) {
+      this.connection.removeOnLogsListener(id).catch(() => {});
+    }
+    this.logSubscriptions.clear();
+  }
+
+  /**
+   * Bring log subscriptions in line with the registered streamers
+   * Called after registrations and periodically; no-op in polling mode.
+   */
+  async syncSubscriptions() {
+    if (!this.subscribed) return;
+
+    try {
+      const streamers = await this.storage.getAllStreamers();
+      const wanted = new Map(); // address -> streamerId
+      for (const [streamerId, streamerData] of streamers) {
+        if (!this.owns(streamerId)) continue;
+        for (const address of await this.getWatchedAddresses(streamerId, streamerData)) {
+          wanted.set(address, streamerId);
+        }
+      }
+
+      for (const [address, subscription] of this.logSubscriptions) {
+        if (wanted.get(address) !== subscription.streamerId) {
+          this.connection.removeOnLogsListener(subscription.id).catch(() => {});
+          this.logSubscriptions.delete(address);
+        }
+      }
+
+      for (const [address, streamerId] of wanted) {
+        if (this.logSubscriptions.has(address)) continue;
+
+        const id = this.connection.onLogs(
+          new PublicKey(address),
+          (logs) => this.handleLogs(streamerId, address, logs),
+          this.options.commitment
+        );
+        this.logSubscriptions.set(address, { id, streamerId });
+        console.log(`[Indexer] Subscribed to ${address} for ${streamerId}`);
+      }
+    } catch (error) {
+      console.error('[Indexer] Subscription sync error:', error);
+    }
+  }
+
+  /**
+   * Log notification for a watched address
+   * Runs a cursor-based check so ordering and gaps are handled like a poll.
+   */
+  async handleLogs(streamerId, address, logs) {
+    if (logs.err || !this.owns(streamerId)) return;
+
+    try {
+      const streamerData = await this.storage.getStreamer(streamerId);
+      if (!streamerData) return;
+      await this.checkAddress(streamerId, streamerData, address);
+    } catch (error) {
+      console.error(`[Indexer] Error handling logs for ${streamerId}:`, error.message);
+    }
+  }
+
+  /**
+   * Slot notification received; restores subscriptions after an outage
+   */
+  handleHeartbeat() {
+    this.lastHeartbeat = Date.now();
+
+    if (this.fallbackPolling) {
+      console.log('[Indexer] Subscription socket restored, leaving polling fallback');
+      this.fallbackPolling = false;
+      this.stopPolling();
+      this.syncSubscriptions().then(() => this.pollOnce());
+    }
+  }
+
+  /**
+   * Fall back to polling when no slot notification arrived in time
+   */
+  checkSubscriptionHealth() {
+    if (this.fallbackPolling) return;
+
+    if (Date.now() - this.lastHeartbeat > this.options.subscriptionTimeoutMs) {
+      console.warn('[Indexer] Subscription socket lost, falling back to polling');
+      this.fallbackPolling = true;
+      this.polling = true;
+      this.poll();
+    }
+  }
+
+  /**
+   * Addresses watched for a streamer: the wallet itself plus the associated
+   * token account of every accepted mint, since SPL transfers only reference
+   * the token account, not the owner wallet.
+   * A mint whose token program cannot be looked up is skipped until the next check.
+   * @returns {Promise<string[]>}
+   */
+  async getWatchedAddresses(streamerId, streamerData) {
+    const { pubkey, acceptedMints = [] } = streamerData;
+
+    const addresses = [pubkey];
+    for (const mint of acceptedMints) {
+      try {
+        const tokenProgram = await this.getTokenProgram(mint);
+        addresses.push(getAssociatedTokenAddress(pubkey, mint, tokenProgram));
+      } catch (error) {
+        console.warn(`[Indexer] Cannot watch mint ${mint} for ${streamerId}:`, error.message);
+      }
+    }
+    return addresses;
+  }
+
+  /**
+   * Token program that owns a mint (SPL Token or Token-2022)
+   * Taken from the `tokens` option when it has a programId, otherwise from the mint account.
+   * @param {string} mint - Token mint (base58)
+   * @returns {Promise<string>} Program id (base58)
+   */
+  async getTokenProgram(mint) {
+    const configured = this.options.tokens[mint] && this.options.tokens[mint].programId;
+    if (configured) {
+      return configured;
+    }
+    if (this.tokenPrograms.has(mint)) {
+      return this.tokenPrograms.get(mint);
+    }
+
+    const account = await this.connection.getAccountInfo(new PublicKey(mint));
+    if (!account) {
+      throw new Error('Mint account not found');
+    }
+    const owner = account.owner.toBase58();
+    if (owner !== TOKEN_PROGRAM_ID && owner !== TOKEN_2022_PROGRAM_ID) {
+      throw new Error(`Not a token mint (owned by ${owner})`);
+    }
+
+    this.tokenPrograms.set(mint, owner);
+    return owner;
   }
 
   /**
    * Check for tips for a specific streamer
    */
   async checkStreamerTips(streamerId, streamerData) {
-    const { pubkey } = streamerData;
-    
-    try {
-      const lastSeen = await this.storage.getLastSeen(pubkey);
-      
-      // Get recent signatures
-      const options = { limit: this.options.signatureLimit };
-      if (lastSeen) {
-        options.until = lastSeen;
+    for (const address of await this.getWatchedAddresses(streamerId, streamerData)) {
+      try {
+        await this.checkAddress(streamerId, streamerData, address);
+      } catch (error) {
+        console.error(`[Indexer] Error checking tips for ${streamerId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Process new signatures for one address watched on behalf of a streamer
+   * Checks of the same address never overlap, so the cursor stays consistent
+   * when a poll and a log notification race.
+   */
+  checkAddress(streamerId, streamerData, address) {
+    const previous = this.addressQueues.get(address) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      // Another instance sharing the storage may be checking it already; it will advance the cursor
+      .then(() => this.storage.withLock(`address:${address}`, () =>
+        this.fetchAddressTips(streamerId, streamerData, address)
+      ));
+
+    this.addressQueues.set(address, next);
+    next.finally(() => {
+      if (this.addressQueues.get(address) === next) {
+        this.addressQueues.delete(address);
       }
+    }).catch(() => {});
+
+    return next;
+  }
 
-      // Convert pubkey string to PublicKey object
-      const publicKey = new PublicKey(pubkey);
+  /**
+   * Fetch and process signatures newer than the stored cursor
+   * A check reads at most `maxSignaturePages` pages. When more arrived since the
+   * cursor, the newest pages are processed and the rest is left as a backlog, read
+   * from its `before` cursor on the following checks.
+   */
+  async fetchAddressTips(streamerId, streamerData, address) {
+    const lastSeen = await this.storage.getLastSeen(address);
+    const liveSince = await this.getWatchedSince(streamerData, address);
+    const backlog = await this.getBacklog(address);
 
-      const signatures = await this.connection.getSignaturesForAddress(
-        publicKey,
-        options
-      );
+    const scan = await this.fetchSignatures(address, {
+      until: lastSeen,
+      liveSince,
+      backfill: streamerData.backfill ?? this.options.backfill
+    });
+
+    // Nothing to process yet: anchor the cursor so older history is never picked up
+    if (!lastSeen && scan.signatures.length === 0 && scan.newest) {
+      await this.storage.updateLastSeen(address, scan.newest);
+      return;
+    }
+
+    // Saved before the cursor moves past it
+    if (scan.before) {
+      console.warn(`[Indexer] More than ${this.options.maxSignaturePages} pages of signatures for ${address}; reading the rest on later checks`);
+      backlog.push({ before: scan.before, until: lastSeen, backfill: scan.backfill });
+      await this.saveBacklog(address, backlog);
+    }
+
+    if (!(await this.processSignatures(streamerId, streamerData, address, scan.signatures, { cursor: true }))) {
+      return;
+    }
+
+    // Then one chunk of the most recent backlog
+    const gap = backlog.pop();
+    if (!gap) return;
 
-      // Process in oldest-first order
-      const newSignatures = signatures.reverse();
+    const chunk = await this.fetchSignatures(address, { ...gap, liveSince });
+    if (await this.processSignatures(streamerId, streamerData, address, chunk.signatures, { cursor: false })) {
+      if (chunk.before) {
+        backlog.push({ ...gap, before: chunk.before, backfill: chunk.backfill });
+      }
+      await this.saveBacklog(address, backlog);
+    }
+  }
+
+  /**
+   * Process signatures oldest first, stopping at the first transaction the RPC node has no data for
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} streamerData - Streamer record
+   * @param {string} address - Watched address
+   * @param {object[]} signatures - Signature infos, newest first
+   * @param {object} options - { cursor: advance the address cursor past each processed signature }
+   * @returns {Promise<boolean>} False if processing stopped early
+   */
+  async processSignatures(streamerId, streamerData, address, signatures, { cursor }) {
+    for (const sigInfo of [...signatures].reverse()) {
+      const { signature } = sigInfo;
 
-      for (const sigInfo of newSignatures) {
-        const { signature } = sigInfo;
-        
-        // Skip if already seen
-        if (signature === lastSeen) continue;
+      // Failed transactions cannot carry a tip
+      if (!sigInfo.err) {
+        const processed = await this.processTransaction(
+          streamerId,
+          streamerData.pubkey,
+          signature,
+          streamerData.acceptedMints,
+          {
+            historical: Boolean(sigInfo.historical),
+            alertCommitment: streamerData.alertCommitment
+          }
+        );
 
-        await this.processTransaction(streamerId, pubkey, signature);
-        
-        // Update last seen
-        await this.storage.updateLastSeen(pubkey, signature);
+        // Leave the cursor before it so the next check tries again
+        if (!processed) {
+          console.warn(`[Indexer] No transaction data for ${signature} yet, retrying on the next check`);
+          return false;
+        }
       }
 
-    } catch (error) {
-      console.error(`[Indexer] Error checking tips for ${streamerId}:`, error.message);
+      // Update last seen
+      if (cursor) {
+        await this.storage.updateLastSeen(address, signature);
+      }
     }
+    return true;
+  }
+
+  /**
+   * Page back through an address's signatures, newest first
+   * Stops at `until`, at the first signature from before `liveSince` once `backfill`
+   * of them were taken (those are marked historical), or after `maxSignaturePages` pages.
+   * @param {string} address - Watched address
+   * @param {object} range - { until?, before?, liveSince, backfill? }
+   * @returns {Promise<{signatures: object[], newest: string|null, before: string|null, backfill: number}>}
+   *   `before` is set when the page cap cut the walk short, with the backfill left
+   */
+  async fetchSignatures(address, { until = null, before, liveSince, backfill = 0 }) {
+    const publicKey = new PublicKey(address);
+    const limit = this.options.signatureLimit;
+    const liveSinceSeconds = Math.floor(liveSince / 1000);
+    const signatures = [];
+    let newest = null;
+    let remaining = backfill;
+
+    for (let pages = 0; pages < this.options.maxSignaturePages; pages++) {
+      const page = await this.connection.getSignaturesForAddress(publicKey, {
+        limit,
+        before,
+        ...(until ? { until } : {})
+      });
+      newest ||= page.length > 0 ? page[0].signature : null;
+
+      for (const sigInfo of page) {
+        if (sigInfo.signature === until) {
+          return { signatures, newest, before: null, backfill: remaining };
+        }
+        // Without a block time, only a signature newer than a cursor is taken to be live
+        const historical = sigInfo.blockTime ? sigInfo.blockTime < liveSinceSeconds : !until;
+        if (historical && remaining-- <= 0) {
+          return { signatures, newest, before: null, backfill: 0 };
+        }
+        signatures.push({ ...sigInfo, historical });
+      }
+
+      if (page.length < limit) {
+        return { signatures, newest, before: null, backfill: remaining };
+      }
+      before = page[page.length - 1].signature;
+    }
+
+    return { signatures, newest, before, backfill: remaining };
+  }
+
+  /**
+   * Ranges of signatures a check left unread, kept next to the address cursors
+   * (under `<address>:backlog`) so they survive restarts and move with the address
+   * @param {string} address - Watched address
+   * @returns {Promise<object[]>} [{ before, until, backfill }], oldest first
+   */
+  async getBacklog(address) {
+    const stored = await this.storage.getLastSeen(`${address}:backlog`);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  async saveBacklog(address, backlog) {
+    await this.storage.updateLastSeen(`${address}:backlog`, JSON.stringify(backlog));
+  }
+
+  /**
+   * When an address started being watched: registration (or the latest re-link)
+   * for the wallet, or when its mint was accepted for a token account added later
+   * @param {object} streamerData - Streamer record
+   * @param {string} address - Watched address
+   * @returns {Promise<number>} Time in ms
+   */
+  async getWatchedSince(streamerData, address) {
+    const { pubkey, registeredAt, linkedAt, mintsAddedAt = {} } = streamerData;
+    const since = linkedAt || registeredAt || Date.now();
+    if (address === pubkey) {
+      return since;
+    }
+
+    for (const [mint, addedAt] of Object.entries(mintsAddedAt)) {
+      const tokenProgram = await this.getTokenProgram(mint);
+      if (getAssociatedTokenAddress(pubkey, mint, tokenProgram) === address) {
+        return Math.max(since, addedAt);
+      }
+    }
+    return since;
   }
 
   /**
    * Process a single transaction
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} streamerPubkey - Streamer wallet
+   * @param {string} signature - Transaction signature
+   * @param {string[]} [acceptedMints] - SPL mints the streamer accepts
+   * @param {object} [options] - Processing options
+   * @param {boolean} [options.historical] - Backfilled tip; recorded but not alerted
+   * @param {string} [options.alertCommitment] - 'finalized' to hold the alert until finality
+   * @returns {Promise<boolean>} False if the RPC node has no data for the transaction yet;
+   *   RPC and storage errors are thrown
    */
-  async processTransaction(streamerId, streamerPubkey, signature) {
+  async processTransaction(streamerId, streamerPubkey, signature, acceptedMints = [], options = {}) {
+    const { historical = false, alertCommitment = 'confirmed' } = options;
+
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: this.options.commitment,
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx || !tx.meta) {
+      return false;
+    }
+
+    // One tip per transfer to the streamer (SOL or accepted SPL tokens)
+    const transfers = parseTipTransfers(tx, streamerPubkey, acceptedMints);
+    if (transfers.length === 0) {
+      return true;
+    }
+
+    // Structured memos carry a display name and metadata along with the message
+    const { message, displayName, replyTo, meta } = parseTipMemo(
+      extractMemo(tx, { select: this.options.memoSelect })
+    );
+    const sessionId = historical ? null : await this.getSessionId(streamerId, tx.blockTime);
+    const references = await this.matchPaymentRequests(tx, streamerId, signature, transfers);
+
+    for (const tipInfo of transfers) {
+      const txHash = tipKey(signature, tipInfo.transferIndex);
+      const tipData = {
+        streamerId,
+        streamerPubkey,
+        from: tipInfo.from,
+        ...this.describeAmount(tipInfo),
+        txHash,
+        signature,
+        transferIndex: tipInfo.transferIndex,
+        slot: tipInfo.slot,
+        blockTime: tipInfo.blockTime,
+        memo: message || undefined,
+        displayName: displayName || undefined,
+        replyTo: replyTo || undefined,
+        meta: meta || undefined,
+        sessionId: sessionId || undefined,
+        reference: references.get(tipInfo.transferIndex),
+        status: this.options.commitment === 'finalized' ? 'finalized' : 'confirmed'
+      };
+      if (historical) {
+        tipData.historical = true;
+      }
+
+      await this.recordTip(tipData, alertCommitment);
+    }
+    return true;
+  }
+
+  /**
+   * Tie transfers to the Solana Pay requests whose reference keys the transaction carries
+   * A request is paid by the first transfer in its currency of at least its amount (if it
+   * has one), sent before the request expired; each request is paid once. A request
+   * paid short stays pending. Nothing is written here: recordTip marks a request paid
+   * once the tip paying it is stored.
+   * @param {object} tx - Transaction from getTransaction()
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} signature - Transaction signature
+   * @param {object[]} transfers - Transfers from parseTipTransfers
+   * @returns {Promise<Map<number, string>>} transferIndex -> reference
+   */
+  async matchPaymentRequests(tx, streamerId, signature, transfers) {
+    const matches = new Map();
+    const sentAt = tx.blockTime ? tx.blockTime * 1000 : Date.now();
+
     try {
-      const tx = await this.connection.getTransaction(signature, {
-        commitment: this.options.commitment,
-        maxSupportedTransactionVersion: 0
-      });
+      for (const reference of findReferenceKeys(tx)) {
+        const request = await this.storage.getPaymentRequest(reference);
+        if (!request || request.streamerId !== streamerId || request.status !== 'pending' || request.expiresAt < sentAt) {
+          continue;
+        }
+
+        const transfer = transfers.find(candidate =>
+          (candidate.mint || null) === request.mint && !matches.has(candidate.transferIndex)
+            && (!request.amount || paidAmount(candidate) >= request.amount)
+        );
+        if (!transfer) {
+          console.warn(`[Indexer] Tip ${signature} carries payment request ${reference} but does not pay it`);
+          continue;
+        }
+
+        matches.set(transfer.transferIndex, reference);
+      }
+    } catch (error) {
+      // The tips are still recorded, just not tied to their requests
+      console.error(`[Indexer] Failed to match payment requests for ${signature}:`, error.message);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Persist a detected tip, then emit it unless it is a backfill or awaits finality
+   * @param {object} tipData - Tip payload
+   * @param {string} alertCommitment - The streamer's alert commitment
+   */
+  async recordTip(tipData, alertCommitment) {
+    // Persist before broadcasting; the ledger also deduplicates by txHash
+    const saved = await this.storage.saveTip(tipData);
+
+    // Only a stored tip pays its request, so a failed save leaves it pending for the
+    // retry; a redelivered tip completes a request left pending by a crash after the save
+    if (tipData.reference) {
+      await this.completePaymentRequest(tipData);
+    }
+
+    if (!saved) {
+      console.log(`[Indexer] Skipping already recorded tip ${tipData.txHash}`);
+      return;
+    }
+
+    if (tipData.historical) {
+      console.log(`[Indexer] Backfilled tip: ${tipData.amount} ${tipData.symbol} to ${tipData.streamerId}`);
+      this.emit('tip:historical', tipData);
+      return;
+    }
+
+    if (alertCommitment === 'finalized' && tipData.status !== 'finalized') {
+      console.log(`[Indexer] Tip ${tipData.txHash} to ${tipData.streamerId} held until finalized`);
+      return;
+    }
+
+    console.log(`[Indexer] 🎉 Tip detected: ${tipData.amount} ${tipData.symbol} to ${tipData.streamerId}`);
+    
+    // Emit event
+    this.emit('tip', tipData);
+  }
 
-      if (!tx || !tx.meta) {
-        console.warn(`[Indexer] No transaction data for ${signature}`);
+  /**
+   * Mark a saved tip's payment request paid
+   * If another transaction paid the request first, the tip's reference is dropped.
+   * @param {object} tipData - Saved tip payload with its `reference`
+   */
+  async completePaymentRequest(tipData) {
+    const { reference, txHash } = tipData;
+    try {
+      const paid = await this.storage.completePaymentRequest(reference, {
+        txHash,
+        from: tipData.from,
+        paidAmount: tipData.amount,
+        paidAt: tipData.blockTime ? tipData.blockTime * 1000 : Date.now()
+      });
+      if (paid) {
+        console.log(`[Indexer] Tip ${txHash} paid payment request ${reference}`);
         return;
       }
 
-      // Parse for tip
-      const tipInfo = parseTipTransaction(tx, streamerPubkey);
-      
-      if (tipInfo) {
-        const memo = extractMemo(tx);
-        
-        const tipData = {
-          streamerId,
-          streamerPubkey,
-          from: tipInfo.from,
-          amountLamports: tipInfo.amountLamports,
-          amountSol: tipInfo.amountSol,
-          txHash: signature,
-          slot: tipInfo.slot,
-          blockTime: tipInfo.blockTime,
-          memo: memo || undefined
-        };
-
-        console.log(`[Indexer] 🎉 Tip detected: ${tipInfo.amountSol} SOL to ${streamerId}`);
-        
-        // Emit event
-        this.emit('tip', tipData);
+      const request = await this.storage.getPaymentRequest(reference);
+      if (!request || request.txHash !== txHash) {
+        console.warn(`[Indexer] Payment request ${reference} was already paid; not tying it to ${txHash}`);
+        delete tipData.reference;
+        await this.storage.updateTip(txHash, { reference: undefined });
       }
+    } catch (error) {
+      // The tip is still recorded, just not tied to its request
+      console.error(`[Indexer] Failed to complete payment request ${reference}:`, error.message);
+    }
+  }
+
+  /**
+   * The streamer's session the tip was sent during, live or ended
+   * Tips indexed late (after a restart or an RPC outage) still land in their session.
+   * @param {string} streamerId - Streamer identifier
+   * @param {number|null} blockTime - Tip block time (seconds); unknown means now
+   * @returns {Promise<string|null>} Session id
+   */
+  async getSessionId(streamerId, blockTime) {
+    const sentAt = blockTime ? blockTime * 1000 : Date.now();
+
+    // Sessions come most recent first: the first one started by then is the only candidate
+    for (let offset = 0; ; offset += SESSION_PAGE_SIZE) {
+      const sessions = await this.storage.getSessions(streamerId, { limit: SESSION_PAGE_SIZE, offset });
+      // Block times are whole seconds; only a tip from an earlier second is before the start,
+      // and one from the second the session ended still counts
+      const session = sessions.find(candidate => sentAt + 1000 > candidate.startedAt);
+      if (session) {
+        return !session.endedAt || sentAt <= session.endedAt ? session.id : null;
+      }
+      if (sessions.length < SESSION_PAGE_SIZE) {
+        return null;
+      }
+    }
+  }
 
+  /**
+   * Build the amount/currency fields of a tip payload
+   * @param {object} tipInfo - One transfer from parseTipTransfers
+   * @returns {object}
+   */
+  describeAmount(tipInfo) {
+    if (!tipInfo.mint) {
+      return {
+        mint: null,
+        symbol: 'SOL',
+        decimals: 9,
+        amount: tipInfo.amountSol,
+        amountLamports: tipInfo.amountLamports,
+        amountSol: tipInfo.amountSol
+      };
+    }
+
+    return {
+      mint: tipInfo.mint,
+      symbol: tokenSymbol(tipInfo.mint, this.options.tokens),
+      decimals: tipInfo.decimals,
+      amount: tipInfo.amount,
+      amountRaw: tipInfo.amountRaw
+    };
+  }
+
+  /**
+   * Revisit tips detected at 'confirmed' until they are finalized or dropped
+   * Emits 'tip:finalized' or 'tip:reverted', and releases alerts held for
+   * streamers that only alert on finalized tips.
+   */
+  async checkFinality() {
+    if (this.checkingFinality) return;
+    this.checkingFinality = true;
+
+    const check = async () => {
+      const pending = (await this.storage.getUnfinalizedTips())
+        .filter(tip => this.owns(tip.streamerId));
+
+      // getSignatureStatuses accepts at most 256 signatures per call
+      for (let i = 0; i < pending.length; i += 256) {
+        const batch = pending.slice(i, i + 256);
+        const { value: statuses } = await this.connection.getSignatureStatuses(
+          // Tips recorded before per-transfer parsing have no signature field
+          batch.map(tip => tip.signature || tip.txHash),
+          { searchTransactionHistory: true }
+        );
+
+        for (let j = 0; j < batch.length; j++) {
+          await this.resolveFinality(batch[j], statuses[j]);
+        }
+      }
+    };
+
+    try {
+      if (this.ownershipFilter) {
+        // Sharded nodes only touch the tips of streamers they own
+        await check();
+      } else {
+        // One instance at a time, so finalized/reverted events are not emitted twice
+        await this.storage.withLock('finality', check);
+      }
     } catch (error) {
-      console.error(`[Indexer] Error processing tx ${signature}:`, error.message);
+      console.error('[Indexer] Finality check error:', error.message);
+    } finally {
+      this.checkingFinality = false;
+    }
+  }
+
+  /**
+   * Apply one signature status to a pending tip
+   */
+  async resolveFinality(tip, status) {
+    const expired = Date.now() - (tip.recordedAt || 0) > this.options.finalityTimeoutMs;
+
+    if ((!status && expired) || (status && status.err)) {
+      const reverted = await this.storage.updateTip(tip.txHash, {
+        status: 'reverted',
+        revertedAt: Date.now()
+      });
+      console.warn(`[Indexer] Tip ${tip.txHash} to ${tip.streamerId} was reverted`);
+      this.emit('tip:reverted', reverted || { ...tip, status: 'reverted' });
+      return;
+    }
+
+    if (!status || status.confirmationStatus !== 'finalized') return;
+
+    const finalized = await this.storage.updateTip(tip.txHash, {
+      status: 'finalized',
+      finalizedAt: Date.now()
+    }) || { ...tip, status: 'finalized' };
+
+    // Release alerts held for finalized-only streamers
+    if (!finalized.historical) {
+      const streamer = await this.storage.getStreamer(tip.streamerId);
+      if (streamer && streamer.alertCommitment === 'finalized') {
+        console.log(`[Indexer] 🎉 Tip finalized: ${finalized.amount} ${finalized.symbol} to ${tip.streamerId}`);
+        this.emit('tip', finalized);
+      }
+    }
+
+    this.emit('tip:finalized', finalized);
+  }
+
+  /**
+   * Restrict indexing to the streamers this node is responsible for
+   * @param {function(string): boolean|null} filter - Returns true for owned streamer ids (null: all)
+   */
+  setOwnershipFilter(filter) {
+    this.ownershipFilter = filter;
+  }
+
+  /**
+   * Whether this node indexes a streamer
+   * @param {string} streamerId - Streamer identifier
+   * @returns {boolean}
+   */
+  owns(streamerId) {
+    return !this.ownershipFilter || this.ownershipFilter(streamerId);
+  }
+
+  /**
+   * Pick up streamers gained (and drop those lost) after ownership changed
+   */
+  async rebalance() {
+    if (!this.connection) return;
+
+    await this.syncSubscriptions();
+    if (this.polling || this.subscribed) {
+      await this.pollOnce();
     }
   }
 
   /**
    * Register event handler
-   * @param {string} event - Event name ('tip')
+   * @param {string} event - Event name ('tip', 'tip:historical', 'tip:finalized', 'tip:reverted')
    * @param {function} handler - Event handler function
    */
   on(event, handler) {
@@ -188,3 +908,13 @@ export class TipIndexer {
     });
   }
 }
+
+// What a transfer paid, in the whole units payment requests are priced in
+function paidAmount(transfer) {
+  return transfer.mint ? transfer.amount : transfer.amountSol;
+}
+
+// The first transfer in a transaction keeps the signature as its key; later ones are numbered
+function tipKey(signature, transferIndex) {
+  return transferIndex === 0 ? signature : `${signature}:${transferIndex}`;
+}
@@ -3,18 +3,41 @@
  */
 
 import { WebSocketServer } from 'ws';
+import { resolveAlertTier } from '../utils/alert-tiers.js';
 
 export class WebSocketBroadcaster {
   constructor(options = {}) {
     this.wss = null;
-    this.subscriptions = new Map(); // ws -> Set<streamerId>
+    this.subscriptions = new Map(); // ws -> Set<channel key>
     this.options = {
       pingInterval: options.pingInterval || 30000,
       maxAlertsPerWindow: options.maxAlertsPerWindow || 4,
       alertWindowMs: options.alertWindowMs || 10000,
+      alertSpacingMs: options.alertSpacingMs || 0, // min gap between two alerts
+      maxQueueLength: options.maxQueueLength || 100,
+      prioritizeLargeTips: options.prioritizeLargeTips || false,
+      collapseThreshold: options.collapseThreshold || 0, // 0 disables combined alerts
+      alertPriority: options.alertPriority || ((tip) => tip.amountSol ?? tip.amount ?? 0),
+      backlogSize: options.backlogSize || 100, // broadcasts kept per streamer for replay
+      maxReplay: options.maxReplay || 50, // most broadcasts replayed to one client
+      requireToken: options.requireToken || false, // also require a token for public alerts
+      authenticate: options.authenticate || null, // (streamerId, token) => tokenId | null
+      getAlertTiers: options.getAlertTiers || null, // (streamerId) => tiers, attached to tip alerts
       ...options
     };
-    this.alertCounts = new Map(); // streamerId -> [{timestamp, count}]
+    this.alertCounts = new Map(); // streamerId -> [timestamp]
+    this.alertQueues = new Map(); // streamerId -> [tipData]
+    this.queueTimers = new Map(); // streamerId -> Timeout
+    this.pausedStreamers = new Set(); // Alerts wait in the queue until resumed
+    this.tierLookups = new Map(); // streamerId -> Promise of the last tier lookup, to keep arrival order
+    this.lookingUp = new Set(); // { txHash } per broadcast waiting on a tier lookup (a replay is its own)
+
+    // Replay state: sequence ids are only meaningful within one epoch (process lifetime)
+    this.epoch = Date.now().toString(36);
+    this.sequences = new Map(); // streamerId -> last seq
+    this.backlogs = new Map(); // streamerId -> [message]
+
+    this.tokenGrants = new Map(); // ws -> Map<channel key, { streamerId, channel, tokenId }>
   }
 
   /**
@@ -42,6 +65,7 @@ export class WebSocketBroadcaster {
       ws.on('close', () => {
         console.log('[WS] Client disconnected');
         this.subscriptions.delete(ws);
+        this.tokenGrants.delete(ws);
       });
 
       ws.on('error', (error) => {
@@ -70,15 +94,9 @@ export class WebSocketBroadcaster {
     switch (msg.action || msg.type) {
       case 'subscribe':
         if (msg.streamer) {
-          if (!this.subscriptions.has(ws)) {
-            this.subscriptions.set(ws, new Set());
-          }
-          this.subscriptions.get(ws).add(msg.streamer);
-          ws.send(JSON.stringify({
-            type: 'subscribed',
-            streamer: msg.streamer
-          }));
-          console.log(`[WS] Client subscribed to ${msg.streamer}`);
+          this.subscribe(ws, msg).catch((error) => {
+            console.error('[WS] Subscribe error:', error);
+          });
         }
         break;
       
@@ -92,17 +110,216 @@ export class WebSocketBroadcaster {
   }
 
   /**
-   * Broadcast a tip event to subscribers
+   * Subscribe a client to a streamer's channel
+   * Tip alerts ('alerts') are public unless `requireToken` is set; every other
+   * channel is privileged and needs a valid overlay token for that streamer.
+   * @param {WebSocket} ws - Client socket
+   * @param {object} msg - { streamer, channel?, token?, lastSeq?, epoch? }
+   */
+  async subscribe(ws, msg) {
+    const channel = msg.channel || 'alerts';
+    const privileged = channel !== 'alerts' || this.options.requireToken;
+
+    let tokenId = null;
+    if (msg.token || privileged) {
+      tokenId = msg.token && this.options.authenticate
+        ? await this.options.authenticate(msg.streamer, msg.token)
+        : null;
+
+      if (!tokenId) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: msg.token ? 'Invalid overlay token' : 'Overlay token required',
+          streamer: msg.streamer,
+          channel
+        }));
+        console.warn(`[WS] Rejected subscription to ${msg.streamer} (${channel})`);
+        return;
+      }
+    }
+
+    const key = this.getChannelKey(msg.streamer, channel);
+    if (!this.subscriptions.has(ws)) {
+      this.subscriptions.set(ws, new Set());
+    }
+    this.subscriptions.get(ws).add(key);
+
+    if (tokenId) {
+      if (!this.tokenGrants.has(ws)) {
+        this.tokenGrants.set(ws, new Map());
+      }
+      this.tokenGrants.get(ws).set(key, { streamerId: msg.streamer, channel, tokenId });
+    }
+
+    ws.send(JSON.stringify({
+      type: 'subscribed',
+      streamer: msg.streamer,
+      channel,
+      epoch: this.epoch,
+      seq: this.sequences.get(msg.streamer) || 0
+    }));
+    console.log(`[WS] Client subscribed to ${msg.streamer} (${channel})`);
+
+    // Resuming client: deliver what it missed while disconnected
+    if (channel === 'alerts' && typeof msg.lastSeq === 'number') {
+      this.replay(ws, msg.streamer, msg);
+    }
+  }
+
+  /**
+   * Drop subscriptions that were authorized by a revoked token
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} tokenId - Revoked token id
+   * @returns {number} Number of subscriptions dropped
+   */
+  revokeToken(streamerId, tokenId) {
+    let dropped = 0;
+
+    for (const [ws, grants] of this.tokenGrants) {
+      for (const [key, grant] of grants) {
+        if (grant.streamerId !== streamerId || grant.tokenId !== tokenId) continue;
+
+        grants.delete(key);
+        this.subscriptions.get(ws)?.delete(key);
+        dropped++;
+
+        if (ws.readyState === 1) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Overlay token revoked',
+            streamer: streamerId,
+            channel: grant.channel
+          }));
+        }
+      }
+    }
+
+    if (dropped > 0) {
+      console.log(`[WS] Dropped ${dropped} subscriptions for revoked token ${tokenId}`);
+    }
+    return dropped;
+  }
+
+  /**
+   * Subscription key for a streamer's channel ('alerts' keys on the streamer alone)
+   */
+  getChannelKey(streamerId, channel = 'alerts') {
+    return channel === 'alerts' ? streamerId : `${streamerId}#${channel}`;
+  }
+
+  /**
+   * Send a message on a privileged channel (not sequenced or replayed)
+   * @param {string} streamerId - Streamer identifier
+   * @param {string} channel - Channel name, e.g. 'moderation'
+   * @param {object} message - { type, payload }
+   * @returns {number} Number of clients reached
+   */
+  sendToChannel(streamerId, channel, message) {
+    return this.sendToSubscribers(this.getChannelKey(streamerId, channel), { ...message, channel });
+  }
+
+  /**
+   * Queue a tip alert for subscribers
+   * Alerts are paced by the rate limit and spacing options rather than dropped;
+   * only a full queue discards (the lowest-priority) tips. With getAlertTiers
+   * set, the tip's alert tier is looked up first and sent along as `tier`.
    * @param {string} streamerId - Streamer who received the tip
    * @param {object} tipData - Tip information
    */
   broadcastTip(streamerId, tipData) {
-    // Rate limiting
-    if (!this.shouldBroadcast(streamerId)) {
-      console.warn(`[WS] Rate limit exceeded for ${streamerId}`);
+    if (!this.options.getAlertTiers) {
+      this.enqueueTip(streamerId, tipData);
       return;
     }
 
+    const pending = { txHash: tipData.txHash };
+    const previous = this.tierLookups.get(streamerId) || Promise.resolve();
+    const lookup = previous
+      .then(() => this.options.getAlertTiers(streamerId))
+      .then(
+        (tiers) => ({ ...tipData, tier: resolveAlertTier(tiers, tipData) }),
+        (error) => {
+          console.error(`[WS] Alert tier lookup failed for ${streamerId}:`, error.message);
+          return { ...tipData, tier: null };
+        }
+      )
+      .then((tipWithTier) => {
+        // Skipped if the tip was reverted during the lookup
+        if (this.lookingUp.delete(pending)) {
+          this.enqueueTip(streamerId, tipWithTier);
+        }
+        if (this.tierLookups.get(streamerId) === lookup) {
+          this.tierLookups.delete(streamerId);
+        }
+      });
+
+    this.lookingUp.add(pending);
+    this.tierLookups.set(streamerId, lookup);
+  }
+
+  /**
+   * Add a tip to its streamer's alert queue
+   */
+  enqueueTip(streamerId, tipData) {
+    if (!this.alertQueues.has(streamerId)) {
+      this.alertQueues.set(streamerId, []);
+    }
+    const queue = this.alertQueues.get(streamerId);
+
+    if (queue.length >= this.options.maxQueueLength) {
+      const dropped = this.options.prioritizeLargeTips
+        && this.options.alertPriority(queue[queue.length - 1]) < this.options.alertPriority(tipData)
+        ? queue.pop()
+        : tipData;
+      console.warn(`[WS] Alert queue full for ${streamerId}, dropping ${dropped.txHash}`);
+      if (dropped === tipData) return;
+    }
+
+    if (this.options.prioritizeLargeTips) {
+      // Larger tips jump ahead; equal priority keeps arrival order
+      const priority = this.options.alertPriority(tipData);
+      const index = queue.findIndex(queued => this.options.alertPriority(queued) < priority);
+      queue.splice(index === -1 ? queue.length : index, 0, tipData);
+    } else {
+      queue.push(tipData);
+    }
+
+    this.drainQueue(streamerId);
+  }
+
+  /**
+   * Send queued alerts as fast as the rate limit allows, then wait for the next slot
+   */
+  drainQueue(streamerId) {
+    if (this.queueTimers.has(streamerId) || this.pausedStreamers.has(streamerId)) return;
+
+    const queue = this.alertQueues.get(streamerId);
+    if (!queue || queue.length === 0) return;
+
+    const delay = this.getAlertDelay(streamerId);
+    if (delay > 0) {
+      this.queueTimers.set(streamerId, setTimeout(() => {
+        this.queueTimers.delete(streamerId);
+        this.drainQueue(streamerId);
+      }, delay));
+      return;
+    }
+
+    const { collapseThreshold } = this.options;
+    if (collapseThreshold > 0 && queue.length >= collapseThreshold) {
+      this.sendCombinedAlert(streamerId, queue.splice(0));
+    } else {
+      this.sendTipAlert(streamerId, queue.shift());
+    }
+    this.recordAlert(streamerId);
+
+    this.drainQueue(streamerId);
+  }
+
+  /**
+   * Send a single tip alert
+   */
+  sendTipAlert(streamerId, tipData) {
     const payload = {
       type: 'tip',
       payload: {
@@ -111,6 +328,234 @@ export class WebSocketBroadcaster {
       }
     };
 
+    const sentCount = this.publish(streamerId, payload);
+
+    console.log(`[WS] Broadcasted tip for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Send one alert summarizing a burst of tips, e.g. "5 tips totalling 2.3 SOL"
+   */
+  sendCombinedAlert(streamerId, tips) {
+    const totals = new Map(); // symbol -> { mint, symbol, amount }
+    for (const tip of tips) {
+      const symbol = tip.symbol || 'SOL';
+      const total = totals.get(symbol) || { mint: tip.mint || null, symbol, amount: 0 };
+      total.amount += tip.amount ?? tip.amountSol ?? 0;
+      totals.set(symbol, total);
+    }
+
+    // The burst is presented like its biggest tip
+    const top = tips.reduce((best, tip) =>
+      this.options.alertPriority(tip) > this.options.alertPriority(best) ? tip : best);
+
+    const sentCount = this.publish(streamerId, {
+      type: 'tip:combined',
+      payload: {
+        streamerId,
+        count: tips.length,
+        totals: Array.from(totals.values()),
+        tier: top.tier || null,
+        tips
+      }
+    });
+
+    console.log(`[WS] Broadcasted ${tips.length} combined tips for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Get the number of alerts waiting for a streamer
+   * @param {string} streamerId - Streamer identifier
+   * @returns {number}
+   */
+  getQueueLength(streamerId) {
+    return (this.alertQueues.get(streamerId) || []).length;
+  }
+
+  /**
+   * Broadcast a finality change for a previously broadcast tip
+   * @param {string} streamerId - Streamer who received the tip
+   * @param {object} tipData - Tip with updated status ('finalized' or 'reverted')
+   */
+  broadcastTipStatus(streamerId, tipData) {
+    // A reverted tip that has not been shown yet is simply never shown
+    const queue = this.alertQueues.get(streamerId);
+    if (tipData.status === 'reverted') {
+      for (const pending of this.lookingUp) {
+        if (pending.txHash === tipData.txHash) this.lookingUp.delete(pending);
+      }
+    }
+    if (queue && tipData.status === 'reverted') {
+      // Replays of the tip may be queued too
+      for (let index = queue.length - 1; index >= 0; index--) {
+        if (queue[index].txHash === tipData.txHash) queue.splice(index, 1);
+      }
+    }
+
+    const sentCount = this.publish(streamerId, {
+      type: `tip:${tipData.status}`,
+      payload: {
+        streamerId,
+        txHash: tipData.txHash,
+        status: tipData.status
+      }
+    });
+
+    console.log(`[WS] Broadcasted tip:${tipData.status} for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Broadcast a goal change so goal bars can redraw
+   * @param {string} streamerId - Streamer who owns the goal
+   * @param {'goal:progress'|'goal:reached'|'goal:updated'} type - Message type
+   * @param {object} goal - Goal record
+   */
+  broadcastGoal(streamerId, type, goal) {
+    const sentCount = this.publish(streamerId, { type, payload: goal });
+    console.log(`[WS] Broadcasted ${type} for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Send a stream session event to a streamer's overlays
+   * @param {string} streamerId - Streamer identifier
+   * @param {'session:started'|'session:ended'} type - Message type
+   * @param {object} session - Session record (with its summary once ended)
+   */
+  broadcastSession(streamerId, type, session) {
+    const sentCount = this.publish(streamerId, { type, payload: session });
+    console.log(`[WS] Broadcasted ${type} for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Hold a streamer's alerts in the queue (e.g. during an ad break)
+   * New tips keep queueing, up to maxQueueLength.
+   * @param {string} streamerId - Streamer identifier
+   */
+  pauseAlerts(streamerId) {
+    this.pausedStreamers.add(streamerId);
+    const timer = this.queueTimers.get(streamerId);
+    if (timer) {
+      clearTimeout(timer);
+      this.queueTimers.delete(streamerId);
+    }
+    this.sendAlertControl(streamerId, 'alerts:paused');
+  }
+
+  /**
+   * Play a streamer's queued alerts again, paced as usual
+   * @param {string} streamerId - Streamer identifier
+   */
+  resumeAlerts(streamerId) {
+    this.pausedStreamers.delete(streamerId);
+    this.sendAlertControl(streamerId, 'alerts:resumed');
+    this.drainQueue(streamerId);
+  }
+
+  /**
+   * Whether a streamer's alerts are paused
+   * @param {string} streamerId - Streamer identifier
+   * @returns {boolean}
+   */
+  isPaused(streamerId) {
+    return this.pausedStreamers.has(streamerId);
+  }
+
+  /**
+   * Tell overlays to cut the alert on screen short
+   * @param {string} streamerId - Streamer identifier
+   */
+  skipAlert(streamerId) {
+    this.sendAlertControl(streamerId, 'alert:skip');
+  }
+
+  /**
+   * Alert controls only matter to overlays connected now, so they are not replayed
+   */
+  sendAlertControl(streamerId, type) {
+    const sentCount = this.sendToSubscribers(streamerId, {
+      type,
+      payload: { streamerId },
+      sentAt: Date.now()
+    });
+    console.log(`[WS] Sent ${type} for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Send a streamer's latest leaderboards to their overlays
+   * Not kept for replay: each update is a full snapshot that supersedes the
+   * previous one, and the backlog is better spent on tips.
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} update - Update built by LeaderboardManager
+   */
+  broadcastLeaderboard(streamerId, update) {
+    const sentCount = this.sendToSubscribers(streamerId, {
+      type: 'leaderboard:update',
+      payload: update,
+      sentAt: Date.now()
+    });
+    console.log(`[WS] Broadcasted leaderboard for ${streamerId} to ${sentCount} clients`);
+  }
+
+  /**
+   * Stamp a broadcast with the streamer's next sequence id, keep it in the
+   * replay backlog, and send it to current subscribers
+   * @returns {number} Number of clients reached
+   */
+  publish(streamerId, message) {
+    const seq = (this.sequences.get(streamerId) || 0) + 1;
+    this.sequences.set(streamerId, seq);
+
+    const entry = { ...message, seq, sentAt: Date.now() };
+
+    if (!this.backlogs.has(streamerId)) {
+      this.backlogs.set(streamerId, []);
+    }
+    const backlog = this.backlogs.get(streamerId);
+    backlog.push(entry);
+    if (backlog.length > this.options.backlogSize) {
+      backlog.splice(0, backlog.length - this.options.backlogSize);
+    }
+
+    return this.sendToSubscribers(streamerId, entry);
+  }
+
+  /**
+   * Send a resuming client the broadcasts it missed
+   * A cursor from another epoch (a restarted process, or another node) says
+   * nothing about this backlog, so the client is sent all of it, within the caps.
+   * @param {WebSocket} ws - Client socket
+   * @param {string} streamerId - Streamer identifier
+   * @param {object} cursor - { lastSeq, epoch, maxReplay?, maxAgeMs? } from the subscribe message
+   * @returns {number} Number of messages replayed
+   */
+  replay(ws, streamerId, { lastSeq, epoch, maxReplay, maxAgeMs }) {
+    const since = epoch === this.epoch ? lastSeq : 0;
+
+    const now = Date.now();
+    const limit = Math.min(maxReplay || this.options.maxReplay, this.options.maxReplay);
+    const missed = (this.backlogs.get(streamerId) || [])
+      .filter(entry => entry.seq > since)
+      .filter(entry => !maxAgeMs || now - entry.sentAt <= maxAgeMs);
+
+    // Over the cap, the most recent ones matter most
+    const toSend = missed.slice(-limit);
+    for (const entry of toSend) {
+      ws.send(JSON.stringify({ ...entry, replayed: true }));
+    }
+
+    if (toSend.length > 0) {
+      console.log(`[WS] Replayed ${toSend.length}/${missed.length} missed broadcasts for ${streamerId}`);
+    }
+    return toSend.length;
+  }
+
+  /**
+   * Send a message to every client subscribed to a streamer (or channel key)
+   * @returns {number} Number of clients reached
+   */
+  sendToSubscribers(streamerId, payload) {
+    if (!this.wss) return 0;
+
     const message = JSON.stringify(payload);
     let sentCount = 0;
 
@@ -122,32 +567,37 @@ export class WebSocketBroadcaster {
       }
     });
 
-    console.log(`[WS] Broadcasted tip for ${streamerId} to ${sentCount} clients`);
+    return sentCount;
   }
 
   /**
    * Rate limiting check
+   * @returns {number} Milliseconds until the next alert may be sent (0 = now)
    */
-  shouldBroadcast(streamerId) {
+  getAlertDelay(streamerId) {
     const now = Date.now();
     const windowMs = this.options.alertWindowMs;
     
-    if (!this.alertCounts.has(streamerId)) {
-      this.alertCounts.set(streamerId, []);
-    }
-
-    const counts = this.alertCounts.get(streamerId);
-    
     // Remove old entries
-    const filtered = counts.filter(entry => now - entry < windowMs);
-    
+    const filtered = (this.alertCounts.get(streamerId) || [])
+      .filter(entry => now - entry < windowMs);
+    this.alertCounts.set(streamerId, filtered);
+
+    let delay = 0;
     if (filtered.length >= this.options.maxAlertsPerWindow) {
-      return false;
+      delay = filtered[filtered.length - this.options.maxAlertsPerWindow] + windowMs - now;
+    }
+    if (filtered.length > 0) {
+      delay = Math.max(delay, filtered[filtered.length - 1] + this.options.alertSpacingMs - now);
     }
+    return Math.max(0, delay);
+  }
 
-    filtered.push(now);
-    this.alertCounts.set(streamerId, filtered);
-    return true;
+  /**
+   * Count an alert against the rate limit
+   */
+  recordAlert(streamerId) {
+    this.alertCounts.get(streamerId).push(Date.now());
   }
 
   /**
@@ -157,6 +607,10 @@ export class WebSocketBroadcaster {
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
     }
+    for (const timer of this.queueTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.queueTimers.clear();
     if (this.wss) {
       this.wss.close();
     }
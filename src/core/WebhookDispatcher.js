@@ -0,0 +1,450 @@
+/**
+ * WebhookDispatcher - Delivers tip events to registered HTTP endpoints
+ * Payloads are signed with the endpoint's secret, failed deliveries are
+ * retried with exponential backoff, and deliveries are kept in storage so
+ * retries survive restarts.
+ */
+
+import { randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { generateToken, signWebhookPayload } from '../utils/crypto.js';
+
+/**
+ * Events an endpoint can subscribe to
+ */
+export const WEBHOOK_EVENTS = ['tip', 'tip:finalized', 'tip:reverted'];
+
+// Addresses an endpoint must not resolve to: loopback, private, link-local,
+// shared (CGNAT), multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export class WebhookDispatcher {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter
+   * @param {object} options - Configuration options
+   * @param {boolean} [options.allowPrivateNetworks=false] - Allow endpoints on loopback and private
+   *   addresses (local development only; anyone who can add a webhook can reach them)
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      maxAttempts: options.maxAttempts || 8,
+      retryBaseMs: options.retryBaseMs || 10000, // 10s, 20s, 40s, ...
+      retryMaxMs: options.retryMaxMs || 60 * 60 * 1000,
+      timeoutMs: options.timeoutMs || 10000,
+      processInterval: options.processInterval || 5000,
+      batchSize: options.batchSize || 50,
+      userAgent: options.userAgent || 'solana-tip-sdk-webhooks',
+      allowPrivateNetworks: false,
+      ...options,
+      fetch: options.fetch || null, // null: node:http(s), connected to the vetted address
+      lookup: options.lookup || ((hostname) => lookup(hostname, { all: true, verbatim: true }))
+    };
+
+    this.processTimer = null;
+    this.processing = false;
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   */
+  start() {
+    if (this.processTimer) return;
+    this.processTimer = setInterval(() => this.processDue(), this.options.processInterval);
+  }
+
+  /**
+   * Stop the retry loop (pending deliveries stay in storage)
+   */
+  stop() {
+    if (this.processTimer) {
+      clearInterval(this.processTimer);
+      this.processTimer = null;
+    }
+  }
+
+  /**
+   * Register an endpoint
+   * @param {object} params - Endpoint settings
+   * @param {string} params.url - http(s) URL receiving POST requests
+   * @param {string|null} [params.streamerId=null] - Only this streamer's events (null: every streamer)
+   * @param {string[]} [params.events] - Subscribed events (default: all of WEBHOOK_EVENTS)
+   * @param {string} [params.description] - Free-form label
+   * @returns {Promise<{success: boolean, webhook?: object, secret?: string, error?: string}>}
+   *   The secret is only returned here.
+   */
+  async addWebhook({ url, streamerId = null, events = WEBHOOK_EVENTS, description = null } = {}) {
+    if (!isValidWebhookUrl(url)) {
+      return { success: false, error: 'Invalid webhook URL' };
+    }
+    const urlError = await this.checkDestination(url);
+    if (urlError) {
+      return { success: false, error: urlError };
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return { success: false, error: `Events must be a non-empty subset of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+
+    const webhook = {
+      id: randomUUID(),
+      streamerId,
+      url,
+      secret: `whsec_${generateToken()}`,
+      events: [...new Set(events)],
+      description,
+      createdAt: Date.now()
+    };
+    await this.storage.saveWebhook(webhook);
+
+    console.log(`[Webhooks] Added ${webhook.id} for ${streamerId || 'all streamers'}`);
+    return { success: true, webhook: publicWebhook(webhook), secret: webhook.secret };
+  }
+
+  /**
+   * Remove an endpoint
+   * @param {string} id - Webhook id
+   * @param {string} [streamerId] - Only remove it if it belongs to this streamer
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async removeWebhook(id, streamerId) {
+    if (streamerId !== undefined) {
+      const webhook = (await this.storage.getWebhooks()).find(existing => existing.id === id);
+      if (!webhook || webhook.streamerId !== streamerId) {
+        return { success: false, error: 'Webhook not found' };
+      }
+    }
+
+    if (!await this.storage.deleteWebhook(id)) {
+      return { success: false, error: 'Webhook not found' };
+    }
+    console.log(`[Webhooks] Removed ${id}`);
+    return { success: true };
+  }
+
+  /**
+   * List endpoints (without their secrets)
+   * @param {string} [streamerId] - Only this streamer's endpoints (default: all, including global ones)
+   * @returns {Promise<Array>}
+   */
+  async listWebhooks(streamerId) {
+    const webhooks = await this.storage.getWebhooks();
+    return webhooks
+      .filter(webhook => streamerId === undefined || webhook.streamerId === streamerId)
+      .map(publicWebhook);
+  }
+
+  /**
+   * Queue an event for every endpoint subscribed to it, then try to deliver
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {object} data - Event data (a tip)
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(event, data) {
+    const webhooks = (await this.storage.getWebhooks()).filter(webhook =>
+      webhook.events.includes(event) &&
+      (webhook.streamerId === null || webhook.streamerId === data.streamerId)
+    );
+    if (webhooks.length === 0) return 0;
+
+    const now = Date.now();
+    for (const webhook of webhooks) {
+      const id = randomUUID();
+      await this.storage.saveWebhookDelivery({
+        id,
+        webhookId: webhook.id,
+        streamerId: data.streamerId || null,
+        event,
+        payload: { id, event, createdAt: now, data },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        log: [],
+        createdAt: now
+      });
+    }
+
+    this.processDue();
+    return webhooks.length;
+  }
+
+  /**
+   * Attempt every delivery that is due
+   * One process at a time when the storage is shared, so an endpoint is not
+   * sent the same attempt twice.
+   */
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.storage.withLock('webhooks', async () => {
+        const due = await this.storage.getDueWebhookDeliveries(Date.now(), this.options.batchSize);
+        if (due.length === 0) return;
+
+        const webhooks = new Map((await this.storage.getWebhooks()).map(webhook => [webhook.id, webhook]));
+        for (const delivery of due) {
+          await this.attempt(delivery, webhooks.get(delivery.webhookId));
+        }
+      });
+    } catch (error) {
+      console.error('[Webhooks] Processing error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   */
+  async attempt(delivery, webhook) {
+    if (!webhook) {
+      const dead = await this.storage.updateWebhookDelivery(delivery.id, {
+        status: 'dead',
+        nextAttemptAt: null,
+        lastError: 'Webhook was removed',
+        deadAt: Date.now()
+      });
+      this.emit('webhook:dead', dead);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const entry = { attempt: attempts, at: startedAt, statusCode: null, error: null, durationMs: 0 };
+
+    try {
+      // Checked on every attempt: the host may resolve elsewhere than when it was added
+      const destination = await this.resolveDestination(webhook.url);
+      if (destination.error) {
+        throw new Error(destination.error);
+      }
+
+      const send = this.options.fetch || ((url, init) => this.post(url, init, destination.addresses));
+      const response = await send(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': this.options.userAgent,
+          'X-Tip-Event': delivery.event,
+          'X-Tip-Delivery': delivery.id,
+          'X-Tip-Signature': signWebhookPayload(webhook.secret, Math.floor(startedAt / 1000), body)
+        },
+        body,
+        // A redirect could point anywhere, so it counts as a failure
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+      entry.statusCode = response.status;
+      if (!response.ok) {
+        entry.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      entry.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    const log = [...(delivery.log || []), entry].slice(-this.options.maxAttempts);
+
+    if (!entry.error) {
+      const delivered = await this.storage.updateWebhookDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        nextAttemptAt: null,
+        deliveredAt: Date.now(),
+        lastError: null,
+        log
+      });
+      this.emit('webhook:delivered', delivered);
+      return;
+    }
+
+    if (attempts >= this.options.maxAttempts) {
+      const dead = await this.storage.updateWebhookDelivery(delivery.id, {
+        status: 'dead',
+        attempts,
+        nextAttemptAt: null,
+        deadAt: Date.now(),
+        lastError: entry.error,
+        log
+      });
+      console.warn(`[Webhooks] Delivery ${delivery.id} to ${webhook.url} failed ${attempts} times, moved to dead letters`);
+      this.emit('webhook:dead', dead);
+      return;
+    }
+
+    const delay = Math.min(this.options.retryMaxMs, this.options.retryBaseMs * 2 ** (attempts - 1));
+    const retrying = await this.storage.updateWebhookDelivery(delivery.id, {
+      attempts,
+      nextAttemptAt: Date.now() + delay,
+      lastError: entry.error,
+      log
+    });
+    this.emit('webhook:failed', retrying);
+  }
+
+  /**
+   * Check that a webhook URL only resolves to public addresses
+   * @param {string} url - Endpoint URL
+   * @returns {Promise<string|null>} Error message, or null if it may be called
+   */
+  async checkDestination(url) {
+    return (await this.resolveDestination(url)).error;
+  }
+
+  /**
+   * Resolve a webhook URL's host and vet every address it resolves to
+   * @param {string} url - Endpoint URL
+   * @returns {Promise<{error: string|null, addresses?: Array<{address: string, family: number}>}>}
+   *   No addresses with allowPrivateNetworks, which skips the check
+   */
+  async resolveDestination(url) {
+    if (this.options.allowPrivateNetworks) return { error: null };
+
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = isIP(hostname)
+        ? [{ address: hostname, family: isIP(hostname) }]
+        : await this.options.lookup(hostname);
+    } catch {
+      return { error: `Could not resolve ${hostname}` };
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address, family }) =>
+      NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+    )) {
+      return { error: 'Webhook URL must resolve to a public address' };
+    }
+    return { error: null, addresses };
+  }
+
+  /**
+   * POST over node:http(s), connecting only to the addresses already vetted
+   * Resolving the host again at connect time would let it answer with a public
+   * address for the check and a private one for the request (DNS rebinding).
+   * The hostname is still used for TLS and the Host header.
+   * @param {string} url - Endpoint URL
+   * @param {object} init - { method, headers, body, signal }
+   * @param {Array<{address: string, family: number}>} [addresses] - Vetted addresses
+   * @returns {Promise<{ok: boolean, status: number}>}
+   */
+  post(url, { method, headers, body, signal }, addresses) {
+    const transport = new URL(url).protocol === 'https:' ? https : http;
+    const pinned = addresses && addresses.length > 0
+      ? (hostname, options, callback) => {
+          if (options.all) {
+            callback(null, addresses);
+          } else {
+            callback(null, addresses[0].address, addresses[0].family);
+          }
+        }
+      : undefined;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, { method, headers, signal, lookup: pinned }, (response) => {
+        response.resume();
+        response.on('end', () => resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode
+        }));
+        response.on('error', reject);
+      });
+      request.on('error', (error) => reject(signal && signal.aborted ? signal.reason : error));
+      request.end(body);
+    });
+  }
+
+  /**
+   * Queue a delivery again (typically one from the dead-letter list)
+   * @param {string} deliveryId - Delivery id
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async redeliver(deliveryId) {
+    const delivery = await this.storage.updateWebhookDelivery(deliveryId, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now()
+    });
+    if (!delivery) {
+      return { success: false, error: 'Delivery not found' };
+    }
+
+    this.processDue();
+    return { success: true };
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {object} [options] - { webhookId, status, limit }
+   * @returns {Promise<Array>}
+   */
+  async getDeliveries(options = {}) {
+    return await this.storage.getWebhookDeliveries(options);
+  }
+
+  /**
+   * Deliveries that ran out of attempts
+   * @param {object} [options] - { webhookId, limit }
+   * @returns {Promise<Array>}
+   */
+  async getDeadLetters(options = {}) {
+    return await this.storage.getWebhookDeliveries({ ...options, status: 'dead' });
+  }
+
+  /**
+   * Register event handler
+   * @param {string} event - 'webhook:delivered', 'webhook:failed' (will retry) or 'webhook:dead'
+   * @param {function} handler - Event handler function
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Emit event to handlers
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Webhooks] Event handler error:`, error);
+      }
+    });
+  }
+}
+
+function isValidWebhookUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+// The secret is shown once, when the endpoint is added
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
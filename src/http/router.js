@@ -0,0 +1,939 @@
+/**
+ * Express router exposing the SDK's HTTP API
+ * Mount it with `app.use('/api', sdk.createRouter())`.
+ */
+
+import express from 'express';
+import { clusterApiUrl } from '@solana/web3.js';
+import { isValidPublicKey } from '../utils/tokens.js';
+import { LEADERBOARD_WINDOWS } from '../core/LeaderboardManager.js';
+import { applyModeration } from '../core/MemoModerator.js';
+import { renderQRCodeSVG } from '../utils/qr-code.js';
+
+const STREAMER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_TIPS_PAGE = 100;
+const MAX_LEADERBOARD_SIZE = 100;
+const MAX_SESSIONS_PAGE = 100;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const GOAL_STATUSES = ['active', 'reached', 'completed', 'expired'];
+const HEX_COLOR_PATTERN = /^[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/;
+const MAX_RATE_LIMIT_KEYS = 10000;
+
+/**
+ * Error with an HTTP status, turned into `{ ok: false, error, code }` by the router
+ */
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Create the router
+ * @param {SolanaTipSDK} sdk - SDK instance
+ * @param {object} options - Router options
+ * @param {function|function[]} [options.auth] - Middleware guarding the routes in `authRoutes`
+ * @param {string[]} [options.authRoutes] - Routes that require `auth`
+ * @param {object} [options.routes] - Per-route toggles (see DEFAULT_ROUTES); `streamers`
+ *   defaults to on only when `auth` is set
+ * @param {boolean} [options.issueOverlayToken=true] - Return an overlay token from /register
+ *   (first registration, or a re-link, which revokes the previous ones)
+ * @param {string} [options.rpcUrl] - Upstream RPC for /rpc-proxy
+ * @param {string[]} [options.rpcMethods] - Allowed RPC methods for /rpc-proxy (see DEFAULT_RPC_METHODS)
+ * @param {object|null} [options.paymentRequestLimit] - Payment requests one client IP may create
+ *   per window, counted by this process ({ max: 10, windowMs: 60000 }; null: no limit)
+ * @param {string} [options.jsonLimit='100kb'] - Request body size limit
+ * @returns {express.Router}
+ */
+export function createRouter(sdk, options = {}) {
+  const config = {
+    auth: null,
+    authRoutes: ['streamers', 'simulateTip', 'adminWebhooks'],
+    issueOverlayToken: true,
+    rpcUrl: null,
+    rpcMethods: DEFAULT_RPC_METHODS,
+    paymentRequestLimit: { max: 10, windowMs: 60 * 1000 },
+    jsonLimit: '100kb',
+    ...options,
+    // Listing every streamer is only on by default behind the auth middleware
+    routes: { ...DEFAULT_ROUTES, streamers: Boolean(options.auth), ...(options.routes || {}) }
+  };
+
+  const router = express.Router();
+  const registry = sdk.getRegistry();
+  const webhooks = sdk.getWebhooks();
+  const goals = sdk.getGoals();
+  const leaderboards = sdk.getLeaderboards();
+  const moderator = sdk.getModerator();
+  const payments = sdk.getPayments();
+  const authMiddleware = config.auth ? [].concat(config.auth) : [];
+  const limitPaymentRequests = config.paymentRequestLimit ? createRateLimiter(config.paymentRequestLimit) : null;
+
+  router.use(express.json({ limit: config.jsonLimit }));
+
+  // Register a route if it is enabled, with auth where configured
+  const route = (name, method, path, handler) => {
+    if (!config.routes[name]) return;
+
+    const guards = config.authRoutes.includes(name) ? authMiddleware : [];
+    if (config.authRoutes.includes(name) && guards.length === 0) {
+      console.warn(`[API] ${method.toUpperCase()} ${path} is enabled without auth middleware; anyone can call it`);
+    }
+    router[method](path, ...guards, async (req, res, next) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+
+  /**
+   * POST /challenge
+   * Issue a single-use message for the streamer's wallet to sign
+   */
+  route('challenge', 'post', '/challenge', async (req, res) => {
+    const { streamerId, action = 'link' } = req.body;
+    requireStreamerId(streamerId);
+    if (!['link', 'manage'].includes(action)) {
+      throw new ApiError(400, 'invalid_action', 'Invalid action');
+    }
+
+    const challenge = await sdk.createChallenge(streamerId, { action });
+    res.json({ ok: true, ...challenge });
+  });
+
+  /**
+   * POST /register
+   * Register a streamer with signature verification
+   * A registered streamerId can only be re-linked with `authorization`: { message, signature }
+   * over a 'manage' challenge, signed by the wallet linked now.
+   */
+  route('register', 'post', '/register', async (req, res) => {
+    const { streamerId, pubkey, message, signature, acceptedMints, backfill, authorization } = req.body;
+    requireStreamerId(streamerId);
+    if (!isValidPublicKey(pubkey)) {
+      throw new ApiError(400, 'invalid_pubkey', 'Invalid pubkey');
+    }
+    if (typeof message !== 'string' || typeof signature !== 'string' || !message || !signature) {
+      throw new ApiError(400, 'missing_fields', 'Missing required fields');
+    }
+    if (authorization !== undefined && !(
+      authorization && typeof authorization.message === 'string' && typeof authorization.signature === 'string'
+    )) {
+      throw new ApiError(400, 'missing_fields', 'authorization needs a message and signature');
+    }
+
+    const result = await registry.register(streamerId, pubkey, message, signature, {
+      acceptedMints,
+      backfill,
+      authorization
+    });
+    if (!result.success) {
+      if (result.error === 'Streamer already registered') {
+        throw new ApiError(409, 'already_registered', result.error);
+      }
+      if (result.error.startsWith('Re-link not authorized')) {
+        throw new ApiError(401, 'unauthorized', result.error);
+      }
+      throw new ApiError(400, 'registration_failed', result.error);
+    }
+
+    const body = { ok: true };
+    if (config.issueOverlayToken) {
+      // An authorized re-link replaces the tokens the previous wallet handed out
+      const { token } = result.relinked
+        ? await registry.rotateOverlayToken(streamerId, { label: 'overlay' })
+        : await registry.createOverlayToken(streamerId, { label: 'overlay' });
+      body.overlayToken = token;
+    }
+    res.json(body);
+  });
+
+  /**
+   * GET /streamer/:id
+   * Get streamer wallet information
+   */
+  route('streamer', 'get', '/streamer/:id', async (req, res) => {
+    const streamer = await getStreamerOrThrow(registry, req.params.id);
+    res.json({ ok: true, streamerId: req.params.id, ...publicStreamer(streamer) });
+  });
+
+  /**
+   * GET /streamers
+   * Get all registered streamers
+   */
+  route('streamers', 'get', '/streamers', async (req, res) => {
+    const streamers = await registry.getAllStreamers();
+    res.json({
+      ok: true,
+      streamers: Array.from(streamers.entries()).map(([streamerId, data]) => ({
+        streamerId,
+        ...publicStreamer(data)
+      }))
+    });
+  });
+
+  /**
+   * GET /streamer/:id/tips?limit=&offset=
+   * Tip history, newest first
+   */
+  route('tips', 'get', '/streamer/:id/tips', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const limit = parseIntParam(req.query.limit, 50, 1, MAX_TIPS_PAGE, 'limit');
+    const offset = parseIntParam(req.query.offset, 0, 0, Infinity, 'offset');
+
+    const tips = await sdk.storage.getTips(req.params.id, { limit, offset });
+    // Memos and display names as moderated, like the overlay showed them
+    res.json({ ok: true, tips: tips.map(applyModeration), limit, offset });
+  });
+
+  /**
+   * POST /streamer/:id/overlay-token
+   * Rotate the overlay token; body { message, signature } over a 'manage' challenge
+   */
+  route('overlayTokens', 'post', '/streamer/:id/overlay-token', async (req, res) => {
+    const { message, signature, label } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.rotateOverlayToken(req.params.id, { label });
+    res.json({ ok: true, token: result.token, tokenId: result.tokenId });
+  });
+
+  /**
+   * POST /streamer/:id/dashboard-token
+   * Rotate the dashboard token, which moderates memos and controls alerts; body
+   * { message, signature } over a 'manage' challenge. Send it only in the Authorization header.
+   */
+  route('overlayTokens', 'post', '/streamer/:id/dashboard-token', async (req, res) => {
+    const { message, signature, label } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.rotateOverlayToken(req.params.id, { label, scope: 'dashboard' });
+    res.json({ ok: true, token: result.token, tokenId: result.tokenId });
+  });
+
+  /**
+   * POST /streamer/:id/overlay-token/revoke
+   * Revoke one overlay or dashboard token (tokenId) or all of them
+   */
+  route('overlayTokens', 'post', '/streamer/:id/overlay-token/revoke', async (req, res) => {
+    const { message, signature, tokenId } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.revokeOverlayToken(req.params.id, tokenId);
+    if (!result.success) {
+      throw new ApiError(404, 'not_found', result.error);
+    }
+    res.json({ ok: true, revoked: result.revoked });
+  });
+
+  /**
+   * GET /streamer/:id/goals?status=
+   * The streamer's goals, oldest first (goal bars load these, then follow goal:* messages)
+   */
+  route('goals', 'get', '/streamer/:id/goals', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const { status } = req.query;
+    if (status !== undefined && !GOAL_STATUSES.includes(status)) {
+      throw new ApiError(400, 'invalid_query', 'Invalid status');
+    }
+
+    res.json({ ok: true, goals: await goals.getGoals(req.params.id, { status }) });
+  });
+
+  /**
+   * POST /streamer/:id/goals
+   * Create a goal; body { message, signature, title, target, mint?, deadline? }
+   */
+  route('goals', 'post', '/streamer/:id/goals', async (req, res) => {
+    const { message, signature, title, target, mint, deadline } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await goals.createGoal(req.params.id, { title, target, mint, deadline });
+    if (!result.success) {
+      throw new ApiError(400, 'invalid_goal', result.error);
+    }
+    res.json({ ok: true, goal: result.goal });
+  });
+
+  /**
+   * POST /streamer/:id/goals/:goalId
+   * Edit a goal; body { message, signature, title?, target?, deadline? }
+   */
+  route('goals', 'post', '/streamer/:id/goals/:goalId', async (req, res) => {
+    const { message, signature, title, target, deadline } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await goals.updateGoal(req.params.id, req.params.goalId, { title, target, deadline });
+    if (!result.success) {
+      const status = result.error === 'Goal not found' ? 404 : 400;
+      throw new ApiError(status, status === 404 ? 'not_found' : 'invalid_goal', result.error);
+    }
+    res.json({ ok: true, goal: result.goal });
+  });
+
+  /**
+   * POST /streamer/:id/goals/:goalId/complete
+   * Close a goal; body { message, signature }
+   */
+  route('goals', 'post', '/streamer/:id/goals/:goalId/complete', async (req, res) => {
+    const { message, signature } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await goals.completeGoal(req.params.id, req.params.goalId);
+    if (!result.success) {
+      const status = result.error === 'Goal not found' ? 404 : 400;
+      throw new ApiError(status, status === 404 ? 'not_found' : 'invalid_goal', result.error);
+    }
+    res.json({ ok: true, goal: result.goal });
+  });
+
+  /**
+   * GET /streamer/:id/leaderboard?window=&mint=&limit=
+   * Top senders in one currency (leaderboard widgets load this, then follow leaderboard:update)
+   */
+  route('leaderboards', 'get', '/streamer/:id/leaderboard', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const window = parseWindowParam(req.query.window);
+    const limit = parseIntParam(req.query.limit, leaderboards.options.limit, 1, MAX_LEADERBOARD_SIZE, 'limit');
+    const mint = req.query.mint || null;
+    if (mint !== null && !isValidPublicKey(mint)) {
+      throw new ApiError(400, 'invalid_query', 'Invalid mint');
+    }
+
+    const leaderboard = await leaderboards.getLeaderboard(req.params.id, { window, mint, limit });
+    res.json({ ok: true, ...leaderboard });
+  });
+
+  /**
+   * GET /streamer/:id/totals?window=
+   * Tip totals and counts per currency
+   */
+  route('leaderboards', 'get', '/streamer/:id/totals', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const window = parseWindowParam(req.query.window);
+
+    const totals = await leaderboards.getTotals(req.params.id, { window });
+    res.json({ ok: true, ...totals });
+  });
+
+  /**
+   * GET /streamer/:id/sessions?limit=&offset=
+   * Stream sessions, most recent first (ended ones include their summary)
+   */
+  route('sessions', 'get', '/streamer/:id/sessions', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const limit = parseIntParam(req.query.limit, 20, 1, MAX_SESSIONS_PAGE, 'limit');
+    const offset = parseIntParam(req.query.offset, 0, 0, Infinity, 'offset');
+
+    const sessions = await registry.getSessions(req.params.id, { limit, offset });
+    res.json({ ok: true, sessions, limit, offset });
+  });
+
+  /**
+   * GET /streamer/:id/sessions/current
+   * The live session, or null when offline
+   */
+  route('sessions', 'get', '/streamer/:id/sessions/current', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    res.json({ ok: true, session: await registry.getCurrentSession(req.params.id) });
+  });
+
+  /**
+   * GET /streamer/:id/sessions/:sessionId/summary
+   * Totals, largest tips, unique tippers and timeline, as of now
+   */
+  route('sessions', 'get', '/streamer/:id/sessions/:sessionId/summary', async (req, res) => {
+    await getStreamerOrThrow(registry, req.params.id);
+    const summary = await registry.getSessionSummary(req.params.sessionId);
+    if (!summary || summary.streamerId !== req.params.id) {
+      throw new ApiError(404, 'not_found', 'Session not found');
+    }
+    res.json({ ok: true, summary });
+  });
+
+  /**
+   * POST /streamer/:id/sessions/start
+   * Go live; body { message, signature, title? }
+   */
+  route('sessions', 'post', '/streamer/:id/sessions/start', async (req, res) => {
+    const { message, signature, title } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.startSession(req.params.id, { title });
+    if (!result.success) {
+      const status = result.error === 'A session is already live' ? 409 : 400;
+      throw new ApiError(status, status === 409 ? 'session_live' : 'invalid_session', result.error);
+    }
+    res.json({ ok: true, session: result.session });
+  });
+
+  /**
+   * POST /streamer/:id/sessions/end
+   * End the live session; body { message, signature }. Returns it with its summary.
+   */
+  route('sessions', 'post', '/streamer/:id/sessions/end', async (req, res) => {
+    const { message, signature } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.endSession(req.params.id);
+    if (!result.success) {
+      throw new ApiError(409, 'no_session', result.error);
+    }
+    res.json({ ok: true, session: result.session });
+  });
+
+  /**
+   * GET /streamer/:id/alert-tiers
+   * How tip alerts are presented by amount
+   */
+  route('alertTiers', 'get', '/streamer/:id/alert-tiers', async (req, res) => {
+    const streamer = await getStreamerOrThrow(registry, req.params.id);
+    res.json({ ok: true, tiers: streamer.alertTiers || [] });
+  });
+
+  /**
+   * POST /streamer/:id/alert-tiers
+   * Replace the alert tiers; body { message, signature, tiers }
+   */
+  route('alertTiers', 'post', '/streamer/:id/alert-tiers', async (req, res) => {
+    const { message, signature, tiers } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await registry.setAlertTiers(req.params.id, tiers);
+    if (!result.success) {
+      throw new ApiError(400, 'invalid_tiers', result.error);
+    }
+    res.json({ ok: true, tiers: result.tiers });
+  });
+
+  /**
+   * GET /streamer/:id/moderation
+   * The streamer's own moderation settings (dashboard token)
+   */
+  route('moderation', 'get', '/streamer/:id/moderation', async (req, res) => {
+    await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+    res.json({ ok: true, settings: await moderator.getSettings(req.params.id) });
+  });
+
+  /**
+   * POST /streamer/:id/moderation
+   * Change moderation settings; body { message, signature, blocklist?, blockedSenders?,
+   * stripLinks?, maxMemoLength?, manualApproval?, dropBlocked? }
+   */
+  route('moderation', 'post', '/streamer/:id/moderation', async (req, res) => {
+    const { message, signature, ...settings } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await moderator.setSettings(req.params.id, settings);
+    if (!result.success) {
+      throw new ApiError(400, 'invalid_settings', result.error);
+    }
+    res.json({ ok: true, settings: result.settings });
+  });
+
+  /**
+   * GET /streamer/:id/moderation/queue
+   * Memos awaiting approval, oldest first (dashboard token)
+   */
+  route('moderation', 'get', '/streamer/:id/moderation/queue', async (req, res) => {
+    await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+    res.json({ ok: true, queue: await moderator.getQueue(req.params.id) });
+  });
+
+  /**
+   * POST /streamer/:id/moderation/:txHash/approve and .../reject
+   * Release a held memo's alert, with or without the memo (dashboard token)
+   */
+  for (const decision of ['approve', 'reject']) {
+    route('moderation', 'post', `/streamer/:id/moderation/:txHash/${decision}`, async (req, res) => {
+      await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+
+      const result = await moderator[decision](req.params.id, req.params.txHash);
+      if (!result.success) {
+        const status = result.error === 'Tip not found' ? 404 : 409;
+        throw new ApiError(status, status === 404 ? 'not_found' : 'not_held', result.error);
+      }
+      res.json({ ok: true, tip: result.tip });
+    });
+  }
+
+  /**
+   * POST /streamer/:id/alerts/replay
+   * Show a past tip's alert again; body { txHash } (dashboard token)
+   */
+  route('alertControls', 'post', '/streamer/:id/alerts/replay', async (req, res) => {
+    await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+    const { txHash } = req.body;
+    if (typeof txHash !== 'string' || !txHash) {
+      throw new ApiError(400, 'invalid_tx_hash', 'txHash required');
+    }
+
+    const result = await sdk.replayAlert(req.params.id, txHash);
+    if (!result.success) {
+      const status = result.error === 'Tip not found' ? 404 : 409;
+      throw new ApiError(status, status === 404 ? 'not_found' : 'reverted', result.error);
+    }
+    res.json({ ok: true });
+  });
+
+  /**
+   * POST /streamer/:id/alerts/skip
+   * Cut the alert on screen short (dashboard token)
+   */
+  route('alertControls', 'post', '/streamer/:id/alerts/skip', async (req, res) => {
+    await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+    sdk.skipAlert(req.params.id);
+    res.json({ ok: true });
+  });
+
+  /**
+   * POST /streamer/:id/alerts/pause and .../resume
+   * Hold new alerts in the queue, or play them again (dashboard token)
+   */
+  for (const action of ['pause', 'resume']) {
+    route('alertControls', 'post', `/streamer/:id/alerts/${action}`, async (req, res) => {
+      await verifyDashboardTokenOrThrow(registry, req.params.id, req);
+
+      const result = await registry.setAlertsPaused(req.params.id, action === 'pause');
+      if (!result.success) {
+        throw new ApiError(404, 'not_found', result.error);
+      }
+      res.json({ ok: true, paused: action === 'pause' });
+    });
+  }
+
+  /**
+   * GET /streamer/:id/pay?amount=&mint=&label=&message=&memo=
+   * A reusable Solana Pay link without a reference, e.g. for a QR code on stream
+   */
+  route('payments', 'get', '/streamer/:id/pay', async (req, res) => {
+    requireStreamerId(req.params.id);
+    const result = await payments.createUrl(req.params.id, parsePaymentQuery(req.query));
+    throwPaymentError(result);
+    res.json({ ok: true, url: result.url });
+  });
+
+  /**
+   * GET /streamer/:id/pay/qr.svg?amount=&mint=&label=&message=&memo=&size=&margin=&dark=&light=
+   * That link as a QR code, to show as an image or browser source on stream
+   */
+  route('payments', 'get', '/streamer/:id/pay/qr.svg', async (req, res) => {
+    requireStreamerId(req.params.id);
+    const options = parseQRQuery(req.query);
+    const result = await payments.createUrl(req.params.id, parsePaymentQuery(req.query));
+    throwPaymentError(result);
+    sendSvg(res, renderQRCodeSVG(result.url, options));
+  });
+
+  /**
+   * POST /streamer/:id/pay/requests
+   * Create a payment request for one viewer; body { amount?, mint?, memo?, label?, message? }
+   * Its reference ties the tip that pays it to this request (poll the route below).
+   * Limited per client IP (paymentRequestLimit) and per streamer (payments.maxPendingRequests).
+   */
+  route('payments', 'post', '/streamer/:id/pay/requests', async (req, res) => {
+    requireStreamerId(req.params.id);
+    const retryAfter = limitPaymentRequests ? limitPaymentRequests(req.ip) : 0;
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      throw new ApiError(429, 'rate_limited', 'Too many payment requests, try again later');
+    }
+    const { amount, mint, memo, label, message } = req.body;
+
+    const result = await payments.createRequest(req.params.id, { amount, mint, memo, label, message });
+    throwPaymentError(result);
+    res.json({ ok: true, request: result.request });
+  });
+
+  /**
+   * GET /streamer/:id/pay/requests/:reference
+   * A request's status: 'pending', 'paid' (with txHash) or 'expired'
+   */
+  route('payments', 'get', '/streamer/:id/pay/requests/:reference', async (req, res) => {
+    const request = await getPaymentRequestOrThrow(payments, req.params.id, req.params.reference);
+    res.json({ ok: true, request });
+  });
+
+  /**
+   * GET /streamer/:id/pay/requests/:reference/qr.svg?size=&margin=&dark=&light=
+   * A request's link as a QR code, for the viewer to scan with a mobile wallet
+   */
+  route('payments', 'get', '/streamer/:id/pay/requests/:reference/qr.svg', async (req, res) => {
+    const options = parseQRQuery(req.query);
+    const request = await getPaymentRequestOrThrow(payments, req.params.id, req.params.reference);
+    sendSvg(res, renderQRCodeSVG(request.url, options));
+  });
+
+  /**
+   * POST /streamer/:id/webhooks
+   * Add an endpoint for this streamer's tips; body { message, signature, url, events, description }
+   * The response carries the signing secret, which is not shown again.
+   */
+  route('webhooks', 'post', '/streamer/:id/webhooks', async (req, res) => {
+    const { message, signature, url, events, description } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await webhooks.addWebhook({ url, events, description, streamerId: req.params.id });
+    if (!result.success) {
+      throw new ApiError(400, 'invalid_webhook', result.error);
+    }
+    res.json({ ok: true, webhook: result.webhook, secret: result.secret });
+  });
+
+  /**
+   * POST /streamer/:id/webhooks/:webhookId/delete
+   * Remove one of this streamer's endpoints; body { message, signature }
+   */
+  route('webhooks', 'post', '/streamer/:id/webhooks/:webhookId/delete', async (req, res) => {
+    const { message, signature } = req.body;
+    await authorizeOrThrow(registry, req.params.id, message, signature);
+
+    const result = await webhooks.removeWebhook(req.params.webhookId, req.params.id);
+    if (!result.success) {
+      throw new ApiError(404, 'not_found', result.error);
+    }
+    res.json({ ok: true });
+  });
+
+  /**
+   * GET /webhooks?streamerId=
+   * List endpoints (admin)
+   */
+  route('adminWebhooks', 'get', '/webhooks', async (req, res) => {
+    const { streamerId } = req.query;
+    if (streamerId !== undefined) requireStreamerId(streamerId);
+
+    res.json({ ok: true, webhooks: await webhooks.listWebhooks(streamerId) });
+  });
+
+  /**
+   * POST /webhooks
+   * Add an endpoint (admin); omit streamerId to receive every streamer's tips
+   */
+  route('adminWebhooks', 'post', '/webhooks', async (req, res) => {
+    const { url, events, description, streamerId = null } = req.body;
+    if (streamerId !== null) await getStreamerOrThrow(registry, streamerId);
+
+    const result = await webhooks.addWebhook({ url, events, description, streamerId });
+    if (!result.success) {
+      throw new ApiError(400, 'invalid_webhook', result.error);
+    }
+    res.json({ ok: true, webhook: result.webhook, secret: result.secret });
+  });
+
+  /**
+   * DELETE /webhooks/:webhookId
+   * Remove an endpoint (admin)
+   */
+  route('adminWebhooks', 'delete', '/webhooks/:webhookId', async (req, res) => {
+    const result = await webhooks.removeWebhook(req.params.webhookId);
+    if (!result.success) {
+      throw new ApiError(404, 'not_found', result.error);
+    }
+    res.json({ ok: true });
+  });
+
+  /**
+   * GET /webhook-deliveries?webhookId=&status=&limit=
+   * Delivery log, newest first (admin); status=dead lists the dead letters
+   */
+  route('adminWebhooks', 'get', '/webhook-deliveries', async (req, res) => {
+    const { webhookId, status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new ApiError(400, 'invalid_query', 'Invalid status');
+    }
+    const limit = parseIntParam(req.query.limit, 50, 1, MAX_TIPS_PAGE, 'limit');
+
+    const deliveries = await webhooks.getDeliveries({ webhookId, status, limit });
+    res.json({ ok: true, deliveries });
+  });
+
+  /**
+   * POST /webhook-deliveries/:deliveryId/redeliver
+   * Queue a delivery again, e.g. from the dead letters (admin)
+   */
+  route('adminWebhooks', 'post', '/webhook-deliveries/:deliveryId/redeliver', async (req, res) => {
+    const result = await webhooks.redeliver(req.params.deliveryId);
+    if (!result.success) {
+      throw new ApiError(404, 'not_found', result.error);
+    }
+    res.json({ ok: true });
+  });
+
+  /**
+   * POST /simulate-tip (dev only)
+   * Broadcast a fake tip to test overlays
+   */
+  route('simulateTip', 'post', '/simulate-tip', async (req, res) => {
+    const { streamerId, from, amountSol, memo } = req.body;
+    requireStreamerId(streamerId);
+    if (amountSol !== undefined && !(typeof amountSol === 'number' && amountSol > 0)) {
+      throw new ApiError(400, 'invalid_amount', 'Invalid amountSol');
+    }
+    const streamer = await getStreamerOrThrow(registry, streamerId);
+
+    const amount = amountSol || 0.1;
+    sdk.broadcastTip(streamerId, {
+      streamerId,
+      streamerPubkey: streamer.pubkey,
+      from: from || 'SimulatedWallet',
+      mint: null,
+      symbol: 'SOL',
+      decimals: 9,
+      amount,
+      amountLamports: Math.floor(amount * 1e9),
+      amountSol: amount,
+      txHash: 'simulated_' + Date.now(),
+      slot: 123456,
+      blockTime: Math.floor(Date.now() / 1000),
+      memo: memo || 'Test tip'
+    });
+
+    res.json({ ok: true, message: 'Simulated tip broadcasted' });
+  });
+
+  /**
+   * POST /rpc-proxy
+   * Forward JSON-RPC requests so the RPC API key stays on the server
+   */
+  route('rpcProxy', 'post', '/rpc-proxy', async (req, res) => {
+    const calls = [].concat(req.body);
+    const valid = calls.length > 0 && calls.every(call =>
+      call && call.jsonrpc === '2.0' && typeof call.method === 'string'
+    );
+    if (!valid) {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        error: { code: -32600, message: 'Invalid request' },
+        id: req.body?.id ?? null
+      });
+    }
+
+    const allowed = config.rpcMethods || DEFAULT_RPC_METHODS;
+    const blocked = calls.find(call => !allowed.includes(call.method));
+    if (blocked) {
+      return res.status(403).json({
+        jsonrpc: '2.0',
+        error: { code: -32601, message: `Method not allowed: ${blocked.method}` },
+        id: blocked.id ?? null
+      });
+    }
+
+    try {
+      const { rpcUrl: indexerRpcUrl, cluster } = sdk.getIndexer().options;
+      const rpcUrl = config.rpcUrl || indexerRpcUrl || clusterApiUrl(cluster);
+      const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(req.body)
+      });
+      res.status(response.status).json(await response.json());
+    } catch (error) {
+      console.error('[API] RPC proxy error:', error);
+      res.status(502).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal error' },
+        id: req.body?.id ?? null
+      });
+    }
+  });
+
+  // Consistent error shape for everything above, including body parse errors
+  router.use((error, req, res, next) => {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ ok: false, error: error.message, code: error.code });
+    }
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return res.status(error.status).json({ ok: false, error: error.message, code: 'invalid_body' });
+    }
+
+    console.error(`[API] ${req.method} ${req.path} error:`, error);
+    res.status(500).json({ ok: false, error: 'Internal server error', code: 'internal' });
+  });
+
+  return router;
+}
+
+/**
+ * Routes enabled by default; the admin, dev-only and proxy routes are opt-in,
+ * and `streamers` is on only when the router has `auth`
+ */
+export const DEFAULT_ROUTES = {
+  challenge: true,
+  register: true,
+  streamer: true,
+  streamers: false,
+  tips: true,
+  overlayTokens: true,
+  goals: true,
+  leaderboards: true,
+  sessions: true,
+  alertTiers: true,
+  moderation: true,
+  alertControls: true,
+  payments: true,
+  webhooks: true,
+  adminWebhooks: false,
+  simulateTip: false,
+  rpcProxy: false
+};
+
+/**
+ * JSON-RPC methods /rpc-proxy forwards unless `rpcMethods` says otherwise:
+ * what a browser needs to send a SOL tip and follow it
+ */
+export const DEFAULT_RPC_METHODS = [
+  'getLatestBlockhash',
+  'sendTransaction',
+  'getSignatureStatuses',
+  'getBalance'
+];
+
+function requireStreamerId(streamerId) {
+  if (typeof streamerId !== 'string' || !STREAMER_ID_PATTERN.test(streamerId)) {
+    throw new ApiError(400, 'invalid_streamer_id', 'Invalid streamerId');
+  }
+}
+
+async function getStreamerOrThrow(registry, streamerId) {
+  requireStreamerId(streamerId);
+  const streamer = await registry.getStreamer(streamerId);
+  if (!streamer) {
+    throw new ApiError(404, 'not_found', 'Streamer not found');
+  }
+  return streamer;
+}
+
+async function authorizeOrThrow(registry, streamerId, message, signature) {
+  requireStreamerId(streamerId);
+  const auth = await registry.authorize(streamerId, message, signature);
+  if (!auth.success) {
+    const status = auth.error === 'Streamer not found' ? 404 : 401;
+    throw new ApiError(status, status === 404 ? 'not_found' : 'unauthorized', auth.error);
+  }
+}
+
+/**
+ * Require a dashboard token in the Authorization header
+ * Overlay tokens sit in browser-source URLs, so they only subscribe; tokens in the
+ * query string or body are not accepted here, since URLs end up in logs and on screen.
+ */
+async function verifyDashboardTokenOrThrow(registry, streamerId, req) {
+  await getStreamerOrThrow(registry, streamerId);
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token || !(await registry.verifyOverlayToken(streamerId, token, { scope: 'dashboard' }))) {
+    throw new ApiError(401, 'unauthorized', 'Dashboard token required in the Authorization header');
+  }
+}
+
+async function getPaymentRequestOrThrow(payments, streamerId, reference) {
+  requireStreamerId(streamerId);
+  const request = await payments.getRequest(reference);
+  if (!request || request.streamerId !== streamerId) {
+    throw new ApiError(404, 'not_found', 'Payment request not found');
+  }
+  return request;
+}
+
+function throwPaymentError(result) {
+  if (result.success) return;
+  if (result.error === 'Streamer not found') {
+    throw new ApiError(404, 'not_found', result.error);
+  }
+  if (result.error === 'Too many pending payment requests') {
+    throw new ApiError(429, 'too_many_pending', result.error);
+  }
+  throw new ApiError(400, 'invalid_payment_request', result.error);
+}
+
+/**
+ * Count requests per key (e.g. client IP) in fixed windows, in memory
+ * @param {object} limit - { max, windowMs }
+ * @returns {function(string): number} Seconds until the key may retry, or 0 if the request is allowed
+ */
+function createRateLimiter({ max, windowMs }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  return (key) => {
+    const now = Date.now();
+    if (windows.size >= MAX_RATE_LIMIT_KEYS) {
+      for (const [windowKey, window] of windows) {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      }
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return window.count > max ? Math.ceil((window.resetAt - now) / 1000) : 0;
+  };
+}
+
+function parsePaymentQuery({ amount, mint, label, message, memo }) {
+  const params = { mint: mint ?? null, message: message ?? null, memo: memo ?? null };
+  if (label !== undefined) params.label = label;
+  if (amount !== undefined) {
+    params.amount = Number(amount);
+    if (amount === '' || !Number.isFinite(params.amount)) {
+      throw new ApiError(400, 'invalid_query', 'Invalid amount');
+    }
+  }
+  return params;
+}
+
+function parseQRQuery(query) {
+  const options = {
+    size: parseIntParam(query.size, null, 64, 2048, 'size'),
+    margin: parseIntParam(query.margin, 4, 0, 16, 'margin')
+  };
+  for (const name of ['dark', 'light']) {
+    const value = query[name];
+    if (value === undefined) continue;
+    if (name === 'light' && value === 'transparent') {
+      options.light = null;
+    } else if (typeof value === 'string' && HEX_COLOR_PATTERN.test(value)) {
+      options[name] = `#${value}`;
+    } else {
+      throw new ApiError(400, 'invalid_query', `Invalid ${name} color`);
+    }
+  }
+  return options;
+}
+
+function sendSvg(res, svg) {
+  res.type('image/svg+xml').set('Cache-Control', 'no-store').send(svg);
+}
+
+function parseIntParam(value, fallback, min, max, name) {
+  if (value === undefined) return fallback;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new ApiError(400, 'invalid_query', `Invalid ${name}`);
+  }
+  return parsed;
+}
+
+function parseWindowParam(value) {
+  if (value === undefined) return 'all';
+  if (!LEADERBOARD_WINDOWS.includes(value)) {
+    throw new ApiError(400, 'invalid_query', `Window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`);
+  }
+  return value;
+}
+
+// The signed link message is internal bookkeeping, not profile data;
+// moderation settings would show trolls what gets through
+function publicStreamer({ message, moderation, ...streamer }) {
+  return streamer;
+}
@@ -9,5 +9,34 @@ export { SolanaTipSDK } from './core/SolanaTipSDK.js';
 export { StreamerRegistry } from './core/StreamerRegistry.js';
 export { TipIndexer } from './core/TipIndexer.js';
 export { WebSocketBroadcaster } from './core/WebSocketBroadcaster.js';
-export { verifySignature, createChallengeMessage } from './utils/crypto.js';
-export { parseTipTransaction } from './utils/transaction-parser.js';
+export { ClusterCoordinator } from './core/ClusterCoordinator.js';
+export { WebhookDispatcher, WEBHOOK_EVENTS } from './core/WebhookDispatcher.js';
+export { GoalManager } from './core/GoalManager.js';
+export { LeaderboardManager, LEADERBOARD_WINDOWS } from './core/LeaderboardManager.js';
+export { MemoModerator, applyModeration, moderateExtras } from './core/MemoModerator.js';
+export { PaymentRequestManager } from './core/PaymentRequestManager.js';
+export { createRouter, ApiError, DEFAULT_ROUTES, DEFAULT_RPC_METHODS } from './http/router.js';
+export {
+  verifySignature,
+  createChallengeMessage,
+  parseChallengeMessage,
+  generateNonce,
+  generateToken,
+  hashToken,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from './utils/crypto.js';
+export {
+  parseTipTransfers,
+  parseTipTransaction,
+  parseTokenTipTransaction,
+  extractMemo,
+  extractMemos,
+  findReferenceKeys,
+  resolveTransactionMessage
+} from './utils/transaction-parser.js';
+export { getAssociatedTokenAddress, KNOWN_TOKENS, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './utils/tokens.js';
+export { normalizeAlertTiers, resolveAlertTier, MAX_ALERT_TIERS } from './utils/alert-tiers.js';
+export { parseTipMemo, formatTipMemo, TIP_MEMO_VERSION } from './utils/tip-memo.js';
+export { createTransferRequestURL } from './utils/solana-pay.js';
+export { encodeQRCode, renderQRCodeSVG } from './utils/qr-code.js';
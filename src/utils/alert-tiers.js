@@ -0,0 +1,111 @@
+/**
+ * Alert tiers: how an overlay presents a tip, picked by its amount
+ * e.g. 0.01 SOL → "Small" (3s, no sound), 10 SOL → "Legendary" (15s, fanfare, TTS)
+ */
+
+import { isValidPublicKey } from './tokens.js';
+
+export const MAX_ALERT_TIERS = 20;
+
+const NAME_PATTERN = /^.{1,32}$/u;
+const ANIMATION_PATTERN = /^[a-z0-9-]{1,32}$/;
+const MIN_DURATION_MS = 1000;
+const MAX_DURATION_MS = 60000;
+const DEFAULT_DURATION_MS = 5000;
+
+/**
+ * Check and normalize a streamer's tier list
+ * @param {Array<object>} tiers - [{ name, minAmount, mint?, durationMs?, sound?, animation?, tts? }]
+ * @returns {{tiers?: Array<object>, error?: string}} Normalized tiers sorted by currency and minAmount,
+ *   or an error
+ */
+export function normalizeAlertTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length > MAX_ALERT_TIERS) {
+    return { error: `Tiers must be an array of at most ${MAX_ALERT_TIERS}` };
+  }
+
+  const normalized = [];
+  for (const tier of tiers) {
+    if (!tier || typeof tier !== 'object') {
+      return { error: 'Each tier must be an object' };
+    }
+
+    const {
+      name,
+      minAmount,
+      mint = null,
+      durationMs = DEFAULT_DURATION_MS,
+      sound = null,
+      animation = null,
+      tts = false
+    } = tier;
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) {
+      return { error: 'Tier name must be 1-32 characters' };
+    }
+    if (typeof minAmount !== 'number' || !Number.isFinite(minAmount) || minAmount < 0) {
+      return { error: `Tier "${name}": minAmount must be a non-negative number` };
+    }
+    if (mint !== null && !isValidPublicKey(mint)) {
+      return { error: `Tier "${name}": invalid token mint` };
+    }
+    if (!Number.isInteger(durationMs) || durationMs < MIN_DURATION_MS || durationMs > MAX_DURATION_MS) {
+      return { error: `Tier "${name}": durationMs must be ${MIN_DURATION_MS}-${MAX_DURATION_MS}` };
+    }
+    if (sound !== null && !isValidSoundUrl(sound)) {
+      return { error: `Tier "${name}": sound must be an http(s) URL or a path starting with /` };
+    }
+    if (animation !== null && (typeof animation !== 'string' || !ANIMATION_PATTERN.test(animation))) {
+      return { error: `Tier "${name}": animation must be a short lowercase name` };
+    }
+    if (typeof tts !== 'boolean') {
+      return { error: `Tier "${name}": tts must be true or false` };
+    }
+
+    normalized.push({ name: name.trim(), minAmount, mint, durationMs, sound, animation, tts });
+  }
+
+  const keys = normalized.map(tier => `${tier.mint}:${tier.minAmount}`);
+  if (new Set(keys).size !== keys.length) {
+    return { error: 'Two tiers have the same currency and minAmount' };
+  }
+
+  // SOL tiers first, then by mint; lowest minAmount first within a currency
+  normalized.sort((a, b) => (a.mint === null ? -1 : 0) - (b.mint === null ? -1 : 0)
+    || String(a.mint).localeCompare(String(b.mint))
+    || a.minAmount - b.minAmount);
+  return { tiers: normalized };
+}
+
+/**
+ * Pick the tier for a tip: the highest minAmount it reaches in its currency
+ * @param {Array<object>} tiers - Normalized tiers
+ * @param {object} tip - Tip data ({ amount, mint })
+ * @returns {object|null} { name, minAmount, durationMs, sound, animation, tts }, or null when no tier matches
+ */
+export function resolveAlertTier(tiers, tip) {
+  const amount = tip.amount ?? tip.amountSol ?? 0;
+  let match = null;
+
+  for (const tier of tiers || []) {
+    if ((tier.mint || null) !== (tip.mint || null)) continue;
+    if (amount >= tier.minAmount && (!match || tier.minAmount > match.minAmount)) {
+      match = tier;
+    }
+  }
+
+  if (!match) return null;
+  const { mint, ...tier } = match;
+  return tier;
+}
+
+function isValidSoundUrl(sound) {
+  if (typeof sound !== 'string' || sound.length > 500) return false;
+  if (sound.startsWith('/') && !sound.startsWith('//')) return true;
+  try {
+    const { protocol } = new URL(sound);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
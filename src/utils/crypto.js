@@ -2,6 +2,7 @@
  * Cryptographic utilities for signature verification
  */
 
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
 import nacl from 'tweetnacl';
 import bs58 from 'bs58';
 
@@ -25,12 +26,126 @@ export function verifySignature(message, signatureBase58, pubkeyBase58) {
   }
 }
 
+/**
+ * Generate a random nonce for link challenges
+ * @returns {string} 16 random bytes in base58
+ */
+export function generateNonce() {
+  return bs58.encode(nacl.randomBytes(16));
+}
+
+/**
+ * Generate a secret overlay token
+ * @returns {string} 24 random bytes in base58
+ */
+export function generateToken() {
+  return bs58.encode(nacl.randomBytes(24));
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Secret token
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a webhook body
+ * The signature covers the timestamp too, so a captured request cannot be
+ * replayed later with a fresh timestamp.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value: `t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a webhook signature header on the receiving side
+ * @param {string} secret - Webhook secret
+ * @param {string} header - Value of the X-Tip-Signature header
+ * @param {string} body - Raw request body (before JSON parsing)
+ * @param {object} [options] - { toleranceSec: 300, now: Date.now() }
+ * @returns {boolean} True if the signature matches and the timestamp is recent
+ */
+export function verifyWebhookSignature(secret, header, body, options = {}) {
+  const { toleranceSec = 300, now = Date.now() } = options;
+
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
 /**
  * Create a challenge message for streamer linking
+ * Without options this returns a plain timestamped message; the registry
+ * passes a domain, nonce and expiry so the message can only be used once.
  * @param {string} streamerId - Streamer identifier
+ * @param {object} [options] - Challenge fields
+ * @param {string} [options.domain] - Domain the challenge is bound to
+ * @param {string} [options.nonce] - Server-issued nonce
+ * @param {number} [options.issuedAt] - Issue time (ms since epoch)
+ * @param {number} [options.expiresAt] - Expiry time (ms since epoch)
+ * @param {'link'|'manage'} [options.action='link'] - Linking a wallet, or managing
+ *   an already linked streamer (e.g. overlay tokens)
  * @returns {string} Challenge message to be signed
  */
-export function createChallengeMessage(streamerId) {
-  const timestamp = new Date().toISOString();
-  return `Link streamer ${streamerId} at ${timestamp}`;
+export function createChallengeMessage(streamerId, options = {}) {
+  const { domain, nonce, issuedAt = Date.now(), expiresAt, action = 'link' } = options;
+
+  if (!nonce) {
+    const timestamp = new Date(issuedAt).toISOString();
+    return `Link streamer ${streamerId} at ${timestamp}`;
+  }
+
+  const statement = action === 'manage'
+    ? `${domain} wants you to manage streamer ${streamerId} with your Solana wallet.`
+    : `${domain} wants you to link streamer ${streamerId} to your Solana wallet.`;
+
+  return [
+    statement,
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Parse a challenge message created with a nonce
+ * @param {string} message - Challenge message
+ * @returns {{domain: string, action: string, streamerId: string, nonce: string, issuedAt: number, expiresAt: number} | null}
+ */
+export function parseChallengeMessage(message) {
+  const match = /^(.+) wants you to (?:link streamer (.+) to|(manage) streamer (.+) with) your Solana wallet\.\n\nNonce: (\S+)\nIssued At: (\S+)\nExpiration Time: (\S+)$/
+    .exec(message || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, domain, linkStreamerId, manage, manageStreamerId, nonce, issuedAt, expiresAt] = match;
+  return {
+    domain,
+    action: manage ? 'manage' : 'link',
+    streamerId: linkStreamerId || manageStreamerId,
+    nonce,
+    issuedAt: Date.parse(issuedAt),
+    expiresAt: Date.parse(expiresAt)
+  };
 }
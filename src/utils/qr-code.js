@@ -0,0 +1,418 @@
+/**
+ * QR code encoder (byte mode, ISO/IEC 18004) and SVG renderer
+ * Enough for Solana Pay links on stream without a QR dependency.
+ */
+
+const LEVELS = ['L', 'M', 'Q', 'H'];
+const FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Indexed by level, then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+/**
+ * Encode text as a QR code, using the smallest version that fits
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {object} [options] - Encoding options
+ * @param {string} [options.errorCorrection='M'] - 'L' | 'M' | 'Q' | 'H'
+ * @returns {{version: number, size: number, modules: boolean[][]}} Rows of modules, true = dark
+ */
+export function encodeQRCode(text, { errorCorrection = 'M' } = {}) {
+  if (!LEVELS.includes(errorCorrection)) {
+    throw new Error(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  const data = new TextEncoder().encode(text);
+  let version = 1;
+  while (version <= 40 && dataBitsNeeded(data.length, version) > dataCodewords(version, errorCorrection) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(data, version, errorCorrection), version, errorCorrection);
+  const qr = new QRMatrix(version);
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(codewords);
+
+  // Use the mask that leaves the fewest patterns a scanner could misread
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask);
+    qr.drawFormatBits(errorCorrection, mask);
+    const penalty = qr.penalty();
+    if (!best || penalty < best.penalty) {
+      best = { mask, penalty };
+    }
+    qr.applyMask(mask); // masks are XOR, so applying again undoes it
+  }
+  qr.applyMask(best.mask);
+  qr.drawFormatBits(errorCorrection, best.mask);
+
+  return { version, size: qr.size, modules: qr.modules };
+}
+
+/**
+ * Render text as a QR code SVG
+ * @param {string} text - Text to encode
+ * @param {object} [options] - Rendering options
+ * @param {string} [options.errorCorrection='M'] - 'L' | 'M' | 'Q' | 'H'
+ * @param {number} [options.margin=4] - Quiet zone, in modules
+ * @param {number|null} [options.size=null] - Width and height in pixels (null: scales to its container)
+ * @param {string} [options.dark='#000000'] - Module color
+ * @param {string|null} [options.light='#ffffff'] - Background color (null: transparent)
+ * @returns {string} SVG document
+ */
+export function renderQRCodeSVG(text, options = {}) {
+  const { errorCorrection = 'M', margin = 4, size = null, dark = '#000000', light = '#ffffff' } = options;
+  const { size: count, modules } = encodeQRCode(text, { errorCorrection });
+  const dimension = count + margin * 2;
+
+  // One path segment per horizontal run of dark modules
+  let path = '';
+  for (let y = 0; y < count; y++) {
+    for (let x = 0; x < count; x++) {
+      if (!modules[y][x]) continue;
+      let run = 1;
+      while (x + run < count && modules[y][x + run]) run++;
+      path += `M${x + margin},${y + margin}h${run}v1h-${run}z`;
+      x += run - 1;
+    }
+  }
+
+  const dimensions = size ? ` width="${Number(size)}" height="${Number(size)}"` : '';
+  const background = light ? `<rect width="${dimension}" height="${dimension}" fill="${escapeAttribute(light)}"/>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}"${dimensions}`
+    + ` shape-rendering="crispEdges">${background}<path fill="${escapeAttribute(dark)}" d="${path}"/></svg>`;
+}
+
+class QRMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    for (let i = 0; i <= last; i++) {
+      for (let j = 0; j <= last; j++) {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+        this.drawAlignment(positions[i], positions[j]);
+      }
+    }
+
+    // Reserve the format areas now; the real bits are drawn once the mask is known
+    this.drawFormatBits('M', 0);
+    this.drawVersion();
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (FORMAT_LEVEL_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    // Split between the other two finders, plus the dark module
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, getBit(bits, i));
+      this.setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Zigzag up and down two-module columns from the right, skipping the vertical timing line
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.isFunction[y][x] || i >= codewords.length * 8) continue;
+          this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && maskBit(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  penalty() {
+    const { size, modules } = this;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let result = 0;
+    let dark = 0;
+
+    for (let a = 0; a < size; a++) {
+      for (const read of [(i) => modules[a][i], (i) => modules[i][a]]) {
+        // Runs of five or more modules of one color
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+          if (i < size && read(i) === read(i - 1)) {
+            run++;
+          } else {
+            if (run >= 5) result += run - 2;
+            run = 1;
+          }
+        }
+
+        // Patterns that look like a finder
+        for (let i = 0; i + 11 <= size; i++) {
+          if (finderLike.some(pattern => pattern.every((value, k) => read(i + k) === value))) {
+            result += 40;
+          }
+        }
+      }
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        // 2x2 blocks of one color
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            result += 3;
+          }
+        }
+      }
+    }
+
+    // Balance of dark and light modules, in steps of 5% away from half
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+  }
+}
+
+function maskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+// Modules left for data and error correction once function patterns are drawn
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, level) {
+  return Math.floor(rawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+function dataBitsNeeded(length, version) {
+  return 4 + (version < 10 ? 8 : 16) + length * 8;
+}
+
+// Mode indicator, length, the bytes, then terminator and padding up to capacity
+function encodeData(data, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(data.length, version < 10 ? 8 : 16);
+  for (const byte of data) append(byte, 8);
+
+  const capacity = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// Split into blocks, append Reed-Solomon codewords to each, then interleave
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // placeholder, skipped when interleaving
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
@@ -0,0 +1,52 @@
+/**
+ * Solana Pay transfer request URLs
+ *   solana:<recipient>?amount=<amount>&spl-token=<mint>&reference=<key>&label=<label>&message=<message>&memo=<memo>
+ * A wallet that opens one sends the transfer itself, adding the reference
+ * keys as read-only accounts so the payment can be found on chain.
+ */
+
+/**
+ * Build a transfer request URL
+ * @param {object} params - Request fields
+ * @param {string} params.recipient - Wallet to pay (for SPL tokens, the owner of the token account)
+ * @param {number|null} [params.amount] - Amount in whole units (omitted: the wallet asks the payer)
+ * @param {number} [params.decimals=9] - Decimals of the currency, to write the amount exactly
+ * @param {string|null} [params.splToken] - SPL mint (omitted: SOL)
+ * @param {string|string[]|null} [params.reference] - Reference key(s)
+ * @param {string|null} [params.label] - Who is being paid, shown by the wallet
+ * @param {string|null} [params.message] - Why, shown by the wallet
+ * @param {string|null} [params.memo] - Memo added to the transaction (public on chain)
+ * @returns {string} URL
+ */
+export function createTransferRequestURL({
+  recipient,
+  amount = null,
+  decimals = 9,
+  splToken = null,
+  reference = null,
+  label = null,
+  message = null,
+  memo = null
+}) {
+  const params = [];
+  if (amount !== null && amount !== undefined) params.push(['amount', formatAmount(amount, decimals)]);
+  if (splToken) params.push(['spl-token', splToken]);
+  for (const key of [].concat(reference || [])) params.push(['reference', key]);
+  if (label) params.push(['label', label]);
+  if (message) params.push(['message', message]);
+  if (memo) params.push(['memo', memo]);
+
+  const query = params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+  return `solana:${recipient}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Write an amount as a plain decimal, without exponent or trailing zeros
+ * @param {number} amount - Amount in whole units
+ * @param {number} [decimals=9] - Decimals of the currency
+ * @returns {string}
+ */
+export function formatAmount(amount, decimals = 9) {
+  const fixed = amount.toFixed(Math.min(decimals, 20));
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
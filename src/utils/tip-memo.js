@@ -0,0 +1,93 @@
+/**
+ * Structured tip memos
+ *
+ * A memo that is a JSON object with a version number carries more than text:
+ *   {"v":1,"name":"alice","msg":"gg!","re":"<txHash>","meta":{"song":"abc123"}}
+ * Any other memo is plain text, used as the message as is.
+ */
+
+export const TIP_MEMO_VERSION = 1;
+export const MAX_DISPLAY_NAME_LENGTH = 32;
+export const MAX_META_KEYS = 10;
+
+const MAX_META_VALUE_LENGTH = 100;
+const META_KEY_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// A tip's txHash: a base58 signature, with the transfer index for all but a transaction's first tip
+const TIP_KEY_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}(?::\d{1,3})?$/;
+
+/**
+ * Read a tip memo, structured or plain
+ * Fields that are missing or invalid come back as null; a structured memo from
+ * a newer version still yields the fields this version knows.
+ * @param {string|null} memo - Memo text from the transaction
+ * @returns {{message: string|null, displayName: string|null, replyTo: string|null,
+ *   meta: object|null}}
+ */
+export function parseTipMemo(memo) {
+  const plain = { message: memo || null, displayName: null, replyTo: null, meta: null };
+
+  const data = parseJsonObject(memo);
+  if (!data || !Number.isInteger(data.v) || data.v < TIP_MEMO_VERSION) {
+    return plain;
+  }
+
+  const name = typeof data.name === 'string' ? data.name.replace(/\s+/g, ' ').trim() : '';
+  const replyTo = typeof data.re === 'string' ? data.re.trim() : '';
+  return {
+    message: typeof data.msg === 'string' && data.msg.trim() ? data.msg.trim() : null,
+    displayName: name && name.length <= MAX_DISPLAY_NAME_LENGTH ? name : null,
+    replyTo: TIP_KEY_PATTERN.test(replyTo) ? replyTo : null,
+    meta: normalizeMeta(data.meta)
+  };
+}
+
+/**
+ * Write a structured tip memo
+ * @param {object} fields - { message?, displayName?, replyTo?, meta? }
+ * @returns {string} Memo text
+ */
+export function formatTipMemo({ message, displayName, replyTo, meta } = {}) {
+  const data = { v: TIP_MEMO_VERSION };
+  if (displayName) data.name = displayName;
+  if (message) data.msg = message;
+  if (replyTo) data.re = replyTo;
+  if (meta && Object.keys(meta).length > 0) data.meta = meta;
+  return JSON.stringify(data);
+}
+
+function parseJsonObject(memo) {
+  if (typeof memo !== 'string' || !memo.trimStart().startsWith('{')) {
+    return null;
+  }
+  try {
+    const data = JSON.parse(memo);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep up to MAX_META_KEYS short scalar values
+ */
+function normalizeMeta(meta) {
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    return null;
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (Object.keys(normalized).length >= MAX_META_KEYS) break;
+    if (!META_KEY_PATTERN.test(key)) continue;
+
+    const valid = (typeof value === 'string' && value.length <= MAX_META_VALUE_LENGTH)
+      || (typeof value === 'number' && Number.isFinite(value))
+      || typeof value === 'boolean';
+    if (valid) {
+      normalized[key] = value;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
@@ -0,0 +1,74 @@
+/**
+ * SPL token constants and helpers
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+export const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+/**
+ * Well-known mints, used to label tips when no custom token info is configured
+ */
+export const KNOWN_TOKENS = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', decimals: 6 }, // mainnet-beta
+  '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU': { symbol: 'USDC', decimals: 6 }, // devnet
+  DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263: { symbol: 'BONK', decimals: 5 }
+};
+
+/**
+ * Derive the associated token account for a wallet and mint
+ * The token program is part of the derivation, so Token-2022 mints have different addresses.
+ * @param {string} owner - Wallet public key (base58)
+ * @param {string} mint - Token mint (base58)
+ * @param {string} [tokenProgramId=TOKEN_PROGRAM_ID] - Program that owns the mint
+ * @returns {string} Associated token account address (base58)
+ */
+export function getAssociatedTokenAddress(owner, mint, tokenProgramId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [
+      new PublicKey(owner).toBuffer(),
+      new PublicKey(tokenProgramId).toBuffer(),
+      new PublicKey(mint).toBuffer()
+    ],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  );
+  return address.toString();
+}
+
+/**
+ * Symbol to label an amount with; mints without token info show their first characters
+ * @param {string|null} mint - Token mint (null for SOL)
+ * @param {object} [tokens] - Configured token info (mint -> { symbol, decimals }), checked before KNOWN_TOKENS
+ * @returns {string}
+ */
+export function tokenSymbol(mint, tokens = {}) {
+  if (!mint) return 'SOL';
+  const token = tokens[mint] || KNOWN_TOKENS[mint];
+  return token ? token.symbol : `${mint.slice(0, 4)}…`;
+}
+
+/**
+ * Round a summed amount to the token's precision (sums of floating point amounts drift)
+ * @param {number} value - Amount
+ * @param {number} [decimals=9] - Token decimals
+ * @returns {number}
+ */
+export function roundAmount(value, decimals = 9) {
+  return Number(value.toFixed(Math.min(decimals, 12)));
+}
+
+/**
+ * Check that a string is a valid base58 public key
+ * @param {string} value - Candidate address
+ * @returns {boolean}
+ */
+export function isValidPublicKey(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
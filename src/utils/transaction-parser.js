@@ -4,21 +4,254 @@
 
 import { LAMPORTS_PER_SOL } from '@solana/web3.js';
 import bs58 from 'bs58';
+import { getAssociatedTokenAddress, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './tokens.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+// Memo program v2, and the legacy v1 still used by some wallets
+const MEMO_PROGRAM_IDS = [
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+];
+// What the memo program logs: Memo (len 5): "hello"
+const MEMO_LOG_PATTERN = /^Program log: Memo \(len \d+\): (".*")$/;
+
+// Instruction discriminators (System: u32 LE, Token: u8)
+const SYSTEM_TRANSFER = 2;
+const SYSTEM_TRANSFER_WITH_SEED = 11;
+const TOKEN_TRANSFER = 3;
+const TOKEN_TRANSFER_CHECKED = 12;
+
+/**
+ * Resolve a transaction's full account list and its instructions
+ * Handles legacy and v0 messages, as web3.js objects or raw JSON-RPC results.
+ * In a v0 message, accounts loaded from address lookup tables come after the
+ * static keys (writable, then readonly), the order meta's balances use.
+ * @param {object} transaction - Solana transaction object from getTransaction()
+ * @returns {{accountKeys: string[], instructions: Array<{programId: string, accounts: string[],
+ *   data: Uint8Array}>, innerInstructions: Array<{index: number, instructions: Array}>|null}|null}
+ *   Null if the message cannot be read; innerInstructions is null if the node did not record them
+ */
+export function resolveTransactionMessage(transaction) {
+  const message = transaction && transaction.transaction && transaction.transaction.message;
+  if (!message) {
+    return null;
+  }
+
+  // web3.js MessageV0 only has staticAccountKeys; legacy messages and raw JSON use accountKeys
+  const meta = transaction.meta || {};
+  const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+  const loaded = meta.loadedAddresses || {};
+  const accountKeys = [...staticKeys, ...(loaded.writable || []), ...(loaded.readonly || [])]
+    .map(key => key.toString());
+
+  // Accounts are undefined if lookup table addresses are missing from meta
+  const resolve = (ix) => ({
+    programId: accountKeys[ix.programIdIndex],
+    accounts: (ix.accountKeyIndexes || ix.accounts || []).map(index => accountKeys[index]),
+    data: typeof ix.data === 'string' ? bs58.decode(ix.data) : Uint8Array.from(ix.data || [])
+  });
+
+  // compiledInstructions: web3.js (both versions); instructions: raw JSON-RPC
+  const compiled = message.compiledInstructions || message.instructions || [];
+  const innerInstructions = meta.innerInstructions
+    ? meta.innerInstructions.map(({ index, instructions }) => ({ index, instructions: instructions.map(resolve) }))
+    : null;
+
+  return { accountKeys, instructions: compiled.map(resolve), innerInstructions };
+}
+
+/**
+ * Find every transfer to a streamer in a transaction
+ * Reads the System and SPL Token transfer instructions, including those other
+ * programs make on the sender's behalf, so each transfer becomes its own tip
+ * credited to the account that paid it. Inflows that are not transfers (stake
+ * withdrawals, rent refunds from closed accounts) and transfers from the
+ * streamer's own wallet are not tips; failed transactions have none.
+ * @param {object} transaction - Solana transaction object from getTransaction()
+ * @param {string} targetPubkey - Streamer wallet
+ * @param {string[]} [acceptedMints] - SPL mints the streamer accepts tips in
+ * @returns {Array<object>} Tip info per transfer in execution order, numbered by transferIndex
+ */
+export function parseTipTransfers(transaction, targetPubkey, acceptedMints = []) {
+  if (!transaction || !transaction.meta || transaction.meta.err) {
+    return [];
+  }
+  const resolved = resolveTransactionMessage(transaction);
+  if (!resolved) {
+    return [];
+  }
+
+  const { slot, blockTime } = transaction;
+  const tokenAccounts = getTokenAccounts(transaction.meta, resolved.accountKeys);
+  const transfers = [];
+
+  for (const ix of executedInstructions(resolved)) {
+    const transfer = ix.programId === SYSTEM_PROGRAM_ID
+      ? solTransfer(ix, targetPubkey)
+      : TOKEN_PROGRAM_IDS.includes(ix.programId)
+        ? tokenTransfer(ix, targetPubkey, acceptedMints, tokenAccounts)
+        : null;
+    if (transfer) {
+      transfers.push({ ...transfer, slot, blockTime, transferIndex: transfers.length });
+    }
+  }
+
+  // Nodes without inner instruction recording only show the balance change
+  if (transfers.length === 0 && !resolved.innerInstructions) {
+    const fallback = solBalanceTip(transaction, resolved.accountKeys, targetPubkey)
+      || tokenBalanceTip(transaction, resolved.accountKeys, targetPubkey, acceptedMints);
+    return fallback ? [{ ...fallback, transferIndex: 0 }] : [];
+  }
+
+  return transfers;
+}
+
+/**
+ * Accounts that may be Solana Pay reference keys
+ * Wallets add references as read-only, non-signer accounts; this lists those
+ * (the static keys the header marks read-only unsigned, and read-only lookup
+ * table accounts), leaving out the programs the transaction calls.
+ * @param {object} transaction - Solana transaction object from getTransaction()
+ * @returns {string[]} Candidate reference keys (base58)
+ */
+export function findReferenceKeys(transaction) {
+  const resolved = resolveTransactionMessage(transaction);
+  if (!resolved) {
+    return [];
+  }
+
+  const { message } = transaction.transaction;
+  const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+  const loadedReadonly = ((transaction.meta || {}).loadedAddresses || {}).readonly || [];
+  const readonlyUnsigned = message.header ? message.header.numReadonlyUnsignedAccounts : staticKeys.length;
+
+  const programs = new Set(executedInstructions(resolved).map(ix => ix.programId));
+  const candidates = [
+    ...resolved.accountKeys.slice(staticKeys.length - readonlyUnsigned, staticKeys.length),
+    ...resolved.accountKeys.slice(resolved.accountKeys.length - loadedReadonly.length)
+  ];
+  return [...new Set(candidates)].filter(key => key && !programs.has(key));
+}
 
 /**
  * Parse a transaction to detect tips to a specific address
  * @param {object} transaction - Solana transaction object from getTransaction()
  * @param {string} targetPubkey - Public key to check for incoming transfers
- * @returns {object|null} Tip info or null if no tip detected
+ * @returns {object|null} The first SOL transfer to the address (see parseTipTransfers for all of them)
  */
 export function parseTipTransaction(transaction, targetPubkey) {
-  if (!transaction || !transaction.meta) {
+  return parseTipTransfers(transaction, targetPubkey).find(transfer => !transfer.mint) || null;
+}
+
+/**
+ * Parse a transaction to detect SPL token tips to a specific wallet
+ * Handles both Transfer and TransferChecked, under Token and Token-2022.
+ * @param {object} transaction - Solana transaction object from getTransaction()
+ * @param {string} targetPubkey - Wallet that owns the receiving token accounts
+ * @param {string[]} acceptedMints - Mints the streamer accepts tips in
+ * @returns {object|null} The first token transfer to the wallet (see parseTipTransfers for all of them)
+ */
+export function parseTokenTipTransaction(transaction, targetPubkey, acceptedMints = []) {
+  if (acceptedMints.length === 0) {
+    return null;
+  }
+  return parseTipTransfers(transaction, targetPubkey, acceptedMints)
+    .find(transfer => transfer.mint) || null;
+}
+
+/**
+ * Top-level instructions, each followed by the inner instructions it invoked
+ */
+function executedInstructions({ instructions, innerInstructions }) {
+  const inner = new Map((innerInstructions || []).map(({ index, instructions }) => [index, instructions]));
+  return instructions.flatMap((ix, index) => [ix, ...(inner.get(index) || [])]);
+}
+
+/**
+ * Mint, owner and decimals of the token accounts in a transaction, by address
+ */
+function getTokenAccounts(meta, accountKeys) {
+  const accounts = new Map();
+  for (const balance of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+    accounts.set(accountKeys[balance.accountIndex], {
+      mint: balance.mint,
+      owner: balance.owner || null,
+      decimals: balance.uiTokenAmount.decimals
+    });
+  }
+  return accounts;
+}
+
+function solTransfer(ix, targetPubkey) {
+  const { data, accounts } = ix;
+  if (data.length < 12) return null;
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const kind = view.getUint32(0, true);
+  // TransferWithSeed: [from, base, to]
+  const [from, to] = kind === SYSTEM_TRANSFER
+    ? [accounts[0], accounts[1]]
+    : kind === SYSTEM_TRANSFER_WITH_SEED ? [accounts[0], accounts[2]] : [];
+  if (to !== targetPubkey || from === targetPubkey) return null;
+
+  const lamports = Number(view.getBigUint64(4, true));
+  if (lamports <= 0) return null;
+
+  return {
+    from: from || 'unknown',
+    mint: null,
+    amountLamports: lamports,
+    amountSol: lamports / LAMPORTS_PER_SOL
+  };
+}
+
+function tokenTransfer(ix, targetPubkey, acceptedMints, tokenAccounts) {
+  const { data, accounts } = ix;
+  let source, mint, destination, authority, decimals;
+  if (data[0] === TOKEN_TRANSFER && data.length >= 9) {
+    [source, destination, authority] = accounts;
+  } else if (data[0] === TOKEN_TRANSFER_CHECKED && data.length >= 10) {
+    [source, mint, destination, authority] = accounts;
+    decimals = data[9];
+  } else {
     return null;
   }
 
-  const { meta, transaction: tx, slot, blockTime } = transaction;
-  const accountKeys = tx.message.accountKeys.map(key => key.toString());
-  
+  const received = tokenAccounts.get(destination);
+  mint = mint || (received && received.mint);
+  decimals = decimals ?? (received && received.decimals);
+  if (!mint || decimals === undefined || !acceptedMints.includes(mint)) return null;
+
+  // The receiving account must belong to the streamer
+  const isStreamerAccount = received && received.owner
+    ? received.owner === targetPubkey
+    : destination === getAssociatedTokenAddress(targetPubkey, mint, ix.programId);
+  if (!isStreamerAccount) return null;
+
+  // The source account's owner, or the signing authority (owner or delegate)
+  const sent = tokenAccounts.get(source);
+  const from = (sent && sent.owner) || authority || 'unknown';
+  if (from === targetPubkey) return null;
+
+  const amount = new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(1, true);
+  if (amount <= 0n) return null;
+
+  return {
+    from,
+    mint,
+    decimals,
+    amountRaw: amount.toString(),
+    amount: Number(amount) / 10 ** decimals
+  };
+}
+
+/**
+ * SOL tip from the streamer's balance change, for transactions without inner instructions
+ */
+function solBalanceTip(transaction, accountKeys, targetPubkey) {
+  const { meta, slot, blockTime } = transaction;
+
   // Find the index of our target address
   const targetIndex = accountKeys.indexOf(targetPubkey);
   if (targetIndex === -1) {
@@ -46,6 +279,7 @@ export function parseTipTransaction(transaction, targetPubkey) {
 
   return {
     from: fromAddress,
+    mint: null,
     amountLamports: balanceChange,
     amountSol: balanceChange / LAMPORTS_PER_SOL,
     slot,
@@ -53,30 +287,151 @@ export function parseTipTransaction(transaction, targetPubkey) {
   };
 }
 
+/**
+ * SPL token tip from pre/post token balances, for transactions without inner instructions
+ */
+function tokenBalanceTip(transaction, accountKeys, targetPubkey, acceptedMints) {
+  const { meta, slot, blockTime } = transaction;
+  const preTokenBalances = meta.preTokenBalances || [];
+  const postTokenBalances = meta.postTokenBalances || [];
+  if (acceptedMints.length === 0 || postTokenBalances.length === 0) {
+    return null;
+  }
+
+  const findPre = (accountIndex) =>
+    preTokenBalances.find(balance => balance.accountIndex === accountIndex);
+
+  for (const post of postTokenBalances) {
+    if (!acceptedMints.includes(post.mint)) continue;
+
+    // The receiving account must belong to the streamer (older nodes omit owner and programId)
+    const isStreamerAccount = post.owner
+      ? post.owner === targetPubkey
+      : (post.programId ? [post.programId] : TOKEN_PROGRAM_IDS).some(programId =>
+        accountKeys[post.accountIndex] === getAssociatedTokenAddress(targetPubkey, post.mint, programId)
+      );
+    if (!isStreamerAccount) continue;
+
+    // Accounts created in this transaction have no pre balance
+    const pre = findPre(post.accountIndex);
+    const preAmount = BigInt(pre ? pre.uiTokenAmount.amount : 0);
+    const change = BigInt(post.uiTokenAmount.amount) - preAmount;
+    if (change <= 0n) continue;
+
+    // Find the sender (owner of an account of the same mint that decreased)
+    let fromAddress = 'unknown';
+    for (const balance of preTokenBalances) {
+      if (balance.mint !== post.mint || balance.accountIndex === post.accountIndex) continue;
+      const after = postTokenBalances.find(b => b.accountIndex === balance.accountIndex);
+      const afterAmount = BigInt(after ? after.uiTokenAmount.amount : 0);
+      if (BigInt(balance.uiTokenAmount.amount) > afterAmount) {
+        fromAddress = balance.owner || accountKeys[balance.accountIndex];
+        break;
+      }
+    }
+
+    const { decimals } = post.uiTokenAmount;
+    return {
+      from: fromAddress,
+      mint: post.mint,
+      decimals,
+      amountRaw: change.toString(),
+      amount: Number(change) / 10 ** decimals,
+      slot,
+      blockTime
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Every memo in a transaction, in execution order
+ * Reads both memo program versions, in top-level and inner instructions. If
+ * no memo instruction can be read, the memo program's log lines are used.
+ * Memos that are not valid UTF-8 are skipped.
+ * @param {object} transaction - Solana transaction object
+ * @returns {string[]} Memo texts
+ */
+export function extractMemos(transaction) {
+  const resolved = resolveTransactionMessage(transaction);
+  if (!resolved) {
+    return [];
+  }
+
+  const memos = [];
+  for (const ix of executedInstructions(resolved)) {
+    if (!MEMO_PROGRAM_IDS.includes(ix.programId) || ix.data.length === 0) continue;
+
+    const memo = decodeUtf8(ix.data);
+    if (memo !== null) {
+      memos.push(memo);
+    }
+  }
+
+  return memos.length > 0 ? memos : memosFromLogs(transaction.meta);
+}
+
 /**
  * Extract memo from transaction if present
  * @param {object} transaction - Solana transaction object
+ * @param {object} [options] - When there are several memos
+ * @param {string} [options.select='first'] - 'first', 'last', or 'all' to join them
+ * @param {string} [options.separator='\n'] - Between joined memos
  * @returns {string|null} Memo text or null
  */
-export function extractMemo(transaction) {
-  if (!transaction || !transaction.transaction) {
+export function extractMemo(transaction, options = {}) {
+  const { select = 'first', separator = '\n' } = options;
+  const memos = extractMemos(transaction);
+  if (memos.length === 0) {
     return null;
   }
 
-  const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
-  const { instructions } = transaction.transaction.message;
+  if (select === 'all') {
+    return memos.join(separator);
+  }
+  return select === 'last' ? memos[memos.length - 1] : memos[0];
+}
+
+/**
+ * Strict UTF-8 decoding; null for invalid bytes
+ */
+function decodeUtf8(data) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(data);
+  } catch {
+    return null;
+  }
+}
 
-  for (const ix of instructions) {
-    const programId = transaction.transaction.message.accountKeys[ix.programIdIndex].toString();
-    if (programId === MEMO_PROGRAM_ID && ix.data) {
-      try {
-        // Memo data is base58 encoded UTF-8 text
-        return Buffer.from(bs58.decode(ix.data)).toString('utf-8');
-      } catch (e) {
-        console.error('Failed to decode memo:', e);
+/**
+ * Memos as logged by the memo program (a Rust debug string), for when
+ * instruction data is unavailable, e.g. inner instructions were not recorded
+ */
+function memosFromLogs(meta) {
+  const memos = [];
+  for (const line of (meta && meta.logMessages) || []) {
+    const match = MEMO_LOG_PATTERN.exec(line);
+    if (match) {
+      const memo = unescapeDebugString(match[1]);
+      if (memo) {
+        memos.push(memo);
       }
     }
   }
+  return memos;
+}
 
-  return null;
+function unescapeDebugString(quoted) {
+  try {
+    return quoted.slice(1, -1).replace(/\\(u\{([0-9a-fA-F]{1,6})\}|.)/g, (match, escape, code) => {
+      if (code) {
+        return String.fromCodePoint(parseInt(code, 16));
+      }
+      return { n: '\n', r: '\r', t: '\t', 0: '\0' }[escape] ?? escape;
+    });
+  } catch {
+    // Code point out of range
+    return null;
+  }
 }
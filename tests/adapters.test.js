@@ -0,0 +1,304 @@
+/**
+ * StorageAdapter behaviour shared by every bundled adapter
+ * Postgres runs against an in-process stand-in (see helpers/postgres.js).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  MemoryAdapter,
+  LowdbAdapter,
+  SqliteAdapter,
+  PostgresAdapter,
+  SQLITE_MIGRATIONS,
+  POSTGRES_MIGRATIONS
+} from '../src/adapters/index.js';
+import { leaderboardFromTips, totalsFromTips } from '../src/adapters/tip-aggregates.js';
+import { createPostgresPool } from './helpers/postgres.js';
+
+const USDC = 'EPjFWdd5AufqSo9s5ptmgjMtY9hyVZHpz2HHEcfQcFp';
+
+const ADAPTERS = [
+  {
+    name: 'MemoryAdapter',
+    create: async () => new MemoryAdapter()
+  },
+  {
+    name: 'LowdbAdapter',
+    create: async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'tips-lowdb-'));
+      const adapter = new LowdbAdapter(join(dir, 'db.json'));
+      await adapter.init();
+      return Object.assign(adapter, { close: async () => rmSync(dir, { recursive: true, force: true }) });
+    }
+  },
+  {
+    name: 'SqliteAdapter',
+    migrations: SQLITE_MIGRATIONS,
+    create: async () => {
+      const adapter = new SqliteAdapter(':memory:');
+      await adapter.init();
+      return Object.assign(adapter, { close: async () => adapter.db.close() });
+    }
+  },
+  {
+    name: 'PostgresAdapter',
+    migrations: POSTGRES_MIGRATIONS,
+    create: async () => {
+      const pool = createPostgresPool();
+      const adapter = new PostgresAdapter(null, { pool });
+      await adapter.init();
+      return Object.assign(adapter, { close: async () => pool.end() });
+    }
+  }
+];
+
+function tip(fields) {
+  return {
+    streamerId: 'alice',
+    streamerPubkey: 'AliceWallet',
+    mint: null,
+    symbol: 'SOL',
+    decimals: 9,
+    slot: 1,
+    blockTime: 1700000000,
+    status: 'confirmed',
+    ...fields
+  };
+}
+
+for (const { name, create, migrations } of ADAPTERS) {
+  describe(name, () => {
+    let storage;
+
+    before(async () => {
+      storage = await create();
+    });
+
+    after(async () => {
+      if (storage.close) await storage.close();
+    });
+
+    if (migrations) {
+      it('records every migration once', async () => {
+        assert.deepEqual(await storage.migrate(), []);
+
+        const query = 'SELECT version FROM schema_migrations ORDER BY version';
+        const rows = storage.db
+          ? storage.db.prepare(query).all()
+          : (await storage.pool.query(query)).rows;
+        assert.deepEqual(rows.map(row => row.version), migrations.map(migration => migration.version));
+      });
+    }
+
+    it('stores streamers and merges updates', async () => {
+      assert.equal(await storage.registerStreamer('alice', 'AliceWallet', 'signed message'), true);
+      const updated = await storage.updateStreamer('alice', { acceptedMints: [USDC] });
+
+      assert.equal(updated.pubkey, 'AliceWallet');
+      assert.deepEqual((await storage.getStreamer('alice')).acceptedMints, [USDC]);
+      assert.equal(await storage.updateStreamer('nobody', { acceptedMints: [] }), null);
+      assert.ok((await storage.getAllStreamers()).has('alice'));
+    });
+
+    it('never replaces a registered streamer', async () => {
+      assert.equal(await storage.registerStreamer('alice', 'MalloryWallet', 'other message'), false);
+
+      const streamer = await storage.getStreamer('alice');
+      assert.equal(streamer.pubkey, 'AliceWallet');
+      assert.deepEqual(streamer.acceptedMints, [USDC]);
+    });
+
+    it('moves the cursor of a watched address', async () => {
+      assert.equal(await storage.getLastSeen('AliceWallet'), null);
+      await storage.updateLastSeen('AliceWallet', 'sig1');
+      await storage.updateLastSeen('AliceWallet', 'sig2');
+      assert.equal(await storage.getLastSeen('AliceWallet'), 'sig2');
+    });
+
+    it('saves a tip once per txHash', async () => {
+      const first = tip({ txHash: 'tx-dup', from: 'Bob', amount: 1 });
+
+      assert.equal(await storage.saveTip(first), true);
+      assert.equal(await storage.saveTip({ ...first, amount: 99 }), false);
+
+      const stored = await storage.getTipByTxHash('tx-dup');
+      assert.equal(stored.amount, 1);
+      assert.equal((await storage.getTips('alice')).filter(t => t.txHash === 'tx-dup').length, 1);
+    });
+
+    it('consumes a challenge only once', async () => {
+      await storage.saveChallenge({
+        nonce: 'nonce-1',
+        streamerId: 'alice',
+        action: 'link',
+        domain: 'localhost',
+        message: 'challenge',
+        issuedAt: Date.now(),
+        expiresAt: Date.now() + 60000
+      });
+
+      assert.equal((await storage.getChallenge('nonce-1')).used, false);
+      assert.equal(await storage.consumeChallenge('nonce-1'), true);
+      assert.equal(await storage.consumeChallenge('nonce-1'), false);
+      assert.equal((await storage.getChallenge('nonce-1')).used, true);
+      assert.equal(await storage.consumeChallenge('unknown'), false);
+    });
+
+    it('ranks senders per currency and leaves out reverted tips', async () => {
+      await storage.saveTip(tip({ txHash: 'lb-1', from: 'Carol', amount: 1, blockTime: 1700000100 }));
+      await storage.saveTip(tip({ txHash: 'lb-2', from: 'Carol', amount: 2, blockTime: 1700000200 }));
+      await storage.saveTip(tip({ txHash: 'lb-3', from: 'Dave', amount: 2.5, blockTime: 1700000300 }));
+      await storage.saveTip(tip({ txHash: 'lb-4', from: 'Eve', amount: 50, status: 'reverted' }));
+      await storage.saveTip(tip({ txHash: 'lb-5', from: 'Dave', mint: USDC, symbol: 'USDC', decimals: 6, amount: 5 }));
+
+      const sol = await storage.getTipLeaderboard('alice', { limit: 2 });
+      assert.deepEqual(sol, [
+        { from: 'Carol', amount: 3, count: 2, lastTipAt: 1700000200000 },
+        { from: 'Dave', amount: 2.5, count: 1, lastTipAt: 1700000300000 }
+      ]);
+
+      const usdc = await storage.getTipLeaderboard('alice', { mint: USDC });
+      assert.deepEqual(usdc.map(entry => [entry.from, entry.amount]), [['Dave', 5]]);
+
+      const recent = await storage.getTipLeaderboard('alice', { since: 1700000250000 });
+      assert.deepEqual(recent.map(entry => entry.from), ['Dave']);
+    });
+
+    it('totals tips per currency', async () => {
+      const totals = await storage.getTipTotals('alice');
+      const byMint = Object.fromEntries(totals.map(total => [total.mint, total]));
+
+      // Bob's 1 SOL from the idempotency test, plus Carol's and Dave's
+      assert.deepEqual(byMint[null], { mint: null, symbol: 'SOL', amount: 6.5, count: 4, tippers: 3 });
+      assert.deepEqual(byMint[USDC], { mint: USDC, symbol: 'USDC', amount: 5, count: 1, tippers: 1 });
+      assert.deepEqual(await storage.getTipTotals('nobody'), []);
+    });
+
+    it('counts a streamer\'s pending, unexpired payment requests', async () => {
+      const now = Date.now();
+      const request = (reference, fields = {}) => storage.savePaymentRequest({
+        reference,
+        streamerId: 'alice',
+        amount: null,
+        mint: null,
+        status: 'pending',
+        createdAt: now,
+        expiresAt: now + 60000,
+        ...fields
+      });
+
+      await request('ref-1');
+      await request('ref-2');
+      await request('ref-3');
+      await request('ref-other', { streamerId: 'bob' });
+      await storage.completePaymentRequest('ref-3', { txHash: 'tx-pay', from: 'Bob', paidAmount: 1, paidAt: now });
+
+      assert.equal(await storage.countPendingPaymentRequests('alice', now), 2);
+      assert.equal(await storage.countPendingPaymentRequests('alice', now + 120000), 0);
+      assert.equal(await storage.countPendingPaymentRequests('nobody', now), 0);
+    });
+  });
+}
+
+// One tip set for every adapter; the SQL adapters must agree with tip-aggregates.js
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const T0 = 1700000000;
+const SHARED_TIPS = [
+  ['Carol', 1, T0 + 10, {}],
+  ['Carol', 0.5, T0 + 20, { sessionId: 'session-1' }],
+  ['Dave', 1.5, T0 + 30, { sessionId: 'session-1' }],
+  ['Erin', 1.5, T0 + 40, { sessionId: 'session-1' }],
+  ['Frank', 0.25, T0 + 50, { sessionId: 'session-2' }],
+  ['Frank', 0.25, T0 + 60, { sessionId: 'session-2' }],
+  ['Gina', 8, T0 + 70, { status: 'reverted', sessionId: 'session-2' }],
+  ['Dave', 5, T0 + 80, { mint: USDC, symbol: 'USDC', decimals: 6 }],
+  ['Carol', 2.5, T0 + 90, { mint: USDC, symbol: 'USDC', decimals: 6, sessionId: 'session-2' }],
+  ['Erin', 1000, T0 + 100, { mint: BONK, symbol: 'BONK', decimals: 5, status: 'finalized' }],
+  ['Hank', 0.75, T0 + 110, { streamerId: 'zed' }]
+].map(([from, amount, blockTime, fields], i) => tip({
+  txHash: `agg-${i}`,
+  streamerId: 'yara',
+  from,
+  amount,
+  blockTime,
+  ...fields
+}));
+
+const LEADERBOARD_QUERIES = [
+  {},
+  { limit: 2 },
+  { since: (T0 + 30) * 1000 },
+  { since: (T0 + 31) * 1000 },
+  { mint: USDC },
+  { mint: BONK },
+  { sessionId: 'session-1' },
+  { sessionId: 'session-2', since: (T0 + 55) * 1000 },
+  { mint: USDC, sessionId: 'session-2' }
+];
+
+const TOTALS_QUERIES = [
+  {},
+  { since: (T0 + 75) * 1000 },
+  { sessionId: 'session-2' },
+  { since: (T0 + 200) * 1000 }
+];
+
+// Equal counts may come back in either order
+const byMint = totals => [...totals].sort((a, b) => String(a.mint).localeCompare(String(b.mint)));
+
+describe('tip aggregates', () => {
+  it('match the documented results in JS', () => {
+    assert.deepEqual(leaderboardFromTips(SHARED_TIPS, 'yara').map(entry => [entry.from, entry.amount]), [
+      ['Carol', 1.5], // ties go to whoever got there first
+      ['Dave', 1.5],
+      ['Erin', 1.5],
+      ['Frank', 0.5]
+    ]);
+    assert.deepEqual(byMint(totalsFromTips(SHARED_TIPS, 'yara')), [
+      { mint: BONK, symbol: 'BONK', amount: 1000, count: 1, tippers: 1 },
+      { mint: USDC, symbol: 'USDC', amount: 7.5, count: 2, tippers: 2 },
+      { mint: null, symbol: 'SOL', amount: 5, count: 6, tippers: 4 }
+    ]);
+  });
+
+  for (const { name, create } of ADAPTERS) {
+    describe(name, () => {
+      let storage;
+
+      before(async () => {
+        storage = await create();
+        for (const shared of SHARED_TIPS) {
+          await storage.saveTip(shared);
+        }
+      });
+
+      after(async () => {
+        if (storage.close) await storage.close();
+      });
+
+      it('ranks senders like leaderboardFromTips', async () => {
+        for (const query of LEADERBOARD_QUERIES) {
+          assert.deepEqual(
+            await storage.getTipLeaderboard('yara', query),
+            leaderboardFromTips(SHARED_TIPS, 'yara', query),
+            JSON.stringify(query)
+          );
+        }
+      });
+
+      it('totals tips like totalsFromTips', async () => {
+        for (const query of TOTALS_QUERIES) {
+          assert.deepEqual(
+            byMint(await storage.getTipTotals('yara', query)),
+            byMint(totalsFromTips(SHARED_TIPS, 'yara', query)),
+            JSON.stringify(query)
+          );
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,93 @@
+/**
+ * Alert tier validation and resolution
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAlertTiers, resolveAlertTier, MAX_ALERT_TIERS } from '../src/utils/alert-tiers.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const { tiers: TIERS } = normalizeAlertTiers([
+  { name: 'Legendary', minAmount: 10, durationMs: 15000, sound: '/sounds/fanfare.mp3', tts: true },
+  { name: 'Small', minAmount: 0 },
+  { name: 'Big', minAmount: 1, animation: 'pop' },
+  { name: 'Big USDC', minAmount: 100, mint: USDC },
+  { name: 'USDC', minAmount: 5, mint: USDC }
+]);
+
+const tierName = tip => resolveAlertTier(TIERS, tip)?.name ?? null;
+
+describe('resolveAlertTier', () => {
+  it('picks the highest threshold the amount reaches', () => {
+    assert.equal(tierName({ amount: 0.001 }), 'Small');
+    assert.equal(tierName({ amount: 0.999999999 }), 'Small');
+    assert.equal(tierName({ amount: 1 }), 'Big');
+    assert.equal(tierName({ amount: 9.99 }), 'Big');
+    assert.equal(tierName({ amount: 10 }), 'Legendary');
+    assert.equal(tierName({ amount: 5000 }), 'Legendary');
+  });
+
+  it('only uses tiers in the tip currency', () => {
+    assert.equal(tierName({ amount: 5, mint: USDC }), 'USDC');
+    assert.equal(tierName({ amount: 100, mint: USDC }), 'Big USDC');
+    // No USDC tier below 5, and the SOL tiers do not apply
+    assert.equal(tierName({ amount: 4.99, mint: USDC }), null);
+    assert.equal(tierName({ amount: 1000, mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' }), null);
+  });
+
+  it('falls back to plain alerts without a tier that matches', () => {
+    const [, big] = TIERS;
+    assert.equal(resolveAlertTier([big], { amount: 0.5 }), null);
+    assert.equal(resolveAlertTier([], { amount: 5 }), null);
+    assert.equal(resolveAlertTier(null, { amount: 5 }), null);
+  });
+
+  it('reads older tips by amountSol and leaves the mint off the result', () => {
+    assert.deepEqual(resolveAlertTier(TIERS, { amountSol: 1.5 }), {
+      name: 'Big',
+      minAmount: 1,
+      durationMs: 5000,
+      sound: null,
+      animation: 'pop',
+      tts: false
+    });
+  });
+});
+
+describe('normalizeAlertTiers', () => {
+  it('fills in defaults and sorts SOL tiers first, lowest first', () => {
+    assert.deepEqual(TIERS.map(tier => [tier.mint, tier.minAmount]), [
+      [null, 0],
+      [null, 1],
+      [null, 10],
+      [USDC, 5],
+      [USDC, 100]
+    ]);
+    assert.deepEqual(normalizeAlertTiers([{ name: ' Small ', minAmount: 0 }]).tiers, [
+      { name: 'Small', minAmount: 0, mint: null, durationMs: 5000, sound: null, animation: null, tts: false }
+    ]);
+  });
+
+  it('rejects invalid tiers', () => {
+    const error = tiers => normalizeAlertTiers(tiers).error;
+
+    assert.equal(error({ name: 'Big' }), 'Tiers must be an array of at most 20');
+    assert.equal(error(Array.from({ length: MAX_ALERT_TIERS + 1 }, (_, i) => ({ name: `T${i}`, minAmount: i }))),
+      'Tiers must be an array of at most 20');
+    assert.equal(error([{ name: '', minAmount: 1 }]), 'Tier name must be 1-32 characters');
+    assert.equal(error([{ name: 'Big', minAmount: -1 }]), 'Tier "Big": minAmount must be a non-negative number');
+    assert.equal(error([{ name: 'Big', minAmount: 1, mint: 'not-a-mint' }]), 'Tier "Big": invalid token mint');
+    assert.equal(error([{ name: 'Big', minAmount: 1, durationMs: 500 }]), 'Tier "Big": durationMs must be 1000-60000');
+    assert.equal(error([{ name: 'Big', minAmount: 1, sound: 'javascript:alert(1)' }]),
+      'Tier "Big": sound must be an http(s) URL or a path starting with /');
+    assert.equal(error([{ name: 'Big', minAmount: 1, sound: '//evil.example/a.mp3' }]),
+      'Tier "Big": sound must be an http(s) URL or a path starting with /');
+    assert.equal(error([{ name: 'Big', minAmount: 1, animation: 'Pop!' }]),
+      'Tier "Big": animation must be a short lowercase name');
+    assert.equal(error([{ name: 'Big', minAmount: 1, tts: 'yes' }]), 'Tier "Big": tts must be true or false');
+    assert.equal(error([{ name: 'A', minAmount: 1 }, { name: 'B', minAmount: 1 }]),
+      'Two tiers have the same currency and minAmount');
+    assert.equal(error([{ name: 'A', minAmount: 1 }, { name: 'B', minAmount: 1, mint: USDC }]), undefined);
+  });
+});
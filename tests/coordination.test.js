@@ -0,0 +1,215 @@
+/**
+ * Coordination adapters and the ClusterCoordinator built on them
+ * Redis runs against an in-memory stand-in (see helpers/redis.js).
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { InProcessAdapter, InProcessHub, RedisAdapter } from '../src/coordination/index.js';
+import { ClusterCoordinator } from '../src/core/ClusterCoordinator.js';
+import { FakeRedisServer } from './helpers/redis.js';
+
+const BACKENDS = [
+  {
+    name: 'InProcessAdapter',
+    createBackend: () => new InProcessHub(),
+    createAdapter: hub => new InProcessAdapter({ hub })
+  },
+  {
+    name: 'RedisAdapter',
+    createBackend: () => new FakeRedisServer(),
+    createAdapter: server => new RedisAdapter({ client: server.createClient(), prefix: 'test' })
+  }
+];
+
+const STREAMERS = Array.from({ length: 60 }, (_, i) => `streamer-${i}`);
+
+// Wait until queued pub/sub deliveries have run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+for (const { name, createBackend, createAdapter } of BACKENDS) {
+  describe(name, () => {
+    let nodes = [];
+
+    // Start coordinators that only refresh when told to
+    async function startNodes(backend, nodeIds, options = {}) {
+      const started = [];
+      for (const nodeId of nodeIds) {
+        const node = new ClusterCoordinator({
+          adapter: createAdapter(backend),
+          nodeId,
+          heartbeatInterval: 60 * 60 * 1000,
+          ...options
+        });
+        await node.start();
+        started.push(node);
+      }
+      nodes.push(...started);
+      await Promise.all(started.map(node => node.refresh()));
+      return started;
+    }
+
+    afterEach(async () => {
+      await Promise.all(nodes.map(node => node.stop()));
+      nodes = [];
+    });
+
+    it('hands the leader lease over only once it is released or expires', async () => {
+      const backend = createBackend();
+      const first = createAdapter(backend);
+      const second = createAdapter(backend);
+
+      assert.equal(await first.acquireLeadership('node-a', 50), true);
+      assert.equal(await second.acquireLeadership('node-b', 50), false);
+      // Renewing our own lease succeeds; releasing someone else's does nothing
+      assert.equal(await first.acquireLeadership('node-a', 50), true);
+      await second.releaseLeadership('node-b');
+      assert.equal(await second.acquireLeadership('node-b', 50), false);
+
+      await first.releaseLeadership('node-a');
+      assert.equal(await second.acquireLeadership('node-b', 30), true);
+      assert.equal(await first.acquireLeadership('node-a', 30), false);
+
+      await sleep(50);
+      assert.equal(await first.acquireLeadership('node-a', 30), true);
+    });
+
+    it('drops members that stop sending heartbeats', async () => {
+      const adapter = createAdapter(createBackend());
+
+      await adapter.heartbeat('node-a', 1000);
+      await adapter.heartbeat('node-b', 20);
+      await adapter.heartbeat('node-c', 1000);
+      await adapter.leave('node-c');
+      assert.deepEqual((await adapter.getMembers()).sort(), ['node-a', 'node-b']);
+
+      await sleep(40);
+      assert.deepEqual(await adapter.getMembers(), ['node-a']);
+    });
+
+    it('elects one leader and moves leadership when it leaves', async () => {
+      const [a, b] = await startNodes(createBackend(), ['node-a', 'node-b'], { strategy: 'leader' });
+      assert.equal(a.isLeader(), true);
+      assert.equal(b.isLeader(), false);
+      assert.ok(STREAMERS.every(streamerId => a.owns(streamerId) && !b.owns(streamerId)));
+
+      const rebalances = [];
+      b.on('rebalance', event => rebalances.push(event));
+      await a.stop();
+      await b.refresh();
+
+      assert.equal(b.isLeader(), true);
+      assert.deepEqual(rebalances, [{ members: ['node-b'], leader: true }]);
+      assert.ok(STREAMERS.every(streamerId => b.owns(streamerId)));
+    });
+
+    it('gives every streamer exactly one owner', async () => {
+      const backend = createBackend();
+      const cluster = await startNodes(backend, ['node-a', 'node-b', 'node-c']);
+
+      for (const node of cluster) {
+        assert.deepEqual(node.members, ['node-a', 'node-b', 'node-c']);
+      }
+      for (const streamerId of STREAMERS) {
+        assert.equal(cluster.filter(node => node.owns(streamerId)).length, 1, streamerId);
+      }
+      for (const node of cluster) {
+        assert.ok(STREAMERS.some(streamerId => node.owns(streamerId)), `${node.nodeId} owns nothing`);
+      }
+    });
+
+    it('only moves the streamers of a node that leaves', async () => {
+      const backend = createBackend();
+      const [a, b, c] = await startNodes(backend, ['node-a', 'node-b', 'node-c']);
+      const before = new Map(STREAMERS.map(streamerId => [
+        streamerId,
+        [a, b, c].find(node => node.owns(streamerId)).nodeId
+      ]));
+
+      const rebalanced = [];
+      a.on('rebalance', () => rebalanced.push('node-a'));
+      b.on('rebalance', () => rebalanced.push('node-b'));
+      await c.stop();
+      await a.refresh();
+      await b.refresh();
+      assert.deepEqual(rebalanced, ['node-a', 'node-b']);
+
+      for (const streamerId of STREAMERS) {
+        const owner = [a, b].filter(node => node.owns(streamerId));
+        assert.equal(owner.length, 1, streamerId);
+        if (before.get(streamerId) !== 'node-c') {
+          assert.equal(owner[0].nodeId, before.get(streamerId), streamerId);
+        }
+      }
+    });
+
+    it('fans events out to every node, including the sender', async () => {
+      const backend = createBackend();
+      const cluster = await startNodes(backend, ['node-a', 'node-b', 'node-c']);
+      const received = [];
+      for (const node of cluster) {
+        node.on('event:tip', (data, origin) => received.push({ node: node.nodeId, data, origin }));
+      }
+
+      await cluster[1].publish('tip', { txHash: 'tx-1', amount: 0.5 });
+      await settle();
+
+      assert.deepEqual(received.sort((x, y) => (x.node < y.node ? -1 : 1)), ['node-a', 'node-b', 'node-c'].map(node => ({
+        node,
+        data: { txHash: 'tx-1', amount: 0.5 },
+        origin: 'node-b'
+      })));
+    });
+
+    it('stops delivering events to a node that left', async () => {
+      const backend = createBackend();
+      const [a, b] = await startNodes(backend, ['node-a', 'node-b']);
+      const received = [];
+      a.on('event:goal', () => received.push('node-a'));
+      b.on('event:goal', () => received.push('node-b'));
+
+      await b.stop();
+      await a.publish('goal', { id: 'goal-1' });
+      await settle();
+
+      assert.deepEqual(received, ['node-a']);
+    });
+  });
+}
+
+describe('RedisAdapter', () => {
+  it('subscribes on a separate connection and ignores malformed messages', async () => {
+    const server = new FakeRedisServer();
+    const client = server.createClient();
+    const adapter = new RedisAdapter({ client, prefix: 'test' });
+    await adapter.connect();
+    assert.notEqual(adapter.subscriber, client);
+
+    const received = [];
+    await adapter.subscribe('events', message => received.push(message));
+    await client.publish('test:events', 'not json');
+    await adapter.publish('events', { type: 'tip' });
+    await settle();
+
+    assert.deepEqual(received, [{ type: 'tip' }]);
+    await adapter.disconnect();
+    assert.equal(adapter.subscriber, null);
+  });
+
+  it('leaves a subscriber it was given connected', async () => {
+    const server = new FakeRedisServer();
+    const subscriber = server.createClient();
+    const adapter = new RedisAdapter({ client: server.createClient(), subscriber, prefix: 'test' });
+    await adapter.connect();
+
+    const received = [];
+    await adapter.subscribe('events', message => received.push(message));
+    await adapter.disconnect();
+    await adapter.publish('events', { type: 'tip' });
+    await settle();
+
+    assert.equal(adapter.subscriber, subscriber);
+    assert.deepEqual(received, []);
+  });
+});
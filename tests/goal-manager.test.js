@@ -0,0 +1,166 @@
+/**
+ * GoalManager progress from tips, reverts and deadlines
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoalManager } from '../src/core/GoalManager.js';
+import { SolanaTipSDK } from '../src/core/SolanaTipSDK.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+import { createWallet } from './helpers/wallet.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+let tipCount = 0;
+
+async function createGoals() {
+  const storage = new MemoryAdapter();
+  await storage.registerStreamer('alice', createWallet().pubkey, 'link');
+  const goals = new GoalManager(storage);
+  const events = [];
+  for (const type of ['goal:progress', 'goal:reached', 'goal:updated']) {
+    goals.on(type, goal => events.push([type, goal.id]));
+  }
+  return { storage, goals, events };
+}
+
+// Save a live tip the way the indexer would, and return it
+async function savedTip(storage, fields = {}) {
+  const tip = {
+    txHash: `tx-${++tipCount}`,
+    streamerId: 'alice',
+    from: 'viewer-wallet',
+    amount: 0.4,
+    mint: null,
+    symbol: 'SOL',
+    decimals: 9,
+    status: 'confirmed',
+    ...fields
+  };
+  await storage.saveTip(tip);
+  return tip;
+}
+
+describe('GoalManager', () => {
+  it('counts tips in the goal mint until it is reached', async () => {
+    const { storage, goals, events } = await createGoals();
+    const { goal: sol } = await goals.createGoal('alice', { title: 'New mic', target: 1 });
+    const { goal: usdc } = await goals.createGoal('alice', { title: 'Stream deck', target: 50, mint: USDC });
+    assert.equal(usdc.symbol, 'USDC');
+
+    assert.deepEqual(await goals.applyTip(await savedTip(storage)), [sol.id]);
+    assert.deepEqual(await goals.applyTip(await savedTip(storage, { amount: 5, mint: USDC, symbol: 'USDC', decimals: 6 })), [usdc.id]);
+    await goals.applyTip(await savedTip(storage, { amount: 0.7 }));
+    await goals.applyTip(await savedTip(storage, { amount: 0.1 }));
+
+    const reached = await goals.getGoal(sol.id);
+    assert.deepEqual([reached.current, reached.tipCount, reached.status], [1.2, 3, 'reached']);
+    assert.ok(reached.reachedAt);
+    assert.equal((await goals.getGoal(usdc.id)).current, 5);
+    assert.equal(events.filter(([type]) => type === 'goal:reached').length, 1);
+  });
+
+  it('ignores tips sent before the goal was created or after its deadline', async () => {
+    const { storage, goals } = await createGoals();
+    const { goal } = await goals.createGoal('alice', { title: 'New mic', target: 10, deadline: Date.now() + 60000 });
+    const createdSecond = Math.floor(goal.createdAt / 1000);
+
+    assert.deepEqual(await goals.applyTip(await savedTip(storage, { blockTime: createdSecond - 1 })), []);
+    assert.deepEqual(await goals.applyTip(await savedTip(storage, { blockTime: createdSecond + 61 })), []);
+    assert.deepEqual(await goals.applyTip(await savedTip(storage, { blockTime: createdSecond + 30 })), [goal.id]);
+    assert.equal((await goals.getGoal(goal.id)).tipCount, 1);
+  });
+
+  it('takes a reverted tip back out and reopens the goal', async () => {
+    const { storage, goals } = await createGoals();
+    const { goal } = await goals.createGoal('alice', { title: 'New mic', target: 1 });
+    await goals.applyTip(await savedTip(storage, { amount: 0.5 }));
+    const { txHash } = await savedTip(storage, { amount: 0.6 });
+    await goals.applyTip(await storage.getTipByTxHash(txHash));
+    assert.equal((await goals.getGoal(goal.id)).status, 'reached');
+
+    await goals.revertTip(await storage.getTipByTxHash(txHash));
+    const reverted = await goals.getGoal(goal.id);
+    assert.deepEqual([reverted.current, reverted.tipCount, reverted.status, reverted.reachedAt], [0.5, 1, 'active', null]);
+
+    // A tip that counted toward nothing has nothing to revert
+    await goals.revertTip(await savedTip(storage));
+    assert.equal((await goals.getGoal(goal.id)).current, 0.5);
+  });
+
+  it('expires goals past their deadline, but not reached ones', async () => {
+    const { storage, goals, events } = await createGoals();
+    const { goal: missed } = await goals.createGoal('alice', { title: 'New mic', target: 10, deadline: Date.now() + 60000 });
+    const { goal: made } = await goals.createGoal('alice', { title: 'Snacks', target: 0.1, deadline: Date.now() + 60000 });
+    await goals.applyTip(await savedTip(storage));
+    for (const goal of [missed, made]) {
+      await storage.updateGoal(goal.id, { deadline: Date.now() - 1 });
+    }
+    events.length = 0;
+
+    const listed = await goals.getGoals('alice');
+    assert.deepEqual(listed.map(goal => goal.status), ['expired', 'reached']);
+    assert.deepEqual(events, [['goal:updated', missed.id]]);
+    assert.deepEqual((await goals.getGoals('alice', { status: 'expired' })).map(goal => goal.id), [missed.id]);
+
+    // Neither counts tips after its deadline; an expired goal reopens when it moves out
+    assert.deepEqual(await goals.applyTip(await savedTip(storage)), []);
+    const { goal: reopened } = await goals.updateGoal('alice', missed.id, { deadline: Date.now() + 60000 });
+    assert.equal(reopened.status, 'active');
+  });
+
+  it('validates goals and only lets their streamer change them', async () => {
+    const { storage, goals } = await createGoals();
+    await storage.registerStreamer('bob', createWallet().pubkey, 'link');
+    const { goal } = await goals.createGoal('alice', { title: 'New mic', target: 1 });
+
+    assert.equal((await goals.createGoal('alice', { title: ' ', target: 1 })).error, 'Title must be 1-100 characters');
+    assert.equal((await goals.createGoal('alice', { title: 'Mic', target: 0 })).error, 'Target must be a positive number');
+    assert.equal((await goals.createGoal('alice', { title: 'Mic', target: 1, mint: 'not-a-mint' })).error, 'Invalid token mint');
+    assert.equal((await goals.createGoal('carol', { title: 'Mic', target: 1 })).error, 'Streamer not found');
+    assert.equal((await goals.completeGoal('bob', goal.id)).error, 'Goal not found');
+
+    assert.equal((await goals.completeGoal('alice', goal.id)).goal.status, 'completed');
+    assert.equal((await goals.updateGoal('alice', goal.id, { target: 2 })).error, 'Goal is already completed');
+    assert.deepEqual(await goals.applyTip(await savedTip(storage)), []);
+  });
+
+  it('counts concurrent tips without losing any', async () => {
+    const { storage, goals } = await createGoals();
+    const { goal } = await goals.createGoal('alice', { title: 'New mic', target: 100 });
+    const tips = await Promise.all(Array.from({ length: 10 }, () => savedTip(storage, { amount: 0.1 })));
+
+    await Promise.all(tips.map(tip => goals.applyTip(tip)));
+
+    assert.deepEqual([(await goals.getGoal(goal.id)).current, (await goals.getGoal(goal.id)).tipCount], [1, 10]);
+  });
+});
+
+describe('GoalManager broadcasts', () => {
+  it('sends goal changes to the streamer overlays', async () => {
+    const storage = new MemoryAdapter();
+    const sdk = new SolanaTipSDK(storage);
+    await storage.registerStreamer('alice', createWallet().pubkey, 'link');
+    // Goal changes reach the broadcaster over the cluster bus, even on a single node
+    await sdk.coordinator.start();
+    const broadcasts = [];
+    const allSent = new Promise(resolve => {
+      sdk.broadcaster.broadcastGoal = (streamerId, type, goal) => {
+        broadcasts.push([streamerId, type, goal.current]);
+        if (broadcasts.length === 3) resolve();
+      };
+    });
+
+    const { goal } = await sdk.goals.createGoal('alice', { title: 'New mic', target: 0.3 });
+    await sdk.goals.applyTip(await savedTip(storage));
+    await allSent;
+    await sdk.coordinator.stop();
+
+    assert.deepEqual(broadcasts, [
+      ['alice', 'goal:updated', 0],
+      ['alice', 'goal:progress', 0.4],
+      ['alice', 'goal:reached', 0.4]
+    ]);
+    assert.equal((await sdk.goals.getGoal(goal.id)).status, 'reached');
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * In-process PostgreSQL for the adapter tests
+ * Wraps PGlite (Postgres compiled to WebAssembly) in the subset of the
+ * pg.Pool interface PostgresAdapter uses. PGlite has a single session, so
+ * every pool client shares it.
+ */
+
+import { PGlite } from '@electric-sql/pglite';
+
+const INT8 = 20;
+
+export function createPostgresPool() {
+  // pg returns BIGINT columns as strings; so does the stand-in
+  const db = new PGlite({ parsers: { [INT8]: value => value } });
+
+  const query = async (sql, params) => {
+    // Migrations send several statements at once, which only the simple protocol allows
+    if (!params || params.length === 0) {
+      const results = await db.exec(sql);
+      const last = results[results.length - 1] || { rows: [], affectedRows: 0 };
+      return { rows: last.rows, rowCount: last.affectedRows || last.rows.length };
+    }
+    const result = await db.query(sql, params);
+    return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+  };
+
+  return {
+    query,
+    async connect() {
+      return { query, release() {} };
+    },
+    async end() {
+      await db.close();
+    }
+  };
+}
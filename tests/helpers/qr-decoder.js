@@ -0,0 +1,210 @@
+/**
+ * Minimal QR code reader for the encoder tests
+ * Reads a module matrix back to its text the way a scanner would, using the
+ * block and alignment tables of ISO/IEC 18004 rather than the encoder's own
+ * code, and checks every function pattern and Reed-Solomon block on the way.
+ * Only the versions the tests use are tabulated.
+ */
+
+// version -> level -> [ecc codewords per block, [blocks, data codewords per block], ...]
+const BLOCKS = {
+  1: { L: [7, [1, 19]], M: [10, [1, 16]], Q: [13, [1, 13]], H: [17, [1, 9]] },
+  2: { L: [10, [1, 34]], M: [16, [1, 28]], Q: [22, [1, 22]], H: [28, [1, 16]] },
+  5: { L: [26, [1, 108]], M: [24, [2, 43]], Q: [18, [2, 15], [2, 16]], H: [22, [2, 11], [2, 12]] },
+  7: { L: [20, [2, 78]], M: [18, [4, 31]], Q: [18, [2, 14], [4, 15]], H: [26, [4, 13], [1, 14]] },
+  10: { L: [18, [2, 68], [2, 69]], M: [26, [4, 43], [1, 44]], Q: [24, [6, 19], [2, 20]], H: [28, [6, 15], [2, 16]] }
+};
+
+const ALIGNMENT = { 1: [], 2: [6, 18], 5: [6, 30], 7: [6, 22, 38], 10: [6, 28, 50] };
+
+const FORMAT_LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+/**
+ * Decode a QR code matrix
+ * @param {boolean[][]} modules - Rows of modules, true = dark
+ * @returns {{text: string, version: number, level: string, mask: number, versionBits: number|null}}
+ */
+export function decodeQRCode(modules) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  if (!BLOCKS[version]) {
+    throw new Error(`No block table for version ${version}`);
+  }
+  const dark = (x, y) => modules[y][x];
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserve = (x, y) => {
+    reserved[y][x] = true;
+  };
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        expect(dark(x, y) === (ring <= 1 || ring === 3), `finder module at ${x},${y}`);
+        reserve(x, y);
+      }
+    }
+  }
+
+  // Timing patterns
+  for (let i = 8; i < size - 8; i++) {
+    expect(dark(6, i) === (i % 2 === 0) && dark(i, 6) === (i % 2 === 0), `timing module ${i}`);
+    reserve(6, i);
+    reserve(i, 6);
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const centers = ALIGNMENT[version];
+  for (const cx of centers) {
+    for (const cy of centers) {
+      if ((cx === 6 && cy === 6) || (cx === 6 && cy === size - 7) || (cx === size - 7 && cy === 6)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          expect(dark(cx + dx, cy + dy) === (ring !== 1), `alignment module at ${cx + dx},${cy + dy}`);
+          reserve(cx + dx, cy + dy);
+        }
+      }
+    }
+  }
+
+  // Both copies of the format information, and the dark module
+  const first = [];
+  const second = [];
+  for (let i = 0; i <= 5; i++) first.push([8, i]);
+  first.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+  for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+  for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+  const formatBits = first.reduce((bits, [x, y], i) => bits | (dark(x, y) ? 1 << i : 0), 0);
+  const formatCopy = second.reduce((bits, [x, y], i) => bits | (dark(x, y) ? 1 << i : 0), 0);
+  expect(formatBits === formatCopy, 'format information copies differ');
+  expect(dark(8, size - 8), 'dark module');
+  [...first, ...second, [8, size - 8]].forEach(([x, y]) => reserve(x, y));
+
+  const format = formatBits ^ 0x5412;
+  expect(bchRemainder(format >>> 10, 10, 0x537) === (format & 0x3ff), 'format information checksum');
+  const level = FORMAT_LEVELS[format >>> 13];
+  const mask = (format >>> 10) & 7;
+
+  // Version information, in two 6x3 blocks
+  let versionBits = null;
+  if (version >= 7) {
+    versionBits = 0;
+    let copy = 0;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      if (dark(a, b)) versionBits |= 1 << i;
+      if (dark(b, a)) copy |= 1 << i;
+      reserve(a, b);
+      reserve(b, a);
+    }
+    expect(versionBits === copy, 'version information copies differ');
+    expect(versionBits >>> 12 === version, 'version information version');
+    expect(bchRemainder(version, 12, 0x1f25) === (versionBits & 0xfff), 'version information checksum');
+  }
+
+  // Codewords, zigzagging up and down two-module columns from the right
+  const [eccPerBlock, ...groups] = BLOCKS[version][level];
+  const blockSizes = groups.flatMap(([count, data]) => new Array(count).fill(data));
+  const total = blockSizes.reduce((sum, data) => sum + data + eccPerBlock, 0);
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (const x of [right, right - 1]) {
+        if (!reserved[y][x]) bits.push(dark(x, y) !== masked(mask, x, y));
+      }
+    }
+  }
+  expect(bits.length >= total * 8 && bits.length - total * 8 < 8, 'codeword count');
+  const codewords = [];
+  for (let i = 0; i < total; i++) {
+    codewords.push(bits.slice(i * 8, i * 8 + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0));
+  }
+
+  // Undo the interleaving and check each block's error correction
+  const blocks = blockSizes.map(() => []);
+  let next = 0;
+  const longest = Math.max(...blockSizes);
+  for (let i = 0; i < longest + eccPerBlock; i++) {
+    blocks.forEach((block, b) => {
+      const inData = i < longest;
+      if (inData ? i < blockSizes[b] : true) block.push(codewords[next++]);
+    });
+  }
+  blocks.forEach((block, b) => {
+    for (let root = 0; root < eccPerBlock; root++) {
+      expect(evaluate(block, EXP[root]) === 0, `Reed-Solomon block ${b}`);
+    }
+  });
+  const data = blocks.flatMap((block, b) => block.slice(0, blockSizes[b]));
+
+  // Byte mode segment
+  const stream = data.flatMap(byte => Array.from({ length: 8 }, (_, i) => (byte >>> (7 - i)) & 1));
+  let position = 0;
+  const read = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | stream[position++];
+    return value;
+  };
+  expect(read(4) === 0b0100, 'byte mode indicator');
+  const length = read(version < 10 ? 8 : 16);
+  const bytes = Uint8Array.from({ length }, () => read(8));
+  expect(position + 4 > stream.length || read(4) === 0, 'terminator');
+
+  return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), version, level, mask, versionBits };
+}
+
+function expect(condition, what) {
+  if (!condition) throw new Error(`Unreadable QR code: ${what}`);
+}
+
+function masked(mask, x, y) {
+  const [i, j] = [y, x]; // the spec writes masks in row i, column j
+  return [
+    (i + j) % 2 === 0,
+    i % 2 === 0,
+    j % 3 === 0,
+    (i + j) % 3 === 0,
+    (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+    ((i * j) % 2) + ((i * j) % 3) === 0,
+    (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+    (((i * j) % 3) + ((i + j) % 2)) % 2 === 0
+  ][mask];
+}
+
+// Remainder of value * x^degree divided by the generator polynomial, over GF(2)
+function bchRemainder(value, degree, generator) {
+  let remainder = value << degree;
+  const top = Math.floor(Math.log2(generator));
+  for (let bit = Math.floor(Math.log2(remainder || 1)); bit >= top; bit--) {
+    if (remainder & (1 << bit)) remainder ^= generator << (bit - top);
+  }
+  return remainder;
+}
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(255);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value = (value << 1) ^ (value & 0x80 ? 0x11d : 0);
+}
+
+function multiply(a, b) {
+  return a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0;
+}
+
+// The block as a polynomial (first codeword is the highest power), evaluated at x
+function evaluate(block, x) {
+  return block.reduce((value, codeword) => multiply(value, x) ^ codeword, 0);
+}
@@ -0,0 +1,119 @@
+/**
+ * In-memory stand-in for a Redis server, for the coordination tests
+ * Clients implement the subset of the node-redis v4 API RedisAdapter uses.
+ * Lua is not interpreted: eval() recognises the adapter's two lease scripts
+ * (compare-and-set, compare-and-delete) and runs their equivalent.
+ */
+
+export class FakeRedisServer {
+  constructor() {
+    this.strings = new Map(); // key -> { value, expiresAt }
+    this.sortedSets = new Map(); // key -> Map<member, score>
+    this.subscriptions = new Map(); // channel -> Set<listener>
+  }
+
+  createClient() {
+    return new FakeRedisClient(this);
+  }
+
+  get(key) {
+    const entry = this.strings.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.strings.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  sortedSet(key) {
+    if (!this.sortedSets.has(key)) {
+      this.sortedSets.set(key, new Map());
+    }
+    return this.sortedSets.get(key);
+  }
+}
+
+class FakeRedisClient {
+  constructor(server) {
+    this.server = server;
+    this.listeners = []; // [channel, listener] subscribed through this client
+  }
+
+  async connect() {}
+
+  async quit() {
+    for (const [channel, listener] of this.listeners) {
+      this.server.subscriptions.get(channel)?.delete(listener);
+    }
+    this.listeners = [];
+  }
+
+  duplicate() {
+    return new FakeRedisClient(this.server);
+  }
+
+  async publish(channel, message) {
+    const listeners = this.server.subscriptions.get(channel) || new Set();
+    for (const listener of listeners) {
+      setImmediate(() => listener(message, channel));
+    }
+    return listeners.size;
+  }
+
+  async subscribe(channel, listener) {
+    if (!this.server.subscriptions.has(channel)) {
+      this.server.subscriptions.set(channel, new Set());
+    }
+    this.server.subscriptions.get(channel).add(listener);
+    this.listeners.push([channel, listener]);
+  }
+
+  async unsubscribe(channel) {
+    for (const [subscribed, listener] of this.listeners) {
+      if (subscribed === channel) {
+        this.server.subscriptions.get(channel)?.delete(listener);
+      }
+    }
+    this.listeners = this.listeners.filter(([subscribed]) => subscribed !== channel);
+  }
+
+  async zAdd(key, { score, value }) {
+    this.server.sortedSet(key).set(value, score);
+  }
+
+  async zRem(key, member) {
+    return this.server.sortedSet(key).delete(member) ? 1 : 0;
+  }
+
+  async zRemRangeByScore(key, min, max) {
+    const low = min === '-inf' ? -Infinity : Number(min);
+    const high = max === '+inf' ? Infinity : Number(max);
+    const set = this.server.sortedSet(key);
+    for (const [member, score] of set) {
+      if (score >= low && score <= high) set.delete(member);
+    }
+  }
+
+  async zRange(key, start, stop) {
+    const members = Array.from(this.server.sortedSet(key))
+      .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : 1))
+      .map(([member]) => member);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async eval(script, { keys: [key], arguments: [owner, ttlMs] }) {
+    const current = this.server.get(key);
+
+    if (script.includes("'SET'")) {
+      if (current !== null && current !== owner) return 0;
+      this.server.strings.set(key, { value: owner, expiresAt: Date.now() + Number(ttlMs) });
+      return 1;
+    }
+    if (script.includes("'DEL'")) {
+      if (current !== owner) return 0;
+      this.server.strings.delete(key);
+      return 1;
+    }
+    throw new Error('Unknown script');
+  }
+}
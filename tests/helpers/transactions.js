@@ -0,0 +1,111 @@
+/**
+ * Build getTransaction() results for the parser tests
+ * Messages are compiled by web3.js, so account ordering, headers and lookup
+ * table indexes are what a real transaction would have.
+ */
+
+import {
+  AddressLookupTableAccount,
+  Keypair,
+  PublicKey,
+  Transaction,
+  TransactionMessage
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+function result(message, meta, version) {
+  return {
+    slot: 1,
+    blockTime: 1700000000,
+    ...(version === undefined ? {} : { version }),
+    transaction: { message, signatures: [] },
+    meta: { err: null, preBalances: [], postBalances: [], innerInstructions: [], logMessages: [], ...meta }
+  };
+}
+
+/**
+ * Legacy transaction, as web3.js returns it
+ */
+export function legacyTransaction(payer, instructions, meta = {}) {
+  const transaction = new Transaction({ feePayer: new PublicKey(payer), recentBlockhash: BLOCKHASH })
+    .add(...instructions);
+  return result(transaction.compileMessage(), meta);
+}
+
+/**
+ * v0 transaction, as web3.js returns it; meta.loadedAddresses lists what the tables resolve to
+ */
+export function v0Transaction(payer, instructions, lookupTables = [], meta = {}) {
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(payer),
+    recentBlockhash: BLOCKHASH,
+    instructions
+  }).compileToV0Message(lookupTables);
+
+  const loadedAddresses = { writable: [], readonly: [] };
+  for (const lookup of message.addressTableLookups) {
+    const { addresses } = lookupTables.find(table => table.key.equals(lookup.accountKey)).state;
+    loadedAddresses.writable.push(...lookup.writableIndexes.map(index => addresses[index].toBase58()));
+    loadedAddresses.readonly.push(...lookup.readonlyIndexes.map(index => addresses[index].toBase58()));
+  }
+  return result(message, { loadedAddresses, ...meta }, 0);
+}
+
+/**
+ * Address lookup table holding the given addresses
+ */
+export function lookupTable(addresses) {
+  return new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: {
+      deactivationSlot: BigInt('18446744073709551615'),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses: addresses.map(address => new PublicKey(address))
+    }
+  });
+}
+
+/**
+ * The same transaction as a raw JSON-RPC result (encoding: 'json')
+ */
+export function toRpcJson(transaction) {
+  const { message } = transaction.transaction;
+  const staticKeys = message.staticAccountKeys || message.accountKeys;
+  return {
+    ...transaction,
+    transaction: {
+      signatures: [],
+      message: {
+        header: message.header,
+        accountKeys: staticKeys.map(key => key.toBase58()),
+        recentBlockhash: message.recentBlockhash,
+        instructions: message.compiledInstructions.map(ix => ({
+          programIdIndex: ix.programIdIndex,
+          accounts: ix.accountKeyIndexes,
+          data: bs58.encode(ix.data)
+        })),
+        ...(message.addressTableLookups ? {
+          addressTableLookups: message.addressTableLookups.map(lookup => ({
+            ...lookup,
+            accountKey: lookup.accountKey.toBase58()
+          }))
+        } : {})
+      }
+    }
+  };
+}
+
+/**
+ * Compiled inner instruction, indexing into the transaction's account keys
+ */
+export function innerInstruction(accountKeys, programId, accounts, data) {
+  return {
+    programIdIndex: accountKeys.indexOf(programId),
+    accounts: accounts.map(account => accountKeys.indexOf(account)),
+    data: bs58.encode(data)
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Throwaway ed25519 wallets for signing challenges in tests
+ */
+
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+
+export function createWallet() {
+  const keypair = nacl.sign.keyPair();
+  return {
+    pubkey: bs58.encode(keypair.publicKey),
+    sign: message => bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keypair.secretKey))
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * MemoModerator screening of memos, display names, replyTo and meta
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoModerator, applyModeration, moderateExtras } from '../src/core/MemoModerator.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+import { parseTipMemo } from '../src/utils/tip-memo.js';
+import { TipSender } from '../src/client/TipSender.js';
+
+const TX_HASH = '5'.repeat(88);
+const REPLY_TO = `${'4'.repeat(87)}:1`;
+
+function tip(fields = {}) {
+  return {
+    txHash: TX_HASH,
+    streamerId: 'alice',
+    from: 'viewer-wallet',
+    amountSol: 0.1,
+    status: 'confirmed',
+    ...fields
+  };
+}
+
+function createModerator(options = {}) {
+  const storage = new MemoryAdapter();
+  const moderator = new MemoModerator(storage, { blocklist: ['scam'], ...options });
+  return { storage, moderator };
+}
+
+describe('MemoModerator', () => {
+  it('holds a tip with only a display name under manual approval', async () => {
+    const { storage, moderator } = createModerator({ manualApproval: true });
+    await storage.saveTip(tip({ displayName: 'alice fan' }));
+    const held = [];
+    moderator.on('memo:held', item => held.push(item));
+
+    const { action, tip: shown } = await moderator.review(tip({ displayName: 'alice fan' }));
+
+    assert.equal(action, 'hold');
+    assert.equal(shown.displayName, undefined);
+    assert.equal(held[0].displayName, 'alice fan');
+    assert.equal(held[0].originalDisplayName, 'alice fan');
+
+    const { tip: approved } = await moderator.approve('alice', TX_HASH);
+    assert.equal(approved.displayName, 'alice fan');
+  });
+
+  it('holds a tip with meta, and rejecting it drops the name, replyTo and meta', async () => {
+    const { storage, moderator } = createModerator({ manualApproval: true });
+    const fields = { displayName: 'bob', replyTo: REPLY_TO, meta: { song: 'abc123' } };
+    await storage.saveTip(tip(fields));
+
+    const { action, tip: shown } = await moderator.review(tip(fields));
+    assert.equal(action, 'hold');
+    assert.equal(shown.meta, undefined);
+    assert.equal(shown.replyTo, undefined);
+
+    const { tip: rejected } = await moderator.reject('alice', TX_HASH);
+    assert.equal(rejected.displayName, undefined);
+    assert.equal(rejected.replyTo, undefined);
+    assert.equal(rejected.meta, undefined);
+  });
+
+  it('alerts right away under manual approval when there is nothing to screen', async () => {
+    const { moderator } = createModerator({ manualApproval: true });
+
+    assert.equal((await moderator.review(tip())).action, 'show');
+    // A name that is dropped leaves nothing to approve
+    assert.equal((await moderator.review(tip({ displayName: 'scam' }))).action, 'show');
+  });
+
+  it('runs display names through the memo filters', async () => {
+    const { moderator } = createModerator();
+    const settings = await moderator.getEffectiveSettings('alice');
+
+    assert.equal(moderator.screenName('  big\u200b   fan  ', settings), 'big fan');
+    assert.equal(moderator.screenName('ｓｃａｍ bot', settings), null);
+    assert.equal(moderator.screenName('s\u200bcam', settings), null);
+    assert.equal(moderator.screenName('visit example.com', settings), null);
+    assert.equal(moderator.screenName('example.com', { ...settings, stripLinks: false }), 'example.com');
+  });
+
+  it('drops meta text with links or blocked words and keeps the rest', async () => {
+    const { moderator } = createModerator();
+    const settings = await moderator.getEffectiveSettings('alice');
+
+    assert.deepEqual(moderator.screenMeta({
+      song: 'abc123',
+      note: 'free scam here',
+      url: 'https://example.com/x',
+      count: 3,
+      loud: true
+    }, settings), { song: 'abc123', count: 3, loud: true });
+    assert.equal(moderator.screenMeta({ note: 'scam' }, settings), null);
+  });
+
+  it('shows screened meta and replyTo on an allowed tip', async () => {
+    const { moderator } = createModerator();
+
+    const { action, tip: shown, moderation } = await moderator.review(tip({
+      memo: 'gg',
+      replyTo: REPLY_TO,
+      meta: { song: 'abc123', note: 'scam' }
+    }));
+
+    assert.equal(action, 'show');
+    assert.equal(moderation.status, 'allowed');
+    assert.equal(shown.replyTo, REPLY_TO);
+    assert.deepEqual(shown.meta, { song: 'abc123' });
+  });
+
+  it('drops the name, replyTo and meta of a blocked memo or sender', async () => {
+    const { moderator } = createModerator({ blockedSenders: ['spammer'] });
+    const fields = { displayName: 'bob', replyTo: REPLY_TO, meta: { song: 'abc123' } };
+
+    for (const blocked of [tip({ ...fields, memo: 'total scam' }), tip({ ...fields, from: 'spammer' })]) {
+      const { moderation, tip: shown } = await moderator.review(blocked);
+      assert.equal(moderation.status, 'blocked');
+      assert.deepEqual(
+        [shown.memo, shown.displayName, shown.replyTo, shown.meta],
+        [undefined, undefined, undefined, undefined]
+      );
+    }
+  });
+});
+
+describe('moderateExtras', () => {
+  const stored = tip({ memo: 'gg', displayName: 'bob', replyTo: REPLY_TO, meta: { song: 'abc123', note: 'scam' } });
+
+  it('gives webhooks replyTo and meta only as moderated', () => {
+    const moderation = { status: 'allowed', memo: 'gg', displayName: 'bob', replyTo: REPLY_TO, meta: { song: 'abc123' } };
+    const payload = moderateExtras({ ...stored, moderation });
+
+    assert.equal(payload.memo, 'gg');
+    assert.equal(payload.replyTo, REPLY_TO);
+    assert.deepEqual(payload.meta, { song: 'abc123' });
+  });
+
+  it('leaves them out before review and while held', () => {
+    for (const payload of [
+      moderateExtras(stored),
+      moderateExtras({ ...stored, moderation: { status: 'held', replyTo: REPLY_TO, meta: { song: 'abc123' } } })
+    ]) {
+      assert.equal(payload.replyTo, undefined);
+      assert.equal(payload.meta, undefined);
+      assert.equal(payload.displayName, 'bob');
+    }
+  });
+
+  it('matches what applyModeration shows', () => {
+    const moderation = { status: 'cleaned', memo: 'gg', displayName: null, replyTo: null, meta: { song: 'abc123' } };
+    const shown = applyModeration({ ...stored, moderation });
+
+    assert.equal(shown.displayName, undefined);
+    assert.equal(shown.replyTo, undefined);
+    assert.deepEqual(shown.meta, moderateExtras({ ...stored, moderation }).meta);
+  });
+});
+
+describe('parseTipMemo replyTo', () => {
+  it('only accepts a tip txHash', () => {
+    const parse = re => parseTipMemo(JSON.stringify({ v: 1, msg: 'hi', re })).replyTo;
+
+    assert.equal(parse(TX_HASH), TX_HASH);
+    assert.equal(parse(REPLY_TO), REPLY_TO);
+    assert.equal(parse('visit example.com for free stuff'), null);
+    assert.equal(parse('0'.repeat(88)), null);
+  });
+});
+
+describe('TipSender memos', () => {
+  it('writes structured memos the indexer reads back', () => {
+    const sender = new TipSender();
+    const memo = sender.formatMemo({ message: ' gg ', displayName: ' bob ', replyTo: REPLY_TO, meta: { song: 'abc123' } });
+
+    assert.deepEqual(parseTipMemo(memo), { message: 'gg', displayName: 'bob', replyTo: REPLY_TO, meta: { song: 'abc123' } });
+    assert.equal(sender.formatMemo('  plain  '), 'plain');
+    assert.equal(sender.formatMemo({ message: '  ' }), '{"v":1}');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * QR encoder, read back with the decoder in helpers/qr-decoder.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeQRCode, renderQRCodeSVG } from '../src/utils/qr-code.js';
+import { decodeQRCode } from './helpers/qr-decoder.js';
+
+const ALPHABET = 'solana:7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU?amount=0.25&label=Tip%20Jar';
+
+function text(length) {
+  return Array.from({ length }, (_, i) => ALPHABET[(i * 7) % ALPHABET.length]).join('');
+}
+
+// Most bytes each version holds at each level (ISO/IEC 18004 Table 7, byte mode)
+const CAPACITY = {
+  1: { L: 17, M: 14, Q: 11, H: 7 },
+  2: { L: 32, M: 26, Q: 20, H: 14 },
+  5: { L: 106, M: 84, Q: 60, H: 44 },
+  7: { L: 154, M: 122, Q: 86, H: 64 },
+  10: { L: 271, M: 213, Q: 151, H: 119 }
+};
+
+describe('encodeQRCode', () => {
+  for (const [version, levels] of Object.entries(CAPACITY)) {
+    for (const [level, capacity] of Object.entries(levels)) {
+      it(`fills version ${version}-${level} and reads back`, () => {
+        const full = text(capacity);
+        const qr = encodeQRCode(full, { errorCorrection: level });
+
+        assert.equal(qr.version, Number(version));
+        assert.equal(qr.size, Number(version) * 4 + 17);
+        const decoded = decodeQRCode(qr.modules);
+        assert.equal(decoded.text, full);
+        assert.equal(decoded.level, level);
+
+        // One more byte needs the next version
+        assert.ok(encodeQRCode(text(capacity + 1), { errorCorrection: level }).version > Number(version));
+      });
+    }
+  }
+
+  it('is read back only while every block checks out', () => {
+    const { modules, size } = encodeQRCode(text(84), { errorCorrection: 'M' });
+    modules[size - 1][size - 1] = !modules[size - 1][size - 1];
+
+    assert.throws(() => decodeQRCode(modules), /Reed-Solomon block/);
+  });
+
+  it('writes the version information from the spec', () => {
+    // ISO/IEC 18004 Annex D
+    assert.equal(decodeQRCode(encodeQRCode(text(154), { errorCorrection: 'L' }).modules).versionBits, 0x07c94);
+    assert.equal(decodeQRCode(encodeQRCode(text(271), { errorCorrection: 'L' }).modules).versionBits, 0x0a4d3);
+  });
+
+  it('encodes UTF-8 text by its bytes', () => {
+    const memo = 'gg 🎉 añejo';
+    const qr = encodeQRCode(memo, { errorCorrection: 'H' });
+
+    assert.equal(qr.version, 2); // 14 bytes; 1-H holds 7
+    assert.equal(decodeQRCode(qr.modules).text, memo);
+  });
+
+  it('defaults to level M and reads back a Solana Pay link', () => {
+    const url = 'solana:7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU?amount=0.25'
+      + '&reference=82ZJ7nbGpixjeDCmEhUcmwXYfvurzAgGdtSMuHnUgyny';
+    const qr = encodeQRCode(url);
+    const decoded = decodeQRCode(qr.modules);
+
+    assert.equal(qr.version, 7);
+    assert.equal(decoded.text, url);
+    assert.equal(decoded.level, 'M');
+  });
+
+  it('rejects unknown levels and text longer than version 40 holds', () => {
+    assert.throws(() => encodeQRCode('hi', { errorCorrection: 'X' }), /Unknown error correction level/);
+    assert.equal(encodeQRCode('a'.repeat(2953), { errorCorrection: 'L' }).version, 40);
+    assert.throws(() => encodeQRCode('a'.repeat(2954), { errorCorrection: 'L' }), /too long/);
+  });
+});
+
+describe('renderQRCodeSVG', () => {
+  it('draws every dark module inside the quiet zone', () => {
+    const { size, modules } = encodeQRCode('solana:alice');
+    const svg = renderQRCodeSVG('solana:alice', { margin: 2, size: 300, light: null });
+
+    assert.match(svg, new RegExp(`viewBox="0 0 ${size + 4} ${size + 4}" width="300" height="300"`));
+    assert.doesNotMatch(svg, /<rect/);
+
+    const drawn = Array.from({ length: size }, () => new Array(size).fill(false));
+    for (const [, x, y, run] of svg.matchAll(/M(\d+),(\d+)h(\d+)/g)) {
+      for (let i = 0; i < Number(run); i++) drawn[Number(y) - 2][Number(x) - 2 + i] = true;
+    }
+    assert.deepEqual(drawn, modules);
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * HTTP API served by createRouter(), on an ephemeral port
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { SolanaTipSDK } from '../src/core/SolanaTipSDK.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+import { createWallet } from './helpers/wallet.js';
+
+async function startServer(routerOptions = {}, sdkOptions = {}) {
+  const sdk = new SolanaTipSDK(new MemoryAdapter(), sdkOptions);
+  const app = express();
+  app.use('/api', sdk.createRouter(routerOptions));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Sign a fresh challenge with `wallet`
+  const signed = async (streamerId, wallet, action = 'link') => {
+    const { body } = await request('POST', '/challenge', { streamerId, action });
+    return { message: body.message, signature: wallet.sign(body.message) };
+  };
+
+  return {
+    sdk,
+    baseUrl,
+    request,
+    signed,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('router overlay tokens', () => {
+  let api;
+  let alice;
+  let aliceToken;
+  const mallory = createWallet();
+
+  before(async () => {
+    api = await startServer();
+    alice = createWallet();
+
+    const { status, body } = await api.request('POST', '/register', {
+      streamerId: 'alice',
+      pubkey: alice.pubkey,
+      ...(await api.signed('alice', alice))
+    });
+    assert.equal(status, 200);
+    aliceToken = body.overlayToken;
+    assert.ok(aliceToken);
+  });
+
+  after(() => api.close());
+
+  it('refuses to register a taken streamer id to another wallet', async () => {
+    const { status, body } = await api.request('POST', '/register', {
+      streamerId: 'alice',
+      pubkey: mallory.pubkey,
+      ...(await api.signed('alice', mallory))
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'already_registered');
+    assert.equal(body.overlayToken, undefined);
+    assert.equal((await api.sdk.getRegistry().getStreamer('alice')).pubkey, alice.pubkey);
+    assert.ok(await api.sdk.getRegistry().verifyOverlayToken('alice', aliceToken));
+  });
+
+  it('refuses a re-link the taken id\'s wallet did not sign', async () => {
+    const { status, body } = await api.request('POST', '/register', {
+      streamerId: 'alice',
+      pubkey: mallory.pubkey,
+      ...(await api.signed('alice', mallory)),
+      authorization: await api.signed('alice', mallory, 'manage')
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.overlayToken, undefined);
+    assert.ok(await api.sdk.getRegistry().verifyOverlayToken('alice', aliceToken));
+  });
+
+  it('only lets the linked wallet rotate or revoke overlay tokens', async () => {
+    for (const path of ['/streamer/alice/overlay-token', '/streamer/alice/overlay-token/revoke']) {
+      const { status } = await api.request('POST', path, await api.signed('alice', mallory, 'manage'));
+      assert.equal(status, 401);
+    }
+    assert.ok(await api.sdk.getRegistry().verifyOverlayToken('alice', aliceToken));
+
+    const { status, body } = await api.request('POST', '/streamer/alice/overlay-token', {
+      ...(await api.signed('alice', alice, 'manage')),
+      label: 'OBS'
+    });
+    assert.equal(status, 200);
+    assert.ok(await api.sdk.getRegistry().verifyOverlayToken('alice', body.token));
+    assert.equal(await api.sdk.getRegistry().verifyOverlayToken('alice', aliceToken), null);
+  });
+});
+
+describe('router registration overlay tokens', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('hands out one token on registration and replaces it on an authorized re-link', async () => {
+    const owner = createWallet();
+    const registered = await api.request('POST', '/register', {
+      streamerId: 'bob',
+      pubkey: owner.pubkey,
+      ...(await api.signed('bob', owner))
+    });
+    assert.equal(registered.status, 200);
+    assert.equal((await api.sdk.getRegistry().listOverlayTokens('bob')).length, 1);
+
+    const newWallet = createWallet();
+    const relinked = await api.request('POST', '/register', {
+      streamerId: 'bob',
+      pubkey: newWallet.pubkey,
+      ...(await api.signed('bob', newWallet)),
+      authorization: await api.signed('bob', owner, 'manage')
+    });
+    assert.equal(relinked.status, 200);
+    assert.equal(await api.sdk.getRegistry().verifyOverlayToken('bob', registered.body.overlayToken), null);
+    assert.ok(await api.sdk.getRegistry().verifyOverlayToken('bob', relinked.body.overlayToken));
+    assert.equal((await api.sdk.getRegistry().listOverlayTokens('bob')).length, 1);
+  });
+});
+
+describe('router dashboard tokens', () => {
+  let api;
+  let owner;
+  let overlayToken;
+  let dashboardToken;
+
+  before(async () => {
+    api = await startServer();
+    owner = createWallet();
+    const { body } = await api.request('POST', '/register', {
+      streamerId: 'carol',
+      pubkey: owner.pubkey,
+      ...(await api.signed('carol', owner))
+    });
+    overlayToken = body.overlayToken;
+
+    const issued = await api.request('POST', '/streamer/carol/dashboard-token', await api.signed('carol', owner, 'manage'));
+    assert.equal(issued.status, 200);
+    dashboardToken = issued.body.token;
+  });
+
+  after(() => api.close());
+
+  it('only issues a dashboard token to the linked wallet', async () => {
+    const { status } = await api.request('POST', '/streamer/carol/dashboard-token',
+      await api.signed('carol', createWallet(), 'manage'));
+    assert.equal(status, 401);
+  });
+
+  it('refuses the overlay token for moderation', async () => {
+    const bearer = { Authorization: `Bearer ${overlayToken}` };
+    for (const [method, path] of [
+      ['GET', '/streamer/carol/moderation/queue'],
+      ['GET', '/streamer/carol/moderation'],
+      ['POST', `/streamer/carol/moderation/${'5'.repeat(88)}/approve`]
+    ]) {
+      const { status, body } = await api.request(method, path, method === 'POST' ? {} : undefined, bearer);
+      assert.equal(status, 401);
+      assert.equal(body.code, 'unauthorized');
+    }
+  });
+
+  it('accepts the dashboard token only in the Authorization header', async () => {
+    const queued = await api.request('GET', '/streamer/carol/moderation/queue', undefined,
+      { Authorization: `Bearer ${dashboardToken}` });
+    assert.equal(queued.status, 200);
+    assert.deepEqual(queued.body.queue, []);
+
+    const fromQuery = await api.request('GET', `/streamer/carol/moderation/queue?token=${dashboardToken}`);
+    assert.equal(fromQuery.status, 401);
+    const fromBody = await api.request('POST', `/streamer/carol/moderation/${'5'.repeat(88)}/reject`,
+      { token: dashboardToken });
+    assert.equal(fromBody.status, 401);
+  });
+
+  it('controls alerts with the dashboard token in the header only', async () => {
+    const registry = api.sdk.getRegistry();
+    for (const headers of [{ Authorization: `Bearer ${overlayToken}` }, {}]) {
+      for (const action of ['pause', 'resume', 'skip', 'replay']) {
+        const { status } = await api.request('POST', `/streamer/carol/alerts/${action}?token=${dashboardToken}`,
+          { token: dashboardToken, txHash: '5'.repeat(88) }, headers);
+        assert.equal(status, 401);
+      }
+    }
+    assert.equal((await registry.getStreamer('carol')).alertsPaused, undefined);
+
+    const bearer = { Authorization: `Bearer ${dashboardToken}` };
+    const paused = await api.request('POST', '/streamer/carol/alerts/pause', {}, bearer);
+    assert.equal(paused.status, 200);
+    assert.equal((await registry.getStreamer('carol')).alertsPaused, true);
+    assert.equal((await api.request('POST', '/streamer/carol/alerts/resume', {}, bearer)).status, 200);
+    assert.equal((await api.request('POST', '/streamer/carol/alerts/skip', {}, bearer)).status, 200);
+    const replayed = await api.request('POST', '/streamer/carol/alerts/replay', { txHash: '5'.repeat(88) }, bearer);
+    assert.equal(replayed.status, 404);
+  });
+
+  it('keeps the overlay token when the dashboard token is rotated', async () => {
+    const registry = api.sdk.getRegistry();
+    assert.ok(await registry.verifyOverlayToken('carol', overlayToken));
+    assert.equal(await registry.verifyOverlayToken('carol', overlayToken, { scope: 'dashboard' }), null);
+    assert.ok(await registry.verifyOverlayToken('carol', dashboardToken, { scope: 'dashboard' }));
+  });
+
+  it('revokes dashboard tokens on a re-link', async () => {
+    const newWallet = createWallet();
+    const relinked = await api.request('POST', '/register', {
+      streamerId: 'carol',
+      pubkey: newWallet.pubkey,
+      ...(await api.signed('carol', newWallet)),
+      authorization: await api.signed('carol', owner, 'manage')
+    });
+    assert.equal(relinked.status, 200);
+
+    const { status } = await api.request('GET', '/streamer/carol/moderation/queue', undefined,
+      { Authorization: `Bearer ${dashboardToken}` });
+    assert.equal(status, 401);
+  });
+});
+
+describe('router goals', () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startServer();
+    owner = createWallet();
+    await api.request('POST', '/register', { streamerId: 'dave', pubkey: owner.pubkey, ...(await api.signed('dave', owner)) });
+  });
+
+  after(() => api.close());
+
+  it('creates, edits and completes goals signed by the linked wallet', async () => {
+    const created = await api.request('POST', '/streamer/dave/goals', {
+      ...(await api.signed('dave', owner, 'manage')),
+      title: 'New mic',
+      target: 2
+    });
+    assert.equal(created.status, 200);
+    const { id } = created.body.goal;
+
+    const edited = await api.request('POST', `/streamer/dave/goals/${id}`, {
+      ...(await api.signed('dave', owner, 'manage')),
+      target: 3
+    });
+    assert.equal(edited.body.goal.target, 3);
+
+    const listed = await api.request('GET', '/streamer/dave/goals?status=active');
+    assert.deepEqual(listed.body.goals.map(goal => goal.id), [id]);
+
+    const completed = await api.request('POST', `/streamer/dave/goals/${id}/complete`, await api.signed('dave', owner, 'manage'));
+    assert.equal(completed.body.goal.status, 'completed');
+    const again = await api.request('POST', `/streamer/dave/goals/${id}/complete`, await api.signed('dave', owner, 'manage'));
+    assert.deepEqual([again.status, again.body.code], [400, 'invalid_goal']);
+  });
+
+  it('refuses other wallets, bad goals and unknown ids', async () => {
+    const stranger = await api.request('POST', '/streamer/dave/goals', {
+      ...(await api.signed('dave', createWallet(), 'manage')),
+      title: 'New mic',
+      target: 2
+    });
+    assert.deepEqual([stranger.status, stranger.body.code], [401, 'unauthorized']);
+
+    const invalid = await api.request('POST', '/streamer/dave/goals', {
+      ...(await api.signed('dave', owner, 'manage')),
+      title: 'New mic',
+      target: -1
+    });
+    assert.deepEqual([invalid.status, invalid.body.error], [400, 'Target must be a positive number']);
+
+    const missing = await api.request('POST', '/streamer/dave/goals/no-such-goal', {
+      ...(await api.signed('dave', owner, 'manage')),
+      target: 3
+    });
+    assert.deepEqual([missing.status, missing.body.code], [404, 'not_found']);
+
+    assert.equal((await api.request('GET', '/streamer/dave/goals?status=bogus')).body.code, 'invalid_query');
+    assert.equal((await api.request('GET', '/streamer/nobody/goals')).status, 404);
+  });
+});
+
+describe('router streamer list', () => {
+  const requireKey = (req, res, next) => (req.get('x-api-key') === 'secret'
+    ? next()
+    : res.status(401).json({ ok: false, error: 'Unauthorized', code: 'unauthorized' }));
+
+  // Status of GET /streamers; a disabled route gets express's HTML 404
+  async function listStatus(routerOptions, headers = {}) {
+    const api = await startServer(routerOptions);
+    try {
+      return (await fetch(`${api.baseUrl}/streamers`, { headers })).status;
+    } finally {
+      await api.close();
+    }
+  }
+
+  it('is off without auth middleware', async () => {
+    assert.equal(await listStatus({}), 404);
+  });
+
+  it('is on behind auth middleware when it is configured', async () => {
+    assert.equal(await listStatus({ auth: requireKey }), 401);
+    assert.equal(await listStatus({ auth: requireKey }, { 'x-api-key': 'secret' }), 200);
+  });
+
+  it('can be turned on explicitly, or off even with auth', async () => {
+    assert.equal(await listStatus({ routes: { streamers: true } }), 200);
+    assert.equal(await listStatus({ auth: requireKey, routes: { streamers: false } }, { 'x-api-key': 'secret' }), 404);
+  });
+});
+
+describe('router RPC proxy', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer({ routes: { rpcProxy: true }, rpcUrl: 'http://127.0.0.1:9/unreachable' });
+  });
+
+  after(() => api.close());
+
+  it('refuses methods outside the default allowlist', async () => {
+    for (const method of ['getProgramAccounts', 'requestAirdrop']) {
+      const { status, body } = await api.request('POST', '/rpc-proxy', { jsonrpc: '2.0', id: 1, method });
+      assert.equal(status, 403);
+      assert.equal(body.error.message, `Method not allowed: ${method}`);
+    }
+
+    // One blocked call rejects the whole batch
+    const { status } = await api.request('POST', '/rpc-proxy', [
+      { jsonrpc: '2.0', id: 1, method: 'getBalance', params: [] },
+      { jsonrpc: '2.0', id: 2, method: 'getProgramAccounts', params: [] }
+    ]);
+    assert.equal(status, 403);
+  });
+
+  it('forwards allowed methods upstream', async () => {
+    // Nothing listens upstream, so getting past the allowlist means a 502
+    const { status } = await api.request('POST', '/rpc-proxy', { jsonrpc: '2.0', id: 1, method: 'getLatestBlockhash' });
+    assert.equal(status, 502);
+  });
+});
+
+describe('router payment request limits', () => {
+  const STREAMER = createWallet().pubkey;
+
+  async function startWithStreamer(routerOptions, sdkOptions) {
+    const api = await startServer(routerOptions, sdkOptions);
+    await api.sdk.storage.registerStreamer('alice', STREAMER, 'signed');
+    return api;
+  }
+
+  it('limits how many requests one client creates per window', async () => {
+    const api = await startWithStreamer({ paymentRequestLimit: { max: 2, windowMs: 60000 } });
+    try {
+      for (let i = 0; i < 2; i++) {
+        assert.equal((await api.request('POST', '/streamer/alice/pay/requests', {})).status, 200);
+      }
+
+      const response = await fetch(`${api.baseUrl}/streamer/alice/pay/requests`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{}'
+      });
+      assert.equal(response.status, 429);
+      assert.equal((await response.json()).code, 'rate_limited');
+      assert.ok(Number(response.headers.get('retry-after')) > 0);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('caps the pending requests of one streamer', async () => {
+    const api = await startWithStreamer({ paymentRequestLimit: null }, { payments: { maxPendingRequests: 3 } });
+    try {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await api.request('POST', '/streamer/alice/pay/requests', {})).status, 200);
+      }
+
+      const { status, body } = await api.request('POST', '/streamer/alice/pay/requests', {});
+      assert.equal(status, 429);
+      assert.equal(body.code, 'too_many_pending');
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Runs every *.test.js file under tests/ with the built-in node:test runner
+ * Usage: node tests/run-tests.js [filter]
+ */
+
+import { spawnSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const testsDir = dirname(fileURLToPath(import.meta.url));
+const filter = process.argv[2] || '';
+
+function findTests(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return findTests(path);
+    return entry.name.endsWith('.test.js') ? [path] : [];
+  });
+}
+
+const files = findTests(testsDir)
+  .filter(file => relative(testsDir, file).includes(filter))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`[Tests] No test files match "${filter}"`);
+  process.exit(1);
+}
+
+const { status } = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(status ?? 1);
@@ -0,0 +1,213 @@
+/**
+ * StreamerRegistry wallet linking and stream sessions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamerRegistry } from '../src/core/StreamerRegistry.js';
+import { TipIndexer } from '../src/core/TipIndexer.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+import { createWallet } from './helpers/wallet.js';
+
+const USDC = 'EPjFWdd5AufqSo9s5ptmgjMtY9hyVZHpz2HHEcfQcFp';
+
+async function signChallenge(registry, streamerId, wallet, action = 'link') {
+  const { message } = await registry.createChallenge(streamerId, { action });
+  return { message, signature: wallet.sign(message) };
+}
+
+async function registerWith(registry, streamerId, wallet, options) {
+  const { message, signature } = await signChallenge(registry, streamerId, wallet);
+  return registry.register(streamerId, wallet.pubkey, message, signature, options);
+}
+
+async function registeredAlice() {
+  const storage = new MemoryAdapter();
+  const registry = new StreamerRegistry(storage);
+  const alice = createWallet();
+  const result = await registerWith(registry, 'alice', alice, { acceptedMints: [USDC] });
+  assert.deepEqual(result, { success: true, relinked: false });
+  return { storage, registry, alice };
+}
+
+describe('StreamerRegistry registration', () => {
+  it('links a new streamer id to the signing wallet', async () => {
+    const { registry, alice } = await registeredAlice();
+    const streamer = await registry.getStreamer('alice');
+
+    assert.equal(streamer.pubkey, alice.pubkey);
+    assert.deepEqual(streamer.acceptedMints, [USDC]);
+  });
+
+  it('does not let another wallet take over a registered streamer id', async () => {
+    const { registry, alice } = await registeredAlice();
+    const mallory = createWallet();
+
+    const result = await registerWith(registry, 'alice', mallory);
+    assert.deepEqual(result, { success: false, error: 'Streamer already registered' });
+    assert.equal((await registry.getStreamer('alice')).pubkey, alice.pubkey);
+  });
+
+  it('rejects a re-link authorized by a wallet other than the linked one', async () => {
+    const { registry, alice } = await registeredAlice();
+    const mallory = createWallet();
+
+    const result = await registerWith(registry, 'alice', mallory, {
+      authorization: await signChallenge(registry, 'alice', mallory, 'manage')
+    });
+    assert.deepEqual(result, { success: false, error: 'Re-link not authorized: Invalid signature' });
+    assert.equal((await registry.getStreamer('alice')).pubkey, alice.pubkey);
+  });
+
+  it('re-links to a new wallet with the linked wallet\'s authorization', async () => {
+    const { registry, storage, alice } = await registeredAlice();
+    const session = await registry.startSession('alice', { title: 'Live' });
+    const before = await registry.getStreamer('alice');
+    const newWallet = createWallet();
+    const updates = [];
+    registry.on('updated', event => updates.push(event));
+
+    const result = await registerWith(registry, 'alice', newWallet, {
+      authorization: await signChallenge(registry, 'alice', alice, 'manage')
+    });
+    assert.deepEqual(result, { success: true, relinked: true });
+
+    const streamer = await storage.getStreamer('alice');
+    assert.equal(streamer.pubkey, newWallet.pubkey);
+    assert.equal(streamer.registeredAt, before.registeredAt);
+    assert.ok(streamer.linkedAt >= before.registeredAt);
+    assert.deepEqual(streamer.acceptedMints, [USDC]);
+    assert.equal(streamer.activeSession.id, session.session.id);
+    assert.deepEqual(updates, [{ streamerId: 'alice' }]);
+  });
+
+  it('does not burn the link challenge when the re-link is rejected', async () => {
+    const { registry } = await registeredAlice();
+    const mallory = createWallet();
+    const { message, signature } = await signChallenge(registry, 'alice', mallory);
+
+    await registry.register('alice', mallory.pubkey, message, signature);
+    assert.equal(await registry.validateChallenge('alice', message), null);
+  });
+});
+
+describe('StreamerRegistry sessions', () => {
+  const HOUR = 3600 * 1000;
+
+  function tip(sessionId, fields = {}) {
+    return {
+      txHash: `tx-${Math.random().toString(36).slice(2)}`,
+      streamerId: 'alice',
+      from: 'viewer-1',
+      mint: null,
+      symbol: 'SOL',
+      decimals: 9,
+      amount: 0.1,
+      sessionId,
+      status: 'confirmed',
+      ...fields
+    };
+  }
+
+  // A session that ran from 3 hours ago to 1 hour ago
+  async function endedSession(registry, storage) {
+    const { session } = await registry.startSession('alice', { title: 'Friday' });
+    const startedAt = Date.now() - 3 * HOUR;
+    await storage.updateSession(session.id, { startedAt });
+    await storage.updateStreamer('alice', { activeSession: { id: session.id, startedAt } });
+    const { session: ended } = await registry.endSession('alice');
+    return storage.updateSession(ended.id, { endedAt: Date.now() - HOUR });
+  }
+
+  it('runs one session at a time and stores a summary when it ends', async () => {
+    const { registry, storage } = await registeredAlice();
+    const events = [];
+    registry.on('session:ended', session => events.push(session));
+
+    const { session } = await registry.startSession('alice', { title: '  Friday  ' });
+    assert.equal(session.title, 'Friday');
+    assert.equal((await registry.getCurrentSession('alice')).id, session.id);
+    assert.equal((await registry.startSession('alice')).error, 'A session is already live');
+
+    const at = Math.floor(Date.now() / 1000);
+    await storage.saveTip(tip(session.id, { from: 'viewer-1', amount: 0.5, blockTime: at }));
+    await storage.saveTip(tip(session.id, { from: 'viewer-2', amount: 0.25, blockTime: at }));
+    await storage.saveTip(tip(session.id, { from: 'viewer-2', mint: USDC, symbol: 'USDC', decimals: 6, amount: 5, blockTime: at }));
+    await storage.saveTip(tip(session.id, { from: 'viewer-3', amount: 9, blockTime: at, status: 'reverted' }));
+
+    const { success, session: ended } = await registry.endSession('alice');
+    assert.equal(success, true);
+    assert.equal(ended.status, 'ended');
+    assert.equal(await registry.getCurrentSession('alice'), null);
+    assert.equal(events[0].id, session.id);
+
+    const { summary } = ended;
+    assert.equal(summary.count, 3);
+    assert.equal(summary.tippers, 2);
+    assert.deepEqual(summary.totals.map(({ symbol, amount, count, tippers }) => ({ symbol, amount, count, tippers })), [
+      { symbol: 'SOL', amount: 0.75, count: 2, tippers: 2 },
+      { symbol: 'USDC', amount: 5, count: 1, tippers: 1 }
+    ]);
+    assert.equal(summary.totals[0].largestTip.amount, 0.5);
+    assert.equal(summary.timeline[0].count, 3);
+    assert.deepEqual(summary.timeline[0].amounts, { SOL: 0.75, USDC: 5 });
+
+    assert.equal((await registry.endSession('alice')).error, 'No session is live');
+  });
+
+  it('refuses to end a session that is no longer stored', async () => {
+    const { registry, storage } = await registeredAlice();
+    await storage.updateStreamer('alice', { activeSession: { id: 'gone', startedAt: Date.now() } });
+
+    assert.deepEqual(await registry.endSession('alice'), { success: false, error: 'Session not found' });
+    assert.equal((await registry.getStreamer('alice')).activeSession, null);
+  });
+
+  it('summarizes the live session and widens the timeline buckets of long ones', async () => {
+    const { registry, storage } = await registeredAlice();
+    const { session } = await registry.startSession('alice');
+    await storage.updateSession(session.id, { startedAt: Date.now() - 47 * HOUR - 5 * 60 * 1000 });
+    await storage.saveTip(tip(session.id, { blockTime: Math.floor(Date.now() / 1000) }));
+
+    const summary = await registry.getSessionSummary(session.id);
+    assert.equal(summary.count, 1);
+    assert.equal(summary.endedAt, null);
+    assert.equal(summary.bucketMs, 10 * 60 * 1000);
+    assert.ok(summary.timeline.length <= 288);
+    assert.equal(summary.timeline.at(-1).count, 1);
+    assert.equal(await registry.getSessionSummary('missing'), null);
+  });
+
+  it('tags a tip by its block time, also once the session has ended', async () => {
+    const { registry, storage } = await registeredAlice();
+    const session = await endedSession(registry, storage);
+    const indexer = new TipIndexer(storage);
+    const seconds = ms => Math.floor(ms / 1000);
+
+    assert.equal(await indexer.getSessionId('alice', seconds(session.startedAt + HOUR)), session.id);
+    assert.equal(await indexer.getSessionId('alice', seconds(session.startedAt)), session.id);
+    assert.equal(await indexer.getSessionId('alice', seconds(session.endedAt)), session.id);
+    assert.equal(await indexer.getSessionId('alice', seconds(session.startedAt) - 1), null);
+    assert.equal(await indexer.getSessionId('alice', seconds(session.endedAt) + 1), null);
+
+    // A later session does not capture tips sent during an earlier one
+    const { session: live } = await registry.startSession('alice');
+    assert.equal(await indexer.getSessionId('alice', seconds(session.startedAt + HOUR)), session.id);
+    assert.equal(await indexer.getSessionId('alice', null), live.id);
+  });
+
+  it('adds a tip indexed after the session ended to its stored summary', async () => {
+    const { registry, storage } = await registeredAlice();
+    const session = await endedSession(registry, storage);
+    assert.equal(session.summary.count, 0);
+
+    await storage.saveTip(tip(session.id, { blockTime: Math.floor((session.startedAt + HOUR) / 1000) }));
+    const refreshed = await registry.refreshSessionSummary(session.id);
+    assert.equal(refreshed.summary.count, 1);
+    assert.equal((await storage.getSession(session.id)).summary.count, 1);
+
+    // A live session keeps no stored summary until it ends
+    const { session: live } = await registry.startSession('alice');
+    assert.equal((await registry.refreshSessionSummary(live.id)).summary, null);
+  });
+});
@@ -0,0 +1,724 @@
+/**
+ * TipIndexer against a scripted RPC connection
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, SystemProgram } from '@solana/web3.js';
+import { TipIndexer } from '../src/core/TipIndexer.js';
+import { StreamerRegistry } from '../src/core/StreamerRegistry.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+import { SolanaTipSDK } from '../src/core/SolanaTipSDK.js';
+import {
+  getAssociatedTokenAddress,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} from '../src/utils/tokens.js';
+import { legacyTransaction } from './helpers/transactions.js';
+
+const STREAMER = Keypair.generate().publicKey.toBase58();
+const CLASSIC_MINT = Keypair.generate().publicKey.toBase58();
+const TOKEN_2022_MINT = Keypair.generate().publicKey.toBase58();
+
+function createIndexer(connection, options = {}, storage = new MemoryAdapter()) {
+  const indexer = new TipIndexer(storage, options);
+  indexer.connection = connection;
+  return indexer;
+}
+
+// Connection serving one address's signatures (newest first); every mint is a classic SPL mint
+function signaturesConnection(signatures) {
+  return {
+    async getAccountInfo() {
+      return { owner: new PublicKey(TOKEN_PROGRAM_ID) };
+    },
+    async getSignaturesForAddress(key, { until } = {}) {
+      const end = until ? signatures.findIndex(sigInfo => sigInfo.signature === until) : -1;
+      return end === -1 ? signatures : signatures.slice(0, end + 1);
+    }
+  };
+}
+
+// Record what would be processed instead of fetching transactions
+function recordProcessed(indexer) {
+  const processed = [];
+  indexer.processTransaction = async (streamerId, pubkey, signature, mints, options) => {
+    processed.push({ signature, historical: options.historical });
+    return true;
+  };
+  return processed;
+}
+
+describe('TipIndexer watched addresses', () => {
+  it('derives each token account with the program that owns the mint', async () => {
+    const owners = { [CLASSIC_MINT]: TOKEN_PROGRAM_ID, [TOKEN_2022_MINT]: TOKEN_2022_PROGRAM_ID };
+    let lookups = 0;
+    const indexer = createIndexer({
+      async getAccountInfo(key) {
+        lookups++;
+        return { owner: new PublicKey(owners[key.toBase58()]) };
+      }
+    });
+    const streamer = { pubkey: STREAMER, acceptedMints: [CLASSIC_MINT, TOKEN_2022_MINT] };
+
+    const addresses = await indexer.getWatchedAddresses('alice', streamer);
+    assert.deepEqual(addresses, [
+      STREAMER,
+      getAssociatedTokenAddress(STREAMER, CLASSIC_MINT),
+      getAssociatedTokenAddress(STREAMER, TOKEN_2022_MINT, TOKEN_2022_PROGRAM_ID)
+    ]);
+    assert.notEqual(addresses[2], getAssociatedTokenAddress(STREAMER, TOKEN_2022_MINT));
+
+    // Mint owners are looked up once
+    await indexer.getWatchedAddresses('alice', streamer);
+    assert.equal(lookups, 2);
+  });
+
+  it('uses a configured programId without looking up the mint', async () => {
+    const indexer = createIndexer({
+      async getAccountInfo() {
+        throw new Error('unexpected lookup');
+      }
+    }, { tokens: { [TOKEN_2022_MINT]: { symbol: 'NEW', decimals: 9, programId: TOKEN_2022_PROGRAM_ID } } });
+
+    const addresses = await indexer.getWatchedAddresses('alice', { pubkey: STREAMER, acceptedMints: [TOKEN_2022_MINT] });
+    assert.equal(addresses[1], getAssociatedTokenAddress(STREAMER, TOKEN_2022_MINT, TOKEN_2022_PROGRAM_ID));
+  });
+
+  it('skips a mint that is not a token mint until it can be resolved', async () => {
+    let owner = null;
+    const indexer = createIndexer({
+      async getAccountInfo() {
+        return owner && { owner };
+      }
+    });
+    const streamer = { pubkey: STREAMER, acceptedMints: [CLASSIC_MINT] };
+
+    assert.deepEqual(await indexer.getWatchedAddresses('alice', streamer), [STREAMER]);
+    owner = new PublicKey(STREAMER);
+    assert.deepEqual(await indexer.getWatchedAddresses('alice', streamer), [STREAMER]);
+    owner = new PublicKey(TOKEN_PROGRAM_ID);
+    assert.equal((await indexer.getWatchedAddresses('alice', streamer)).length, 2);
+  });
+});
+
+describe('TipIndexer newly accepted mints', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const ata = getAssociatedTokenAddress(STREAMER, CLASSIC_MINT);
+
+  async function streamerWithNewMint() {
+    const storage = new MemoryAdapter();
+    const registry = new StreamerRegistry(storage);
+    await storage.registerStreamer('alice', STREAMER, 'signed');
+    await storage.updateStreamer('alice', { registeredAt: (now - 86400) * 1000 });
+    await registry.setAcceptedMints('alice', [CLASSIC_MINT]);
+    return { storage, registry, streamer: await storage.getStreamer('alice') };
+  }
+
+  it('records when a mint was accepted', async () => {
+    const { registry, storage, streamer } = await streamerWithNewMint();
+    assert.ok(streamer.mintsAddedAt[CLASSIC_MINT] >= now * 1000);
+
+    // Kept while the mint stays accepted, dropped once it is removed
+    await registry.setAcceptedMints('alice', [CLASSIC_MINT, TOKEN_2022_MINT]);
+    const updated = await storage.getStreamer('alice');
+    assert.equal(updated.mintsAddedAt[CLASSIC_MINT], streamer.mintsAddedAt[CLASSIC_MINT]);
+    await registry.setAcceptedMints('alice', [TOKEN_2022_MINT]);
+    assert.equal((await storage.getStreamer('alice')).mintsAddedAt[CLASSIC_MINT], undefined);
+  });
+
+  it('does not alert transfers from before the mint was accepted', async () => {
+    const { storage, streamer } = await streamerWithNewMint();
+    const indexer = createIndexer(signaturesConnection([
+      { signature: 'after', blockTime: now + 5, err: null },
+      { signature: 'before-2', blockTime: now - 600, err: null },
+      { signature: 'before-1', blockTime: now - 3600, err: null }
+    ]), {}, storage);
+    const processed = recordProcessed(indexer);
+
+    await indexer.fetchAddressTips('alice', streamer, ata);
+    assert.deepEqual(processed, [{ signature: 'after', historical: false }]);
+    assert.equal(await storage.getLastSeen(ata), 'after');
+  });
+
+  it('anchors the cursor when nothing arrived since the mint was accepted', async () => {
+    const { storage, streamer } = await streamerWithNewMint();
+    const indexer = createIndexer(signaturesConnection([
+      { signature: 'before-1', blockTime: now - 3600, err: null }
+    ]), {}, storage);
+    const processed = recordProcessed(indexer);
+
+    await indexer.fetchAddressTips('alice', streamer, ata);
+    assert.deepEqual(processed, []);
+    assert.equal(await storage.getLastSeen(ata), 'before-1');
+  });
+
+  it('treats transfers while a mint was not accepted as history, up to the backfill', async () => {
+    const { storage, streamer } = await streamerWithNewMint();
+    const signatures = [
+      { signature: 'after', blockTime: now + 5, err: null },
+      { signature: 'while-removed-2', blockTime: now - 600, err: null },
+      { signature: 'while-removed-1', blockTime: now - 3600, err: null },
+      { signature: 'old-cursor', blockTime: now - 7200, err: null }
+    ];
+
+    for (const [backfill, expected] of [
+      [undefined, [{ signature: 'after', historical: false }]],
+      [1, [{ signature: 'while-removed-2', historical: true }, { signature: 'after', historical: false }]]
+    ]) {
+      await storage.updateLastSeen(ata, 'old-cursor');
+      const indexer = createIndexer(signaturesConnection(signatures), {}, storage);
+      const processed = recordProcessed(indexer);
+
+      await indexer.fetchAddressTips('alice', { ...streamer, backfill }, ata);
+      assert.deepEqual(processed, expected);
+    }
+  });
+});
+
+describe('TipIndexer cursor', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  async function streamerWithCursor() {
+    const storage = new MemoryAdapter();
+    await storage.registerStreamer('alice', STREAMER, 'signed');
+    await storage.updateLastSeen(STREAMER, 'sig-0');
+    return { storage, streamer: await storage.getStreamer('alice') };
+  }
+
+  const connection = (transactions) => ({
+    ...signaturesConnection(['sig-3', 'sig-2', 'sig-1', 'sig-0'].map(signature => ({
+      signature, blockTime: now, err: null
+    }))),
+    async getTransaction(signature) {
+      const tx = transactions[signature];
+      if (tx instanceof Error) throw tx;
+      return tx;
+    }
+  });
+
+  // A transaction with no transfer to the streamer
+  const unrelated = { slot: 1, blockTime: now, meta: { err: null } };
+
+  it('stops before a transaction the RPC node does not have yet', async () => {
+    const { storage, streamer } = await streamerWithCursor();
+    const indexer = createIndexer(connection({}), {}, storage);
+    indexer.processTransaction = async (streamerId, pubkey, signature) => signature !== 'sig-2';
+
+    await indexer.fetchAddressTips('alice', streamer, STREAMER);
+    assert.equal(await storage.getLastSeen(STREAMER), 'sig-1');
+  });
+
+  it('propagates processing errors without moving past the failed signature', async () => {
+    const { storage, streamer } = await streamerWithCursor();
+    const indexer = createIndexer(connection({ 'sig-1': unrelated, 'sig-2': new Error('rate limited') }), {}, storage);
+
+    assert.equal(await indexer.processTransaction('alice', STREAMER, 'sig-1'), true);
+    assert.equal(await indexer.processTransaction('alice', STREAMER, 'sig-3'), false);
+    await assert.rejects(indexer.processTransaction('alice', STREAMER, 'sig-2'), /rate limited/);
+
+    await assert.rejects(indexer.fetchAddressTips('alice', streamer, STREAMER), /rate limited/);
+    assert.equal(await storage.getLastSeen(STREAMER), 'sig-1');
+  });
+});
+
+describe('TipIndexer signature pages', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Serves `count` signatures newest first, paging like the RPC node does
+  function pagedConnection(count, { blockTime = () => now } = {}) {
+    const signatures = Array.from({ length: count }, (_, i) => ({
+      signature: `sig-${count - i}`,
+      blockTime: blockTime(count - i),
+      err: null
+    }));
+    const calls = [];
+    return {
+      calls,
+      async getSignaturesForAddress(key, { limit, before, until }) {
+        calls.push({ before, until });
+        const start = before ? signatures.findIndex(sigInfo => sigInfo.signature === before) + 1 : 0;
+        const end = until ? signatures.findIndex(sigInfo => sigInfo.signature === until) : signatures.length;
+        return signatures.slice(start, end === -1 ? signatures.length : end).slice(0, limit);
+      }
+    };
+  }
+
+  async function streamer(storage, fields = {}) {
+    await storage.registerStreamer('alice', STREAMER, 'signed');
+    await storage.updateStreamer('alice', { registeredAt: (now - 86400) * 1000, ...fields });
+    return storage.getStreamer('alice');
+  }
+
+  it('reads at most maxSignaturePages pages per check and continues from before', async () => {
+    const storage = new MemoryAdapter();
+    const data = await streamer(storage);
+    await storage.updateLastSeen(STREAMER, 'sig-0');
+    const connection = pagedConnection(25);
+    const indexer = createIndexer(connection, { signatureLimit: 5, maxSignaturePages: 2 }, storage);
+    const processed = recordProcessed(indexer);
+
+    // The newest ten go first; the cursor moves to the newest
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.equal(connection.calls.length, 4);
+    assert.deepEqual(processed.slice(0, 10).map(tip => tip.signature),
+      Array.from({ length: 10 }, (_, i) => `sig-${16 + i}`));
+    assert.equal(await storage.getLastSeen(STREAMER), 'sig-25');
+
+    // The same check already read the first chunk of the backlog, from where the pages stopped
+    assert.deepEqual(connection.calls[2], { before: 'sig-16', until: 'sig-0' });
+    assert.deepEqual(processed.slice(10).map(tip => tip.signature),
+      Array.from({ length: 10 }, (_, i) => `sig-${6 + i}`));
+
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.deepEqual(processed.slice(20).map(tip => tip.signature), ['sig-1', 'sig-2', 'sig-3', 'sig-4', 'sig-5']);
+    assert.deepEqual(await indexer.getBacklog(STREAMER), []);
+
+    const calls = connection.calls.length;
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.equal(connection.calls.length, calls + 1);
+    assert.equal(processed.length, 25);
+  });
+
+  it('keeps a backlog chunk that failed for the next check', async () => {
+    const storage = new MemoryAdapter();
+    const data = await streamer(storage);
+    await storage.updateLastSeen(STREAMER, 'sig-0');
+    const indexer = createIndexer(pagedConnection(12), { signatureLimit: 5, maxSignaturePages: 1 }, storage);
+    let missing = 'sig-5';
+    const processed = [];
+    indexer.processTransaction = async (streamerId, pubkey, signature) => {
+      if (signature === missing) return false;
+      processed.push(signature);
+      return true;
+    };
+
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.deepEqual(await indexer.getBacklog(STREAMER), [{ before: 'sig-8', until: 'sig-0', backfill: 0 }]);
+
+    missing = null;
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.deepEqual(await indexer.getBacklog(STREAMER), [{ before: 'sig-3', until: 'sig-0', backfill: 0 }]);
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.deepEqual(await indexer.getBacklog(STREAMER), []);
+    assert.deepEqual([...new Set(processed)].sort(), Array.from({ length: 12 }, (_, i) => `sig-${i + 1}`).sort());
+  });
+
+  it('stops at when the address started being watched, not only at the cursor', async () => {
+    const storage = new MemoryAdapter();
+    // sig-1 to sig-40 an hour apart; registered just before sig-38
+    const data = await streamer(storage, { registeredAt: (now - 3 * 3600 - 60) * 1000 });
+    await storage.updateLastSeen(STREAMER, 'sig-1');
+    const connection = pagedConnection(40, { blockTime: n => now - (40 - n) * 3600 });
+    const indexer = createIndexer(connection, { signatureLimit: 5, maxSignaturePages: 3 }, storage);
+    const processed = recordProcessed(indexer);
+
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.equal(connection.calls.length, 1);
+    assert.deepEqual(processed.map(tip => tip.signature), ['sig-37', 'sig-38', 'sig-39', 'sig-40']);
+    assert.deepEqual(await indexer.getBacklog(STREAMER), []);
+  });
+
+  it('bounds the first check of a new streamer too', async () => {
+    const storage = new MemoryAdapter();
+    const data = await streamer(storage);
+    const connection = pagedConnection(30);
+    const indexer = createIndexer(connection, { signatureLimit: 5, maxSignaturePages: 2 }, storage);
+    const processed = recordProcessed(indexer);
+
+    await indexer.fetchAddressTips('alice', data, STREAMER);
+    assert.equal(await storage.getLastSeen(STREAMER), 'sig-30');
+    assert.deepEqual(await indexer.getBacklog(STREAMER), [{ before: 'sig-11', until: null, backfill: 0 }]);
+    assert.equal(processed.length, 20);
+  });
+});
+
+describe('TipIndexer payment requests', () => {
+  const SENDER = Keypair.generate().publicKey.toBase58();
+
+  async function pendingRequest(storage, fields = {}) {
+    const reference = Keypair.generate().publicKey.toBase58();
+    await storage.savePaymentRequest({
+      reference,
+      streamerId: 'alice',
+      amount: 0.5,
+      mint: null,
+      status: 'pending',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      ...fields
+    });
+    return reference;
+  }
+
+  // A SOL transfer carrying the reference, and what parseTipTransfers reads from it
+  function payment(reference, amountSol) {
+    const instruction = SystemProgram.transfer({
+      fromPubkey: new PublicKey(SENDER),
+      toPubkey: new PublicKey(STREAMER),
+      lamports: Math.round(amountSol * 1e9)
+    });
+    instruction.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+    const tx = legacyTransaction(SENDER, [instruction]);
+    return { tx, transfers: [{ from: SENDER, mint: null, amountSol, transferIndex: 0 }] };
+  }
+
+  // Serve the payment transaction and process it as a tip
+  async function processPayment(storage, reference, amountSol, signature) {
+    const { tx } = payment(reference, amountSol);
+    const indexer = createIndexer({ getTransaction: async () => tx }, {}, storage);
+    await indexer.processTransaction('alice', STREAMER, signature);
+    return storage.getTipByTxHash(signature);
+  }
+
+  it('leaves a request pending when the transfer pays less than its amount', async () => {
+    const storage = new MemoryAdapter();
+    const indexer = createIndexer({}, {}, storage);
+    const reference = await pendingRequest(storage);
+
+    const { tx, transfers } = payment(reference, 0.1);
+    const matches = await indexer.matchPaymentRequests(tx, 'alice', 'sig-short', transfers);
+    assert.equal(matches.size, 0);
+
+    const tip = await processPayment(storage, reference, 0.1, 'sig-short');
+    assert.equal(tip.reference, undefined);
+    assert.equal((await storage.getPaymentRequest(reference)).status, 'pending');
+  });
+
+  it('completes a request paid in full, or one without an amount', async () => {
+    const storage = new MemoryAdapter();
+
+    for (const [fields, amountSol] of [[{}, 0.5], [{}, 0.75], [{ amount: null }, 0.01]]) {
+      const reference = await pendingRequest(storage, fields);
+      const tip = await processPayment(storage, reference, amountSol, `sig-${amountSol}`);
+
+      assert.equal(tip.reference, reference);
+      const request = await storage.getPaymentRequest(reference);
+      assert.equal(request.status, 'paid');
+      assert.equal(request.paidAmount, amountSol);
+      assert.equal(request.txHash, `sig-${amountSol}`);
+    }
+  });
+
+  it('only marks a request paid once the tip paying it is saved', async () => {
+    const storage = new MemoryAdapter();
+    const reference = await pendingRequest(storage);
+    const { tx } = payment(reference, 0.5);
+    const indexer = createIndexer({ getTransaction: async () => tx }, {}, storage);
+
+    const saveTip = storage.saveTip.bind(storage);
+    storage.saveTip = async () => {
+      throw new Error('disk full');
+    };
+    await assert.rejects(indexer.processTransaction('alice', STREAMER, 'sig-retry'), /disk full/);
+    assert.equal((await storage.getPaymentRequest(reference)).status, 'pending');
+
+    // The poll retries the transaction and the request is paid by the saved tip
+    storage.saveTip = saveTip;
+    await indexer.processTransaction('alice', STREAMER, 'sig-retry');
+    assert.equal((await storage.getTipByTxHash('sig-retry')).reference, reference);
+    assert.equal((await storage.getPaymentRequest(reference)).status, 'paid');
+  });
+
+  it('completes a request left pending after its tip was saved', async () => {
+    const storage = new MemoryAdapter();
+    const reference = await pendingRequest(storage);
+    await storage.saveTip({ txHash: 'sig-saved', streamerId: 'alice', amount: 0.5, reference, status: 'confirmed' });
+
+    const tips = [];
+    const { tx } = payment(reference, 0.5);
+    const indexer = createIndexer({ getTransaction: async () => tx }, {}, storage);
+    indexer.on('tip', tip => tips.push(tip));
+    await indexer.processTransaction('alice', STREAMER, 'sig-saved');
+
+    assert.equal(tips.length, 0);
+    assert.equal((await storage.getPaymentRequest(reference)).txHash, 'sig-saved');
+  });
+
+  it('drops the reference of a tip whose request another tip paid first', async () => {
+    const storage = new MemoryAdapter();
+    const reference = await pendingRequest(storage);
+    const { tx } = payment(reference, 0.5);
+    const indexer = createIndexer({ getTransaction: async () => tx }, {}, storage);
+
+    // Both transactions are matched before either tip is saved
+    const matchPaymentRequests = indexer.matchPaymentRequests.bind(indexer);
+    let matched = 0;
+    let release;
+    const bothMatched = new Promise(resolve => {
+      release = resolve;
+    });
+    indexer.matchPaymentRequests = async (...args) => {
+      const matches = await matchPaymentRequests(...args);
+      if (++matched === 2) release();
+      await bothMatched;
+      return matches;
+    };
+    await Promise.all([
+      indexer.processTransaction('alice', STREAMER, 'sig-first'),
+      indexer.processTransaction('alice', STREAMER, 'sig-second')
+    ]);
+
+    assert.equal((await storage.getPaymentRequest(reference)).txHash, 'sig-first');
+    assert.equal((await storage.getTipByTxHash('sig-first')).reference, reference);
+    assert.equal((await storage.getTipByTxHash('sig-second')).reference, undefined);
+  });
+});
+
+describe('TipIndexer finality', () => {
+  // Connection reporting a status per signature (missing: not found)
+  function statusConnection(statuses) {
+    const calls = [];
+    return {
+      calls,
+      async getSignatureStatuses(signatures) {
+        calls.push(signatures);
+        return { value: signatures.map(signature => statuses[signature] || null) };
+      }
+    };
+  }
+
+  async function confirmedTip(storage, txHash, fields = {}) {
+    await storage.saveTip({
+      txHash,
+      streamerId: 'alice',
+      from: 'viewer-wallet',
+      amount: 0.5,
+      amountSol: 0.5,
+      mint: null,
+      symbol: 'SOL',
+      decimals: 9,
+      status: 'confirmed',
+      ...fields
+    });
+  }
+
+  function recordEvents(indexer) {
+    const events = [];
+    for (const event of ['tip', 'tip:finalized', 'tip:reverted']) {
+      indexer.on(event, tip => events.push([event, tip.txHash]));
+    }
+    return events;
+  }
+
+  it('promotes finalized tips and leaves the rest pending', async () => {
+    const storage = new MemoryAdapter();
+    await confirmedTip(storage, 'sig-1');
+    await confirmedTip(storage, 'sig-2');
+    const indexer = createIndexer(statusConnection({
+      'sig-1': { confirmationStatus: 'finalized', err: null },
+      'sig-2': { confirmationStatus: 'confirmed', err: null }
+    }), {}, storage);
+    const events = recordEvents(indexer);
+
+    await indexer.checkFinality();
+
+    assert.deepEqual(events, [['tip:finalized', 'sig-1']]);
+    assert.equal((await storage.getTipByTxHash('sig-1')).status, 'finalized');
+    assert.ok((await storage.getTipByTxHash('sig-1')).finalizedAt);
+    assert.equal((await storage.getTipByTxHash('sig-2')).status, 'confirmed');
+  });
+
+  it('reverts failed tips, and missing ones only once they time out', async () => {
+    const storage = new MemoryAdapter();
+    await confirmedTip(storage, 'sig-failed');
+    await confirmedTip(storage, 'sig-recent');
+    await confirmedTip(storage, 'sig-dropped');
+    await storage.updateTip('sig-dropped', { recordedAt: Date.now() - 120001 });
+    const indexer = createIndexer(statusConnection({
+      'sig-failed': { confirmationStatus: 'confirmed', err: { InstructionError: [0, 'Custom'] } }
+    }), {}, storage);
+    const events = recordEvents(indexer);
+
+    await indexer.checkFinality();
+
+    assert.deepEqual(events, [['tip:reverted', 'sig-failed'], ['tip:reverted', 'sig-dropped']]);
+    assert.equal((await storage.getTipByTxHash('sig-failed')).status, 'reverted');
+    assert.equal((await storage.getTipByTxHash('sig-recent')).status, 'confirmed');
+    assert.equal((await storage.getTipByTxHash('sig-dropped')).status, 'reverted');
+  });
+
+  it('looks tips up by signature, 256 at a time', async () => {
+    const storage = new MemoryAdapter();
+    for (let i = 0; i < 300; i++) {
+      await confirmedTip(storage, `sig-${i}:1`, { signature: `sig-${i}` });
+    }
+    const connection = statusConnection({ 'sig-299': { confirmationStatus: 'finalized', err: null } });
+    const indexer = createIndexer(connection, {}, storage);
+
+    await indexer.checkFinality();
+
+    assert.deepEqual(connection.calls.map(batch => batch.length), [256, 44]);
+    assert.equal(connection.calls[0][0], 'sig-0');
+    assert.equal((await storage.getTipByTxHash('sig-299:1')).status, 'finalized');
+  });
+
+  it('releases held alerts for streamers that alert on finalized tips', async () => {
+    const storage = new MemoryAdapter();
+    await storage.registerStreamer('alice', STREAMER, 'link');
+    await storage.updateStreamer('alice', { alertCommitment: 'finalized' });
+    await confirmedTip(storage, 'sig-live');
+    await confirmedTip(storage, 'sig-historical', { historical: true });
+    const finalized = { confirmationStatus: 'finalized', err: null };
+    const indexer = createIndexer(statusConnection({ 'sig-live': finalized, 'sig-historical': finalized }), {}, storage);
+    const events = recordEvents(indexer);
+
+    await indexer.checkFinality();
+
+    assert.deepEqual(events, [
+      ['tip', 'sig-live'],
+      ['tip:finalized', 'sig-live'],
+      ['tip:finalized', 'sig-historical']
+    ]);
+  });
+
+  it('takes a reverted tip back out of its goals', async () => {
+    const storage = new MemoryAdapter();
+    const sdk = new SolanaTipSDK(storage);
+    await storage.registerStreamer('alice', STREAMER, 'link');
+    const { goal } = await sdk.goals.createGoal('alice', { title: 'New mic', target: 1 });
+    await confirmedTip(storage, 'sig-1', { amount: 0.6 });
+    await confirmedTip(storage, 'sig-2', { amount: 0.6 });
+    for (const txHash of ['sig-1', 'sig-2']) {
+      await sdk.goals.applyTip(await storage.getTipByTxHash(txHash));
+    }
+    assert.equal((await storage.getGoal(goal.id)).status, 'reached');
+
+    sdk.indexer.connection = statusConnection({
+      'sig-2': { confirmationStatus: 'confirmed', err: { InstructionError: [0, 'Custom'] } }
+    });
+    const progress = new Promise(resolve => sdk.goals.on('goal:progress', resolve));
+    await sdk.indexer.checkFinality();
+    await progress;
+
+    const reverted = await storage.getGoal(goal.id);
+    assert.deepEqual([reverted.current, reverted.tipCount, reverted.status], [0.6, 1, 'active']);
+  });
+});
+
+describe('TipIndexer subscriptions', () => {
+  // Connection whose log and slot notifications the test sends by hand
+  function socketConnection() {
+    return {
+      logListeners: new Map(), // id -> { address, callback }
+      slotListener: null,
+      nextId: 1,
+      onLogs(publicKey, callback) {
+        const id = this.nextId++;
+        this.logListeners.set(id, { address: publicKey.toBase58(), callback });
+        return id;
+      },
+      async removeOnLogsListener(id) {
+        this.logListeners.delete(id);
+      },
+      onSlotChange(callback) {
+        this.slotListener = callback;
+        return 0;
+      },
+      async removeSlotChangeListener() {
+        this.slotListener = null;
+      },
+      sendLogs(address, logs = { err: null }) {
+        for (const listener of this.logListeners.values()) {
+          if (listener.address === address) listener.callback(logs);
+        }
+      }
+    };
+  }
+
+  async function subscribedIndexer(options = {}) {
+    const storage = new MemoryAdapter();
+    await storage.registerStreamer('alice', STREAMER, 'link');
+    const connection = socketConnection();
+    const indexer = createIndexer(connection, { mode: 'subscribe', subscriptionTimeoutMs: 4000, ...options }, storage);
+
+    const checked = [];
+    indexer.checkAddress = async (streamerId, streamerData, address) => {
+      checked.push([streamerId, address]);
+    };
+    let polls = 0;
+    const pollOnce = indexer.pollOnce.bind(indexer);
+    indexer.pollOnce = async () => {
+      polls++;
+      await pollOnce();
+    };
+
+    await indexer.startSubscriptions();
+    return { storage, connection, indexer, checked, polls: () => polls };
+  }
+
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('catches up once, then checks an address when its logs arrive', async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const { connection, indexer, checked, polls } = await subscribedIndexer();
+    try {
+      assert.equal(polls(), 1);
+      assert.deepEqual(checked, [['alice', STREAMER]]);
+
+      connection.sendLogs(STREAMER);
+      connection.sendLogs(STREAMER, { err: { InstructionError: [0, 'Custom'] } });
+      await settle();
+
+      assert.deepEqual(checked, [['alice', STREAMER], ['alice', STREAMER]]);
+    } finally {
+      indexer.stop();
+      mock.timers.reset();
+    }
+  });
+
+  it('follows registrations and removals when syncing', async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const { storage, connection, indexer } = await subscribedIndexer();
+    try {
+      const bob = Keypair.generate().publicKey.toBase58();
+      await storage.registerStreamer('bob', bob, 'link');
+      indexer.setOwnershipFilter(streamerId => streamerId === 'bob');
+      await indexer.syncSubscriptions();
+
+      assert.deepEqual([...connection.logListeners.values()].map(listener => listener.address), [bob]);
+      assert.deepEqual([...indexer.logSubscriptions.keys()], [bob]);
+    } finally {
+      indexer.stop();
+      mock.timers.reset();
+    }
+  });
+
+  it('polls while the socket is silent and stops once slots arrive again', async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const { connection, indexer, polls } = await subscribedIndexer({ pollInterval: 1000 });
+    try {
+      // Slots keep the subscription healthy
+      mock.timers.tick(2000);
+      connection.slotListener();
+      mock.timers.tick(2000);
+      assert.equal(indexer.fallbackPolling, false);
+
+      // No slot for longer than subscriptionTimeoutMs: the socket dropped
+      mock.timers.tick(2000);
+      mock.timers.tick(2000);
+      await settle();
+      assert.equal(indexer.fallbackPolling, true);
+      assert.equal(polls(), 2);
+
+      mock.timers.tick(1000);
+      await settle();
+      assert.equal(polls(), 3);
+
+      // Reconnected: subscriptions are synced and checked once more, and polling stops
+      connection.slotListener();
+      await settle();
+      assert.equal(indexer.fallbackPolling, false);
+      assert.equal(indexer.polling, false);
+      assert.equal(polls(), 4);
+      assert.equal(connection.logListeners.size, 1);
+
+      mock.timers.tick(2000);
+      await settle();
+      assert.equal(polls(), 4);
+    } finally {
+      indexer.stop();
+      mock.timers.reset();
+    }
+  });
+});
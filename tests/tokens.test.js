@@ -0,0 +1,31 @@
+/**
+ * Token labelling and amount helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundAmount, tokenSymbol } from '../src/utils/tokens.js';
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const CUSTOM = 'Cust0mMint1111111111111111111111111111111111';
+
+describe('tokenSymbol', () => {
+  it('labels SOL, configured and well-known mints', () => {
+    assert.equal(tokenSymbol(null), 'SOL');
+    assert.equal(tokenSymbol(BONK), 'BONK');
+    assert.equal(tokenSymbol(CUSTOM, { [CUSTOM]: { symbol: 'CUS', decimals: 6 } }), 'CUS');
+    assert.equal(tokenSymbol(BONK, { [BONK]: { symbol: 'MYBONK', decimals: 5 } }), 'MYBONK');
+  });
+
+  it('falls back to the start of an unknown mint', () => {
+    assert.equal(tokenSymbol(CUSTOM), 'Cust…');
+  });
+});
+
+describe('roundAmount', () => {
+  it('rounds sums to the token precision', () => {
+    assert.equal(roundAmount(0.1 + 0.2), 0.3);
+    assert.equal(roundAmount(1.0000004, 6), 1);
+    assert.equal(roundAmount(0.1 + 0.7, 18), 0.8);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Transaction and memo parsing against legacy and v0 fixtures
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import {
+  resolveTransactionMessage,
+  parseTipTransfers,
+  findReferenceKeys,
+  extractMemos,
+  extractMemo
+} from '../src/utils/transaction-parser.js';
+import { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } from '../src/utils/tokens.js';
+import {
+  legacyTransaction,
+  v0Transaction,
+  lookupTable,
+  toRpcJson,
+  innerInstruction
+} from './helpers/transactions.js';
+
+const address = () => Keypair.generate().publicKey.toBase58();
+const SENDER = address();
+const STREAMER = address();
+const MINT = address();
+
+function solTransfer(lamports, to = STREAMER, from = SENDER) {
+  return SystemProgram.transfer({ fromPubkey: new PublicKey(from), toPubkey: new PublicKey(to), lamports });
+}
+
+function tokenTransferChecked(source, destination, amount, decimals) {
+  const data = Buffer.alloc(10);
+  data[0] = 12;
+  data.writeBigUInt64LE(BigInt(amount), 1);
+  data[9] = decimals;
+  return new TransactionInstruction({
+    programId: new PublicKey(TOKEN_PROGRAM_ID),
+    keys: [
+      { pubkey: new PublicKey(source), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(MINT), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(destination), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(SENDER), isSigner: true, isWritable: false }
+    ],
+    data
+  });
+}
+
+// Adds a read-only, non-signer account the way wallets attach Solana Pay references
+function withReference(instruction, reference) {
+  instruction.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+  return instruction;
+}
+
+function tokenBalance(accountIndex, owner, amount) {
+  return { accountIndex, mint: MINT, owner, uiTokenAmount: { amount: String(amount), decimals: 6 } };
+}
+
+describe('resolveTransactionMessage', () => {
+  it('reads legacy messages from web3.js and raw JSON alike', () => {
+    const transaction = legacyTransaction(SENDER, [solTransfer(5000)]);
+
+    for (const fixture of [transaction, toRpcJson(transaction)]) {
+      const resolved = resolveTransactionMessage(fixture);
+      assert.deepEqual(resolved.accountKeys, [SENDER, STREAMER, SystemProgram.programId.toBase58()]);
+      assert.equal(resolved.instructions.length, 1);
+      assert.equal(resolved.instructions[0].programId, SystemProgram.programId.toBase58());
+      assert.deepEqual(resolved.instructions[0].accounts, [SENDER, STREAMER]);
+      assert.deepEqual(Array.from(resolved.instructions[0].data.slice(0, 4)), [2, 0, 0, 0]);
+      assert.deepEqual(resolved.innerInstructions, []);
+    }
+  });
+
+  it('reads v0 messages without lookup tables from web3.js and raw JSON alike', () => {
+    const transaction = v0Transaction(SENDER, [solTransfer(5000)]);
+    assert.ok(transaction.transaction.message.staticAccountKeys);
+
+    for (const fixture of [transaction, toRpcJson(transaction)]) {
+      const resolved = resolveTransactionMessage(fixture);
+      assert.deepEqual(resolved.accountKeys, [SENDER, STREAMER, SystemProgram.programId.toBase58()]);
+      assert.deepEqual(resolved.instructions[0].accounts, [SENDER, STREAMER]);
+    }
+  });
+
+  it('appends lookup table accounts after the static keys, writable first', () => {
+    const reference = address();
+    const table = lookupTable([reference, STREAMER]);
+    const transaction = v0Transaction(SENDER, [withReference(solTransfer(5000), reference)], [table]);
+    const { staticAccountKeys, addressTableLookups } = transaction.transaction.message;
+
+    // web3.js moved both accounts into the table
+    assert.deepEqual(staticAccountKeys.map(key => key.toBase58()), [SENDER, SystemProgram.programId.toBase58()]);
+    assert.deepEqual(addressTableLookups[0].writableIndexes, [1]);
+    assert.deepEqual(addressTableLookups[0].readonlyIndexes, [0]);
+
+    for (const fixture of [transaction, toRpcJson(transaction)]) {
+      const resolved = resolveTransactionMessage(fixture);
+      assert.deepEqual(resolved.accountKeys, [SENDER, SystemProgram.programId.toBase58(), STREAMER, reference]);
+      assert.deepEqual(resolved.instructions[0].accounts, [SENDER, STREAMER, reference]);
+    }
+  });
+
+  it('leaves lookup table accounts unresolved when meta lacks them', () => {
+    const table = lookupTable([STREAMER]);
+    const transaction = v0Transaction(SENDER, [solTransfer(5000)], [table]);
+    delete transaction.meta.loadedAddresses;
+
+    const resolved = resolveTransactionMessage(transaction);
+    assert.deepEqual(resolved.instructions[0].accounts, [SENDER, undefined]);
+    assert.deepEqual(parseTipTransfers(transaction, STREAMER), []);
+  });
+
+  it('returns null without a message', () => {
+    assert.equal(resolveTransactionMessage(null), null);
+    assert.equal(resolveTransactionMessage({ meta: {} }), null);
+  });
+});
+
+describe('parseTipTransfers', () => {
+  it('finds a SOL tip to an account loaded from a lookup table', () => {
+    const table = lookupTable([STREAMER]);
+    const transaction = v0Transaction(SENDER, [solTransfer(250000000)], [table]);
+
+    assert.deepEqual(parseTipTransfers(toRpcJson(transaction), STREAMER), [{
+      from: SENDER,
+      mint: null,
+      amountLamports: 250000000,
+      amountSol: 0.25,
+      slot: 1,
+      blockTime: 1700000000,
+      transferIndex: 0
+    }]);
+  });
+
+  it('matches token balances to lookup table accounts by index', () => {
+    const source = getAssociatedTokenAddress(SENDER, MINT);
+    const destination = getAssociatedTokenAddress(STREAMER, MINT);
+    const table = lookupTable([source, destination, MINT]);
+    const transaction = v0Transaction(SENDER, [tokenTransferChecked(source, destination, 1500000, 6)], [table]);
+    const { accountKeys } = resolveTransactionMessage(transaction);
+    transaction.meta.preTokenBalances = [
+      tokenBalance(accountKeys.indexOf(source), SENDER, 2000000),
+      tokenBalance(accountKeys.indexOf(destination), STREAMER, 0)
+    ];
+    transaction.meta.postTokenBalances = [
+      tokenBalance(accountKeys.indexOf(source), SENDER, 500000),
+      tokenBalance(accountKeys.indexOf(destination), STREAMER, 1500000)
+    ];
+
+    const [transfer] = parseTipTransfers(transaction, STREAMER, [MINT]);
+    assert.equal(transfer.from, SENDER);
+    assert.equal(transfer.mint, MINT);
+    assert.equal(transfer.amountRaw, '1500000');
+    assert.equal(transfer.amount, 1.5);
+  });
+
+  it('falls back to balance changes when inner instructions were not recorded', () => {
+    // The streamer's account comes from a lookup table; only its balance shows the transfer
+    const transaction = v0Transaction(SENDER, [], [], {
+      innerInstructions: null,
+      loadedAddresses: { writable: [STREAMER], readonly: [] },
+      preBalances: [1000000000, 0],
+      postBalances: [899995000, 100000000]
+    });
+
+    const [transfer] = parseTipTransfers(transaction, STREAMER);
+    assert.equal(transfer.from, SENDER);
+    assert.equal(transfer.amountLamports, 100000000);
+  });
+});
+
+describe('findReferenceKeys', () => {
+  it('lists read-only accounts from the static keys and lookup tables, without programs', () => {
+    const staticReference = address();
+    const tableReference = address();
+    const table = lookupTable([tableReference]);
+    const instruction = withReference(withReference(solTransfer(5000), staticReference), tableReference);
+    const transaction = v0Transaction(SENDER, [instruction], [table]);
+    // Keep one reference static: only accounts in a table are moved there
+    assert.ok(transaction.transaction.message.staticAccountKeys.some(key => key.toBase58() === staticReference));
+
+    for (const fixture of [transaction, toRpcJson(transaction)]) {
+      assert.deepEqual(findReferenceKeys(fixture).sort(), [staticReference, tableReference].sort());
+    }
+  });
+
+  it('reads references from legacy messages', () => {
+    const reference = address();
+    const transaction = legacyTransaction(SENDER, [withReference(solTransfer(5000), reference)]);
+    assert.deepEqual(findReferenceKeys(transaction), [reference]);
+  });
+});
+
+describe('extractMemos', () => {
+  const MEMO_V2 = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+  const MEMO_V1 = 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo';
+  const ROUTER = address();
+
+  const memo = (text, programId = MEMO_V2) => new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: [],
+    data: Buffer.from(text)
+  });
+
+  // A program that CPIs into the memo program needs it among the accounts
+  const routerCall = () => new TransactionInstruction({
+    programId: new PublicKey(ROUTER),
+    keys: [{ pubkey: new PublicKey(MEMO_V2), isSigner: false, isWritable: false }],
+    data: Buffer.from([1])
+  });
+
+  it('reads memo v1 and v2 instructions in order', () => {
+    const transaction = v0Transaction(SENDER, [memo('gm chat', MEMO_V1), solTransfer(5000), memo('second 🎉')]);
+
+    for (const fixture of [transaction, toRpcJson(transaction)]) {
+      assert.deepEqual(extractMemos(fixture), ['gm chat', 'second 🎉']);
+    }
+    assert.equal(extractMemo(transaction), 'gm chat');
+    assert.equal(extractMemo(transaction, { select: 'last' }), 'second 🎉');
+    assert.equal(extractMemo(transaction, { select: 'all', separator: ' | ' }), 'gm chat | second 🎉');
+  });
+
+  it('reads memos written by inner instructions after the top-level one that made them', () => {
+    const transaction = legacyTransaction(SENDER, [routerCall(), memo('top-level')]);
+    const { accountKeys } = resolveTransactionMessage(transaction);
+    transaction.meta.innerInstructions = [
+      { index: 0, instructions: [innerInstruction(accountKeys, MEMO_V2, [], Buffer.from('via router'))] }
+    ];
+
+    assert.deepEqual(extractMemos(transaction), ['via router', 'top-level']);
+  });
+
+  it('skips empty and non-UTF-8 memos', () => {
+    const transaction = legacyTransaction(SENDER, [
+      new TransactionInstruction({ programId: new PublicKey(MEMO_V2), keys: [], data: Buffer.from([0xff, 0xfe]) }),
+      memo(''),
+      memo('valid')
+    ]);
+
+    assert.deepEqual(extractMemos(transaction), ['valid']);
+  });
+
+  it('falls back to the memo program logs when no memo instruction can be read', () => {
+    const transaction = legacyTransaction(SENDER, [routerCall()], {
+      innerInstructions: null,
+      logMessages: [
+        `Program ${ROUTER} invoke [1]`,
+        `Program ${MEMO_V2} invoke [2]`,
+        'Program log: Memo (len 29): "say \\"hi\\"\\nnew line \\u{1f680}"',
+        'Program log: Memo (len 2): "ok"',
+        'Program log: not a memo',
+        `Program ${MEMO_V2} success`
+      ]
+    });
+
+    assert.deepEqual(extractMemos(transaction), ['say "hi"\nnew line 🚀', 'ok']);
+    assert.equal(extractMemo(transaction, { select: 'last' }), 'ok');
+  });
+
+  it('prefers memo instructions over the logs', () => {
+    const transaction = legacyTransaction(SENDER, [memo('from data')], {
+      logMessages: ['Program log: Memo (len 9): "from logs"']
+    });
+
+    assert.deepEqual(extractMemos(transaction), ['from data']);
+  });
+
+  it('returns nothing for a transaction without memos', () => {
+    const transaction = legacyTransaction(SENDER, [solTransfer(5000)]);
+
+    assert.deepEqual(extractMemos(transaction), []);
+    assert.equal(extractMemo(transaction), null);
+    assert.deepEqual(extractMemos(null), []);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * WebhookDispatcher endpoint vetting, with a scripted resolver and fetch
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebhookDispatcher } from '../src/core/WebhookDispatcher.js';
+import { MemoryAdapter } from '../src/adapters/MemoryAdapter.js';
+
+function createDispatcher(hosts, options = {}) {
+  const requests = [];
+  const dispatcher = new WebhookDispatcher(new MemoryAdapter(), {
+    lookup: async (hostname) => {
+      if (!hosts[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      return hosts[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    },
+    fetch: async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, status: 200 };
+    },
+    ...options
+  });
+  return { dispatcher, requests };
+}
+
+// dispatch() starts delivering in the background
+const nextEvent = (dispatcher, event) => new Promise(resolve => dispatcher.on(event, resolve));
+
+describe('WebhookDispatcher endpoints', () => {
+  it('refuses URLs that reach loopback, private or link-local addresses', async () => {
+    const { dispatcher } = createDispatcher({
+      'internal.example.com': ['10.0.0.5'],
+      'mixed.example.com': ['93.184.216.34', '192.168.1.1'],
+      'localhost': ['127.0.0.1', '::1']
+    });
+
+    for (const url of [
+      'http://127.0.0.1:8080/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://2130706433/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[fe80::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://localhost:3000/hook',
+      'https://internal.example.com/hook',
+      'https://mixed.example.com/hook'
+    ]) {
+      const result = await dispatcher.addWebhook({ url });
+      assert.deepEqual(result, { success: false, error: 'Webhook URL must resolve to a public address' }, url);
+    }
+
+    const unresolved = await dispatcher.addWebhook({ url: 'https://nowhere.example.com/hook' });
+    assert.deepEqual(unresolved, { success: false, error: 'Could not resolve nowhere.example.com' });
+    assert.deepEqual(await dispatcher.listWebhooks(), []);
+  });
+
+  it('accepts public endpoints', async () => {
+    const { dispatcher } = createDispatcher({ 'bot.example.com': ['93.184.216.34', '2606:2800:220:1::1'] });
+
+    assert.equal((await dispatcher.addWebhook({ url: 'https://bot.example.com/tips' })).success, true);
+    assert.equal((await dispatcher.addWebhook({ url: 'http://93.184.216.34/tips' })).success, true);
+  });
+
+  it('does not deliver once the host resolves to a private address', async () => {
+    const hosts = { 'bot.example.com': ['93.184.216.34'] };
+    const { dispatcher, requests } = createDispatcher(hosts);
+    const { webhook } = await dispatcher.addWebhook({ url: 'https://bot.example.com/tips' });
+
+    hosts['bot.example.com'] = ['127.0.0.1'];
+    const failed = nextEvent(dispatcher, 'webhook:failed');
+    await dispatcher.dispatch('tip', { streamerId: 'alice', txHash: 'tx-1' });
+    const delivery = await failed;
+
+    assert.equal(requests.length, 0);
+    assert.equal(delivery.webhookId, webhook.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.lastError, 'Webhook URL must resolve to a public address');
+  });
+
+  it('does not follow redirects', async () => {
+    const { dispatcher, requests } = createDispatcher({ 'bot.example.com': ['93.184.216.34'] });
+    await dispatcher.addWebhook({ url: 'https://bot.example.com/tips' });
+
+    const delivered = nextEvent(dispatcher, 'webhook:delivered');
+    await dispatcher.dispatch('tip', { streamerId: 'alice', txHash: 'tx-1' });
+    await delivered;
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].init.redirect, 'manual');
+  });
+
+  it('allows private endpoints when configured for local development', async () => {
+    const { dispatcher } = createDispatcher({}, { allowPrivateNetworks: true });
+
+    assert.equal((await dispatcher.addWebhook({ url: 'http://localhost:3000/hook' })).success, true);
+  });
+});
+
+describe('WebhookDispatcher connections', () => {
+  // Local endpoint recording the requests it gets
+  async function startEndpoint() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      received.push({ url: req.url, host: req.headers.host });
+      req.resume();
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { received, port: server.address().port, close: () => new Promise(resolve => server.close(resolve)) };
+  }
+
+  it('connects to the vetted address, keeping the hostname for the request', async () => {
+    const endpoint = await startEndpoint();
+    const dispatcher = new WebhookDispatcher(new MemoryAdapter());
+
+    // .invalid never resolves, so only the pinned address can be reached
+    const response = await dispatcher.post(`http://hook.invalid:${endpoint.port}/tips`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    }, [{ address: '127.0.0.1', family: 4 }]);
+    await endpoint.close();
+
+    assert.deepEqual(response, { ok: true, status: 200 });
+    assert.deepEqual(endpoint.received, [{ url: '/tips', host: `hook.invalid:${endpoint.port}` }]);
+  });
+
+  it('does not resolve the host again between the check and the request', async () => {
+    const endpoint = await startEndpoint();
+    const resolved = [];
+    // Public while being checked, then rebinds to the local endpoint
+    const dispatcher = new WebhookDispatcher(new MemoryAdapter(), {
+      timeoutMs: 300,
+      lookup: async (hostname) => {
+        resolved.push(hostname);
+        return [{ address: resolved.length <= 2 ? '192.0.2.1' : '127.0.0.1', family: 4 }];
+      }
+    });
+    await dispatcher.addWebhook({ url: `http://rebind.invalid:${endpoint.port}/tips` });
+
+    const failed = nextEvent(dispatcher, 'webhook:failed');
+    await dispatcher.dispatch('tip', { streamerId: 'alice', txHash: 'tx-1' });
+    const delivery = await failed;
+    await endpoint.close();
+
+    assert.equal(resolved.length, 2);
+    assert.deepEqual(endpoint.received, []);
+    // Refused or timed out at the vetted address, depending on the network
+    assert.match(delivery.lastError, /192\.0\.2\.1|Timed out/);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * WebSocketBroadcaster alert queue, replay and tier lookups (no WebSocket server needed)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketBroadcaster } from '../src/core/WebSocketBroadcaster.js';
+
+function createBroadcaster() {
+  const broadcaster = new WebSocketBroadcaster({
+    getAlertTiers: async () => [{ name: 'big', minAmount: 1 }]
+  });
+  const enqueued = [];
+  broadcaster.enqueueTip = (streamerId, tipData) => enqueued.push(tipData);
+  return { broadcaster, enqueued };
+}
+
+const tip = { txHash: 'tx-1', streamerId: 'alice', amount: 2, symbol: 'SOL' };
+
+describe('WebSocketBroadcaster tier lookups', () => {
+  it('alerts every replay of a tip, even while an earlier one is being looked up', async () => {
+    const { broadcaster, enqueued } = createBroadcaster();
+
+    broadcaster.broadcastTip('alice', { ...tip, rerun: true });
+    broadcaster.broadcastTip('alice', { ...tip, rerun: true });
+    await broadcaster.tierLookups.get('alice');
+
+    assert.equal(enqueued.length, 2);
+    assert.ok(enqueued.every(alert => alert.txHash === 'tx-1' && alert.tier !== undefined));
+  });
+
+  it('drops every pending alert of a tip reverted during the lookup', async () => {
+    const { broadcaster, enqueued } = createBroadcaster();
+    broadcaster.publish = () => 0;
+
+    broadcaster.broadcastTip('alice', tip);
+    broadcaster.broadcastTip('alice', { ...tip, rerun: true });
+    broadcaster.broadcastTip('alice', { ...tip, txHash: 'tx-2' });
+    broadcaster.broadcastTipStatus('alice', { ...tip, status: 'reverted' });
+    await broadcaster.tierLookups.get('alice');
+
+    assert.deepEqual(enqueued.map(alert => alert.txHash), ['tx-2']);
+  });
+
+  it('attaches the resolved tier, or alerts plainly when the lookup fails', async () => {
+    const { broadcaster, enqueued } = createBroadcaster();
+
+    broadcaster.broadcastTip('alice', tip);
+    broadcaster.broadcastTip('alice', { ...tip, txHash: 'tx-small', amount: 0.5 });
+    await broadcaster.tierLookups.get('alice');
+    broadcaster.options.getAlertTiers = async () => {
+      throw new Error('storage down');
+    };
+    broadcaster.broadcastTip('alice', { ...tip, txHash: 'tx-3' });
+    await broadcaster.tierLookups.get('alice');
+
+    assert.deepEqual(enqueued.map(alert => [alert.txHash, alert.tier && alert.tier.name]), [
+      ['tx-1', 'big'],
+      ['tx-small', null],
+      ['tx-3', null]
+    ]);
+  });
+});
+
+// Records what would go out, with the (mocked) time it was sent
+function createQueue(options = {}) {
+  const broadcaster = new WebSocketBroadcaster(options);
+  const sent = [];
+  broadcaster.publish = (streamerId, message) => {
+    sent.push({ ...message, at: Date.now() });
+    return 0;
+  };
+  return { broadcaster, sent };
+}
+
+const queued = (txHash, amount) => ({ txHash, amount, symbol: 'SOL' });
+
+describe('WebSocketBroadcaster alert queue', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('spaces alerts and holds the rest until the window has room', () => {
+    const { broadcaster, sent } = createQueue({ maxAlertsPerWindow: 3, alertWindowMs: 10000, alertSpacingMs: 1000 });
+
+    for (let i = 1; i <= 4; i++) broadcaster.enqueueTip('alice', queued(`tx-${i}`, 0.1));
+    assert.equal(sent.length, 1);
+    assert.equal(broadcaster.getQueueLength('alice'), 3);
+
+    mock.timers.tick(999);
+    assert.equal(sent.length, 1);
+    mock.timers.tick(1);
+    assert.equal(sent.length, 2);
+    mock.timers.tick(1000);
+    assert.equal(sent.length, 3);
+
+    // Three alerts in the window: the fourth waits for the first to age out
+    mock.timers.tick(7999);
+    assert.equal(sent.length, 3);
+    mock.timers.tick(1);
+    assert.deepEqual(sent.map(alert => alert.at - 1_000_000), [0, 1000, 2000, 10000]);
+    assert.deepEqual(sent.map(alert => alert.payload.txHash), ['tx-1', 'tx-2', 'tx-3', 'tx-4']);
+    assert.equal(broadcaster.getQueueLength('alice'), 0);
+  });
+
+  it('drops new tips once the queue is full', () => {
+    const { broadcaster, sent } = createQueue({ maxQueueLength: 2 });
+    broadcaster.pauseAlerts('alice');
+
+    for (let i = 1; i <= 3; i++) broadcaster.enqueueTip('alice', queued(`tx-${i}`, i));
+    broadcaster.resumeAlerts('alice');
+
+    assert.deepEqual(sent.map(alert => alert.payload.txHash), ['tx-1', 'tx-2']);
+  });
+
+  it('sends larger tips first and drops the smallest when full', () => {
+    const { broadcaster, sent } = createQueue({ maxQueueLength: 3, prioritizeLargeTips: true });
+    broadcaster.pauseAlerts('alice');
+
+    broadcaster.enqueueTip('alice', queued('small', 0.1));
+    broadcaster.enqueueTip('alice', queued('big', 1));
+    broadcaster.enqueueTip('alice', queued('medium', 0.5));
+    broadcaster.enqueueTip('alice', queued('big-later', 1));
+    broadcaster.enqueueTip('alice', queued('tiny', 0.01));
+    broadcaster.resumeAlerts('alice');
+
+    assert.deepEqual(sent.map(alert => alert.payload.txHash), ['big', 'big-later', 'medium']);
+  });
+
+  it('leaves a reverted tip out of the queue', () => {
+    const { broadcaster, sent } = createQueue();
+    broadcaster.pauseAlerts('alice');
+
+    broadcaster.enqueueTip('alice', queued('tx-1', 0.1));
+    broadcaster.enqueueTip('alice', queued('tx-2', 0.2));
+    broadcaster.broadcastTipStatus('alice', { txHash: 'tx-1', status: 'reverted' });
+    broadcaster.resumeAlerts('alice');
+
+    assert.deepEqual(sent.map(alert => alert.type), ['tip:reverted', 'tip']);
+    assert.equal(sent[1].payload.txHash, 'tx-2');
+  });
+
+  it('collapses a burst into one alert like its biggest tip', () => {
+    const { broadcaster, sent } = createQueue({ maxAlertsPerWindow: 1, alertWindowMs: 10000, collapseThreshold: 3 });
+
+    broadcaster.enqueueTip('alice', queued('first', 0.1));
+    broadcaster.enqueueTip('alice', queued('tx-1', 0.5));
+    broadcaster.enqueueTip('alice', queued('tx-2', 0.5));
+    broadcaster.enqueueTip('alice', { ...queued('tx-3', 0.8), tier: { name: 'big' } });
+    broadcaster.enqueueTip('alice', queued('tx-4', 0.2));
+    broadcaster.enqueueTip('alice', queued('tx-5', 0.3));
+    assert.equal(sent.length, 1);
+
+    mock.timers.tick(10000);
+    const [, combined] = sent;
+    assert.equal(sent.length, 2);
+    assert.equal(combined.type, 'tip:combined');
+    assert.deepEqual(combined.payload.tips.map(tip => tip.txHash), ['tx-1', 'tx-2', 'tx-3', 'tx-4', 'tx-5']);
+    assert.deepEqual(combined.payload.tier, { name: 'big' });
+
+    // What the example overlay shows for it
+    const [{ amount, symbol }] = combined.payload.totals;
+    assert.equal(`${combined.payload.count} tips totalling ${amount.toFixed(1)} ${symbol}`, '5 tips totalling 2.3 SOL');
+  });
+
+  it('sends a burst below the threshold one alert at a time', () => {
+    const { broadcaster, sent } = createQueue({ maxAlertsPerWindow: 1, alertWindowMs: 10000, collapseThreshold: 3 });
+
+    for (let i = 1; i <= 3; i++) broadcaster.enqueueTip('alice', queued(`tx-${i}`, 0.1));
+    mock.timers.tick(10000);
+    mock.timers.tick(10000);
+
+    assert.deepEqual(sent.map(alert => alert.type), ['tip', 'tip', 'tip']);
+  });
+});
+
+function createSocket() {
+  return {
+    readyState: 1,
+    received: [],
+    send(message) {
+      this.received.push(JSON.parse(message));
+    }
+  };
+}
+
+function publishTips(broadcaster, count) {
+  for (let i = 1; i <= count; i++) {
+    broadcaster.publish('alice', { type: 'tip', payload: { txHash: `tx-${i}` } });
+  }
+}
+
+describe('WebSocketBroadcaster replay', () => {
+  it('sends a resuming client what it missed after its last seq', async () => {
+    const broadcaster = new WebSocketBroadcaster();
+    publishTips(broadcaster, 5);
+    const ws = createSocket();
+
+    await broadcaster.subscribe(ws, { streamer: 'alice', epoch: broadcaster.epoch, lastSeq: 3 });
+
+    const [ack, ...replayed] = ws.received;
+    assert.deepEqual([ack.type, ack.epoch, ack.seq], ['subscribed', broadcaster.epoch, 5]);
+    assert.deepEqual(replayed.map(message => [message.seq, message.payload.txHash, message.replayed]),
+      [[4, 'tx-4', true], [5, 'tx-5', true]]);
+  });
+
+  it('replays nothing to a new client or one that is up to date', async () => {
+    const broadcaster = new WebSocketBroadcaster();
+    publishTips(broadcaster, 2);
+    const fresh = createSocket();
+    const current = createSocket();
+
+    await broadcaster.subscribe(fresh, { streamer: 'alice' });
+    await broadcaster.subscribe(current, { streamer: 'alice', epoch: broadcaster.epoch, lastSeq: 2 });
+
+    assert.deepEqual(fresh.received.map(message => message.type), ['subscribed']);
+    assert.deepEqual(current.received.map(message => message.type), ['subscribed']);
+  });
+
+  it('replays the whole backlog to a client from another epoch', async () => {
+    const broadcaster = new WebSocketBroadcaster();
+    publishTips(broadcaster, 3);
+    const ws = createSocket();
+
+    await broadcaster.subscribe(ws, { streamer: 'alice', epoch: 'previous-process', lastSeq: 40 });
+
+    assert.deepEqual(ws.received.slice(1).map(message => message.seq), [1, 2, 3]);
+  });
+
+  it('keeps only the last backlogSize broadcasts', async () => {
+    const broadcaster = new WebSocketBroadcaster({ backlogSize: 3 });
+    publishTips(broadcaster, 6);
+    const ws = createSocket();
+
+    await broadcaster.subscribe(ws, { streamer: 'alice', epoch: broadcaster.epoch, lastSeq: 1 });
+
+    assert.deepEqual(broadcaster.backlogs.get('alice').map(entry => entry.seq), [4, 5, 6]);
+    assert.deepEqual(ws.received.slice(1).map(message => message.seq), [4, 5, 6]);
+  });
+
+  it('sends the most recent broadcasts within the replay caps', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    try {
+      const broadcaster = new WebSocketBroadcaster({ maxReplay: 5 });
+      publishTips(broadcaster, 2);
+      mock.timers.tick(60_000);
+      publishTips(broadcaster, 4);
+      const capped = createSocket();
+      const recent = createSocket();
+
+      assert.equal(broadcaster.replay(capped, 'alice', { epoch: broadcaster.epoch, lastSeq: 0, maxReplay: 10 }), 5);
+      assert.equal(broadcaster.replay(recent, 'alice', { epoch: broadcaster.epoch, lastSeq: 0, maxAgeMs: 30_000 }), 4);
+      assert.deepEqual(capped.received.map(message => message.seq), [2, 3, 4, 5, 6]);
+      assert.deepEqual(recent.received.map(message => message.seq), [3, 4, 5, 6]);
+
+      const few = createSocket();
+      broadcaster.replay(few, 'alice', { epoch: broadcaster.epoch, lastSeq: 0, maxReplay: 1 });
+      assert.deepEqual(few.received.map(message => message.seq), [6]);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});